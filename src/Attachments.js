@@ -5,6 +5,7 @@
  */
 import uploadAttachment from "./uploadAttachment";
 import deleteAttachment from "./deleteAttachment";
+import UploadProgress, { UploadState } from "./UploadProgress";
 
 const fileActions = new WeakMap();
 
@@ -25,6 +26,110 @@ function getActionsForObservable(observable)
 const ACTION_DELETE = "ACTION_DELETE";
 const ACTION_UPLOAD = "ACTION_UPLOAD";
 
+
+function getUploadActions(observable)
+{
+    return getActionsForObservable(observable).filter(a => a.action === ACTION_UPLOAD);
+}
+
+
+/**
+ * Sums up the progress of the given upload actions.
+ *
+ * @param {Array<Object>} uploads   upload actions
+ *
+ * @return {{loaded: number, total: number, fraction: number, active: boolean}} aggregated progress
+ */
+function sumProgress(uploads)
+{
+    let loaded = 0;
+    let total = 0;
+    let active = false;
+
+    for (let i = 0; i < uploads.length; i++)
+    {
+        const { progress } = uploads[i];
+        loaded += progress.loaded;
+        total += progress.total;
+        active = active || progress.active;
+    }
+
+    return {
+        loaded,
+        total,
+        fraction: total > 0 ? Math.min(1, loaded / total) : 0,
+        active
+    };
+}
+
+
+/**
+ * Starts the upload for the given upload action.
+ *
+ * @param {Object} a                    upload action
+ * @param {AbortSignal} [signal]        outer signal cancelling all uploads
+ * @param {function} report             called after every progress update
+ *
+ * @return {Promise<void>}
+ */
+function startUpload(a, signal, report)
+{
+    const { progress } = a;
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+
+    if (signal)
+    {
+        if (signal.aborted)
+        {
+            controller.abort();
+        }
+        else
+        {
+            signal.addEventListener("abort", onAbort);
+        }
+    }
+
+    const cleanup = () => {
+        a.controller = null;
+        a.upload = null;
+        if (signal)
+        {
+            signal.removeEventListener("abort", onAbort);
+        }
+    };
+
+    a.controller = controller;
+    progress.setState(UploadState.UPLOADING);
+
+    a.upload = uploadAttachment(
+        a.id,
+        a.description,
+        a.type,
+        a.file,
+        "",
+        {
+            signal: controller.signal,
+            onProgress: (loaded, total) => {
+                progress.update(loaded, total);
+                report();
+            }
+        }
+    ).then(
+        () => {
+            cleanup();
+            progress.setState(UploadState.DONE);
+        },
+        err => {
+            cleanup();
+            progress.setState(err && err.name === "AbortError" ? UploadState.CANCELLED : UploadState.FAILED);
+            return Promise.reject(err);
+        }
+    );
+    return a.upload;
+}
+
 /**
  * Contains helper functions for the special functionality needed to deal with attachments in forms
  *
@@ -34,28 +139,89 @@ const ACTION_UPLOAD = "ACTION_UPLOAD";
 const Attachments = {
 
     /**
-     * Performs all pending uploads registered for the given root observable.
-     * 
+     * Performs all pending uploads registered for the given root observable. Uploads that already completed in an
+     * earlier call are not repeated, uploads still running from an earlier call are waited for instead of being
+     * restarted. Their progress is only reported to and their cancellation only controlled by the earlier call.
+     *
      * @param observable
+     * @param {Object} [opts]                   options
+     * @param {AbortSignal} [opts.signal]       signal cancelling all pending uploads
+     * @param {function} [opts.onProgress]      Progress callback ( (loaded, total) => ... ) receiving the sum over
+     *                                          all pending uploads
      * @return {Promise<unknown[]>}
      */
-    uploadPending: function (observable) {
-        const actions = getActionsForObservable(observable);
+    uploadPending: function (observable, opts = {}) {
+        const { signal, onProgress } = opts;
 
-        const promises = [];
+        const uploads = getUploadActions(observable).filter(a => a.progress.state !== UploadState.DONE);
 
-        for (let i = 0; i < actions.length; i++)
-        {
-            const a = actions[i];
-
-            if (a.action === ACTION_UPLOAD)
+        const report = () => {
+            if (onProgress)
             {
-                promises.push(
-                    uploadAttachment(a.id, a.description, a.type, a.file)
-                )
+                const { loaded, total } = sumProgress(uploads);
+                onProgress(loaded, total);
             }
+        };
+
+        return Promise.all(
+            uploads.map(a => a.controller ? a.upload : startUpload(a, signal, report))
+        );
+    },
+
+    /**
+     * Returns the upload progress for the given attachment id or the progress summed up over all uploads registered
+     * for the given root observable if no attachment id is given. Can be used within observers.
+     *
+     * @param observable
+     * @param {String} [attachmentId]   attachment id
+     *
+     * @return {UploadProgress|{loaded: number, total: number, fraction: number, active: boolean}|null} progress
+     *          of the attachment upload, `null` if there is no upload for the attachment id or the aggregated progress
+     */
+    getUploadProgress: function (observable, attachmentId) {
+
+        const uploads = getUploadActions(observable);
+
+        if (attachmentId !== undefined)
+        {
+            const upload = uploads.find(a => a.id === attachmentId);
+            return upload ? upload.progress : null;
         }
-        return Promise.all(promises);
+
+        return sumProgress(uploads);
+    },
+
+    /**
+     * Returns the number of uploads registered for the given root observable that have not completed yet.
+     *
+     * @param observable
+     * @param {String} [exceptId]   attachment id to leave out of the count
+     *
+     * @return {number} number of pending uploads
+     */
+    countPendingUploads: function (observable, exceptId = null) {
+        return getUploadActions(observable).filter(a => a.id !== exceptId && a.progress.state !== UploadState.DONE).length;
+    },
+
+    /**
+     * Cancels the running upload for the given attachment id. The promise returned by uploadPending() rejects with an
+     * "AbortError".
+     *
+     * @param observable
+     * @param {String} attachmentId     attachment id
+     *
+     * @return {boolean} true if an upload was cancelled
+     */
+    cancelUpload: function (observable, attachmentId) {
+
+        const upload = getUploadActions(observable).find(a => a.id === attachmentId && a.controller);
+        if (!upload)
+        {
+            return false;
+        }
+
+        upload.controller.abort();
+        return true;
     },
 
     /**
@@ -106,6 +272,8 @@ const Attachments = {
 
         console.log("clearActionsFor", attachmentId);
 
+        Attachments.cancelUpload(observable, attachmentId);
+
         const actions = getActionsForObservable(observable).filter(a => a.id !== attachmentId);
         fileActions.set(observable, actions);
     },
@@ -134,7 +302,9 @@ const Attachments = {
         getActionsForObservable(observable).push({
             action: ACTION_UPLOAD,
             ...attachment,
-            file
+            file,
+            progress: new UploadProgress(file ? file.size : 0),
+            controller: null
         });
     },
     /**
@@ -145,6 +315,7 @@ const Attachments = {
      */
     clearAll: function(observable)
     {
+        getUploadActions(observable).forEach(a => a.controller && a.controller.abort());
         fileActions.delete(observable);
     }
 
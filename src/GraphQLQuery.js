@@ -2,10 +2,11 @@ import parseQuery from "./parseQuery"
 import config from "./config"
 import graphql from "./graphql"
 import cloneJSONObject from "./util/cloneJSONObject"
+import graphqlSubscribe from "./message/graphqlSubscribe"
 
 
 /**
- * GraphQL query abstraction for both GraphQL queries and mutations.
+ * GraphQL query abstraction for GraphQL queries, mutations and subscriptions.
  *
  * Can be used to parse application queries only once and then .execute() them.
  *
@@ -17,15 +18,18 @@ export default class GraphQLQuery {
     /**
      * Create a new GraphQLQuery instance
      *
-     * @param {String} query    query string
-     * @param {object} vars     default variables for the query
+     * @param {String} query              query string
+     * @param {object} vars                 default variables for the query
+     * @param {String} [cachePolicy]        cache policy for this query ( see CachePolicy ). Only used if the GraphQL
+     *                                      cache is enabled.
      */
-    constructor(query, vars)
+    constructor(query, vars, cachePolicy = null)
     {
         this.query = query
         this.queryDef = null
         this.defaultVars = vars
         this.vars = vars
+        this.cachePolicy = cachePolicy
     }
 
 
@@ -58,6 +62,11 @@ export default class GraphQLQuery {
     {
         //console.log("GraphQLQuery.execute", this, JSON.stringify(variables, null, 4));
 
+        if (this.getQueryDefinition().operation === "subscription")
+        {
+            throw new Error("GraphQL subscriptions must be started with subscribe()");
+        }
+
         this.vars = variables;
 
         return graphql(
@@ -69,6 +78,23 @@ export default class GraphQLQuery {
     }
 
 
+    /**
+     * Starts this GraphQL subscription over the Hub websocket.
+     *
+     * @param {object} variables        variables object map
+     * @param {Function} onNext         callback receiving every converted, observable result
+     * @param {Function} [onError]      callback receiving errors
+     *
+     * @return {function(): void} unsubscribe function
+     */
+    subscribe(variables, onNext, onError)
+    {
+        this.vars = variables;
+
+        return graphqlSubscribe(this, variables, onNext, onError);
+    }
+
+
     /**
      * Clone this query object.
      *
@@ -76,7 +102,7 @@ export default class GraphQLQuery {
      */
     clone()
     {
-        const c = new GraphQLQuery(this.query, cloneJSONObject(this.defaultVars))
+        const c = new GraphQLQuery(this.query, cloneJSONObject(this.defaultVars), this.cachePolicy)
         c.queryDef = this.queryDef
         return c
     }
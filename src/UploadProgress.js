@@ -0,0 +1,119 @@
+import { action, computed, makeObservable, observable } from "mobx";
+
+
+/**
+ * Enum for the state of an attachment upload
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const UploadState = {
+    /**
+     * Upload has not been started yet.
+     * @member {string}
+     */
+    PENDING: "pending",
+    /**
+     * Upload is transferring data or waiting to retry after a network error.
+     * @member {string}
+     */
+    UPLOADING: "uploading",
+    /**
+     * Upload completed successfully.
+     * @member {string}
+     */
+    DONE: "done",
+    /**
+     * Upload failed.
+     * @member {string}
+     */
+    FAILED: "failed",
+    /**
+     * Upload was cancelled.
+     * @member {string}
+     */
+    CANCELLED: "cancelled"
+};
+
+Object.freeze(UploadState);
+
+
+/**
+ * Observable progress of a single attachment upload.
+ */
+export default class UploadProgress {
+
+    /**
+     * Number of bytes the server has received
+     * @type {number}
+     */
+    @observable loaded = 0;
+
+    /**
+     * Total number of bytes to upload
+     * @type {number}
+     */
+    @observable total = 0;
+
+    /**
+     * Upload state
+     * @type {UploadState}
+     */
+    @observable state = UploadState.PENDING;
+
+    constructor(total = 0)
+    {
+        makeObservable(this);
+        this.total = total;
+    }
+
+    /**
+     * Fraction of the upload completed from 0 to 1.
+     *
+     * @return {number}
+     */
+    @computed
+    get fraction()
+    {
+        if (this.total > 0)
+        {
+            return Math.min(1, this.loaded / this.total);
+        }
+        return this.state === UploadState.DONE ? 1 : 0;
+    }
+
+    /**
+     * True while the upload is running
+     *
+     * @return {boolean}
+     */
+    @computed
+    get active()
+    {
+        return this.state === UploadState.UPLOADING;
+    }
+
+    /**
+     * Updates the progress values. Has the signature of the `onProgress` option of uploadAttachment().
+     *
+     * @param {number} loaded   number of bytes the server has received
+     * @param {number} total    total number of bytes to upload
+     */
+    @action.bound
+    update(loaded, total)
+    {
+        this.loaded = loaded;
+        this.total = total;
+    }
+
+    /**
+     * Sets the upload state.
+     *
+     * @param {UploadState} state   new state
+     */
+    @action
+    setState(state)
+    {
+        this.state = state;
+    }
+}
@@ -18,6 +18,11 @@ import { openDialog } from "./util/openDialog"
 import toJSEveryThing from "./util/toJSEveryThing"
 import { getCurrentProcess } from "./process/Process"
 import { isPropertyWritable } from "domainql-form"
+import { deleteDraft, loadDraft, saveDraft } from "./util/draftStorage"
+import RestoreDraftDialog from "./ui/RestoreDraftDialog"
+import i18n from "./i18n"
+import { resolveConflicts } from "./merge/conflictStrategy"
+import MergeConflictError from "./merge/MergeConflictError"
 
 
 const LIST_OF_DOMAIN_OBJECTS_TYPE = "[DomainObject]";
@@ -214,7 +219,29 @@ const DEFAULT_MERGE_CONFIG = {
     allowDiscard: true,
     allowApply: true,
     logMergeScenarios: __DEV,
-    reactionTimeout: 250
+    reactionTimeout: 250,
+    /**
+     * Name under which the changes of the working set are persisted as draft in IndexedDB. If set, the user is offered
+     * to restore the unsaved changes when the process is started again. Default is null (no persistence).
+     */
+    persistAs: null,
+    /**
+     * Delay in milliseconds before changes are written to the draft storage
+     */
+    persistenceTimeout: 1000,
+    /**
+     * Strategy to resolve merge conflicts without opening the merge dialog. Either one of the ConflictStrategy values
+     * or a custom resolver function ( (conflicts, workingSet) => decisions ). Default is null (interactive merge).
+     */
+    conflictStrategy: null,
+    /**
+     * Name of the modification timestamp field compared by the "last-writer-wins" conflict strategy
+     */
+    lastWriterField: "modified",
+    /**
+     * Maximum number of merge attempts when conflicts are resolved by a conflict strategy
+     */
+    maxMergeAttempts: 3
 };
 
 
@@ -658,6 +685,290 @@ function compareLinkObjects(a, b, idField)
 }
 
 
+/**
+ * Journal operation for a change of a single field of a registered domain object
+ */
+const FIELD_OPERATION = "FIELD";
+
+/**
+ * Journal operation for the replacement of an entity registration (addNew(), markDeleted(), revert())
+ */
+const REGISTRATION_OPERATION = "REGISTRATION";
+
+
+/**
+ * Returns the scalar type of the field with the given name from the given merge info
+ *
+ * @param {object} info     merge info for a type
+ * @param {String} name     field name
+ *
+ * @return {?String} scalar type name or null
+ */
+function findFieldType(info, name)
+{
+    const { scalarFields, groupFields, embedded } = info;
+
+    for (let i = 0; i < scalarFields.length; i++)
+    {
+        if (scalarFields[i].name === name)
+        {
+            return scalarFields[i].type;
+        }
+    }
+
+    for (let i = 0; i < groupFields.length; i++)
+    {
+        const fieldsOfGroup = groupFields[i];
+        for (let j = 0; j < fieldsOfGroup.length; j++)
+        {
+            if (fieldsOfGroup[j].name === name)
+            {
+                return fieldsOfGroup[j].type;
+            }
+        }
+    }
+
+    for (let i = 0; i < embedded.length; i++)
+    {
+        if (embedded[i].name === name)
+        {
+            return LIST_OF_DOMAIN_OBJECTS_TYPE;
+        }
+    }
+    return null;
+}
+
+
+/**
+ * Copies a field value for the journal so that in-place modifications of arrays don't change the recorded value.
+ *
+ * @param {*} value     field value
+ * @return {*} copy for arrays, the value itself otherwise
+ */
+function copyJournalValue(value)
+{
+    return Array.isArray(value) ? value.slice() : value;
+}
+
+
+function journalValueEquals(type, valueA, valueB)
+{
+    if (valueA === valueB)
+    {
+        return true;
+    }
+
+    if (Array.isArray(valueA) && Array.isArray(valueB))
+    {
+        if (valueA.length !== valueB.length)
+        {
+            return false;
+        }
+
+        for (let i = 0; i < valueA.length; i++)
+        {
+            const elemA = valueA[i];
+            const elemB = valueB[i];
+            if (elemA !== elemB && !(elemA && elemB && elemA.id !== undefined && elemA.id === elemB.id))
+            {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    if (type && type !== LIST_OF_DOMAIN_OBJECTS_TYPE)
+    {
+        return equalsScalar(type, valueA, valueB);
+    }
+    return false;
+}
+
+
+/**
+ * Records the given operation in the journal of the given working set. If a transaction is open, the operation becomes
+ * part of the transaction step, otherwise it is recorded as a single undo step.
+ *
+ * Recording a new operation clears the redo stack.
+ *
+ * @param {WorkingSet} workingSet   working set
+ * @param {object} op               journal operation
+ */
+function recordOperation(workingSet, op)
+{
+    const internal = workingSet[secret];
+
+    if (internal.replaying)
+    {
+        return;
+    }
+
+    if (internal.transaction)
+    {
+        internal.transaction.ops.push(op);
+    }
+    else
+    {
+        internal.undoStack.push({
+            ops: [ op ]
+        });
+    }
+    internal.redoStack.clear();
+}
+
+
+/**
+ * Synchronously recalculates the changes of all registrations, recording pending field edits in the journal before
+ * the delayed change reactions would.
+ *
+ * @param {WorkingSet} workingSet   working set
+ */
+function flushChanges(workingSet)
+{
+    const { registrations } = workingSet[secret];
+
+    for (let registration of registrations.values())
+    {
+        const { status, domainObject } = registration;
+        if (domainObject && (status === WorkingSetStatus.MODIFIED || status === WorkingSetStatus.NEW))
+        {
+            registration._updateChanges(workingSet, registration.recalculateChanges());
+        }
+    }
+}
+
+
+/**
+ * Recalculates the changes of the given registration without recording the field values in the journal.
+ *
+ * @param {WorkingSet} workingSet               working set
+ * @param {EntityRegistration} registration     registration
+ */
+function updateChangesUnjournaled(workingSet, registration)
+{
+    const internal = workingSet[secret];
+
+    const { replaying } = internal;
+    internal.replaying = true;
+    try
+    {
+        registration._updateChanges(workingSet, registration.recalculateChanges());
+    }
+    finally
+    {
+        internal.replaying = replaying;
+    }
+}
+
+
+/**
+ * Clears the journal of the given working set after syncing the journaled field values to the current state.
+ *
+ * @param {WorkingSet} workingSet   working set
+ */
+function resetJournal(workingSet)
+{
+    const internal = workingSet[secret];
+
+    internal.replaying = true;
+    try
+    {
+        flushChanges(workingSet);
+    }
+    finally
+    {
+        internal.replaying = false;
+    }
+
+    internal.undoStack.clear();
+    internal.redoStack.clear();
+}
+
+
+/**
+ * Replaces the registration for the given key while keeping the change reactions consistent.
+ *
+ * @param {WorkingSet} workingSet                   working set
+ * @param {String} key                              registration key
+ * @param {?EntityRegistration} registration        new registration or null to remove the registration
+ */
+function replaceRegistration(workingSet, key, registration)
+{
+    const { registrations } = workingSet[secret];
+
+    const current = registrations.get(key);
+    if (current && current !== registration && current.registered)
+    {
+        current.unregisterReaction();
+    }
+
+    if (registration)
+    {
+        registrations.set(key, registration);
+
+        const { status } = registration;
+        if ((status === WorkingSetStatus.MODIFIED || status === WorkingSetStatus.REGISTERED) && !registration.registered)
+        {
+            registration.registerReaction();
+        }
+        registration._updateChanges(workingSet, registration.recalculateChanges());
+    }
+    else
+    {
+        registrations.delete(key);
+    }
+}
+
+
+/**
+ * Applies a journal step to the given working set in either direction.
+ *
+ * @param {WorkingSet} workingSet   working set
+ * @param {object} step             journal step
+ * @param {boolean} isUndo          true to undo the step, false to redo it
+ */
+function replayStep(workingSet, step, isUndo)
+{
+    const internal = workingSet[secret];
+    const { ops } = step;
+
+    internal.replaying = true;
+    try
+    {
+        for (let i = 0; i < ops.length; i++)
+        {
+            const op = ops[isUndo ? ops.length - 1 - i : i];
+
+            if (op.kind === FIELD_OPERATION)
+            {
+                const { key, name, from, to } = op;
+                const registration = internal.registrations.get(key);
+                if (!registration || !registration.domainObject)
+                {
+                    console.warn("Cannot replay field operation, no registration for " + key);
+                    continue;
+                }
+
+                const value = isUndo ? from : to;
+
+                registration.domainObject[name] = copyJournalValue(value);
+                registration.journalValues.set(name, copyJournalValue(value));
+                registration._updateChanges(workingSet, registration.recalculateChanges());
+            }
+            else
+            {
+                const { key, before, after } = op;
+                replaceRegistration(workingSet, key, isUndo ? before : after);
+            }
+        }
+    }
+    finally
+    {
+        internal.replaying = false;
+    }
+}
+
+
 /**
  * A registration for single entity instance identified by a type/id tuple. Encapsulates the status, the observable
  * object for the entity and the JS base version of that entity.
@@ -698,6 +1009,18 @@ class EntityRegistration
      */
     changes = observable.map()
 
+    /**
+     * Field values last recorded in the working set journal.
+     * @type {Map<String,*>}
+     */
+    journalValues = new Map()
+
+    /**
+     * Time of the last local edit per field name in milliseconds. Used by the "last-writer-wins" conflict strategy.
+     * @type {Map<String,Number>}
+     */
+    editTimes = new Map()
+
     key
     typeName
     id
@@ -745,6 +1068,8 @@ class EntityRegistration
 
         //console.log("UPDATES", updates)
 
+        this.journalFieldUpdates(updates)
+
         for (let i = 0; i < updates.length; i += 3)
         {
             const name = updates[i];
@@ -788,6 +1113,45 @@ class EntityRegistration
         return !!this.dispose
     }
 
+
+    /**
+     * Records the field edits contained in the given updates array as produced by recalculateChanges() in the journal
+     * of the working set.
+     *
+     * @param {Array<*>} updates    updates array
+     */
+    journalFieldUpdates(updates)
+    {
+        const { domainObject, base, workingSet, typeName, journalValues, editTimes, key } = this;
+
+        if (!domainObject)
+        {
+            return;
+        }
+
+        const info = workingSet[secret].mergePlan.getInfo(typeName);
+
+        for (let i = 0; i < updates.length; i += 3)
+        {
+            const name = updates[i];
+            const value = domainObject[name];
+            const prev = journalValues.has(name) ? journalValues.get(name) : base ? base[name] : undefined;
+
+            if (!journalValueEquals(findFieldType(info, name), prev, value))
+            {
+                recordOperation(workingSet, {
+                    kind: FIELD_OPERATION,
+                    key,
+                    name,
+                    from: prev,
+                    to: copyJournalValue(value)
+                });
+                editTimes.set(name, Date.now());
+            }
+            journalValues.set(name, copyJournalValue(value));
+        }
+    }
+
     registerReaction()
     {
         //console.log("registerReaction", this.key, "domainObject #",FormContext.getUniqueId(this.domainObject))
@@ -1008,6 +1372,158 @@ class EntityRegistration
     }
 }
 
+/**
+ * Converts a raw registration entry as produced by `WorkingSet.toJS()` back into domain object and base version.
+ *
+ * Entries written by older versions contain neither type name nor base version. Their type is taken from the domain
+ * object or the registration key.
+ *
+ * @param {String} key      registration key
+ * @param {object} entry    raw registration entry
+ *
+ * @return {{status: String, domainObject: ?object, base: ?object}} converted registration data
+ */
+function convertRegistrationFromJS(key, entry)
+{
+    const { status, domainObject: raw, base } = entry;
+    const typeName = entry.typeName || (raw && raw._type) || key.substring(0, key.indexOf(":"));
+
+    let domainObject = null;
+    let convertedBase = null;
+    if (raw || base)
+    {
+        const wireFormat = getWireFormat();
+
+        const typeDef = config.inputSchema.getType(typeName);
+        if (!typeDef)
+        {
+            throw new Error("Could not find type '" + typeName + "'")
+        }
+
+        if (raw)
+        {
+            domainObject = wireFormat.convert(
+                typeDef,
+                raw,
+                true
+            );
+        }
+
+        if (base)
+        {
+            convertedBase = wireFormat.convert(
+                typeDef,
+                base,
+                BASE_FROM_JS_OPTS
+            );
+        }
+    }
+
+    return {
+        status,
+        domainObject,
+        base: convertedBase
+    };
+}
+
+
+/**
+ * Process effect function for working sets with a `persistAs` merge config. On the first run it checks for a persisted
+ * draft and offers the user to restore it. Afterwards it persists the changes of the working set until the effect
+ * is unregistered.
+ *
+ * @param {WorkingSet} workingSet   working set
+ * @param {String} processName      name of the process the working set belongs to
+ *
+ * @return {Function} unregister function
+ */
+function registerDraftPersistence(workingSet, processName)
+{
+    const { persistAs, persistenceTimeout } = workingSet.mergeConfig;
+    const internal = workingSet[secret];
+
+    let active = true;
+    let dispose = null;
+
+    const startPersisting = () => {
+        if (active)
+        {
+            dispose = reaction(
+                () => {
+                    if (!workingSet.hasChanges)
+                    {
+                        return null;
+                    }
+
+                    // WireFormat.convert() is an action and does not track the domain objects, so we track the
+                    // changes of the registrations explicitly
+                    workingSet.registrations.forEach(registration => toJS(registration.changes));
+
+                    return workingSet.toJS().registrations;
+                },
+                registrations => (
+                    registrations ?
+                        saveDraft(processName, persistAs, { registrations }) :
+                        deleteDraft(processName, persistAs)
+                ).catch(err => console.error("Error persisting working set draft", err)),
+                {
+                    name: "WS" + workingSet.id + ":persist",
+                    equals: comparer.structural,
+                    delay: persistenceTimeout
+                }
+            )
+        }
+    };
+
+    if (internal.draftChecked)
+    {
+        startPersisting();
+    }
+    else
+    {
+        internal.draftChecked = true;
+
+        loadDraft(processName, persistAs)
+            .then(
+                draft => {
+                    if (!draft)
+                    {
+                        return;
+                    }
+
+                    return workingSet._openDialog(
+                        dialog => (
+                            <RestoreDraftDialog
+                                dialog={ dialog }
+                                draft={ draft }
+                            />
+                        ),
+                        {
+                            title: i18n("WorkingSet:Restore Unsaved Changes"),
+                            resultOnCancel: false
+                        }
+                    ).then(
+                        restore => restore ?
+                            workingSet.restore(draft.data) :
+                            deleteDraft(processName, persistAs)
+                    );
+                }
+            )
+            .catch(err => console.error("Error restoring working set draft", err))
+            .then(startPersisting);
+    }
+
+    return () => {
+        active = false;
+        if (dispose)
+        {
+            dispose();
+            dispose = null;
+        }
+    };
+}
+
+
 let counter = 0
 
 
@@ -1077,7 +1593,29 @@ export default class WorkingSet {
              * Callback queue to be flushed on next update
              * @type Array<Function>
              */
-            onNextChangeCallbacks: []
+            onNextChangeCallbacks: [],
+            /**
+             * Journal steps that can be undone
+             * @type Array<Object>
+             */
+            undoStack: observable.array([], { deep: false }),
+            /**
+             * Journal steps that can be redone
+             * @type Array<Object>
+             */
+            redoStack: observable.array([], { deep: false }),
+            /**
+             * Currently open transaction step or null
+             */
+            transaction: null,
+            /**
+             * Nesting depth of the current transaction
+             */
+            transactionDepth: 0,
+            /**
+             * True while journal steps are replayed
+             */
+            replaying: false
         }
 
         // Store query and openDialog internally for easy hijacking in test
@@ -1088,7 +1626,8 @@ export default class WorkingSet {
 
         const currentProcess = getCurrentProcess();
 
-        const workingSetName = "WorkingSet #" + (counter++) + " (" + currentProcess.name + ")";
+        this.id = counter++;
+        const workingSetName = "WorkingSet #" + this.id + " (" + currentProcess.name + ")";
 
         currentProcess.addProcessEffect(() => {
 
@@ -1122,6 +1661,13 @@ export default class WorkingSet {
 
         }, null)
 
+        if (this.mergeConfig.persistAs)
+        {
+            this[secret].processName = currentProcess.name;
+            currentProcess.addProcessEffect(
+                () => registerDraftPersistence(this, currentProcess.name)
+            )
+        }
 
         //console.log("MERGE-PLAN:", this[secret].mergePlan)
     }
@@ -1135,8 +1681,6 @@ export default class WorkingSet {
     {
         const { registrations, mergeConfig } = data;
 
-        const wireFormat = getWireFormat();
-
         const ws = new WorkingSet(mergeConfig);
         const internal = ws[secret];
         
@@ -1144,38 +1688,11 @@ export default class WorkingSet {
         {
             if (registrations.hasOwnProperty(key))
             {
-                const { status, domainObject: raw, base, typeName } = registrations[key];
-
-                let domainObject = null;
-                let convertedBase = null;
-                if (raw)
-                {
-                    const typeDef = config.inputSchema.getType(typeName);
-                    if (!typeDef)
-                    {
-                        throw new Error("Could not find type '" + typeName + "'")
-                    }
-
-                    domainObject = wireFormat.convert(
-                        typeDef,
-                        raw,
-                        true
-                    );
-
-                    if (base)
-                    {
-                        convertedBase = wireFormat.convert(
-                            typeDef,
-                            base,
-                            BASE_FROM_JS_OPTS
-                        );
-                    }
-                }
-
+                const { status, domainObject, base } = convertRegistrationFromJS(key, registrations[key]);
 
                 internal.registrations.set(
                     key,
-                    new EntityRegistration(ws, domainObject, convertedBase, status)
+                    new EntityRegistration(ws, domainObject, base, status)
                 );
             }
         }
@@ -1236,7 +1753,9 @@ export default class WorkingSet {
 
             convertedRegistrations[key] = {
                 status,
-                domainObject: converted
+                typeName,
+                domainObject: converted,
+                base: convertedBase
             }
 
         }
@@ -1252,6 +1771,63 @@ export default class WorkingSet {
     }
 
 
+    /**
+     * Restores the registrations contained in the given working set data (as produced by `toJS()`) into this working
+     * set. Domain objects already registered with this working set are updated in-place, all other registrations are
+     * added.
+     *
+     * @param {object} data     working set data
+     */
+    @action
+    restore(data)
+    {
+        const { registrations } = this[secret];
+        const { registrations: rawRegistrations } = data;
+
+        for (let key in rawRegistrations)
+        {
+            if (rawRegistrations.hasOwnProperty(key))
+            {
+                const { status, domainObject, base } = convertRegistrationFromJS(key, rawRegistrations[key]);
+
+                let registration = registrations.get(key);
+                if (registration && registration.domainObject && domainObject && status !== WorkingSetStatus.DELETED)
+                {
+                    Object.assign(registration.domainObject, toJS(domainObject));
+                    registration.status = status;
+                    if (base)
+                    {
+                        registration.base = base;
+                    }
+                }
+                else
+                {
+                    if (registration && registration.registered)
+                    {
+                        registration.unregisterReaction();
+                    }
+
+                    registration = new EntityRegistration(this, domainObject, base, status);
+                    registrations.set(
+                        key,
+                        registration
+                    );
+
+                    if (status !== WorkingSetStatus.DELETED)
+                    {
+                        registration.registerReaction();
+                    }
+                }
+
+                // recalculate changes immediately to be safe for nested actions
+                registration._updateChanges(this, registration.recalculateChanges())
+            }
+        }
+
+        resetJournal(this);
+    }
+
+
     /**
      * Registers the base version of an object before changing it within the working set.
      * If an object with the same type and the same id is already registered, this method does
@@ -1398,11 +1974,24 @@ export default class WorkingSet {
             )
         }
 
+        flushChanges(this);
+
+        const registration = new EntityRegistration(this, domainObject, null, WorkingSetStatus.NEW);
         registrations.set(
             key,
-            new EntityRegistration(this, domainObject, null, WorkingSetStatus.NEW)
+            registration
         );
 
+        // the initial field values are part of the registration operation
+        updateChangesUnjournaled(this, registration);
+
+        recordOperation(this, {
+            kind: REGISTRATION_OPERATION,
+            key,
+            before: null,
+            after: registration
+        });
+
         //this.addRelationChanges(domainObject);
     }
 
@@ -1594,12 +2183,22 @@ export default class WorkingSet {
         }
         else
         {
+            flushChanges(this);
+
             // otherwise we mark it as deleted
+            const registration = new EntityRegistration(this, domainObject, null, WorkingSetStatus.DELETED);
             registrations.set(
                 key,
-                new EntityRegistration(this, domainObject, null, WorkingSetStatus.DELETED)
+                registration
             );
 
+            recordOperation(this, {
+                kind: REGISTRATION_OPERATION,
+                key,
+                before: existing || null,
+                after: registration
+            });
+
             //XXX: not needed?
             
             // this.registerRelations(domainObject);
@@ -1616,10 +2215,24 @@ export default class WorkingSet {
     revert(domainObject)
     {
         const { _type, id } = domainObject;
+        const { registrations } = this[secret];
 
-        this[secret].registrations.delete(
-            changeKey(_type, id)
-        );
+        const key = changeKey(_type, id);
+
+        const existing = registrations.get(key);
+        if (existing)
+        {
+            flushChanges(this);
+
+            registrations.delete(key);
+
+            recordOperation(this, {
+                kind: REGISTRATION_OPERATION,
+                key,
+                before: existing,
+                after: null
+            });
+        }
     }
 
 
@@ -1630,6 +2243,7 @@ export default class WorkingSet {
     clear()
     {
         this[secret].registrations.clear();
+        resetJournal(this);
     }
 
 
@@ -1680,6 +2294,8 @@ export default class WorkingSet {
                     domainObject[name] = base[name];
                 }
             }
+
+            resetJournal(this);
         };
 
         if (typeof mergePlan.mergeConfig.onDiscard === "function")
@@ -1808,6 +2424,9 @@ export default class WorkingSet {
 
                 //console.log("AFTER APPLY", toJS( { bases, registrations }, RECURSE_EVERYTHING))
             }
+
+            // merge resolutions are not undoable
+            resetJournal(this);
         };
 
         if (typeof mergePlan.mergeConfig.onApply === "function")
@@ -1948,6 +2567,9 @@ export default class WorkingSet {
     /**
      * Merges the current changes contained in the working set using the merge functionality and resets the working set.
      *
+     * If the merge config contains a `conflictStrategy`, merge conflicts are resolved by that strategy instead of the
+     * merge dialog. The promise is rejected with a MergeConflictError if the strategy fails to resolve the conflicts.
+     *
      * @returns {Promise<*>} Promise resolving with the merge-result
      */
     @action
@@ -1996,22 +2618,64 @@ export default class WorkingSet {
                 if (result.done)
                 {
                     this.clear();
+
+                    const { persistAs } = mergePlan.mergeConfig;
+                    if (persistAs)
+                    {
+                        // don't wait for the persistence reaction to catch up
+                        deleteDraft(this[secret].processName, persistAs)
+                            .catch(err => console.error("Error deleting working set draft", err));
+                    }
                     return MergeOperation.STORE;
                 }
                 else
                 {
                     prepareMergeConflicts(mergePlan, result, registrations);
 
-                    if (mergePlan.mergeConfig.logMergeScenarios)
+                    const logScenario = decisions => {
+                        if (mergePlan.mergeConfig.logMergeScenarios)
+                        {
+                            console.info("STARTING MERGE: scenario = ", toJSEveryThing(
+                                {
+                                    conflicts: convertConflicts(result.conflicts, false),
+                                    workingSet: this.toJS(),
+                                    ... (decisions ? { decisions } : {})
+                                }
+                            ));
+                        }
+                    };
+
+                    const { conflictStrategy, lastWriterField, maxMergeAttempts } = mergePlan.mergeConfig;
+                    if (conflictStrategy)
                     {
-                        console.info("STARTING MERGE: scenario = ", toJSEveryThing(
+                        if (attempt >= maxMergeAttempts)
+                        {
+                            return Promise.reject(
+                                new MergeConflictError(
+                                    "Merge conflicts still unresolved after " + attempt + " attempts",
+                                    result.conflicts
+                                )
+                            );
+                        }
+
+                        return resolveConflicts(
+                            conflictStrategy,
+                            result.conflicts,
                             {
-                                conflicts: convertConflicts(result.conflicts, false),
-                                workingSet: this.toJS()
+                                workingSet: this,
+                                timestampField: lastWriterField
                             }
-                        ));
+                        ).then(({ resolutions, decisions }) => {
+
+                            logScenario(decisions);
+
+                            this.apply(resolutions, result.conflicts)
+                            return this.merge(attempt + 1)
+                        });
                     }
 
+                    logScenario();
+
                     return this._openDialog(
                         dialog => {
                             return (
@@ -2182,6 +2846,163 @@ export default class WorkingSet {
                 }
             }
         }
+
+        resetJournal(this)
+    }
+
+
+    /**
+     * Undoes the last step recorded in the operation journal of the working set. A step is either a single field edit,
+     * an addNew(), markDeleted() or revert() operation or all operations of a transaction.
+     *
+     * @return {boolean} true if a step was undone
+     */
+    @action
+    undoStep()
+    {
+        const internal = this[secret];
+
+        if (internal.transaction)
+        {
+            throw new Error("Cannot undo within a working set transaction")
+        }
+
+        // make sure pending field edits are recorded as their own step
+        flushChanges(this)
+
+        const step = internal.undoStack.pop()
+        if (!step)
+        {
+            return false
+        }
+
+        replayStep(this, step, true)
+        internal.redoStack.push(step)
+        return true
+    }
+
+
+    /**
+     * Redoes the last step undone with undoStep().
+     *
+     * @return {boolean} true if a step was redone
+     */
+    @action
+    redoStep()
+    {
+        const internal = this[secret];
+
+        if (internal.transaction)
+        {
+            throw new Error("Cannot redo within a working set transaction")
+        }
+
+        // new field edits invalidate the redo stack
+        flushChanges(this)
+
+        const step = internal.redoStack.pop()
+        if (!step)
+        {
+            return false
+        }
+
+        replayStep(this, step, false)
+        internal.undoStack.push(step)
+        return true
+    }
+
+
+    /**
+     * True if there are journal steps to undo
+     *
+     * @return {boolean}
+     */
+    @computed
+    get canUndo()
+    {
+        return this[secret].undoStack.length > 0
+    }
+
+
+    /**
+     * True if there are journal steps to redo
+     *
+     * @return {boolean}
+     */
+    @computed
+    get canRedo()
+    {
+        return this[secret].redoStack.length > 0
+    }
+
+
+    /**
+     * Opens a transaction in the operation journal. All operations until the matching endTransaction() are recorded
+     * as one undo step. Transactions can be nested, only the outermost transaction produces a step.
+     */
+    @action
+    beginTransaction()
+    {
+        const internal = this[secret];
+
+        if (internal.transactionDepth++ === 0)
+        {
+            // pending edits belong to the step before the transaction
+            flushChanges(this)
+            internal.transaction = {
+                ops: []
+            }
+        }
+    }
+
+
+    /**
+     * Closes the transaction opened with beginTransaction().
+     */
+    @action
+    endTransaction()
+    {
+        const internal = this[secret];
+
+        if (internal.transactionDepth === 0)
+        {
+            throw new Error("No open working set transaction")
+        }
+
+        if (--internal.transactionDepth === 0)
+        {
+            // collect the field edits of the transaction before closing it
+            flushChanges(this)
+
+            const step = internal.transaction
+            internal.transaction = null
+
+            if (step.ops.length)
+            {
+                internal.undoStack.push(step)
+            }
+        }
+    }
+
+
+    /**
+     * Executes the given function within a journal transaction so that all its operations can be undone in one step.
+     *
+     * @param {Function} fn     function to execute
+     *
+     * @return {*} result of the function
+     */
+    transaction(fn)
+    {
+        this.beginTransaction()
+        try
+        {
+            return fn()
+        }
+        finally
+        {
+            this.endTransaction()
+        }
     }
 
 
@@ -69,6 +69,86 @@ export const DEFAULT_OPTS = {
         bodyClass: ""
     },
 
+    /**
+     * Transport executing GraphQL requests ( request => Promise<{data, errors}> ). Default is null which uses the HTTP
+     * transport posting to the /graphql endpoint of the server.
+     */
+    graphqlTransport: null,
+
+    /**
+     * Config for the client-side GraphQL result cache
+     */
+    graphqlCache: {
+        /**
+         * If true, query results are cached and mutations invalidate the cached entities. Default is false.
+         *
+         * The cache stores the results in wire format, normalized by `_type` and `id`. Cached results are converted and
+         * post-processed ( see registerGraphQLPostProcessor ) again for every request, so that every caller receives
+         * its own observables.
+         */
+        enabled: false,
+
+        /**
+         * Cache policy for queries that don't define one ( see CachePolicy )
+         */
+        defaultPolicy: "cache-first",
+
+        /**
+         * Maximum number of cached query results. The least recently used results are dropped first.
+         */
+        maxEntries: 200
+    },
+
+    /**
+     * Config for attachment uploads (see uploadAttachment())
+     */
+    attachmentUpload: {
+        /**
+         * Size of the chunks files are uploaded in, in bytes.
+         */
+        chunkSize: 1024 * 1024,
+
+        /**
+         * Maximum number of consecutive retries after network errors. Each retry resumes the upload at the offset the
+         * server reports as received.
+         */
+        maxRetries: 5,
+
+        /**
+         * Delay in milliseconds before the first retry. The delay doubles with every further consecutive retry.
+         */
+        retryDelay: 1000
+    },
+
+    /**
+     * Config for the websocket Hub
+     */
+    hub: {
+        /**
+         * Reconnection policy. The delay before each reconnection attempt grows exponentially from `initialDelay` by
+         * `factor` up to `maxDelay` milliseconds and is randomly reduced by up to `jitter` (0 to 1) of its value.
+         */
+        reconnect: {
+            initialDelay: 500,
+            maxDelay: 30000,
+            factor: 2,
+            jitter: 0.5
+        },
+
+        /**
+         * Maximum number of messages kept while the websocket is disconnected. If the queue is full, the oldest
+         * messages are dropped.
+         */
+        maxQueueSize: 500,
+
+        /**
+         * Called when the server no longer knows our connection id, e.g. after a server restart.
+         */
+        onSessionLost: () => alert(
+            i18n("Server Restarted. Please Reload")
+        )
+    },
+
     /**
      * Optional information about alternate styles provided by
      * de.quinscape.automaton.runtime.provider.AlternateStyleProvider if present
@@ -83,8 +163,28 @@ export const DEFAULT_OPTS = {
 
     userInfo: null,
 
-    timestampFormat: "d.M.yyyy H:mm:ss.SSS",
-    dateFormat: "d.M.yyyy",
+    /**
+     * Null handling when evaluating filter conditions in memory ( see NullMode ). Set to "sql" to make in-memory filtering
+     * match the three-valued logic of the server.
+     */
+    filterNullMode: "javascript",
+
+    /**
+     * Luxon format for "Timestamp" values. Default is null which uses the format of the current locale profile
+     * ( see getLocaleProfile() )
+     */
+    timestampFormat: null,
+    /**
+     * Luxon format for "Date" values. Default is null which uses the format of the current locale profile
+     * ( see getLocaleProfile() )
+     */
+    dateFormat: null,
+    /**
+     * Application time zone (IANA zone name like "Europe/Berlin") "Timestamp" values are displayed and entered in.
+     * Default is null which uses the time zone of the browser. Users can override it with the `timeZone` of the
+     * locale profile in their user scope ( see getLocaleProfile() )
+     */
+    timeZone: null,
 
     ui: {
         stickyTopPadding: 21,
@@ -1,8 +1,15 @@
 import config from "./config"
-import { observable } from "mobx";
+import { action, observable } from "mobx";
 import { getWireFormat } from "./domain";
 import GraphQLQuery from "./GraphQLQuery";
 import { getGraphQLMethodType } from "./util/type-utils"
+import {
+    CachePolicy,
+    getCacheKey,
+    invalidateForMutation,
+    lookupCachedResult,
+    storeCachedResult
+} from "./graphqlCache"
 
 
 /**
@@ -16,7 +23,15 @@ export function defaultErrorHandler(errors)
 }
 
 
-function convertInput(varTypes, variables)
+/**
+ * Converts the given query variables from Javascript to wire format.
+ *
+ * @param {Object} varTypes     map of variable names to type references
+ * @param {Object} variables    variables
+ *
+ * @return {Object|undefined} converted variables
+ */
+export function convertInput(varTypes, variables)
 {
     if (!variables)
     {
@@ -141,10 +156,16 @@ function postProcess(result, processors, queryDecl, params)
  *
  * You can pass in a param `autoConvert: false` to disable that behavior.
  *
+ * If the GraphQL cache is enabled ( config.graphqlCache.enabled ), query results are cached according to the cache policy
+ * and successful mutations invalidate the cached results containing the affected entities. The cache stores the results
+ * in wire format, so every request receives its own converted and post-processed result it can change freely.
+ *
  * @param {Object} params                   Parameters
  * @param {String} params.query             query string
  * @param {Object} params.variables         query variables
  * @param {Object} params.autoConvert       if false, don't convert input and result ( default is true)
+ * @param {String} params.cachePolicy       cache policy for this request ( see CachePolicy ). Default is the cache policy
+ *                                          of the GraphQLQuery or the configured default policy.
  *
  * @returns {Promise<*,*>} Promise resolving to query data
  */
@@ -152,8 +173,6 @@ export default function graphql(params) {
 
     //console.log("QUERY: ", params);
 
-    const {csrfToken, contextPath} = config;
-
     let queryDecl;
     if (params.query instanceof GraphQLQuery)
     {
@@ -174,25 +193,200 @@ export default function graphql(params) {
         variables = convertInput(queryDecl.getQueryDefinition().vars, variables);
     }
 
-    return (
-        fetch(
-            window.location.origin + contextPath + "/graphql",
+    const { enabled, defaultPolicy } = config.graphqlCache;
+    if (!enabled || !autoConvert)
+    {
+        return fetchGraphQL(params, queryDecl, autoConvert, variables);
+    }
+
+    const queryDef = queryDecl.getQueryDefinition();
+    if (queryDef.operation === "mutation")
+    {
+        return fetchGraphQL(params, queryDecl, autoConvert, variables)
+            .then(
+                result => {
+                    invalidateForMutation(queryDef, params.variables, result);
+                    return result;
+                }
+            );
+    }
+
+    const cachePolicy = params.cachePolicy || queryDecl.cachePolicy || defaultPolicy;
+    const cacheKey = getCacheKey(queryDecl.query, variables);
+
+    if (cachePolicy !== CachePolicy.NETWORK_ONLY)
+    {
+        const cached = lookupCachedResult(cacheKey);
+        if (cached)
+        {
+            const resultPromise = convertGraphQLResult(cached, queryDecl, params);
+            if (cachePolicy === CachePolicy.CACHE_AND_NETWORK)
             {
-                method: "POST",
-                credentials: "same-origin",
-                headers: {
-                    "Content-Type": "application/json",
-
-                    // spring security enforces every POST request to carry a csrf token as either parameter or header
-                    [csrfToken.header]: csrfToken.value
-                },
-                body: JSON.stringify({
-                    query: queryDecl.query,
-                    variables
-                })
+                Promise.all([
+                    resultPromise,
+                    fetchData(params, queryDecl, variables)
+                        .then(
+                            data => {
+                                storeCachedResult(cacheKey, data);
+                                return convertGraphQLResult(data, queryDecl, params);
+                            }
+                        )
+                ])
+                .then(([result, fresh]) => updateResult(result, fresh))
+                .catch(err => console.error("Error refreshing cached GraphQL result", err));
+            }
+            return resultPromise;
+        }
+    }
+
+    return fetchData(params, queryDecl, variables)
+        .then(
+            data => {
+                storeCachedResult(cacheKey, data);
+                return convertGraphQLResult(data, queryDecl, params);
+            }
+        );
+}
+
+
+/**
+ * Replaces the top-level fields of the given observable result with the fields of the fresh result.
+ */
+const updateResult = action("Update GraphQL result", (result, fresh) => {
+    for (let name in fresh)
+    {
+        if (fresh.hasOwnProperty(name))
+        {
+            result[name] = fresh[name];
+        }
+    }
+});
+
+
+const middlewares = [];
+
+
+/**
+ * Registers a GraphQL middleware. Middlewares wrap the execution of every GraphQL request by the transport, the first
+ * registered middleware being the outermost.
+ *
+ * A middleware is a function receiving the request and a `next` function that passes the (possibly modified) request on
+ * to the next middleware or the transport. It returns a promise resolving to the raw GraphQL response
+ * ( `{ data, errors }` ), usually the one returned by `next`.
+ *
+ * The request object contains
+ *
+ *  - query: the GraphQLQuery
+ *  - variables: the variables in wire format
+ *  - headers: HTTP headers to send
+ *  - params: the parameters given to graphql()
+ *
+ * @param {Function} fn     middleware ( (request, next) => Promise<{data, errors}> )
+ *
+ * @return {function(): void} unregister function
+ */
+export function registerGraphQLMiddleware(fn)
+{
+    middlewares.push(fn);
+
+    return () => {
+        const idx = middlewares.indexOf(fn);
+        if (idx >= 0)
+        {
+            middlewares.splice(idx, 1);
+        }
+    };
+}
+
+
+/**
+ * Default GraphQL transport that POSTs the request to the GraphQL endpoint of the server. Rejects with an error that has
+ * a `status` property if the server responds with an HTTP error status and no GraphQL response.
+ *
+ * @param {Object} request      GraphQL request ( see registerGraphQLMiddleware )
+ *
+ * @return {Promise<{data, errors}>} resolves to the raw GraphQL response
+ */
+export function httpTransport(request)
+{
+    const { contextPath } = config;
+
+    return fetch(
+        window.location.origin + contextPath + "/graphql",
+        {
+            method: "POST",
+            credentials: "same-origin",
+            headers: {
+                "Content-Type": "application/json",
+                ... request.headers
+            },
+            body: JSON.stringify({
+                query: request.query.query,
+                variables: request.variables
+            })
+        }
+    )
+    .then(
+        response => response.json().then(
+            json => json,
+            err => {
+                if (response.ok)
+                {
+                    return Promise.reject(err);
+                }
+
+                const error = new Error("GraphQL request failed: HTTP " + response.status);
+                error.status = response.status;
+                return Promise.reject(error);
             }
         )
-        .then(response => response.json())
+    );
+}
+
+
+/**
+ * Executes the given request with the configured transport wrapped in the registered middlewares.
+ *
+ * @param {Object} request      GraphQL request
+ *
+ * @return {Promise<{data, errors}>} resolves to the raw GraphQL response
+ */
+function executeRequest(request)
+{
+    let next = config.graphqlTransport || httpTransport;
+
+    for (let i = middlewares.length - 1; i >= 0; i--)
+    {
+        const middleware = middlewares[i];
+        const inner = next;
+        next = req => Promise.resolve(middleware(req, inner));
+    }
+
+    return next(request);
+}
+
+
+/**
+ * Sends the given GraphQL request to the server.
+ *
+ * @param {Object} params               graphql() parameters
+ * @param {GraphQLQuery} queryDecl      query
+ * @param {Object} variables            variables in wire format
+ *
+ * @return {Promise<Object>} Promise resolving to the response data in wire format
+ */
+function fetchData(params, queryDecl, variables)
+{
+    const { csrfToken } = config;
+
+    return (
+        executeRequest({
+            query: queryDecl,
+            variables,
+            // spring security enforces every POST request to carry a csrf token as either parameter or header
+            headers: csrfToken ? { [csrfToken.header]: csrfToken.value } : {},
+            params
+        })
         .then(
             ({data, errors}) => {
                 if (errors)
@@ -206,44 +400,79 @@ export default function graphql(params) {
 
                 // console.log("GQL response", { ... data });
 
-                const processors = [];
+                return data;
+            }
+        )
+    );
+}
+
 
-                if (autoConvert)
-                {
-                    const { methodCalls, aliases } = queryDecl.getQueryDefinition();
-                    //console.log("methodCalls", methodCalls, "aliases", aliases)
-                    for (let i = 0; i < methodCalls.length; i++)
-                    {
-                        const name = methodCalls[i];
-
-                        const methodName = aliases ? aliases[name] || name : name;
-
-                        const typeRef = getGraphQLMethodType(methodName);
-
-                        //console.log("AUTO-CONVERT", methodName, "type = ", typeRef);
-                        data[name] = getWireFormat().convert(
-                            typeRef,
-                            data[name],
-                            true,
-                            aliases,
-                            methodName
-                        );
-
-                        const array = postProcessedTypes.get(typeRef.name);
-                        if (array)
-                        {
-                            processors.push({
-                                methodName: name,
-                                array
-                            });
-                        }
-                    }
-                }
+/**
+ * Sends the given GraphQL request to the server and converts and post-processes the result.
+ *
+ * @param {Object} params               graphql() parameters
+ * @param {GraphQLQuery} queryDecl      query
+ * @param {boolean} autoConvert         true if the result is converted from wire format
+ * @param {Object} variables            variables in wire format
+ *
+ * @return {Promise<*>} Promise resolving to query data
+ */
+function fetchGraphQL(params, queryDecl, autoConvert, variables)
+{
+    return fetchData(params, queryDecl, variables)
+        .then(
+            data => convertGraphQLResult(data, queryDecl, params, autoConvert)
+        );
+}
+
+
+/**
+ * Converts the given GraphQL response data from wire format and applies the registered post processors.
+ *
+ * @param {Object} data                 response data
+ * @param {GraphQLQuery} queryDecl      query
+ * @param {Object} params               graphql() parameters
+ * @param {boolean} [autoConvert]       if false, only wrap the data as observable ( default is true)
+ *
+ * @return {Promise<*>} Promise resolving to the converted, observable result
+ */
+export function convertGraphQLResult(data, queryDecl, params, autoConvert = true)
+{
+    const processors = [];
+
+    if (autoConvert)
+    {
+        const { methodCalls, aliases } = queryDecl.getQueryDefinition();
+        //console.log("methodCalls", methodCalls, "aliases", aliases)
+        for (let i = 0; i < methodCalls.length; i++)
+        {
+            const name = methodCalls[i];
+
+            const methodName = aliases ? aliases[name] || name : name;
+
+            const typeRef = getGraphQLMethodType(methodName);
 
-                const result = observable(data);
+            //console.log("AUTO-CONVERT", methodName, "type = ", typeRef);
+            data[name] = getWireFormat().convert(
+                typeRef,
+                data[name],
+                true,
+                aliases,
+                methodName
+            );
 
-                return postProcess(result, processors, queryDecl, params);
+            const array = postProcessedTypes.get(typeRef.name);
+            if (array)
+            {
+                processors.push({
+                    methodName: name,
+                    array
+                });
             }
-        )
-    );
+        }
+    }
+
+    const result = observable(data);
+
+    return postProcess(result, processors, queryDecl, params);
 }
@@ -0,0 +1,470 @@
+import { isObservableObject } from "mobx"
+import config from "./config"
+
+
+/**
+ * Cache policies for GraphQL queries
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const CachePolicy = {
+    /**
+     * Resolve with the cached result if there is one, otherwise query the server.
+     * @member {string}
+     */
+    CACHE_FIRST: "cache-first",
+    /**
+     * Always query the server. The result is still stored in the cache.
+     * @member {string}
+     */
+    NETWORK_ONLY: "network-only",
+    /**
+     * Resolve with the cached result if there is one and query the server anyway. The new result from the server is
+     * stored in the cache and its fields replace the top-level fields of the observable result the request resolved
+     * with.
+     * @member {string}
+     */
+    CACHE_AND_NETWORK: "cache-and-network"
+};
+
+Object.freeze(CachePolicy);
+
+
+/** Cached query results: cache key -> { data, entities: Set<String> } with normalized wire format data */
+const queries = new Map();
+
+/** Normalization index: entity key -> Set of cache keys of the results containing that entity */
+const entities = new Map();
+
+/** Normalized entities in wire format: entity key -> scalar fields */
+const records = new Map();
+
+/** Cache invalidators registered per mutation method name */
+const invalidators = new Map();
+
+
+/**
+ * Returns the cache key for the entity with the given type and id.
+ *
+ * @param {String} type     domain type
+ * @param {*} id            id value
+ *
+ * @return {string} entity key
+ */
+export function entityKey(type, id)
+{
+    return type + ":" + id;
+}
+
+
+/**
+ * Returns the cache key for a query document and its variables in wire format.
+ *
+ * @param {String} query        query document
+ * @param {Object} variables    variables in wire format
+ *
+ * @return {string} cache key
+ */
+export function getCacheKey(query, variables)
+{
+    return query + "\n" + JSON.stringify(variables || null);
+}
+
+
+function isEntityContainer(value)
+{
+    if (Array.isArray(value))
+    {
+        return true;
+    }
+    if (!value || typeof value !== "object")
+    {
+        return false;
+    }
+
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null || isObservableObject(value) || typeof value._type === "string";
+}
+
+
+/**
+ * Collects the keys of all entities (objects with `_type` and `id`) contained in the given value.
+ *
+ * @param {*} value             converted value
+ * @param {Set<String>} keys    set to add the keys to
+ * @param {Set<Object>} seen    visited objects
+ *
+ * @return {Set<String>} entity keys
+ */
+function collectEntities(value, keys = new Set(), seen = new Set())
+{
+    if (!isEntityContainer(value) || seen.has(value))
+    {
+        return keys;
+    }
+    seen.add(value);
+
+    if (Array.isArray(value))
+    {
+        for (let i = 0; i < value.length; i++)
+        {
+            collectEntities(value[i], keys, seen);
+        }
+        return keys;
+    }
+
+    const { _type, id } = value;
+    if (typeof _type === "string" && id !== undefined && id !== null)
+    {
+        keys.add(entityKey(_type, id));
+    }
+
+    for (let name in value)
+    {
+        if (name !== "_type")
+        {
+            collectEntities(value[name], keys, seen);
+        }
+    }
+    return keys;
+}
+
+
+/**
+ * Reference to a normalized entity within the selection tree of a cached result.
+ */
+class EntityRef
+{
+    /**
+     * @param {String} key              entity key
+     * @param {Array<String>} names     names of the fields selected for the entity
+     * @param {Object} children         normalized values of the selected fields containing objects
+     */
+    constructor(key, names, children)
+    {
+        this.key = key;
+        this.names = names;
+        this.children = children;
+    }
+}
+
+
+/**
+ * Returns true if the given wire format value contains no objects.
+ */
+function isScalarValue(value)
+{
+    if (Array.isArray(value))
+    {
+        return value.every(isScalarValue);
+    }
+    return !value || typeof value !== "object";
+}
+
+
+/**
+ * Normalizes the given wire format data by moving the scalar fields of all entities (objects with `_type` and `id`)
+ * into the shared record map. The scalar fields of entities contained in several results are merged. The fields
+ * containing objects stay in the selection tree of the result, so every result keeps its own selection.
+ *
+ * @param {*} value             wire format data
+ * @param {Set<String>} keys    set to add the entity keys to
+ *
+ * @return {*} normalized selection tree
+ */
+function normalize(value, keys)
+{
+    if (Array.isArray(value))
+    {
+        return value.map(elem => normalize(elem, keys));
+    }
+    if (!value || typeof value !== "object")
+    {
+        return value;
+    }
+
+    const { _type, id } = value;
+    if (typeof _type !== "string" || id === undefined || id === null)
+    {
+        const fields = {};
+        for (let name in value)
+        {
+            if (value.hasOwnProperty(name))
+            {
+                fields[name] = normalize(value[name], keys);
+            }
+        }
+        return fields;
+    }
+
+    const key = entityKey(_type, id);
+    keys.add(key);
+
+    const scalars = {};
+    const children = {};
+    for (let name in value)
+    {
+        if (value.hasOwnProperty(name))
+        {
+            const fieldValue = value[name];
+            if (isScalarValue(fieldValue))
+            {
+                scalars[name] = fieldValue;
+            }
+            else
+            {
+                children[name] = normalize(fieldValue, keys);
+            }
+        }
+    }
+    records.set(key, { ... records.get(key), ... scalars });
+
+    return new EntityRef(key, Object.keys(value), children);
+}
+
+
+/**
+ * Creates a new copy of the given normalized selection tree with the current fields of the contained entities.
+ *
+ * @param {*} value     normalized selection tree
+ *
+ * @return {*} wire format data
+ */
+function denormalize(value)
+{
+    if (Array.isArray(value))
+    {
+        return value.map(denormalize);
+    }
+    if (!value || typeof value !== "object")
+    {
+        return value;
+    }
+
+    const copy = {};
+    if (value instanceof EntityRef)
+    {
+        const { key, names, children } = value;
+        const record = records.get(key);
+        for (let i = 0; i < names.length; i++)
+        {
+            const name = names[i];
+            copy[name] = denormalize(children.hasOwnProperty(name) ? children[name] : record[name]);
+        }
+    }
+    else
+    {
+        for (let name in value)
+        {
+            if (value.hasOwnProperty(name))
+            {
+                copy[name] = denormalize(value[name]);
+            }
+        }
+    }
+    return copy;
+}
+
+
+function removeEntry(cacheKey)
+{
+    const entry = queries.get(cacheKey);
+    if (!entry)
+    {
+        return;
+    }
+
+    queries.delete(cacheKey);
+
+    for (let key of entry.entities)
+    {
+        const cacheKeys = entities.get(key);
+        if (cacheKeys)
+        {
+            cacheKeys.delete(cacheKey);
+            if (!cacheKeys.size)
+            {
+                entities.delete(key);
+                records.delete(key);
+            }
+        }
+    }
+}
+
+
+/**
+ * Returns a copy of the cached result data for the given cache key. Every call returns a new copy that can be converted
+ * and changed without affecting the cache.
+ *
+ * @param {String} cacheKey     cache key
+ *
+ * @return {Object|undefined} response data in wire format or undefined
+ */
+export function lookupCachedResult(cacheKey)
+{
+    const entry = queries.get(cacheKey);
+    if (!entry)
+    {
+        return undefined;
+    }
+
+    // keep recently used entries at the end of the insertion order
+    queries.delete(cacheKey);
+    queries.set(cacheKey, entry);
+
+    return denormalize(entry.data);
+}
+
+
+/**
+ * Stores the given query result data in wire format in the cache, replacing the cached result for the cache key. The
+ * data is normalized, so the entities it contains also update the other cached results containing them.
+ *
+ * @param {String} cacheKey     cache key
+ * @param {Object} data         response data in wire format
+ */
+export function storeCachedResult(cacheKey, data)
+{
+    removeEntry(cacheKey);
+
+    const keys = new Set();
+    queries.set(cacheKey, { data: normalize(data, keys), entities: keys });
+
+    for (let key of keys)
+    {
+        let cacheKeys = entities.get(key);
+        if (!cacheKeys)
+        {
+            entities.set(key, cacheKeys = new Set());
+        }
+        cacheKeys.add(cacheKey);
+    }
+
+    const { maxEntries } = config.graphqlCache;
+    while (queries.size > maxEntries)
+    {
+        removeEntry(queries.keys().next().value);
+    }
+}
+
+
+/**
+ * Removes all cached results containing the entity with the given type and id.
+ *
+ * @param {String} type     domain type
+ * @param {*} id            id value
+ */
+export function invalidateEntity(type, id)
+{
+    const cacheKeys = entities.get(entityKey(type, id));
+    if (cacheKeys)
+    {
+        for (let cacheKey of [...cacheKeys])
+        {
+            removeEntry(cacheKey);
+        }
+    }
+}
+
+
+/**
+ * Removes all results from the GraphQL cache.
+ */
+export function clearGraphQLCache()
+{
+    queries.clear();
+    entities.clear();
+    records.clear();
+}
+
+
+/**
+ * Registers a function that returns the entities to invalidate after a successful mutation with the given method name.
+ *
+ * The function receives the Javascript variables of the mutation and the converted mutation result and returns an array
+ * of `{ type, id }` objects.
+ *
+ * Entities contained in the variables or the result of a mutation are always invalidated.
+ *
+ * @param {String} methodName   mutation method name
+ * @param {Function} fn         invalidator ( (variables, result) => Array<{type, id}> )
+ */
+export function registerCacheInvalidator(methodName, fn)
+{
+    const array = invalidators.get(methodName);
+    if (!array)
+    {
+        invalidators.set(methodName, [ fn ]);
+    }
+    else
+    {
+        array.push(fn);
+    }
+}
+
+
+/**
+ * Invalidates the entities affected by a successful mutation.
+ *
+ * @param {QueryDefinition} queryDef    definition of the mutation
+ * @param {Object} variables            Javascript variables of the mutation
+ * @param {Object} result               converted mutation result
+ */
+export function invalidateForMutation(queryDef, variables, result)
+{
+    if (!queries.size)
+    {
+        return;
+    }
+
+    const keys = collectEntities(result, collectEntities(variables));
+
+    const { methodCalls, aliases } = queryDef;
+    for (let i = 0; i < methodCalls.length; i++)
+    {
+        const name = methodCalls[i];
+        const methodName = aliases ? aliases[name] || name : name;
+
+        const array = invalidators.get(methodName);
+        if (array)
+        {
+            for (let j = 0; j < array.length; j++)
+            {
+                const affected = array[j](variables || {}, result[name]) || [];
+                affected.forEach( ({type, id}) => keys.add(entityKey(type, id)));
+            }
+        }
+    }
+
+    for (let key of keys)
+    {
+        const cacheKeys = entities.get(key);
+        if (cacheKeys)
+        {
+            for (let cacheKey of [...cacheKeys])
+            {
+                removeEntry(cacheKey);
+            }
+        }
+    }
+}
+
+
+function unwrapId(id)
+{
+    return id && typeof id === "object" ? id.value : id;
+}
+
+
+registerCacheInvalidator(
+    "deleteDomainObject",
+    ({ type, id }) => [ { type, id: unwrapId(id) } ]
+);
+
+registerCacheInvalidator(
+    "mergeWorkingSet",
+    ({ changes, deletions }) => [ ... changes || [], ... deletions || [] ].map(
+        ({ type, id }) => ({ type, id: unwrapId(id) })
+    )
+);
@@ -1,5 +1,6 @@
 import { registerI18n } from "domainql-form";
 import config from "./config";
+import formatMessage, { isMessageFormat } from "./util/messageFormat";
 
 function format(tag, args)
 {
@@ -9,6 +10,42 @@ function format(tag, args)
 }
 
 
+/**
+ * Malformed messages already reported
+ */
+const reported = new Set();
+
+
+/**
+ * Formats the given message as ICU MessageFormat message if it uses the syntax and with the simple positional format
+ * otherwise. Malformed messages fall back to the simple format and are reported once in development mode.
+ */
+function formatTranslation(message, args)
+{
+    if (isMessageFormat(message))
+    {
+        try
+        {
+            return formatMessage(message, args);
+        }
+        catch (e)
+        {
+            if (e.name !== "MessageFormatError")
+            {
+                throw e;
+            }
+
+            if (__DEV && !reported.has(message))
+            {
+                reported.add(message);
+                console.error("Malformed translation message: " + e.message);
+            }
+        }
+    }
+    return format(message, args);
+}
+
+
 function wrap(s)
 {
     if (config.markUntranslated)
@@ -19,12 +56,16 @@ function wrap(s)
 }
 
 /**
- * Returns a translation of the given translation key with additional optional arguments
+ * Returns a translation of the given translation key with additional optional arguments.
+ *
+ * Translations can use ICU MessageFormat syntax with plural, selectordinal and select arguments as well as number,
+ * date and time arguments formatted for `config.locale`. Named arguments are looked up in the first argument
+ * ( `i18n("Rows", { count: 3 })` ).
  *
  * @category declarative
  *
  * @param {string} key translation tag/key
- * @param {...string} args optional translation parameters
+ * @param {...*} args optional translation parameters
  * @returns {string}
  */
 export default function i18n(key, ...args) {
@@ -37,19 +78,20 @@ export default function i18n(key, ...args) {
 
     if (result !== undefined)
     {
-        return format(result, args);
+        return formatTranslation(result, args);
     }
 
-    const colonPos = key.lastIndexOf(":");
+    // ICU arguments might contain colons themselves ( "{0, time, HH:mm}" )
+    const colonPos = isMessageFormat(key) ? key.lastIndexOf(":", key.indexOf("{")) : key.lastIndexOf(":");
     if (colonPos >= 0)
     {
         key = key.substr(colonPos + 1);
         return i18n(key, ... args);
     }
 
-    if (args.length > 0)
+    if (args.length > 0 || isMessageFormat(key))
     {
-        return wrap(format(key, args))
+        return wrap(formatTranslation(key, args))
     }
     return wrap(key);
 };
@@ -4,8 +4,15 @@ import injection from "./injection";
 import i18n from "./i18n";
 import uri from "./uri";
 import config from "./config";
-import { Process, getCurrentProcess, confirmDestructiveTransition } from "./process/Process"
+import getLocaleProfile, { deriveLocaleProfile } from "./localeProfile";
+import { getDecimalFormat } from "./registerBigDecimalConverter";
+import { getTimeZone, toTimeZone } from "./registerDateTimeConverters";
+import { Process, getCurrentProcess, confirmDestructiveTransition, confirmDestructiveTransitionAsync } from "./process/Process"
+import TransitionDeniedError from "./process/TransitionDeniedError"
+import { TransitionDenial } from "./process/transitionAccess"
+import { processGraphToDOT, processGraphToMermaid } from "./process/processGraph"
 import runProcess, { runProcessURI } from "./process/runProcess";
+import createProcessTestHarness from "./process/createProcessTestHarness";
 
 import I18nTranslation from "./ui/I18nTranslation";
 import DataGrid from "./ui/datagrid/DataGrid"
@@ -14,13 +21,15 @@ import Link from "./ui/Link"
 import CalendarField from "./ui/CalendarField"
 import DateRangeField from "./ui/form/date/DateRangeField";
 import ScrollTracker from "./ui/ScrollTracker"
-import graphql from "./graphql"
+import graphql, { httpTransport } from "./graphql"
 import GraphQLQuery from "./GraphQLQuery"
+import { CachePolicy, clearGraphQLCache, invalidateEntity } from "./graphqlCache"
 import { storeDomainObject, deleteDomainObject, storeDomainObjects, generateDomainObjectId, updateAssociations } from "./standard-queries"
 
 import { backToParent } from "./process/back-functions"
 import { getGenericType, getWireFormat } from "./domain"
 import InteractiveQuery, { getFirstValue } from "./model/InteractiveQuery"
+import compileQueryConfiguration, { executeQueryConfiguration } from "./model/compileQueryConfiguration"
 import OfflineQuery from "./model/OfflineQuery";
 import createDomainObject from "./createDomainObject"
 import LogoutForm from "./ui/LogoutForm"
@@ -30,13 +39,14 @@ import Pagination from "./ui/Pagination"
 import StyleSwitcher from "./ui/StyleSwitcher"
 import query from "./query";
 import pickSchemaTypes from "./util/pickSchemaTypes";
-import Hub from "./message/Hub";
+import Hub, { ConnectionState } from "./message/Hub";
 import AssociationSelector from "./ui/AssociationSelector";
 import WorkingSet, { WorkingSetStatus } from "./WorkingSet";
 import Tree from "./ui/tree/Tree";
 import compareConditions from "./util/compareConditions";
 import updateComponentCondition from "./util/updateComponentCondition";
 import subscribeToTopic from "./message/subscribeToTopic";
+import graphqlSubscribe from "./message/graphqlSubscribe";
 import publish from "./message/publish";
 import useDomainMonitor from "./message/monitor/useDomainMonitor";
 import useEntity from "./message/monitor/useEntity";
@@ -51,7 +61,7 @@ import deleteAttachment from "./deleteAttachment";
 import FieldMetaButton from "./ui/FieldMetaButton";
 import DecimalField from "./ui/DecimalField";
 import URLField from "./ui/URLField";
-import filterTransformer, { FieldResolver } from "./util/filterTransformer";
+import filterTransformer, { FieldResolver, NullMode } from "./util/filterTransformer";
 import StickyNav from "./ui/sticky/StickyNav";
 import CollapsibleSidebar from "./ui/CollapsibleSidebar";
 import ShortcutSidebar from "./ui/shortcut/ShortcutSidebar";
@@ -61,14 +71,21 @@ import  { createMockedQuery, createFilteredMockQuery} from "./util/createMockedQ
 import DropdownMenu from "./ui/DropdownMenu"
 
 import Attachments from "./Attachments"
+import AttachmentPreview from "./ui/AttachmentPreview"
+import validateAttachmentFiles from "./util/validateAttachmentFiles"
+import UploadProgress, { UploadState } from "./UploadProgress"
 
 import FilterDSL from "./FilterDSL"
 
 import printSchema from "./util/printSchema"
 import InteractiveQueryDefinition from "./model/InteractiveQueryDefinition"
 import { evaluateMemoryQuery } from "./util/evaluateMemoryQuery";
+import evaluateGroups, { AggregateFunction, evaluateAggregates, getGroupKey } from "./util/evaluateGroups";
 import { MergeOperation } from "./merge/MergeOperation";
+import { ConflictStrategy } from "./merge/conflictStrategy";
+import MergeConflictError from "./merge/MergeConflictError";
 import { openDialog } from "./util/openDialog";
+import ConfirmationDialog, { openConfirmationDialog } from "./ui/ConfirmationDialog";
 import ViewState from "./process/ViewState";
 
 import promiseUI, {configurePromiseUI} from "./util/promiseUI"
@@ -77,6 +94,11 @@ import { promiseThrobber } from "./ui/throbber/Throbber";
 import ConditionEditor from "./ui/condition/ConditionEditor"
 import {unwrapNonNull} from "./util/type-utils";
 import decompileFilter from "./util/decompileFilter"
+import parseFilter, { validateFilter } from "./util/parseFilter"
+import printFilter from "./util/printFilter"
+import FilterSyntaxError from "./util/FilterSyntaxError"
+import MessageFormatError from "./util/MessageFormatError"
+import formatMessage from "./util/messageFormat"
 
 import { registerCustomFilter } from "./util/filter/CustomFilter"
 import { registerCustomFilterRenderer } from "./util/filter/CustomFilterRenderer"
@@ -93,10 +115,16 @@ import ColumnSelect from "./ui/queryeditor/ColumnSelect";
 import { createTreeRepresentationForInputSchema } from "./util/inputSchemaUtilities"
 
 import IconCell from "./ui/datagrid/iconcolumn/IconCell"
+import WorkingSetUndoToolbar from "./ui/datagrid/WorkingSetUndoToolbar"
 
 // noinspection JSUnusedGlobalSymbols
 export {
     config,
+    getLocaleProfile,
+    deriveLocaleProfile,
+    getDecimalFormat,
+    getTimeZone,
+    toTimeZone,
     startup,
     shutdown,
     injection,
@@ -104,6 +132,7 @@ export {
     i18n,
     uri,
     graphql,
+    httpTransport,
 
     runProcess,
     runProcessURI,
@@ -119,6 +148,9 @@ export {
     ScrollTracker,
 
     GraphQLQuery,
+    CachePolicy,
+    clearGraphQLCache,
+    invalidateEntity,
 
     reinitializeLocalScope,
     reinitializeSessionScope,
@@ -135,6 +167,8 @@ export {
 
     getGenericType,
     InteractiveQuery,
+    compileQueryConfiguration,
+    executeQueryConfiguration,
     OfflineQuery,
     getFirstValue,
 
@@ -149,6 +183,7 @@ export {
     pickSchemaTypes,
     getWireFormat,
     Hub,
+    ConnectionState,
     AssociationSelector,
     WorkingSet,
     WorkingSetStatus,
@@ -157,6 +192,7 @@ export {
     compareConditions,
     publish,
     subscribeToTopic,
+    graphqlSubscribe,
     updateComponentCondition,
 
     useDomainMonitor,
@@ -167,16 +203,24 @@ export {
     equalsScalar,
 
     openDialog,
+    openConfirmationDialog,
+    ConfirmationDialog,
 
     renderEntity,
     MergeOperation,
+    ConflictStrategy,
+    MergeConflictError,
 
     AttachmentField,
     AttachmentLink,
+    AttachmentPreview,
+    validateAttachmentFiles,
     uploadAttachment,
     deleteAttachment,
 
     Attachments,
+    UploadProgress,
+    UploadState,
 
     FieldMetaButton,
 
@@ -195,10 +239,15 @@ export {
 
     filterTransformer,
     FieldResolver,
+    NullMode,
 
     createMockedQuery,
     createFilteredMockQuery,
     evaluateMemoryQuery,
+    evaluateGroups,
+    evaluateAggregates,
+    getGroupKey,
+    AggregateFunction,
     StartupRegistry,
     ViewState,
     DropdownMenu,
@@ -209,8 +258,20 @@ export {
 
     ConditionEditor,
     confirmDestructiveTransition,
+    confirmDestructiveTransitionAsync,
+    TransitionDeniedError,
+    TransitionDenial,
+    processGraphToDOT,
+    processGraphToMermaid,
+    createProcessTestHarness,
     unwrapNonNull,
     decompileFilter,
+    parseFilter,
+    validateFilter,
+    printFilter,
+    FilterSyntaxError,
+    MessageFormatError,
+    formatMessage,
 
     registerCustomFilter,
     registerCustomFilterRenderer,
@@ -226,6 +287,7 @@ export {
 
     createTreeRepresentationForInputSchema,
 
-    IconCell
+    IconCell,
+    WorkingSetUndoToolbar
 }
 
@@ -0,0 +1,195 @@
+import config from "./config";
+
+
+/**
+ * Formats used if neither `config.locale` nor overrides are set
+ */
+const LEGACY_PROFILE = {
+    locale: null,
+    dateFormat: "d.M.yyyy",
+    timeFormat: "H:mm:ss.SSS",
+    timestampFormat: "d.M.yyyy H:mm:ss.SSS",
+    decimalSeparator: null,
+    groupSeparator: null
+};
+
+/**
+ * Sample date with single digit day, month and hour to detect zero-padding
+ */
+const SAMPLE_DATE = new Date(2021, 2, 4, 9, 5, 7);
+
+const DATE_TOKENS = {
+    "day": { "numeric": "d", "2-digit": "dd" },
+    "month": { "numeric": "M", "2-digit": "MM" },
+    "year": { "numeric": "yyyy", "2-digit": "yy" }
+};
+
+const derivedProfiles = new Map();
+
+
+/**
+ * Locale specific parsing and formatting settings.
+ *
+ * @typedef LocaleProfile
+ * @type {object}
+ * @property {String} locale                BCP 47 locale tag or `null`
+ * @property {String} dateFormat            Luxon format for "Date" values
+ * @property {String} timeFormat            Luxon format for times
+ * @property {String} timestampFormat       Luxon format for "Timestamp" values
+ * @property {String} decimalSeparator      decimal separator for "BigDecimal" values or `null` for the BigNumber default
+ * @property {String} groupSeparator        group separator for "BigDecimal" values or `null` for the BigNumber default
+ * @property {String} timeZone              IANA time zone for "Timestamp" values or `null` for the browser time zone
+ */
+
+
+/**
+ * Returns the Luxon format token for the given date/time part or `null` for literals.
+ */
+function getToken(part, hourCycle)
+{
+    const { type, value } = part;
+    const padded = value.length === 2 && value[0] === "0";
+    switch (type)
+    {
+        case "day":
+        case "month":
+            return padded ? DATE_TOKENS[type]["2-digit"] : DATE_TOKENS[type]["numeric"];
+        case "year":
+            return value.length === 2 ? DATE_TOKENS.year["2-digit"] : DATE_TOKENS.year["numeric"];
+        case "hour":
+        {
+            const token = hourCycle === "h11" || hourCycle === "h12" ? "h" : "H";
+            return padded ? token + token : token;
+        }
+        case "minute":
+            return "mm";
+        case "second":
+            return "ss";
+        case "fractionalSecond":
+            return "SSS";
+        case "dayPeriod":
+            return "a";
+        default:
+            return null;
+    }
+}
+
+
+/**
+ * Converts the parts of a formatted Intl.DateTimeFormat sample into a Luxon format string.
+ */
+function toLuxonFormat(dateTimeFormat)
+{
+    const { hourCycle } = dateTimeFormat.resolvedOptions();
+
+    return dateTimeFormat.formatToParts(SAMPLE_DATE).map(
+        part => {
+            const token = getToken(part, hourCycle);
+            if (token)
+            {
+                return token;
+            }
+            // newer ICU versions use U+202F and other special spaces Luxon does not accept when parsing user input
+            const literal = part.value.replace(/\s/g, " ");
+            // quote letters in literals
+            return /[a-z]/i.test(literal) ? "'" + literal.replace(/'/g, "''") + "'" : literal;
+        }
+    ).join("");
+}
+
+
+/**
+ * Derives the date, time and decimal formats for the given locale with the Intl API.
+ *
+ * @category config
+ *
+ * @param {String} locale       locale (e.g. "de-DE" or "en_US")
+ *
+ * @return {LocaleProfile} locale profile
+ */
+export function deriveLocaleProfile(locale)
+{
+    let profile = derivedProfiles.get(locale);
+    if (!profile)
+    {
+        const tag = locale.replace(/_/g, "-");
+
+        const dateFormat = toLuxonFormat(
+            new Intl.DateTimeFormat(tag, { year: "numeric", month: "numeric", day: "numeric" })
+        );
+        const timeFormat = toLuxonFormat(
+            new Intl.DateTimeFormat(tag, { hour: "numeric", minute: "2-digit", second: "2-digit" })
+        );
+        // timestamps keep their milliseconds like the legacy format
+        const timestampTimeFormat = toLuxonFormat(
+            new Intl.DateTimeFormat(tag, { hour: "numeric", minute: "2-digit", second: "2-digit", fractionalSecondDigits: 3 })
+        );
+
+        const numberParts = new Intl.NumberFormat(tag).formatToParts(1234567.5);
+        const findPart = type => {
+            const part = numberParts.find(part => part.type === type);
+            return part ? part.value : "";
+        };
+
+        profile = Object.freeze({
+            locale: tag,
+            dateFormat,
+            timeFormat,
+            timestampFormat: dateFormat + " " + timestampTimeFormat,
+            decimalSeparator: findPart("decimal"),
+            groupSeparator: findPart("group")
+        });
+        derivedProfiles.set(locale, profile);
+    }
+    return profile;
+}
+
+
+/**
+ * Returns the current locale profile.
+ *
+ * The profile is derived from `config.locale`. The `dateFormat` and `timestampFormat` config options override the
+ * derived formats if set, the time zone is `config.timeZone`. Per-user overrides are read from the `localeProfile` object of the user scope, which can
+ * also change the `locale` the profile is derived from.
+ *
+ * Without any locale, the profile contains the legacy "d.M.yyyy" formats and no decimal separators so that the global
+ * `BigNumber.config().FORMAT` applies.
+ *
+ * @category config
+ *
+ * @return {LocaleProfile} locale profile
+ */
+export default function getLocaleProfile()
+{
+    const { userScope, dateFormat, timestampFormat, timeZone } = config;
+    const overrides = userScope && userScope.localeProfile;
+
+    const locale = overrides && overrides.locale || config.locale;
+
+    const profile = {
+        ... (locale ? deriveLocaleProfile(locale) : LEGACY_PROFILE),
+        timeZone: timeZone || null
+    };
+
+    if (dateFormat)
+    {
+        profile.dateFormat = dateFormat;
+    }
+    if (timestampFormat)
+    {
+        profile.timestampFormat = timestampFormat;
+    }
+
+    if (overrides)
+    {
+        for (let name in overrides)
+        {
+            if (overrides.hasOwnProperty(name) && overrides[name] != null && name !== "locale")
+            {
+                profile[name] = overrides[name];
+            }
+        }
+    }
+
+    return profile;
+}
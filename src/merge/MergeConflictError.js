@@ -0,0 +1,18 @@
+/**
+ * Error thrown when merge conflicts cannot be resolved without user interaction.
+ */
+export default class MergeConflictError extends Error {
+
+    /**
+     * Merge conflicts that could not be resolved
+     * @type {Array<Object>}
+     */
+    conflicts;
+
+    constructor(message, conflicts)
+    {
+        super(message);
+        this.name = "MergeConflictError";
+        this.conflicts = conflicts;
+    }
+}
@@ -0,0 +1,239 @@
+import { DateTime } from "luxon";
+import { toJS } from "mobx";
+import { FieldStatus, FieldType, finalizeResolutions, MergeDialogState } from "../ui/ChangeConflictDialog";
+import { findNamed } from "../util/type-utils";
+import MergeConflictError from "./MergeConflictError";
+
+
+/**
+ * Built-in strategies to resolve merge conflicts without opening the merge dialog
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const ConflictStrategy = {
+    /**
+     * Use our value for all conflicting fields
+     * @member {string}
+     */
+    OURS: "ours",
+    /**
+     * Use their value for all conflicting fields
+     * @member {string}
+     */
+    THEIRS: "theirs",
+    /**
+     * Decide every conflicting field by comparing the time of our last edit of the field with their last modification
+     * timestamp.
+     * @member {string}
+     */
+    LAST_WRITER_WINS: "last-writer-wins",
+    /**
+     * Reject the merge with a MergeConflictError
+     * @member {string}
+     */
+    FAIL: "fail"
+};
+
+Object.freeze(ConflictStrategy);
+
+/**
+ * Strategy name used in the decision log for fields already decided by the server
+ */
+const SERVER_DECISION = "server";
+
+/**
+ * Strategy name used in the decision log for custom resolver functions
+ */
+const CUSTOM_DECISION = "custom";
+
+
+function toMillis(value)
+{
+    if (DateTime.isDateTime(value))
+    {
+        return value.toMillis();
+    }
+    return new Date(value).getTime();
+}
+
+
+function lastWriterWins(conflict, field, opts)
+{
+    const { workingSet, timestampField } = opts;
+
+    const timestamp = findNamed(conflict.fields, timestampField);
+    const theirTime = timestamp && timestamp.theirs && timestamp.theirs.value;
+
+    const registration = workingSet.lookup(conflict.type, conflict.id.value);
+    const ourTime = registration && registration.editTimes.get(field.name);
+
+    // without timing information, we are the last writer because we are writing right now
+    if (!theirTime || ourTime === undefined)
+    {
+        return FieldStatus.OURS;
+    }
+    return ourTime >= toMillis(theirTime) ? FieldStatus.OURS : FieldStatus.THEIRS;
+}
+
+
+const builtInStrategies = {
+    [ConflictStrategy.OURS]: () => FieldStatus.OURS,
+    [ConflictStrategy.THEIRS]: () => FieldStatus.THEIRS,
+    [ConflictStrategy.LAST_WRITER_WINS]: lastWriterWins
+};
+
+
+/**
+ * Creates the decisions for the undecided fields of the given conflicts with a field-level decider function.
+ *
+ * @param {Array<Object>} conflicts     merge conflicts
+ * @param {Function} decider            decider function ( (conflict, field, opts) => FieldStatus )
+ * @param {Object} opts                 options
+ *
+ * @return {Array<Object>} decisions
+ */
+function decideFields(conflicts, decider, opts)
+{
+    return conflicts.map(
+        conflict => {
+            const decisions = {};
+
+            const { fields } = conflict;
+            for (let i = 0; i < fields.length; i++)
+            {
+                const field = fields[i];
+                if (field.status === FieldStatus.UNDECIDED)
+                {
+                    decisions[field.name] = decider(conflict, field, opts);
+                }
+            }
+            return decisions;
+        }
+    );
+}
+
+
+/**
+ * Resolves merge conflicts without user interaction.
+ *
+ * The strategy is either one of the built-in strategies or a custom resolver function that receives the merge
+ * conflicts ( in the format produced by `convertConflicts()`) and the working set. The resolver returns ( or resolves
+ * to ) an array with one decision map per conflict. The decision map maps field names to either `FieldStatus.OURS`,
+ * `FieldStatus.THEIRS` or an object `{ value }` with a new value for the field. If the resolver returns a falsy value
+ * or leaves a conflicting field undecided, the merge is rejected with a MergeConflictError.
+ *
+ * @param {String|Function} strategy        conflict strategy or custom resolver function
+ * @param {Array<Object>} conflicts         merge conflicts
+ * @param {Object} opts                     options
+ * @param {WorkingSet} opts.workingSet      working set being merged
+ * @param {String} opts.timestampField      name of the modification timestamp field used for "last-writer-wins"
+ *
+ * @return {Promise<{resolutions: Array<Object>, decisions: Array<Object>}>} resolves to the merge resolutions to apply
+ *          and a log of the decision made for every field ( `{ type, id, field, status, strategy}` )
+ */
+export function resolveConflicts(strategy, conflicts, opts)
+{
+    if (strategy === ConflictStrategy.FAIL)
+    {
+        return Promise.reject(
+            new MergeConflictError("Merge failed with " + conflicts.length + " conflicts", conflicts)
+        );
+    }
+
+    let strategyName, decisionsPromise;
+    if (typeof strategy === "function")
+    {
+        strategyName = CUSTOM_DECISION;
+        decisionsPromise = Promise.resolve(
+            strategy(conflicts, opts.workingSet)
+        );
+    }
+    else
+    {
+        const decider = builtInStrategies[strategy];
+        if (!decider)
+        {
+            return Promise.reject(
+                new Error("Invalid conflict strategy: " + strategy)
+            );
+        }
+
+        strategyName = strategy;
+        decisionsPromise = Promise.resolve(
+            decideFields(conflicts, decider, opts)
+        );
+    }
+
+    return decisionsPromise.then(
+        decisions => {
+
+            if (!decisions)
+            {
+                return Promise.reject(
+                    new MergeConflictError("Conflict resolver rejected merge", conflicts)
+                );
+            }
+
+            const resolutions = toJS(new MergeDialogState(conflicts).resolutions);
+            const log = [];
+
+            for (let i = 0; i < resolutions.length; i++)
+            {
+                const { type, id, fields } = resolutions[i];
+                const conflictFields = conflicts[i].fields;
+                const decisionsForConflict = decisions[i];
+
+                for (let j = 0; j < fields.length; j++)
+                {
+                    const field = fields[j];
+                    const { name, fieldType } = field;
+
+                    if (fieldType === FieldType.IGNORE || fieldType === FieldType.FK_KEY)
+                    {
+                        continue;
+                    }
+
+                    if (field.status !== FieldStatus.UNDECIDED)
+                    {
+                        log.push({ type, id: id.value, field: name, status: field.status, strategy: SERVER_DECISION });
+                        continue;
+                    }
+
+                    const conflictField = findNamed(conflictFields, name);
+                    const decision = decisionsForConflict && decisionsForConflict[name];
+
+                    if (decision === FieldStatus.OURS)
+                    {
+                        field.value.value = conflictField.ours.value;
+                    }
+                    else if (decision === FieldStatus.THEIRS)
+                    {
+                        field.value.value = conflictField.theirs.value;
+                    }
+                    else if (decision && typeof decision === "object")
+                    {
+                        field.value.value = decision.value;
+                    }
+                    else
+                    {
+                        return Promise.reject(
+                            new MergeConflictError(
+                                "Conflict strategy '" + strategyName + "' left field '" + type + "." + name + "' undecided",
+                                conflicts
+                            )
+                        );
+                    }
+
+                    field.status = typeof decision === "object" ? FieldStatus.VALUE : decision;
+                    log.push({ type, id: id.value, field: name, status: field.status, strategy: strategyName });
+                }
+            }
+
+            return {
+                resolutions: finalizeResolutions(resolutions),
+                decisions: log
+            };
+        }
+    );
+}
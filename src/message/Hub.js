@@ -1,4 +1,4 @@
-import i18n from "../i18n"
+import { action, observable } from "mobx"
 import config from "../config"
 
 
@@ -8,12 +8,157 @@ let connectionId = null;
 
 let messageCount = 0;
 
-let notifiedAboutSessionLoss = false;
+/** Number of failed connection attempts since the last successful connection */
+let reconnectAttempts = 0;
+
+let reconnectTimer = null;
+
+/** Messages sent while the websocket was not open ( `{ messageId, json }` ) */
+let messageQueue = [];
+
+/** Handlers called whenever the websocket connection is (re-)established */
+const connectHandlers = [];
 
 const REQUEST_TIMEOUT = 30000;
 const NOT_REGISTERED = 4100;
 
 
+/**
+ * Connection states of the Hub
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const ConnectionState = {
+    /**
+     * Establishing the websocket connection, either initially or after a disconnect.
+     * @member {string}
+     */
+    CONNECTING: "connecting",
+    /**
+     * Websocket connection is open
+     * @member {string}
+     */
+    OPEN: "open",
+    /**
+     * Websocket connection is closed, a reconnection attempt is pending.
+     * @member {string}
+     */
+    CLOSED: "closed",
+    /**
+     * The server no longer knows our connection id. No further reconnection attempts are made.
+     * @member {string}
+     */
+    SESSION_LOST: "session-lost"
+};
+
+Object.freeze(ConnectionState);
+
+const connectionState = observable.box(ConnectionState.CLOSED);
+
+const setConnectionState = action(
+    "Hub.setConnectionState",
+    state => connectionState.set(state)
+);
+
+
+/**
+ * Returns the delay in milliseconds before the next reconnection attempt.
+ *
+ * @param {Number} attempt      number of failed attempts so far
+ *
+ * @return {number} delay in milliseconds
+ */
+function getReconnectDelay(attempt)
+{
+    const { initialDelay, maxDelay, factor, jitter } = config.hub.reconnect;
+
+    const delay = Math.min(maxDelay, initialDelay * Math.pow(factor, attempt));
+    return Math.round(delay * (1 - jitter * Math.random()));
+}
+
+
+/**
+ * Rejects the pending requests with the given error.
+ *
+ * @param {Error} err                   error
+ * @param {Boolean} includeQueued       if true, also reject the requests still waiting in the message queue
+ */
+function rejectPendingRequests(err, includeQueued)
+{
+    const queued = new Set(messageQueue.map(entry => String(entry.messageId)));
+
+    for (let key in promises)
+    {
+        if (promises.hasOwnProperty(key) && (includeQueued || !queued.has(key)))
+        {
+            const [ , reject, timerId ] = promises[key];
+            window.clearTimeout(timerId);
+            delete promises[key];
+            reject(err);
+        }
+    }
+}
+
+
+function flushQueue()
+{
+    const queue = messageQueue;
+    messageQueue = [];
+
+    for (let i = 0; i < queue.length; i++)
+    {
+        ws.send(queue[i].json);
+    }
+}
+
+
+function enqueue(messageId, json)
+{
+    messageQueue.push({ messageId, json });
+
+    const { maxQueueSize } = config.hub;
+    if (messageQueue.length > maxQueueSize)
+    {
+        console.warn("Hub message queue full, dropping oldest message");
+        messageQueue.shift();
+    }
+}
+
+
+function scheduleReconnect(cid, resolve, reject)
+{
+    const delay = getReconnectDelay(reconnectAttempts++);
+
+    //console.log(`Reconnecting ${cid} in ${delay}ms`);
+
+    reconnectTimer = setTimeout(
+        () => {
+            reconnectTimer = null;
+            ws = createWebSocket(cid, resolve, reject);
+        },
+        delay
+    );
+}
+
+
+function handleSessionLoss()
+{
+    setConnectionState(ConnectionState.SESSION_LOST);
+    rejectPendingRequests(new Error("Session lost"), true);
+    messageQueue = [];
+
+    try
+    {
+        config.hub.onSessionLost();
+    }
+    catch (ex)
+    {
+        console.error("Error in session loss handler", ex);
+    }
+}
+
+
 function createWebSocket(cid, resolve, reject)
 {
     const origin = location.origin.replace(/^http/, "ws");
@@ -21,36 +166,57 @@ function createWebSocket(cid, resolve, reject)
     const search = `?cid=${cid}`;
 
     const url = `${origin}${pathname}${search}`;
+
+    setConnectionState(ConnectionState.CONNECTING);
     const webSocket = new WebSocket(url);
 
+    let closed = false;
+
     webSocket.onopen = function () {
         //console.log("ws.onopen");
 
         //start = new Date().getTime();
         console.log(`Connection ${cid} ready`);
 
+        reconnectAttempts = 0;
+        setConnectionState(ConnectionState.OPEN);
+
+        for (let i = 0; i < connectHandlers.length; i++)
+        {
+            try
+            {
+                connectHandlers[i]();
+            }
+            catch (ex)
+            {
+                console.error("Error in Hub connect handler", ex);
+            }
+        }
+        flushQueue();
+
         resolve(cid);
     };
     webSocket.onclose = function (ev) {
 
+        // onerror and onclose may both be called for the same socket
+        if (closed)
+        {
+            return;
+        }
+        closed = true;
+
         if (ev && ev.code === NOT_REGISTERED)
         {
-            if (!notifiedAboutSessionLoss)
-            {
-                notifiedAboutSessionLoss = true;
-                alert(
-                    i18n("Server Restarted. Please Reload")
-                );
-            }
+            handleSessionLoss();
             return;
         }
 
-        setTimeout(
-            () => {
-                ws = createWebSocket(cid, resolve, reject);
-            },
-            2000
-        );
+        setConnectionState(ConnectionState.CLOSED);
+
+        // responses to requests sent over this socket will never arrive
+        rejectPendingRequests(new Error("Connection lost"), false);
+
+        scheduleReconnect(cid, resolve, reject);
     };
     webSocket.onerror = function (err) {
         //console.log("ws.onerror");
@@ -151,7 +317,29 @@ const Hub = {
             }
         },
     /**
-     * Sends a message via websocket.
+     * Registers a handler that is called whenever the websocket connection is established, initially and after every
+     * reconnect. The handlers are called before the messages queued while disconnected are sent.
+     *
+     * @param {function} fn     callback
+     *
+     * @return {function(): void} unregister function
+     */
+    onConnect:
+        function (fn) {
+            connectHandlers.push(fn);
+
+            return () => {
+                const idx = connectHandlers.indexOf(fn);
+                if (idx >= 0)
+                {
+                    connectHandlers.splice(idx, 1);
+                }
+            }
+        },
+
+    /**
+     * Sends a message via websocket. If the websocket is currently not open, the message is queued and sent on
+     * reconnect.
      *
      * @param {String} type         message type
      * @param {object} payload      message payload
@@ -166,7 +354,18 @@ const Hub = {
             //console.debug("send: ", message);
 
             const json = JSON.stringify(message);
-            ws.send(json);
+            if (connectionState.get() === ConnectionState.OPEN)
+            {
+                ws.send(json);
+            }
+            else if (connectionState.get() === ConnectionState.SESSION_LOST)
+            {
+                throw new Error("Cannot send message: Session lost");
+            }
+            else
+            {
+                enqueue(message.messageId, json);
+            }
 
             return message.messageId;
         },
@@ -217,6 +416,7 @@ const Hub = {
     init:
         function (cid) {
             connectionId = cid;
+            reconnectAttempts = 0;
 
             this.promise = new Promise(function (resolve, reject) {
 
@@ -235,6 +435,16 @@ const Hub = {
     getConnectionId: function ()
     {
         return connectionId;
+    },
+
+    /**
+     * Current connection state of the websocket ( see ConnectionState ). Observable.
+     *
+     * @type {String}
+     */
+    get connectionState()
+    {
+        return connectionState.get();
     }
 };
 
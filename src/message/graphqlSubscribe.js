@@ -0,0 +1,131 @@
+import Hub, { ConnectionState } from "./Hub"
+import GraphQLQuery from "../GraphQLQuery"
+import { convertGraphQLResult, convertInput, formatGraphQLError } from "../graphql"
+
+
+/** Active subscriptions: id -> subscription */
+const subscriptions = new Map();
+
+let subscriptionCounter = 0;
+
+/** GraphQL subscription start message type */
+const GRAPHQL_SUBSCRIBE = "GRAPHQL_SUBSCRIBE";
+
+/** GraphQL subscription end message type */
+const GRAPHQL_UNSUBSCRIBE = "GRAPHQL_UNSUBSCRIBE";
+
+/** GraphQL subscription result message type */
+const GRAPHQL_RESULT = "GRAPHQL_RESULT";
+
+
+Hub.register(
+    GRAPHQL_RESULT,
+    ({id, data, errors}) => {
+
+        const subscription = subscriptions.get(id);
+        // we might receive results for a subscription that ended while we were disconnected
+        if (!subscription)
+        {
+            return;
+        }
+
+        const { queryDecl, params, onNext, onError } = subscription;
+
+        if (errors)
+        {
+            onError(new Error(formatGraphQLError(params, errors)));
+            return;
+        }
+
+        // keep results in order even if post processors resolve asynchronously
+        subscription.pending = subscription.pending
+            .then(() => convertGraphQLResult(data, queryDecl, params))
+            .then(
+                result => {
+                    if (subscriptions.has(id))
+                    {
+                        onNext(result);
+                    }
+                }
+            )
+            .catch(onError);
+    }
+);
+
+// (Re-)send all active subscriptions when the connection is established
+Hub.onConnect(
+    () => {
+        for (let subscription of subscriptions.values())
+        {
+            Hub.send(GRAPHQL_SUBSCRIBE, subscription.payload);
+        }
+    }
+);
+
+
+function defaultErrorHandler(err)
+{
+    console.error("GraphQL subscription error", err);
+}
+
+
+/**
+ * Executes a GraphQL subscription over the Hub websocket. The variables are converted to wire format and every result
+ * received is converted to Javascript like the results of `graphql()`. The subscription is automatically renewed when
+ * the Hub reconnects.
+ *
+ * @category websocket
+ *
+ * @param {String|GraphQLQuery} query       GraphQL subscription document or GraphQLQuery
+ * @param {Object} [variables]              subscription variables
+ * @param {Function} onNext                 callback receiving every converted, observable result
+ * @param {Function} [onError]              callback receiving errors. Default logs the errors.
+ *
+ * @return {function(): void} unsubscribe function
+ */
+export default function graphqlSubscribe(query, variables, onNext, onError = defaultErrorHandler)
+{
+    const queryDecl = query instanceof GraphQLQuery ? query : new GraphQLQuery(query);
+
+    const { operation, vars } = queryDecl.getQueryDefinition();
+    if (operation !== "subscription")
+    {
+        throw new Error("Not a GraphQL subscription: " + queryDecl.query);
+    }
+
+    const id = ++subscriptionCounter;
+
+    const payload = {
+        id,
+        query: queryDecl.query,
+        variables: convertInput(vars, variables)
+    };
+
+    subscriptions.set(id, {
+        queryDecl,
+        params: { query: queryDecl, variables },
+        payload,
+        onNext,
+        onError,
+        pending: Promise.resolve()
+    });
+
+    // if we're not connected, the subscription will be sent on connect
+    if (Hub.connectionState === ConnectionState.OPEN)
+    {
+        Hub.send(GRAPHQL_SUBSCRIBE, payload);
+    }
+
+    return () => {
+
+        if (!subscriptions.delete(id))
+        {
+            return;
+        }
+
+        if (Hub.connectionState === ConnectionState.OPEN)
+        {
+            Hub.send(GRAPHQL_UNSUBSCRIBE, { id });
+        }
+    };
+}
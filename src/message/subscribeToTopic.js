@@ -1,9 +1,12 @@
-import Hub from "./Hub"
+import Hub, { ConnectionState } from "./Hub"
 
 
 /** Handler map: handlerKey(topic, id) -> handler function */
 const topicToHandlers = new Map();
 
+/** Active subscriptions: handlerKey(topic, id) -> SUBSCRIBE payload */
+const subscriptions = new Map();
+
 let handlerCounter = 0;
 
 /** pubsub registration message type */
@@ -21,7 +24,21 @@ Hub.register(
         {
             const key = handlerKey(topic, ids[i]);
             const handler = topicToHandlers.get(key);
-            handler(payload);
+            // we might receive updates for a subscription that ended while we were disconnected
+            if (handler)
+            {
+                handler(payload);
+            }
+        }
+    }
+);
+
+// (Re-)send all active subscriptions when the connection is established
+Hub.onConnect(
+    () => {
+        for (let payload of subscriptions.values())
+        {
+            Hub.send(PUBSUB, payload);
         }
     }
 );
@@ -34,7 +51,8 @@ function handlerKey(topic, id)
 
 
 /**
- * Subscribes the given message handler to the given topic. Returns an unsubscribe function.
+ * Subscribes the given message handler to the given topic. Returns an unsubscribe function. The subscription is
+ * automatically renewed when the Hub reconnects.
  *
  * @category websocket
  *
@@ -49,29 +67,39 @@ export default function subscribeToTopic(topic, handler, filter) {
 
     const id = ++handlerCounter;
 
-    Hub.send(
-        PUBSUB,
-        {
-            op: "SUBSCRIBE",
-            topic,
-            filter,
-            id
-        }
-    );
+    const payload = {
+        op: "SUBSCRIBE",
+        topic,
+        filter,
+        id
+    };
 
     const key = handlerKey(topic, id);
 
     topicToHandlers.set(key, handler);
+    subscriptions.set(key, payload);
+
+    // if we're not connected, the subscription will be sent on connect
+    if (Hub.connectionState === ConnectionState.OPEN)
+    {
+        Hub.send(PUBSUB, payload);
+    }
+
     return () => {
-        Hub.send(
-            PUBSUB,
-            {
-                op: "UNSUBSCRIBE",
-                topic,
-                id
-            }
-        );
+
+        if (Hub.connectionState === ConnectionState.OPEN)
+        {
+            Hub.send(
+                PUBSUB,
+                {
+                    op: "UNSUBSCRIBE",
+                    topic,
+                    id
+                }
+            );
+        }
 
         topicToHandlers.delete(key);
+        subscriptions.delete(key);
     }
 }
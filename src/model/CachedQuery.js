@@ -31,6 +31,20 @@ export default class CachedQuery
      */
     @observable rowCount = 0;
 
+    /**
+     * Groups of all result rows if the query config contains `groupBy` field paths (see InteractiveQuery.groups)
+     *
+     * @type {?Array<Object>}
+     */
+    @observable groups = null;
+
+    /**
+     * Values of the aggregates over all result rows (see InteractiveQuery.aggregates)
+     *
+     * @type {?Object}
+     */
+    @observable aggregates = null;
+
 
     /**
      * Creates a new CachedQuery
@@ -1,12 +1,76 @@
-import { action, makeObservable, observable, toJS } from "mobx"
-import { isConditionObject } from "../FilterDSL";
+import { action, computed, makeObservable, observable, toJS } from "mobx"
+import get from "lodash.get"
+import { isConditionObject, Type } from "../FilterDSL";
 import updateComponentCondition from "../util/updateComponentCondition";
-import { getGraphQLMethodType } from "../util/type-utils"
+import { getGraphQLMethodType, lookupType } from "../util/type-utils"
 import GraphQLQuery from "../GraphQLQuery"
 
 
 export const NO_COMPONENT = null;
 
+/**
+ * Keyset cursor pointing to the first page.
+ */
+export const FIRST_PAGE_KEYSET = Object.freeze({ after: null, before: null });
+
+
+/**
+ * Returns true if the given query config uses keyset pagination.
+ *
+ * @category iquery
+ *
+ * @param {Object} queryConfig      query config
+ *
+ * @returns {boolean}
+ */
+export function isKeysetPagination(queryConfig)
+{
+    return !!(queryConfig && queryConfig.keyset);
+}
+
+
+/**
+ * Returns true if the given query config points to the first page of results, for both offset and keyset pagination.
+ *
+ * @category iquery
+ *
+ * @param {Object} queryConfig      query config
+ *
+ * @returns {boolean}
+ */
+export function isFirstPage(queryConfig)
+{
+    if (isKeysetPagination(queryConfig))
+    {
+        const { after, before } = queryConfig.keyset;
+        return !after && !before;
+    }
+    return !queryConfig || !queryConfig.offset;
+}
+
+
+/**
+ * Returns the field name of the given sort field expression.
+ *
+ * @param {String|Object} sortField     sort field string or field / desc(field) expression
+ *
+ * @returns {String} field name
+ */
+function getSortFieldName(sortField)
+{
+    if (typeof sortField === "string")
+    {
+        return sortField[0] === "!" ? sortField.substr(1) : sortField;
+    }
+
+    const node = sortField.type === Type.OPERATION && sortField.name === "desc" ? sortField.operands[0] : sortField;
+    if (node.type !== Type.FIELD)
+    {
+        throw new Error("Keyset pagination only supports sorting by fields: " + JSON.stringify(sortField));
+    }
+    return node.name;
+}
+
 
 /**
  * Returns the first value from an object.
@@ -37,14 +101,17 @@ function resolveBatchExecuteQueryEntry(entry) {
     }
 }
 
-const updateFromResult = action("Update iQuery from Result", (iQuery, result) => {
+const updateFromResult = action("Update iQuery from Result", (iQuery, result, appendRows = false) => {
     const value = getFirstValue(result);
 
     //console.log("updateFromResult: queryConfig =", JSON.stringify(value.queryConfig));
 
-    iQuery.rows = value.rows;
+    iQuery.rows = appendRows && iQuery.rows ? iQuery.rows.concat(value.rows) : value.rows;
     iQuery.columnStates = value.columnStates;
-    iQuery.rowCount = value.rowCount;
+    // rowCount is optional for keyset pagination
+    iQuery.rowCount = value.rowCount !== undefined ? value.rowCount : null;
+    iQuery.groups = value.groups || null;
+    iQuery.aggregates = value.aggregates || null;
 
     return true;
 });
@@ -87,6 +154,33 @@ function renderSelections(buf, sel, level)
 let partialCount = 0;
 
 
+/**
+ * Returns the query config changes to page to the page following the current rows of the given iQuery.
+ *
+ * @param {InteractiveQuery} iQuery     iQuery
+ *
+ * @return {Object} query config changes
+ */
+function nextPageConfig(iQuery)
+{
+    const { queryConfig, rows } = iQuery;
+
+    if (!iQuery.isKeyset)
+    {
+        return {
+            offset: (queryConfig.offset || 0) + queryConfig.pageSize
+        };
+    }
+
+    return {
+        keyset: {
+            after: iQuery.getKeysetValues(rows[rows.length - 1]),
+            before: null
+        }
+    };
+}
+
+
 /**
  * Client-side implementation of the InteractiveQuery mechanism. Meant to be registered for all concrete types created
  * for de.quinscape.automaton.model.data.InteractiveQuery
@@ -114,12 +208,171 @@ export default class InteractiveQuery {
     @observable columnStates;
 
     /**
-     * Total number of rows available for pagination
+     * Total number of rows available for pagination. Might be null for keyset pagination.
      * 
-     * @type {number}
+     * @type {?number}
      */
     @observable rowCount = 0;
 
+    /**
+     * Groups of all result rows if the query config contains `groupBy` field paths, `null` otherwise. Every group has
+     * a `key`, the group field `values`, the row `count` and the `aggregates` of the group. The rows are sorted by group
+     * so that the rows of the current page belong to consecutive groups (see evaluateGroups()).
+     *
+     * @type {?Array<Object>}
+     */
+    @observable groups = null;
+
+    /**
+     * Values of the aggregates over all result rows if the query config contains `aggregates`
+     * ( `{ name, fn, field }` ), `null` otherwise. Maps the aggregate name to its value.
+     *
+     * @type {?Object}
+     */
+    @observable aggregates = null;
+
+    /**
+     * True if the query config of this iQuery uses keyset pagination. In keyset pagination mode, the query config
+     * contains a `keyset` object with the sort key values of the last row of the previous page ( `after` ) or the first
+     * row of the following page ( `before` ) instead of an offset.
+     *
+     * @type {boolean}
+     */
+    @computed
+    get isKeyset()
+    {
+        return isKeysetPagination(this.queryConfig);
+    }
+
+
+    /**
+     * True if there is a previous page of results.
+     *
+     * @type {boolean}
+     */
+    @computed
+    get hasPreviousPage()
+    {
+        const { queryConfig } = this;
+        if (!this.isKeyset)
+        {
+            return !isFirstPage(queryConfig);
+        }
+
+        const { after, before } = queryConfig.keyset;
+        if (after)
+        {
+            return true;
+        }
+        // paging backwards, there are more rows if the page is full
+        return !!before && !!this.rows && this.rows.length >= queryConfig.pageSize;
+    }
+
+
+    /**
+     * True if there is a next page of results. In keyset pagination mode, a full page is assumed to be followed by
+     * another page. Also works for rows appended with `loadMore()`.
+     *
+     * @type {boolean}
+     */
+    @computed
+    get hasNextPage()
+    {
+        const { queryConfig, rows } = this;
+        if (!this.isKeyset)
+        {
+            return (queryConfig.offset || 0) + queryConfig.pageSize < this.rowCount;
+        }
+
+        if (queryConfig.keyset.before)
+        {
+            return true;
+        }
+        return !!rows && rows.length > 0 && rows.length % queryConfig.pageSize === 0;
+    }
+
+
+    /**
+     * Returns the keyset values for the given row, that is the values of all sort fields followed by the id if the id
+     * is not a sort field. The values are wrapped as GenericScalar values.
+     *
+     * @param {Object} row      result row
+     *
+     * @returns {Array<{type: String, value: *}>} keyset values
+     */
+    getKeysetValues(row)
+    {
+        const { sortFields } = this.queryConfig;
+
+        const names = (sortFields || []).map(getSortFieldName);
+        if (names.indexOf("id") < 0)
+        {
+            names.push("id");
+        }
+
+        return names.map(
+            name => ({
+                type: lookupType(this.type, name).name,
+                value: get(row, name)
+            })
+        );
+    }
+
+
+    /**
+     * Pages to the next page. Supports both offset and keyset pagination.
+     *
+     * @return {Promise<* | never>}
+     */
+    nextPage()
+    {
+        return this.update(
+            nextPageConfig(this)
+        );
+    }
+
+
+    /**
+     * Pages to the previous page. Supports both offset and keyset pagination. In keyset pagination mode, the server is
+     * expected to return the rows before the given keyset in the normal sort order.
+     *
+     * @return {Promise<* | never>}
+     */
+    prevPage()
+    {
+        const { queryConfig, rows } = this;
+
+        if (!this.isKeyset)
+        {
+            return this.update({
+                offset: Math.max(0, (queryConfig.offset || 0) - queryConfig.pageSize)
+            });
+        }
+
+        return this.update({
+            keyset: {
+                after: null,
+                before: this.getKeysetValues(rows[0])
+            }
+        });
+    }
+
+
+    /**
+     * Loads the next page of results and appends its rows to the current rows. Supports both offset and keyset
+     * pagination.
+     *
+     * @return {Promise<* | never>}
+     */
+    loadMore()
+    {
+        return this.update(
+            nextPageConfig(this),
+            true
+        );
+    }
+
+
     /**
      * Set the new queryConfig without mobx printing warnings.
      * 
@@ -148,12 +401,16 @@ export default class InteractiveQuery {
      * })
      * ```
      *
+     * In keyset pagination mode, every change without a new `keyset` resets the keyset to the first page.
+     *
      * @param {Object} queryConfig      query config structure (see de.quinscape.automaton.model.data.QueryConfig)
+     * @param {boolean} [appendRows]    if true, append the result rows to the current rows instead of replacing them
      * @return {Promise<* | never>}
      */
     @action
     update(
-        queryConfig
+        queryConfig,
+        appendRows = false
     )
     {
         let vars;
@@ -166,6 +423,12 @@ export default class InteractiveQuery {
                 }
             };
 
+            // sorting or filtering changes invalidate the current keyset
+            if (this.isKeyset && !queryConfig.hasOwnProperty("keyset"))
+            {
+                vars.config.keyset = FIRST_PAGE_KEYSET;
+            }
+
             // safety-check for optional conditions without and() / or() or not()
             // if we receive a condition that is not an object, we substitute null
             if (!isConditionObject(vars.config.condition))
@@ -186,7 +449,7 @@ export default class InteractiveQuery {
 
         return this._query.execute(vars)
             .then(
-                result => updateFromResult(this, result)
+                result => updateFromResult(this, result, appendRows)
             );
     }
 
@@ -4,10 +4,12 @@
 
 
 import {action, makeObservable, observable} from "mobx";
+import get from "lodash.get";
 import updateComponentCondition from "../util/updateComponentCondition";
 import { isConditionObject } from "../FilterDSL";
 import filterTransformer, { FieldResolver } from "../util/filterTransformer";
 import InteractiveQuery from "./InteractiveQuery";
+import evaluateGroups, { evaluateAggregates, getGroupSortFields } from "../util/evaluateGroups";
 
 const fieldResolver = new FieldResolver();
 
@@ -27,9 +29,11 @@ function sortRowsByFields(rows, sortFields) {
         for (const sortField of sortFields) {
             const order = sortField.startsWith("!") ? -1 : 1;
             const fieldName = order === -1 ? sortField.slice(1) : sortField;
-            if (row0[fieldName] < row1[fieldName]) {
+            const value0 = get(row0, fieldName);
+            const value1 = get(row1, fieldName);
+            if (value0 < value1) {
                 return order;
-            } else if (row0[fieldName] > row1[fieldName]) {
+            } else if (value0 > value1) {
                 return -order;
             }
         }
@@ -54,6 +58,18 @@ export default class OfflineQuery
     @observable
     columnStates
 
+    /**
+     * Groups of all result rows if the query config contains `groupBy` field paths (see InteractiveQuery.groups)
+     */
+    @observable
+    groups = null;
+
+    /**
+     * Values of the aggregates over all result rows (see InteractiveQuery.aggregates)
+     */
+    @observable
+    aggregates = null;
+
     /**
      * Creates a new OfflineQuery running either on array data or the result of an executed {@link InteractiveQuery}
      * 
@@ -131,12 +147,16 @@ export default class OfflineQuery
         if (value != null) {
             this.queryConfig = {...this.queryConfig, ...value};
         }
-        const {offset, pageSize, sortFields, condition} = this.queryConfig;
+        const {offset, pageSize, sortFields, condition, groupBy, aggregates} = this.queryConfig;
+        const hasGroups = Array.isArray(groupBy) && groupBy.length > 0;
+        const hasAggregates = Array.isArray(aggregates) && aggregates.length > 0;
 
         const filteredRows = filterBy(this.data, condition);
-        const sortedRows = sortRowsByFields(filteredRows, sortFields);
+        const sortedRows = sortRowsByFields(filteredRows, hasGroups ? getGroupSortFields(groupBy, sortFields) : sortFields);
         this.rowCount = sortedRows.length;
         this.rows = sortedRows.slice(offset, offset + pageSize);
+        this.groups = hasGroups ? evaluateGroups(sortedRows, groupBy, hasAggregates ? aggregates : []) : null;
+        this.aggregates = hasAggregates ? evaluateAggregates(sortedRows, aggregates) : null;
     }
 
 
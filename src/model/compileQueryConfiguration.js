@@ -0,0 +1,214 @@
+import { toJS } from "mobx";
+import config from "../config";
+import GraphQLQuery from "../GraphQLQuery";
+import { getIQueryPayloadType, unwrapAll } from "../util/type-utils";
+import { getFieldDataByPath } from "../util/inputSchemaUtilities";
+
+
+const OBJECT = "OBJECT";
+
+
+/**
+ * Default page size for compiled queries
+ */
+const DEFAULT_PAGE_SIZE = 10;
+
+
+/**
+ * Finds the GraphQL query method returning an InteractiveQuery for the given payload type.
+ *
+ * @param {String} rootType     payload type of the InteractiveQuery (e.g. "Foo")
+ *
+ * @return {String} method name (e.g. "iQueryFoo")
+ */
+function findIQueryMethod(rootType)
+{
+    const queryType = config.inputSchema.getType("QueryType");
+    const fields = queryType && queryType.fields || [];
+
+    for (let i = 0; i < fields.length; i++)
+    {
+        const field = fields[i];
+        const { kind, name } = unwrapAll(field.type);
+
+        if (kind === OBJECT && getIQueryPayloadType(name) === rootType && field.args.some(arg => arg.name === "config"))
+        {
+            return field.name;
+        }
+    }
+
+    throw new Error("Could not find an InteractiveQuery method for type '" + rootType + "'");
+}
+
+
+/**
+ * Adds the given field path to the selection tree. Object levels always select the "id" field if the type has one.
+ *
+ * @param {Map} tree            selection tree ( field name => sub tree or `null` for scalar fields)
+ * @param {String} rootType     root type
+ * @param {String} path         field path, e.g. "owner.login"
+ */
+function addToSelection(tree, rootType, path)
+{
+    const segments = path.split(".");
+
+    let current = tree;
+    for (let i = 0; i < segments.length; i++)
+    {
+        const subPath = segments.slice(0, i + 1).join(".");
+        const fieldData = getFieldDataByPath(rootType, subPath);
+        if (!fieldData)
+        {
+            throw new Error("Invalid column '" + path + "' for type '" + rootType + "'");
+        }
+
+        const { kind, name: typeName } = unwrapAll(fieldData.type);
+        const isLast = i === segments.length - 1;
+        const segment = segments[i];
+
+        if (isLast)
+        {
+            if (kind === OBJECT)
+            {
+                throw new Error("Column '" + path + "' is an object and not a scalar field");
+            }
+            current.set(segment, null);
+        }
+        else
+        {
+            if (kind !== OBJECT)
+            {
+                throw new Error("Column '" + path + "' references fields of the scalar field '" + subPath + "'");
+            }
+
+            let next = current.get(segment);
+            if (!next)
+            {
+                next = new Map();
+                if (config.inputSchema.getType(typeName).fields.some(f => f.name === "id"))
+                {
+                    next.set("id", null);
+                }
+                current.set(segment, next);
+            }
+            current = next;
+        }
+    }
+}
+
+
+function renderSelection(buf, tree, indent)
+{
+    for (let [name, subTree] of tree)
+    {
+        if (subTree)
+        {
+            buf.push(indent, name, "{\n");
+            renderSelection(buf, subTree, indent + "    ");
+            buf.push(indent, "}\n");
+        }
+        else
+        {
+            buf.push(indent, name, "\n");
+        }
+    }
+    return buf;
+}
+
+
+/**
+ * Compiles a query configuration as produced by the <QueryEditor/> into an InteractiveQuery GraphQL query for the given
+ * root type.
+ *
+ * The selection set contains the selected columns against `config.inputSchema`. Nested field paths like "owner.login"
+ * produce nested selections. Every object level also selects its "id" field if present.
+ *
+ * @category iquery
+ *
+ * @param {String} rootType                         payload type of the InteractiveQuery (e.g. "Foo")
+ * @param {Object} queryConfiguration               query configuration
+ * @param {Array<String>} queryConfiguration.select selected field paths
+ * @param {Object} [queryConfiguration.where]       FilterDSL condition
+ * @param {Array<String>} [queryConfiguration.sort] sort fields, descending sort fields are prefixed with "!"
+ * @param {Object} [opts]                           options
+ * @param {String} [opts.methodName]                GraphQL query method to use. Default is the method returning an
+ *                                                  InteractiveQuery for the root type.
+ * @param {number} [opts.pageSize]                  page size (default is 10)
+ *
+ * @return {GraphQLQuery} query with the query config as default variables
+ */
+export default function compileQueryConfiguration(rootType, queryConfiguration, opts = {})
+{
+    const { select = [], where = null, sort = [] } = queryConfiguration;
+    const { methodName = findIQueryMethod(rootType), pageSize = DEFAULT_PAGE_SIZE } = opts;
+
+    if (!select.length)
+    {
+        throw new Error("Query configuration selects no columns");
+    }
+
+    const tree = new Map();
+    if (config.inputSchema.getType(rootType).fields.some(f => f.name === "id"))
+    {
+        tree.set("id", null);
+    }
+    select.forEach(path => addToSelection(tree, rootType, path));
+
+    const rows = renderSelection([], tree, "                        ").join("");
+
+    return new GraphQLQuery(
+        // language=GraphQL
+        `query ${methodName}($config: QueryConfigInput!)
+            {
+                ${methodName}(config: $config)
+                {
+                    type
+                    columnStates{
+                        name
+                        enabled
+                        sortable
+                    }
+                    queryConfig{
+                        id
+                        condition
+                        offset
+                        pageSize
+                        sortFields
+                    }
+                    rows{
+${rows}                    }
+                    rowCount
+                }
+            }`,
+        {
+            config: {
+                condition: where ? toJS(where) : null,
+                offset: 0,
+                pageSize,
+                sortFields: sort.slice()
+            }
+        }
+    );
+}
+
+
+/**
+ * Compiles the given query configuration (see compileQueryConfiguration()) and executes the resulting query.
+ *
+ * @category iquery
+ *
+ * @param {String} rootType                 payload type of the InteractiveQuery (e.g. "Foo")
+ * @param {Object} queryConfiguration       query configuration
+ * @param {Object} [opts]                   options (see compileQueryConfiguration())
+ *
+ * @return {Promise<InteractiveQuery>} resolves to the InteractiveQuery document
+ */
+export function executeQueryConfiguration(rootType, queryConfiguration, opts = {})
+{
+    const { methodName = findIQueryMethod(rootType) } = opts;
+
+    const query = compileQueryConfiguration(rootType, queryConfiguration, { ... opts, methodName });
+
+    return query.execute(query.defaultVars)
+        .then(result => result[methodName]);
+}
@@ -0,0 +1,348 @@
+import path from "path"
+import fs from "fs"
+import recursiveReadDir from "recursive-readdir"
+import matchPath from "../matchPath";
+import {
+    renderImportStatements,
+    renderDomainScript,
+    renderQueryScript,
+    renderUserScopeScript,
+    renderSessionScopeScript,
+    renderProcessExportScript,
+    renderStateScript,
+    renderExtraConstantsScript,
+    modelSchemaValidation,
+    renderCopyRights} from "./handleModelToJs";
+import { createProcessGraphFromModel } from "./processGraphFromModel";
+import { processGraphToDOT, processGraphToMermaid } from "../process/processGraph";
+
+const IGNORED_FILES = ["!*.json", "**/lisa-web/meta"];
+
+
+/**
+ * Replaces the OS specific file separator characters in the given path with
+ * @param p         path with OS-specific separators
+ * @returns {*} path with slashes
+ */
+function handleSlashes(p) {
+    return p.replace(new RegExp("\\" + path.sep, "g"), "/")
+}
+
+
+function readDir(dir, ignored) {
+    return new Promise((resolve, reject) => {
+        if (!fs.existsSync(dir)) {
+            resolve([])
+            return
+        }
+        recursiveReadDir(dir, ignored, (err, fileNames) => err ? reject(err) : resolve(fileNames.sort()))
+    })
+}
+
+
+/**
+ * Returns the output path of the given model.
+ *
+ * @param {Object} jsonData     model
+ * @param {MatchPathResult} info    path info of the model
+ * @param {String} out          output directory
+ *
+ * @returns {String} output path
+ */
+function getOutputPath(jsonData, { processName, shortName, isDomain, isQuery, isState }, out) {
+    if (isDomain) {
+        return path.join(out, "domain", `${shortName}.js`)
+    }
+    if (processName != null) {
+        if (isState) {
+            return path.join(out, "processes", processName, "states", `${shortName}.js`)
+        }
+        if (isQuery) {
+            return path.join(out, "processes", processName, "queries", `${shortName}.js`)
+        }
+        return path.join(out, "processes", processName, `${shortName}.js`)
+    }
+
+    const { query, userScope, sessionScope } = jsonData
+    if (query) {
+        return path.join(out, "queries", `${shortName}.js`)
+    }
+    if (userScope || sessionScope) {
+        return path.join(out, `${shortName}.js`)
+    }
+    throw new Error("queries or user scope are undefined")
+}
+
+function getGraphPath(out, processName, ext) {
+    return path.join(out, "processes", processName, `graph.${ext}`)
+}
+
+/**
+ * Renders the JS source of the given model.
+ *
+ * @param {Object} jsonData     model
+ * @param {MatchPathResult} info    path info of the model
+ *
+ * @returns {String} JS source
+ */
+function renderModel(jsonData, { processName, isDomain, isQuery, isState }) {
+
+    const { copyRights, importDeclarations, domain, state, extraConstants, query, processExports, userScope, sessionScope } = jsonData
+
+    let content = renderCopyRights(copyRights) + renderImportStatements(importDeclarations)
+
+    if (isDomain) {
+        content += renderDomainScript(domain)
+    }
+    else if (processName != null) {
+        if (isState) {
+            if (extraConstants) {
+                content += renderExtraConstantsScript(extraConstants)
+            }
+            content += renderStateScript(state)
+        }
+        else if (isQuery) {
+            content += renderQueryScript(query)
+        }
+        else {
+            content += renderProcessExportScript(processExports)
+        }
+    }
+    else if (query) {
+        content += renderQueryScript(query)
+    }
+    else if (userScope) {
+        content += renderUserScopeScript(userScope)
+    }
+    else {
+        content += renderSessionScopeScript(sessionScope)
+    }
+    return content
+}
+
+function readContent(fileName) {
+    return fs.existsSync(fileName) ? fs.readFileSync(fileName, "utf8") : null
+}
+
+function removeEmptyDirs(dir, root) {
+    while (dir !== root && dir.indexOf(root) === 0 && fs.readdirSync(dir).length === 0) {
+        fs.rmdirSync(dir)
+        dir = path.dirname(dir)
+    }
+}
+
+
+/**
+ * Result of a ModelToJsGenerator update.
+ *
+ * @typedef ModelToJsResult
+ * @type {object}
+ * @property {Array<{path: String, content: String}>} writes    output files to write because they are missing or differ
+ * @property {Array<String>} removals                           stale output files without model
+ * @property {Array<{fileName: String, error: Error}>} errors   model files that failed to validate or render
+ */
+
+/**
+ * Generates the JS sources for the JSON models of an application directory into an output directory. The output
+ * directory is owned by the generator: files without corresponding model are removed.
+ *
+ * The generator remembers the model files it has seen and only renders model files that were changed since the last
+ * update. Output files are only written if their content changes.
+ */
+export default class ModelToJsGenerator {
+
+    /**
+     * @param {String} models   model directory containing the application directories
+     * @param {String} out      output directory
+     */
+    constructor(models, out) {
+        this.models = path.resolve(models)
+        this.out = path.resolve(out)
+
+        /**
+         * model file name -> { mtimeMs, path, processName, state, processExports }
+         */
+        this.entries = new Map()
+    }
+
+    /**
+     * Reads the model directory and renders all new or changed model files. Nothing is written.
+     *
+     * @returns {Promise<ModelToJsResult>} files to write and remove and model errors
+     */
+    update() {
+
+        return readDir(this.models, IGNORED_FILES).then(fileNames => {
+
+            const { entries, out } = this
+
+            const writes = []
+            const errors = []
+
+            // names of processes with changed models
+            const changedProcesses = new Set()
+
+            const seen = new Set(fileNames)
+            for (let fileName of entries.keys()) {
+                if (!seen.has(fileName)) {
+                    const { processName } = entries.get(fileName)
+                    processName && changedProcesses.add(processName)
+                    entries.delete(fileName)
+                }
+            }
+
+            fileNames.forEach(fileName => {
+
+                const { mtimeMs } = fs.statSync(fileName)
+
+                const prev = entries.get(fileName)
+                if (prev && prev.mtimeMs === mtimeMs) {
+                    return
+                }
+
+                prev && prev.processName && changedProcesses.add(prev.processName)
+
+                // path within the application directory
+                const internalPath = handleSlashes(path.relative(this.models, fileName))
+                const pos = internalPath.indexOf("/")
+                if (pos < 0) {
+                    return
+                }
+                const info = matchPath("." + internalPath.substr(pos))
+
+                const entry = {
+                    mtimeMs,
+                    path: prev ? prev.path : null,
+                    processName: info.processName,
+                    state: null,
+                    processExports: null
+                }
+                entries.set(fileName, entry)
+                info.processName && changedProcesses.add(info.processName)
+
+                try {
+                    const jsonData = JSON.parse(fs.readFileSync(fileName, "utf8"))
+
+                    entry.path = getOutputPath(jsonData, info, out)
+
+                    if (!modelSchemaValidation(jsonData)) {
+                        throw new Error("Schema validation failed")
+                    }
+
+                    if (info.isState) {
+                        entry.state = jsonData.state
+                    }
+                    else if (info.processName != null && !info.isQuery) {
+                        entry.processExports = jsonData.processExports || null
+                    }
+
+                    writes.push({
+                        path: entry.path,
+                        content: renderModel(jsonData, info)
+                    })
+                } catch (error) {
+                    errors.push({ fileName, error })
+                }
+            })
+
+            changedProcesses.forEach(processName => {
+                const graph = this.createProcessGraph(processName)
+                if (graph) {
+                    writes.push(
+                        { path: getGraphPath(out, processName, "dot"), content: processGraphToDOT(graph) },
+                        { path: getGraphPath(out, processName, "mmd"), content: processGraphToMermaid(graph) }
+                    )
+                }
+            })
+
+            return readDir(out, []).then(outputFiles => {
+
+                const expected = this.getOutputPaths()
+
+                return {
+                    writes: writes.filter(({ path, content }) => readContent(path) !== content),
+                    removals: outputFiles.filter(fileName => !expected.has(fileName)),
+                    errors
+                }
+            })
+        })
+    }
+
+    /**
+     * Writes and removes the output files of the given update result.
+     *
+     * @param {ModelToJsResult} result  update result
+     */
+    write({ writes, removals }) {
+
+        writes.forEach(({ path: fileName, content }) => {
+            fs.mkdirSync(path.dirname(fileName), { recursive: true })
+            fs.writeFileSync(fileName, content)
+        })
+
+        removals.forEach(fileName => {
+            fs.unlinkSync(fileName)
+            removeEmptyDirs(path.dirname(fileName), this.out)
+        })
+    }
+
+    /**
+     * Returns the graph of the process with the given name or null if there are no models for that process.
+     *
+     * @param {String} processName  process name
+     * @returns {?ProcessGraph} process graph
+     */
+    createProcessGraph(processName) {
+
+        let processExports = null
+        const states = []
+        let found = false
+
+        for (let entry of this.entries.values()) {
+            if (entry.processName === processName) {
+                found = true
+                if (entry.state) {
+                    states.push(entry.state)
+                }
+                else if (entry.processExports) {
+                    processExports = entry.processExports
+                }
+            }
+        }
+
+        return found ? createProcessGraphFromModel(processName, processExports, states) : null
+    }
+
+    /**
+     * Returns the name of the model file the given output file is generated from.
+     *
+     * @param {String} outputPath   output file path
+     * @returns {?String} model file name or null
+     */
+    getModelFileName(outputPath) {
+        for (let [fileName, { path }] of this.entries) {
+            if (path === outputPath) {
+                return fileName
+            }
+        }
+        return null
+    }
+
+    /**
+     * Returns the paths of all output files of the current models.
+     *
+     * @returns {Set<String>} output paths
+     */
+    getOutputPaths() {
+
+        const paths = new Set()
+        for (let { path, processName } of this.entries.values()) {
+            path && paths.add(path)
+            if (processName) {
+                paths.add(getGraphPath(this.out, processName, "dot"))
+                paths.add(getGraphPath(this.out, processName, "mmd"))
+            }
+        }
+        return paths
+    }
+}
@@ -0,0 +1,836 @@
+import { parse } from "@babel/parser"
+import { MODEL_TYPE_TAG } from "./handleModelToJs"
+
+/**
+ * Kinds of JSON models. The values are the keys of the kind specific part within the model.
+ *
+ * @type {Readonly<{DOMAIN: string, STATE: string, QUERY: string, PROCESS_EXPORTS: string, USER_SCOPE: string, SESSION_SCOPE: string}>}
+ */
+export const ModelKind = Object.freeze({
+    /**
+     * Domain type model
+     */
+    DOMAIN: "domain",
+    /**
+     * Process state model
+     */
+    STATE: "state",
+    /**
+     * Query model
+     */
+    QUERY: "query",
+    /**
+     * Process export model with process init and scope
+     */
+    PROCESS_EXPORTS: "processExports",
+    /**
+     * User scope model
+     */
+    USER_SCOPE: "userScope",
+    /**
+     * Session scope model
+     */
+    SESSION_SCOPE: "sessionScope"
+})
+
+const KINDS = Object.values(ModelKind)
+
+/**
+ * Returns the kind of the given JSON model.
+ *
+ * @param {Object} model    JSON model
+ * @returns {?String} model kind ( see ModelKind ) or null
+ */
+export const getModelKind = (model) => {
+    for (let i = 0; i < KINDS.length; i++) {
+        if (model[KINDS[i]]) {
+            return KINDS[i]
+        }
+    }
+    return null
+}
+
+/**
+ * Removes the common indentation of all but the first line of the given source text.
+ */
+const dedent = (text) => {
+    const lines = text.split("\n")
+    const indent = line => line.match(/^\s*/)[0].length
+    const indents = lines.slice(1).filter(line => line.trim()).map(indent)
+    const min = indents.length ? Math.min(... indents) : 0
+
+    return [lines[0], ... lines.slice(1).map(line => line.substr(Math.min(min, indent(line))))].join("\n").trim()
+}
+
+const getSource = (source, node) => dedent(source.slice(node.start, node.end))
+
+/**
+ * Returns the source of the given statement including its leading comments.
+ */
+const getStatementStart = (node) => node.leadingComments && node.leadingComments.length ?
+    Math.min(node.start, node.leadingComments[0].start) :
+    node.start
+
+const getKey = ({ key }) => key.type === "Identifier" ? key.name : key.value
+
+const getInnerSource = (source, block) => dedent(source.slice(block.start + 1, block.end - 1))
+
+const getParamNames = (source, params) => params.map(param => source.slice(param.start, param.end))
+
+/**
+ * Returns the text of the JSDoc comment directly preceding the given node or undefined.
+ */
+const getDocComment = (node) => {
+    const comments = node.leadingComments
+    const comment = comments && comments[comments.length - 1]
+    return comment && comment.type === "CommentBlock" && comment.value[0] === "*" ?
+        comment.value.substr(1).trim().replace(/\*\\\//g, "*/") :
+        undefined
+}
+
+/**
+ * Returns the `{ type }` marker of the model rendered as JSDoc tag before the given node or an empty object.
+ */
+const getModelType = (node) => {
+    const doc = getDocComment(node)
+    return doc && doc.indexOf(MODEL_TYPE_TAG + " ") === 0 ? { type: doc.substr(MODEL_TYPE_TAG.length + 1).trim() } : {}
+}
+
+const hasDecorator = (node, name) => !!node.decorators && node.decorators.some(
+    ({ expression }) => expression.type === "Identifier" && expression.name === name
+)
+
+/**
+ * Returns the literal value of null, boolean and number literals and the source text of all other expressions.
+ */
+const getValueOrCode = (source, node) => {
+    switch (node.type) {
+        case "NullLiteral":
+            return null
+        case "BooleanLiteral":
+        case "NumericLiteral":
+            return node.value
+        default:
+            return getSource(source, node)
+    }
+}
+
+/**
+ * Parses the given function expression into the `{ type: "Action", params, code }` form of transition actions,
+ * confirmations and guards.
+ */
+const parseAction = (source, node) => ({
+    type: "Action",
+    async: node.async || undefined,
+    params: getParamNames(source, node.params),
+    code: getSource(source, node.body)
+})
+
+export const parseImportStatements = (importNodes) => importNodes.map(({ source, specifiers }) => ({
+    type: "ImportDeclaration",
+    source: source.value,
+    specifiers: specifiers.map(({ type, local, imported }) => ({
+        type,
+        name: local.name,
+        aliasOf: imported && imported.name !== local.name ? imported.name : undefined
+    }))
+}))
+
+const parseJSXName = (source, node) => source.slice(node.start, node.end)
+
+const parseJSXRoot = (source, node) => {
+    if (node.type === "JSXElement") {
+        return parseJSXElement(source, node)
+    }
+    if (node.type === "BlockStatement") {
+        const returnStatement = node.body.find(statement => statement.type === "ReturnStatement")
+        if (returnStatement && returnStatement.argument && returnStatement.argument.type === "JSXElement") {
+            return parseJSXElement(source, returnStatement.argument)
+        }
+    }
+    return {
+        type: "Expression",
+        code: getSource(source, node)
+    }
+}
+
+const parseJSXRenderFunction = (source, node) => ({
+    type: "JSXRenderFunction",
+    params: node.params.map(param => ({
+        type: "Identifier",
+        name: param.name
+    })),
+    constants: [],
+    root: parseJSXRoot(source, node.body)
+})
+
+const parseJSXAttribute = (source, { name, value }) => {
+
+    let attrValue
+    if (!value) {
+        attrValue = null
+    }
+    else if (value.type === "JSXExpressionContainer" && value.expression.type === "ArrowFunctionExpression") {
+        attrValue = parseJSXRenderFunction(source, value.expression)
+    }
+    else {
+        attrValue = {
+            type: "Expression",
+            code: getSource(source, value)
+        }
+    }
+
+    return {
+        type: "JSXAttribute",
+        name: parseJSXName(source, name),
+        value: attrValue
+    }
+}
+
+const isRenderFunction = (node) => node.type === "ArrowFunctionExpression" && node.params.length === 1 &&
+    node.params[0].type === "Identifier" && (node.body.type === "JSXElement" || node.body.type === "BlockStatement")
+
+const parseJSXKids = (source, children) => {
+    const kids = []
+    children.forEach(child => {
+        if (child.type === "JSXText") {
+            const value = child.value.trim()
+            if (value) {
+                kids.push({
+                    type: "JSXText",
+                    value
+                })
+            }
+        }
+        else if (child.type === "JSXElement") {
+            kids.push(parseJSXElement(source, child))
+        }
+        else if (child.type === "JSXExpressionContainer") {
+            const { expression } = child
+            if (expression.type === "JSXEmptyExpression") {
+                return
+            }
+
+            if (expression.type === "LogicalExpression" && expression.operator === "&&" && expression.right.type === "JSXElement") {
+                const kid = parseJSXElement(source, expression.right)
+                const code = getSource(source, expression.left)
+
+                // `{ cond && ( <Elem/> ) }` is the renderedIf attribute, `{cond && <Elem/> }` the element condition
+                if (expression.right.extra && expression.right.extra.parenthesized) {
+                    kid.attrs.unshift({
+                        type: "JSXAttribute",
+                        name: "renderedIf",
+                        value: {
+                            type: "Expression",
+                            code
+                        }
+                    })
+                }
+                else {
+                    kid.condition = code
+                }
+                kids.push(kid)
+            }
+            else if (isRenderFunction(expression)) {
+                kids.push(parseJSXRenderFunction(source, expression))
+            }
+            else {
+                kids.push({
+                    type: "JSXExpressionContainer",
+                    code: getSource(source, child)
+                })
+            }
+        }
+    })
+    return kids
+}
+
+const parseJSXElement = (source, node) => {
+    const { openingElement, children } = node
+    return {
+        type: "JSXElement",
+        name: parseJSXName(source, openingElement.name),
+        attrs: openingElement.attributes.map(attr => parseJSXAttribute(source, attr)),
+        kids: parseJSXKids(source, children)
+    }
+}
+
+const parsePattern = (id) => {
+
+    const toProperty = name => ({
+        type: "ObjectProperty",
+        key: name,
+        value: {
+            type: "Identifier",
+            name
+        }
+    })
+
+    if (id.type === "ObjectPattern") {
+        return {
+            type: "ObjectPattern",
+            properties: id.properties.map(property => toProperty(getKey(property)))
+        }
+    }
+    if (id.type === "ArrayPattern") {
+        return {
+            type: "ListPattern",
+            properties: id.elements.map(element => toProperty(element.name))
+        }
+    }
+    return {
+        type: "Identifier",
+        name: id.name
+    }
+}
+
+/**
+ * Returns the source text the renderer produces for the given declaration id model. The renderer uses the same syntax
+ * for identifiers and function patterns and for object and array patterns.
+ */
+const getPatternText = (id) => {
+    const { type, name, properties, elements } = id
+    switch (type) {
+        case "Identifier":
+            return name
+        case "FunctionPattern":
+            return properties.map(({ key }) => key).join(",")
+        case "ObjectPattern":
+            return "{" + properties.map(({ key }) => key).join(",") + "}"
+        case "ListPattern":
+            return "[" + properties.map(({ key }) => key).join(",") + "]"
+        case "ArrayPattern":
+            return "{" + elements.map(({ name }) => name).join(",") + "}"
+        default:
+            return null
+    }
+}
+
+const parseConstants = (source, statements) => statements
+    .filter(statement => statement.type === "VariableDeclaration")
+    .map(({ kind, declarations }) => ({
+        type: "VariableDeclaration",
+        kind,
+        declarations: declarations.map(({ id, init }) => ({
+            type: "VariableDeclarator",
+            id: parsePattern(id),
+            init: getSource(source, init)
+        }))
+    }))
+
+const parseComposite = (source, renderFn) => {
+
+    const { body } = renderFn
+    const returnStatement = body.body.find(statement => statement.type === "ReturnStatement")
+
+    return {
+        type: "CompositeComponent",
+        constants: parseConstants(source, body.body),
+        root: parseJSXElement(source, returnStatement.argument)
+    }
+}
+
+const parseTransitionMap = (source, objectExpression) => {
+    const transitionMap = {}
+    objectExpression.properties.forEach(property => {
+
+        const transition = {
+            to: undefined,
+            confirmation: undefined,
+            discard: undefined,
+            roles: undefined,
+            guard: undefined,
+            action: undefined
+        }
+
+        property.value.properties.forEach(({ key, value }) => {
+            const name = getKey({ key })
+            if (name === "to") {
+                transition.to = getSource(source, value)
+            }
+            else if (name === "discard") {
+                transition.discard = value.type === "BooleanLiteral" ? value.value : getSource(source, value)
+            }
+            else if (name === "roles") {
+                transition.roles = value.elements.map(element => element.value)
+            }
+            else if (name === "confirmation" || name === "guard" || name === "action") {
+                transition[name] = parseAction(source, value)
+            }
+        })
+
+        transitionMap[getKey(property)] = transition
+    })
+    return transitionMap
+}
+
+const parseFilterFunctions = (source, statements) => {
+    const filterFunctions = []
+    let mapName
+
+    statements.forEach(statement => {
+        if (statement.type === "VariableDeclaration") {
+            mapName = statement.declarations[0].id.name
+        }
+        else if (statement.type === "ExpressionStatement" && statement.expression.type === "CallExpression") {
+            const { callee, arguments: args } = statement.expression
+            const [name, query, rootType, sourceName, modalTitle, valueFieldName] = args.map(arg => getSource(source, arg))
+
+            let filterFunction = filterFunctions[filterFunctions.length - 1]
+            if (!filterFunction || filterFunction.name !== callee.name || mapName) {
+                filterFunction = {
+                    name: callee.name,
+                    mapName,
+                    filterParams: []
+                }
+                filterFunctions.push(filterFunction)
+                mapName = undefined
+            }
+            filterFunction.filterParams.push({ name, query, rootType, sourceName, modalTitle, valueFieldName })
+        }
+    })
+    return filterFunctions.length ? filterFunctions : undefined
+}
+
+/**
+ * Parses the given `const Name = new ViewState("Name", transitionFn, renderFn)` declaration into a state model.
+ */
+export const parseStateScript = (source, declaration) => {
+
+    const [nameArg, transitionFn, renderFn] = declaration.declarations[0].init.arguments
+
+    const statements = transitionFn.body.body
+    const returnStatement = statements.find(statement => statement.type === "ReturnStatement")
+
+    return {
+        ... getModelType(declaration),
+        name: nameArg.value,
+        filterFunctions: parseFilterFunctions(source, statements.filter(statement => statement !== returnStatement)),
+        transitionMap: returnStatement ? parseTransitionMap(source, returnStatement.argument) : undefined,
+        composite: renderFn ? parseComposite(source, renderFn) : undefined
+    }
+}
+
+const parseCondition = (source, objectExpression) => {
+    const condition = {
+        type: undefined,
+        name: undefined,
+        operands: undefined
+    }
+
+    objectExpression.properties.forEach(property => {
+        const key = getKey(property)
+        const { value } = property
+        if (key === "operands") {
+            condition.operands = value.elements.map(element => {
+                const operand = {}
+                element.properties.forEach(operandProperty => {
+                    const operandKey = getKey(operandProperty)
+                    const operandValue = operandProperty.value
+                    if (operandKey === "condition") {
+                        operand.condition = parseCondition(source, operandValue)
+                    }
+                    else if (operandKey === "id" || operandKey === "value") {
+                        operand[operandKey] = getValueOrCode(source, operandValue)
+                    }
+                    else {
+                        operand[operandKey] = operandValue.type === "NullLiteral" ? null : operandValue.value
+                    }
+                })
+                return operand
+            })
+        }
+        else {
+            condition[key] = value.value
+        }
+    })
+    return condition
+}
+
+/**
+ * Parses the arguments of the `query(...)` call of a query script into a query model.
+ */
+export const parseQueryScript = (source, [template, variablesNode]) => {
+
+    // the renderer adds a space before the query
+    const query = template.quasis[0].value.raw.replace(/^ /, "")
+
+    let variables = null
+    if (variablesNode) {
+        variables = {
+            configs: undefined,
+            domainType: undefined,
+            field: undefined,
+            condition: undefined
+        }
+
+        const configs = []
+        variablesNode.properties.forEach(property => {
+            const key = getKey(property)
+            const { value } = property
+            if (key === "domainType" || key === "field") {
+                variables[key] = value.value
+            }
+            else if (key === "condition") {
+                variables.condition = parseCondition(source, value)
+            }
+            else {
+                const config = {
+                    name: key,
+                    condition: undefined,
+                    pageSize: undefined,
+                    sortFields: undefined
+                }
+                value.properties.forEach(configProperty => {
+                    const configKey = getKey(configProperty)
+                    const configValue = configProperty.value
+                    if (configKey === "condition") {
+                        config.condition = parseCondition(source, configValue)
+                    }
+                    else if (configKey === "pageSize") {
+                        config.pageSize = configValue.value
+                    }
+                    else if (configKey === "sortFields") {
+                        // the renderer joins the sort fields into a single string
+                        config.sortFields = [].concat(
+                            ... configValue.elements.map(element => element.value.split(","))
+                        )
+                    }
+                })
+                configs.push(config)
+            }
+        })
+        variables.configs = configs.length ? configs : undefined
+    }
+
+    return {
+        query,
+        variables
+    }
+}
+
+/**
+ * Parses the class declaration of a scope or domain type.
+ *
+ * @param {String} source           source code
+ * @param {Object} classNode        class declaration node
+ * @param {boolean} withMembers     true if actions, helpers and computeds are parsed, too
+ */
+const parseScopeClass = (source, classNode, withMembers) => {
+
+    const observables = []
+    const actions = []
+    const helpers = []
+    const computeds = []
+    let constructorFunction
+
+    classNode.body.body.forEach(member => {
+
+        const name = member.key && member.key.name
+
+        if (member.type === "ClassProperty") {
+            if (hasDecorator(member, "observable")) {
+                const observable = {
+                    name,
+                    defaultValue: member.value ? getSource(source, member.value) : null
+                }
+                // only domain types render descriptions
+                const description = getDocComment(member)
+                if (description) {
+                    observable.description = description
+                }
+                observables.push(observable)
+            }
+            else if (member.value && member.value.type === "ArrowFunctionExpression") {
+                const { params, body } = member.value
+                // the renderer writes the helper params as they are
+                helpers.push({
+                    actionAnnotation: hasDecorator(member, "action") || undefined,
+                    name,
+                    params: params.length ? [source.slice(params[0].start, params[params.length - 1].end)] : undefined,
+                    code: body.type === "BlockStatement" ? getInnerSource(source, body) : getSource(source, body)
+                })
+            }
+            else {
+                helpers.push({
+                    name,
+                    defaultValue: member.value ? getSource(source, member.value) : undefined
+                })
+            }
+        }
+        else if (member.type === "ClassMethod") {
+
+            const params = getParamNames(source, member.params)
+            const code = getInnerSource(source, member.body)
+
+            if (member.kind === "constructor") {
+                constructorFunction = { params, code }
+            }
+            else if (member.kind === "get") {
+                computeds.push({ name, code })
+            }
+            else {
+                actions.push({
+                    name,
+                    params,
+                    code,
+                    noAnnotation: hasDecorator(member, "action") ? undefined : true
+                })
+            }
+        }
+    })
+
+    const scope = {
+        name: classNode.id.name,
+        observables,
+        constructorFunction
+    }
+
+    if (withMembers) {
+        scope.actions = actions
+        scope.helpers = helpers.length ? helpers : undefined
+        scope.computeds = computeds.length ? computeds : undefined
+    }
+    return scope
+}
+
+const parseDomainScript = (source, classNode) => {
+    const domain = parseScopeClass(source, classNode, true)
+    return {
+        name: domain.name,
+        observables: domain.observables.map(({ name, defaultValue, description }) => ({
+            name,
+            defaultValue,
+            description: description || null
+        })),
+        actions: domain.actions,
+        computeds: domain.computeds,
+        constructorFunction: domain.constructorFunction,
+        helpers: domain.helpers || []
+    }
+}
+
+/**
+ * Parses the `initProcess` function and the scope class of a process export script.
+ */
+export const parseProcessExportScript = (source, initFn, classNode) => {
+
+    const statements = initFn.body.body
+    const statementSources = statements.map(statement => getSource(source, statement))
+
+    const last = statements[statements.length - 1]
+
+    let processExports
+    if (last && last.type === "ReturnStatement" && last.argument && last.argument.type === "Identifier") {
+        processExports = {
+            configuration: statementSources.slice(0, -1),
+            startState: last.argument.name
+        }
+    }
+    else {
+        processExports = {
+            configuration: [],
+            init: statementSources,
+            startState: null
+        }
+    }
+
+    processExports.scope = classNode ? parseScopeClass(source, classNode, true) : null
+
+    return processExports
+}
+
+const getExtraConstants = (source, statements) => statements.length ? [
+    dedent(source.slice(getStatementStart(statements[0]), statements[statements.length - 1].end))
+] : undefined
+
+/**
+ * Parses generated JS source back into its JSON model.
+ *
+ * The generated code is beautified and writes some patterns with the same syntax, so code strings are parsed in the
+ * formatting of the generated code and those patterns in their basic form. If the current JSON model is given as base
+ * model, the parsed model is merged into it, keeping its formatting and patterns where the code is unchanged ( see
+ * mergeModel() ).
+ *
+ * @param {String} source               generated JS source
+ * @param {String} kind                 model kind ( see ModelKind )
+ * @param {Object} [baseModel]          current JSON model
+ *
+ * @returns {Object} JSON model
+ */
+export const jsToModel = (source, kind, baseModel = null) => {
+
+    const ast = parse(source, {
+        sourceType: "module",
+        plugins: ["jsx", "decorators-legacy", "classProperties"]
+    })
+
+    const statements = ast.program.body
+    const imports = statements.filter(statement => statement.type === "ImportDeclaration")
+    const rest = statements.filter(statement => statement.type !== "ImportDeclaration")
+
+    const copyRights = imports.length ? source.slice(0, getStatementStart(imports[0])).trim() : ""
+
+    const model = {
+        copyRights: copyRights || undefined,
+        importDeclarations: parseImportStatements(imports)
+    }
+
+    if (kind === ModelKind.STATE) {
+        const index = rest.findIndex(
+            statement => statement.type === "VariableDeclaration" &&
+                         statement.declarations[0].init &&
+                         statement.declarations[0].init.type === "NewExpression" &&
+                         statement.declarations[0].init.callee.name === "ViewState"
+        )
+        model.extraConstants = getExtraConstants(source, rest.slice(0, index))
+        model.state = parseStateScript(source, rest[index])
+    }
+    else if (kind === ModelKind.PROCESS_EXPORTS) {
+        const index = rest.findIndex(
+            statement => statement.type === "ExportNamedDeclaration" &&
+                         statement.declaration &&
+                         statement.declaration.type === "FunctionDeclaration" &&
+                         statement.declaration.id.name === "initProcess"
+        )
+        const scopeExport = rest.find(statement => statement.type === "ExportDefaultDeclaration")
+
+        model.processExports = {
+            ... getModelType(rest[index]),
+            extraConstants: getExtraConstants(source, rest.slice(0, index)),
+            ... parseProcessExportScript(source, rest[index].declaration, scopeExport && scopeExport.declaration)
+        }
+    }
+    else if (kind === ModelKind.QUERY) {
+        const { declaration } = rest.find(statement => statement.type === "ExportDefaultDeclaration")
+        model.query = parseQueryScript(source, declaration.arguments)
+    }
+    else if (kind === ModelKind.DOMAIN) {
+        const { declaration } = rest.find(statement => statement.type === "ExportDefaultDeclaration")
+        model.domain = parseDomainScript(source, declaration)
+    }
+    else if (kind === ModelKind.USER_SCOPE || kind === ModelKind.SESSION_SCOPE) {
+        const { declaration } = rest.find(statement => statement.type === "ExportNamedDeclaration")
+        model[kind] = parseScopeClass(source, declaration, false)
+    }
+    else {
+        throw new Error("Invalid model kind: " + kind)
+    }
+
+    return baseModel ? mergeModel(model, baseModel) : removeUndefined(model)
+}
+
+
+const normalizeCode = (code) => code.replace(/\s+/g, "")
+
+const isEmptyValue = (value) => value == null || (Array.isArray(value) && !value.length)
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value)
+
+const isStringArray = (array) => array.every(elem => typeof elem === "string")
+
+/**
+ * Model keys holding code lines that the renderer writes in sequence
+ */
+const CODE_LINE_GROUPS = [["configuration", "init"]]
+
+const removeUndefined = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(removeUndefined)
+    }
+    if (isPlainObject(value)) {
+        const result = {}
+        for (let key in value) {
+            if (value.hasOwnProperty(key) && value[key] !== undefined) {
+                result[key] = removeUndefined(value[key])
+            }
+        }
+        return result
+    }
+    return value
+}
+
+const isSameCode = (linesA, linesB, separator) => normalizeCode(linesA.join(separator)) === normalizeCode(linesB.join(separator))
+
+const mergeValue = (value, base, key) => {
+
+    if (isEmptyValue(value) && isEmptyValue(base)) {
+        return base
+    }
+
+    if (typeof value === "string" && typeof base === "string") {
+        return normalizeCode(value) === normalizeCode(base) ? base : value
+    }
+
+    if (Array.isArray(value) && Array.isArray(base)) {
+        if (isStringArray(value) && isStringArray(base)) {
+            return isSameCode(value, base, key === "params" ? "," : "") ? base : value
+        }
+
+        if (value.length === base.length) {
+            return value.map((elem, idx) => mergeValue(elem, base[idx]))
+        }
+
+        return value.map(elem => {
+            const baseElem = isPlainObject(elem) && elem.name && base.find(b => b && b.name === elem.name)
+            return baseElem ? mergeValue(elem, baseElem) : removeUndefined(elem)
+        })
+    }
+
+    if (isPlainObject(value) && isPlainObject(base)) {
+        if (key === "id" && getPatternText(value) === getPatternText(base)) {
+            return base
+        }
+        return mergeModel(value, base)
+    }
+
+    return removeUndefined(value)
+}
+
+/**
+ * Merges a model parsed from JS into the given base model.
+ *
+ * All properties the parser declares are taken from the parsed model, properties the parser doesn't know ( like the
+ * type markers ) are taken from the base model. Code strings that only differ in whitespace keep the formatting of the
+ * base model.
+ *
+ * @param {Object} model        model parsed from JS. Properties that can be parsed but are missing are undefined.
+ * @param {Object} base         base model
+ *
+ * @returns {Object} merged model
+ */
+export const mergeModel = (model, base) => {
+
+    const result = {}
+
+    const sameLines = CODE_LINE_GROUPS.filter(
+        keys => keys.every(key => key in model) &&
+                isSameCode(
+                    [].concat(... keys.map(key => model[key] || [])),
+                    [].concat(... keys.map(key => base[key] || [])),
+                    ""
+                )
+    )
+
+    for (let key in base) {
+        if (base.hasOwnProperty(key)) {
+            if (!(key in model) || sameLines.some(keys => keys.indexOf(key) >= 0)) {
+                result[key] = base[key]
+            }
+            else {
+                const merged = mergeValue(model[key], base[key], key)
+                if (merged !== undefined) {
+                    result[key] = merged
+                }
+            }
+        }
+    }
+
+    for (let key in model) {
+        if (model.hasOwnProperty(key) && !(key in base) && model[key] !== undefined &&
+            !sameLines.some(keys => keys.indexOf(key) >= 0)) {
+            result[key] = removeUndefined(model[key])
+        }
+    }
+    return result
+}
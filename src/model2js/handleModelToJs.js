@@ -15,8 +15,11 @@ export const modelSchemaValidation = (jsonData) => {
         ajvInstance.errors.forEach(error => {
             let errorMessage = '';
             errorMessage += ajvInstance.errorsText([error]);
-            let errorPointer = sourceMap.pointers[error.dataPath];
-            errorMessage = `\n> Line ${errorPointer.value.line + 1} ` + errorMessage;
+            // ajv 8 reports the JSON pointer as instancePath
+            let errorPointer = sourceMap.pointers[error.instancePath !== undefined ? error.instancePath : error.dataPath];
+            if (errorPointer) {
+                errorMessage = `\n> Line ${errorPointer.value.line + 1} ` + errorMessage;
+            }
             console.log("\x1b[41m", errorMessage, "\x1b[0m");
         });
     }
@@ -32,6 +35,17 @@ export const renderCopyRights = (copyRights) => {
     return copyRightsStatement
 }
 
+/**
+ * JSDoc tag for the type markers of models that the generated code doesn't express otherwise
+ */
+export const MODEL_TYPE_TAG = "@modelType"
+
+const renderModelType = (type) => type ? `
+    /** ${MODEL_TYPE_TAG} ${type} */` : ""
+
+const renderDescription = (description) => description ? `
+        /** ${description.replace(/\*\//g, "*\\/")} */` : ""
+
 export const renderImportStatements = (importDeclarations) => {
     let importStatements = "";
 
@@ -204,8 +218,9 @@ export default query(
 
 export const renderStateScript = (state) => {
     let stateScript = ''
-    const {name, composite, transitionMap, filterFunctions} = state
+    const {type, name, composite, transitionMap, filterFunctions} = state
 
+    stateScript += renderModelType(type)
     stateScript += `
     const ${name} = new ViewState("${name}", (process, scope) => {
     `
@@ -236,7 +251,7 @@ export const renderStateScript = (state) => {
             if (transitionMap.hasOwnProperty(transitionName)) {
 
                 const transition = transitionMap[transitionName];
-                const {to, action, discard, confirmation} = transition;
+                const {to, action, discard, confirmation, guard, roles} = transition;
 
                 transitionScript += `
             "${transitionName}" : {`;
@@ -249,12 +264,22 @@ export const renderStateScript = (state) => {
                     const paramExpression = confirmation.params.length === 1 ? confirmation.params[0] : "(" + confirmation.params.join(
                         ", ") + ")";
                     transitionScript += `
-                confirmation: ${paramExpression} => ${confirmation.code},`
+                confirmation: ${confirmation.async ? "async " : ""}${paramExpression} => ${confirmation.code},`
                 }
                 if (discard) {
                     transitionScript += `
                 discard: ${discard},`
                 }
+                if (roles && roles.length) {
+                    transitionScript += `
+                roles: ${JSON.stringify(roles)},`
+                }
+                if (guard) {
+                    const paramExpression = guard.params.length === 1 ? guard.params[0] : "(" + guard.params.join(
+                        ", ") + ")";
+                    transitionScript += `
+                guard: ${paramExpression} => ${guard.code},`
+                }
 
                 if (action) {
                     const paramExpression = action.params.length === 1 ? action.params[0] : "(" + action.params.join(
@@ -570,7 +595,7 @@ export const renderStateScript = (state) => {
 export const renderProcessExportScript = (processExports) => {
     let processScript = "";
 
-    const {init, extraConstants, scope, configuration, startState} = processExports;
+    const {type, init, extraConstants, scope, configuration, startState} = processExports;
 
     if (extraConstants) {
         extraConstants.map((extraConstant) => {
@@ -580,7 +605,8 @@ export const renderProcessExportScript = (processExports) => {
     }
     //END the section of extraConstant
 
-    processScript += `export function initProcess(process,scope) {`
+    processScript += `${renderModelType(type)}
+    export function initProcess(process,scope) {`
 
     if (configuration && configuration.length >= 1) {
         configuration.map((config) => {
@@ -767,9 +793,9 @@ export const renderDomainScript = (domain) => {
 
     if (observables && observables.length >= 1) {
         observables.forEach(observable => {
-            const {name} = observable
-            domainScript += `
-        @observable ${name}
+            const {name, defaultValue, description} = observable
+            domainScript += `${renderDescription(description)}
+        @observable ${name}${defaultValue != null ? ` = ${defaultValue}` : ""}
         `
         })
     }
@@ -1,10 +1,29 @@
+const fs = require("fs");
+const { isAbsolute, relative } = require("path");
 const SimpleGit = require("simple-git");
 
+
+/**
+ * Returns the given path relative to the top-level directory of the git repository.
+ */
+function relativeToTopLevel(topLevel, path)
+{
+    if (!isAbsolute(path))
+    {
+        return path;
+    }
+
+    // git reports the top-level directory with symbolic links resolved
+    return relative(topLevel, fs.existsSync(path) ? fs.realpathSync(path) : path).replace(/\\/g, "/");
+}
+
+
 /**
  * Resolves to true if the given git repository has open changes within the given path.
  *
- * @param {String} repoPath     git repository path
- * @param {String} [path]       optional path within the git repository (default is the apps directory = "src/main/js/apps")
+ * @param {String} repoPath     git repository path or a directory within it
+ * @param {String} [path]       optional path within the git repository (default is the apps directory = "src/main/js/apps").
+ *                              Relative paths are relative to the top-level directory of the repository.
  * 
  * @return {Promise<boolean|*>}
  */
@@ -14,32 +33,42 @@ export default function hasOpenGitChanges(repoPath, path = "src/main/js/apps")
 
     return new Promise((resolve, reject) => {
 
-        git.status((err, result) => {
+        git.revparse(["--show-toplevel"], (err, topLevel) => {
             if (err)
             {
                 reject(err);
+                return;
             }
-            else
-            {
-
-                let changes = result.files
-                    .map(
-                        f => f.path
-                    );
 
+            const prefix = path && relativeToTopLevel(topLevel.trim(), path);
 
-                if (path)
+            git.status((err, result) => {
+                if (err)
                 {
-                     changes = changes.filter(
-                        p => p.indexOf(path) === 0
-                    );
+                    reject(err);
                 }
+                else
+                {
 
+                    let changes = result.files
+                        .map(
+                            f => f.path
+                        );
 
-                //console.log("Open Changes in " + repoPath + ": " + changes);
 
-                resolve(changes.length > 0);
-            }
+                    if (prefix)
+                    {
+                        changes = changes.filter(
+                            p => p.indexOf(prefix) === 0
+                        );
+                    }
+
+
+                    //console.log("Open Changes in " + repoPath + ": " + changes);
+
+                    resolve(changes.length > 0);
+                }
+            })
         })
     })
 }
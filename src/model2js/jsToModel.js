@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+import path from "path"
+import fs from "fs"
+import ModelToJsGenerator from "./ModelToJsGenerator";
+import parseArguments from "./parseArguments";
+import { getModelKind, jsToModel } from "./handleJsToModel";
+
+const USAGE = `Usage: js-to-model [options]
+
+Reads generated JS sources that were edited by hand back into their JSON models. Only output files that differ from
+the generated source and are newer than their model are read.
+
+Options:
+    --models <dir>  model directory (default "./src/main/webapp/WEB-INF/automaton/apps")
+    --out <dir>     output directory (default "./src/main/js/apps/model-to-js")
+    --help          print this help
+`
+
+function logError(message, err) {
+    console.error("\x1b[41m", message, err || "", "\x1b[0m")
+}
+
+function relativePath(fileName) {
+    return path.relative(process.cwd(), fileName)
+}
+
+/**
+ * Reads the given edited output file back into its model file.
+ *
+ * @returns {boolean} true if the model was updated
+ */
+function updateModel(fileName, outputPath) {
+
+    if (fs.statSync(fileName).mtimeMs >= fs.statSync(outputPath).mtimeMs) {
+        console.log(`skip ${relativePath(outputPath)}: model is newer`)
+        return false
+    }
+
+    const baseModel = JSON.parse(fs.readFileSync(fileName, "utf8"))
+    const kind = getModelKind(baseModel)
+    if (!kind) {
+        throw new Error("Unknown model kind")
+    }
+
+    const model = jsToModel(fs.readFileSync(outputPath, "utf8"), kind, baseModel)
+
+    const json = JSON.stringify(model, null, 2)
+    if (json === JSON.stringify(baseModel, null, 2)) {
+        return false
+    }
+
+    fs.writeFileSync(fileName, json + "\n")
+    console.log(`update ${relativePath(fileName)}`)
+    return true
+}
+
+
+let opts
+try {
+    opts = parseArguments(process.argv.slice(2))
+    if (opts.watch || opts.check) {
+        throw new Error("--watch and --check are not supported by js-to-model")
+    }
+} catch (err) {
+    console.error(err.message)
+    console.log(USAGE)
+    process.exit(2)
+}
+
+if (opts.help) {
+    console.log(USAGE)
+    process.exit(0)
+}
+
+const generator = new ModelToJsGenerator(opts.models, opts.out)
+
+generator.update()
+    .then(({ writes }) => {
+
+        let errors = 0
+        writes.forEach(({ path: outputPath }) => {
+
+            const fileName = generator.getModelFileName(outputPath)
+            if (!fileName || !fs.existsSync(outputPath)) {
+                return
+            }
+
+            try {
+                updateModel(fileName, outputPath)
+            } catch (err) {
+                logError(`Error: ${relativePath(outputPath)}`, err)
+                errors++
+            }
+        })
+        process.exit(errors ? 1 : 0)
+    })
+    .catch(err => {
+        logError("Error reading generated sources", err)
+        process.exit(1)
+    })
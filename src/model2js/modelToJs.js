@@ -1,268 +1,124 @@
 #!/usr/bin/env node
 import path from "path"
-import recursiveReadDir from "recursive-readdir"
-import matchPath from "../matchPath";
-import fs from  "fs"
-import {
-    renderImportStatements,
-    renderDomainScript,
-    renderQueryScript,
-    renderUserScopeScript,
-    renderSessionScopeScript,
-    renderProcessExportScript,
-    renderStateScript,
-    renderExtraConstantsScript,
-    modelSchemaValidation,
-    renderCopyRights} from "./handleModelToJs";
+import ModelToJsGenerator from "./ModelToJsGenerator";
+import parseArguments from "./parseArguments";
+import hasOpenGitChanges from "./hasOpenGitChanges";
 
-const MODEL_PATH = "./src/main/webapp/WEB-INF/automaton/apps";
-const APPS_INFIX = "/apps/";
-const shortPath = './src/main/js/apps/model-to-js'
+const WATCH_INTERVAL = 1000;
 
-function toInternalPath(fileName) {
-    const pos = fileName.indexOf(APPS_INFIX);
-    if (pos < 0) {
-        return null;
-    }
+const USAGE = `Usage: model-to-js [options]
 
-    return fileName.substr(pos + APPS_INFIX.length);
-}
+Generates the JS sources for the JSON models of the application.
 
-function getFirstSegment(path) {
-    const pos = path.indexOf("/");
-    if (pos >= 0) {
-        return path.substr(0, pos);
-    }
+Options:
+    --models <dir>  model directory (default "./src/main/webapp/WEB-INF/automaton/apps")
+    --out <dir>     output directory (default "./src/main/js/apps/model-to-js")
+    --watch         keep running and regenerate changed models
+    --check         don't write anything, exit with status 1 if the output is stale or a model is invalid
+    --help          print this help
+`
 
-    throw new Error("Path has no slash");
+function logError(message, err) {
+    console.error("\x1b[41m", message, err || "", "\x1b[0m")
 }
 
+function relativePath(fileName) {
+    return path.relative(process.cwd(), fileName)
+}
+
+function reportErrors(errors) {
+    errors.forEach(({ fileName, error }) => logError(`Error: ${relativePath(fileName)}`, error))
+}
 
 /**
- * Replaces the OS specific file separator characters in the given path with
- * @param p         path with OS-specific separators
- * @returns {*} path with slashes
+ * Warns if the output directory has open changes in git, i.e. if generated files were edited manually.
  */
-function handleSlashes(p) {
-    return p.replace(new RegExp("\\" + path.sep, "g"), "/")
+function warnAboutEditedOutput(out) {
+    return hasOpenGitChanges(process.cwd(), path.resolve(out))
+        .then(
+            hasChanges => {
+                if (hasChanges) {
+                    console.warn(`Warning: ${relativePath(out)} has open git changes that will be overwritten`)
+                }
+            },
+            // not a git repository
+            () => null
+        )
 }
 
-//delete main folder always before start the process
-let deleteFolderRecursive;
-
-(deleteFolderRecursive = function (path) {
-    if (fs.existsSync(path)) {
-        fs.readdirSync(path).map((fileName) => {
-            let curPath = path + "/" + fileName
-
-            if (fs.lstatSync(curPath).isDirectory()) {
-                //delete subdirectory
-                deleteFolderRecursive(curPath)
-            } else {
-                //delete file
-                fs.unlinkSync(curPath)
-            }
-        })
-        fs.rmdirSync(path)
-    }
-})(shortPath)
+/**
+ * Writes the changed output files of the given update result.
+ */
+function writeResult(generator, result, warn) {
+    const { writes, removals, errors } = result
 
-recursiveReadDir(MODEL_PATH, ["!*.json","**/lisa-web/meta"], function (err, fileNames) {
+    reportErrors(errors)
 
-    if (err) {
-        console.error(err);
-        process.exit(1);
+    if (!writes.length && !removals.length) {
+        return Promise.resolve(result)
     }
 
-    for (let i = 0; i < fileNames.length; i++) {
-        const internalPath = toInternalPath(handleSlashes(fileNames[i]))
-        console.log(internalPath);
-        if (internalPath === null) {
-            continue;
-        }
-
-        const appName = getFirstSegment(internalPath);
-
-        const inAppPath = "." + internalPath.substr(appName.length);
-        const {processName, shortName, isDomain,isQuery,isState} = matchPath(inAppPath);
-
-        createProjectFolders(processName)
-
-        let fileName = fileNames[i]
-        let fileData = fs.readFileSync(fileName, "utf8");
-        let jsonData = JSON.parse(fileData);
-        let content ="";
-
-        //start schema validation
-        const isSchemaValid = modelSchemaValidation(jsonData)
-        if(!isSchemaValid){
-            continue
-        }
-        
-        //render the copy rights statment
-        content = convertCopyRights(jsonData,content)
-
-        //render the import statment for all files
-        content = convertImportStatment(jsonData,content)
-
-        //render the rest content for all files
-        let fileConfig = null;
-
-        if (isDomain) {
-            fileConfig= convertDomainModel(jsonData, shortName,content);
-        }
-        else if (processName != null) {
-
-            if (isState) {
-                fileConfig = convertState(jsonData, processName, shortName,content)
-            }
-            else if (isQuery) {
-                fileConfig = convertQuery(jsonData, processName, shortName,content)
-            }
-            else {
-                fileConfig=convertProcessExport(jsonData, processName, shortName,content);
-            }
-        }
-        else {
-            fileConfig=convertMisc(jsonData, shortName,content);
-        }
-
-        console.log({appName, processName,shortName,isQuery,isState});
-        fs.writeFile(fileConfig.path, fileConfig.content, (err) => {
-            if (err) console.log("\x1b[41m",err,"\x1b[0m") ;
+    return (warn ? warnAboutEditedOutput(generator.out) : Promise.resolve())
+        .then(() => {
+            generator.write(result)
+            writes.forEach(({ path }) => console.log(`write ${relativePath(path)}`))
+            removals.forEach(fileName => console.log(`remove ${relativePath(fileName)}`))
+            return result
         })
-    }
-});
-
-
-function createProjectFolders(processName) {
-
-    if (!fs.existsSync(`${shortPath}`)) {
-        fs.mkdirSync(`${shortPath}`)
-    }
-    if (!fs.existsSync(`${shortPath}/domain`)) {
-        fs.mkdirSync(`${shortPath}/domain`)
-    }
-    if (!fs.existsSync(`${shortPath}/queries`)) {
-        fs.mkdirSync(`${shortPath}/queries`)
-    }
-    if (processName != null) {
-        if (!fs.existsSync(`${shortPath}/processes`)) {
-            fs.mkdirSync(`${shortPath}/processes`)
-        }
-        if (!fs.existsSync(`${shortPath}/processes/${processName}`)) {
-            fs.mkdirSync(`${shortPath}/processes/${processName}`)
-            fs.mkdirSync(`${shortPath}/processes/${processName}/states`)
-            fs.mkdirSync(`${shortPath}/processes/${processName}/queries`)
-        }
-    }
-}
-
-function convertCopyRights ({copyRights}, content) {
-    try {
-        content += renderCopyRights(copyRights)
-    } catch (err) {
-        console.error("\x1b[41m", `Error: something wrong`,err, "\x1b[0m")
-    }
-    return content
 }
 
-function convertImportStatment({importDeclarations},content){
-    try {
-        content += renderImportStatements(importDeclarations);
-    }catch (err) {
-        console.error("\x1b[41m", `Error: something wrong`,err, "\x1b[0m")
-    }
-    return content
-}
+function check(generator) {
+    return generator.update().then(result => {
+        const { writes, removals, errors } = result
 
-function convertDomainModel({domain }, shortName,content) {
-    const path = `${shortPath}/domain/${shortName}.js`
-    try {
-        content += renderDomainScript(domain)
+        reportErrors(errors)
+        writes.forEach(({ path }) => console.log(`stale ${relativePath(path)}`))
+        removals.forEach(fileName => console.log(`obsolete ${relativePath(fileName)}`))
 
-    } catch(err){
-        console.error("\x1b[41m", `Error: ${path}`,err, "\x1b[0m")
-    }
-    return {
-        path,
-        content
-    };
+        const ok = !writes.length && !removals.length && !errors.length
+        console.log(ok ? "Generated sources are up-to-date" : "Generated sources are stale")
+        process.exit(ok ? 0 : 1)
+    })
 }
 
-function convertState ({state, extraConstants}, processName, shortName,content) {
-    const path = `${shortPath}/processes/${processName}/states/${shortName}.js`
-    try {
-        if (extraConstants) {
-            content += renderExtraConstantsScript(extraConstants)
-        }
-
-        content += renderStateScript(state)
+function watch(generator) {
+    const poll = () => generator.update()
+        .then(result => writeResult(generator, result, false))
+        .catch(err => logError("Error updating generated sources", err))
+        .then(() => setTimeout(poll, WATCH_INTERVAL))
 
-    } catch (err) {
-        console.error("\x1b[41m", `Error: ${path}`,err, "\x1b[0m")
-    }
-    return {
-        path,
-        content
-    }
+    console.log(`Watching ${relativePath(generator.models)}`)
+    return generator.update()
+        .then(result => writeResult(generator, result, true))
+        .then(() => setTimeout(poll, WATCH_INTERVAL))
 }
 
-function convertQuery({query}, processName, shortName,content) {
-    const path = `${shortPath}/processes/${processName}/queries/${shortName}.js`
-    try {
-        content += renderQueryScript(query)
-
-    } catch (err) {
-        console.error("\x1b[41m", `Error: ${path}`,err, "\x1b[0m")
-    }
-
-    return {
-        path,
-        content
-    };
+function generate(generator) {
+    return generator.update()
+        .then(result => writeResult(generator, result, true))
+        .then(({ errors }) => process.exit(errors.length ? 1 : 0))
 }
 
-function convertProcessExport({processExports, query }, processName, shortName,content) {
-    const path = `${shortPath}/processes/${processName}/${shortName}.js`
-    try {
-        content += renderProcessExportScript(processExports)
 
-    } catch (err) {
-        console.error("\x1b[41m", `Error: ${path}`,err, "\x1b[0m")
-    }
+let opts
+try {
+    opts = parseArguments(process.argv.slice(2))
+} catch (err) {
+    console.error(err.message)
+    console.log(USAGE)
+    process.exit(2)
+}
 
-    return {
-        path,
-        content
-    };
+if (opts.help) {
+    console.log(USAGE)
+    process.exit(0)
 }
 
-function convertMisc({userScope, query, sessionScope }, shortName,content) {
-    let path ='';
+const generator = new ModelToJsGenerator(opts.models, opts.out)
 
-    try {
-        if (query) {
-            path = `${shortPath}/queries/${shortName}.js`
-            content += renderQueryScript(query)
-        }
-        else if(userScope) {
-            path = `${shortPath}/${shortName}.js`
-            content += renderUserScopeScript(userScope)
-        }
-        else if(sessionScope) {
-            path = `${shortPath}/${shortName}.js`
-            content += renderSessionScopeScript(sessionScope)
-        }
-        else {
-            throw new Error("queries or user scope are undefined")
-        }
-    }catch (err) {
-        console.error("\x1b[41m", `Error: ${path}`,err, "\x1b[0m")
-    }
+const run = opts.check ? check : opts.watch ? watch : generate
 
-    return {
-        path,
-        content
-    };
-}
+run(generator).catch(err => {
+    logError("Error generating sources", err)
+    process.exit(1)
+})
@@ -0,0 +1,70 @@
+/**
+ * Default model directory
+ */
+export const DEFAULT_MODELS = "./src/main/webapp/WEB-INF/automaton/apps";
+
+/**
+ * Default output directory
+ */
+export const DEFAULT_OUT = "./src/main/js/apps/model-to-js";
+
+const VALUE_OPTIONS = ["models", "out"];
+const FLAG_OPTIONS = ["watch", "check", "help"];
+
+
+/**
+ * Parses the command line arguments of the model-to-js CLI.
+ *
+ * Value options can be given as `--out dir` or `--out=dir`.
+ *
+ * @param {Array<String>} args      command line arguments without node executable and script
+ *
+ * @return {{models: String, out: String, watch: boolean, check: boolean, help: boolean}} options
+ */
+export default function parseArguments(args)
+{
+    const opts = {
+        models: DEFAULT_MODELS,
+        out: DEFAULT_OUT,
+        watch: false,
+        check: false,
+        help: false
+    };
+
+    for (let i = 0; i < args.length; i++)
+    {
+        const arg = args[i];
+        if (arg.indexOf("--") !== 0)
+        {
+            throw new Error("Invalid argument: " + arg);
+        }
+
+        const pos = arg.indexOf("=");
+        const name = arg.substring(2, pos < 0 ? arg.length : pos);
+
+        if (VALUE_OPTIONS.indexOf(name) >= 0)
+        {
+            const value = pos < 0 ? args[++i] : arg.substring(pos + 1);
+            if (!value || value.indexOf("--") === 0)
+            {
+                throw new Error("Option --" + name + " needs a value");
+            }
+            opts[name] = value;
+        }
+        else if (FLAG_OPTIONS.indexOf(name) >= 0 && pos < 0)
+        {
+            opts[name] = true;
+        }
+        else
+        {
+            throw new Error("Invalid argument: " + arg);
+        }
+    }
+
+    if (opts.watch && opts.check)
+    {
+        throw new Error("--watch and --check can't be combined");
+    }
+
+    return opts;
+}
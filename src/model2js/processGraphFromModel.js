@@ -0,0 +1,55 @@
+import { createGraphTransition } from "../process/processGraph";
+
+
+/**
+ * Creates the graph model of a process statically from its JSON models, matching the graph `Process.getGraph()`
+ * returns at runtime.
+ *
+ * @param {String} processName              process name
+ * @param {Object} processExports           process export model of the process or null
+ * @param {Array<Object>} states            state models of the process
+ *
+ * @return {ProcessGraph} process graph
+ */
+export function createProcessGraphFromModel(processName, processExports, states)
+{
+    const stateNames = states.map(state => state.name);
+    const transitions = [];
+
+    states.forEach(
+        ({ name: source, transitionMap }) => {
+
+            if (!transitionMap)
+            {
+                return;
+            }
+
+            for (let name in transitionMap)
+            {
+                if (transitionMap.hasOwnProperty(name))
+                {
+                    const transition = transitionMap[name];
+                    const { to, action } = transition;
+
+                    if (to && stateNames.indexOf(to) < 0)
+                    {
+                        stateNames.push(to);
+                    }
+
+                    transitions.push(
+                        createGraphTransition(source, name, to, transition, action && action.code)
+                    );
+                }
+            }
+        }
+    );
+
+    const startState = processExports && processExports.startState;
+
+    return {
+        name: processName,
+        initialState: typeof startState === "string" ? startState : null,
+        states: stateNames,
+        transitions
+    };
+}
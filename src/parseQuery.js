@@ -183,6 +183,7 @@ function getSelections(selectionSet)
  *
  * @typedef QueryDefinition
  * @type {object}
+ * @property {String} operation            operation type ("query", "mutation" or "subscription")
  * @property {Array<String>} methodCalls      method names used in the query
  * @property {Object} vars                Map mapping variable names to a type reference
  * @property {Object} aliases             Map mapping fully qualified field names to the alias name of that field
@@ -229,6 +230,7 @@ export default function parseQuery(inputSchema, query)
     }
 
     return {
+        operation: definition.operation,
         methodCalls: getMethodCalls(definition.selectionSet),
         selections: getSelections(definition.selectionSet),
         vars,
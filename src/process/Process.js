@@ -1,6 +1,6 @@
 import React, { useContext } from "react";
 import render from "../render";
-import { action, get, keys, set } from "mobx";
+import { action, get, keys, reaction, set } from "mobx";
 
 import GraphQLQuery from "../GraphQLQuery";
 import { FormConfigProvider } from "domainql-form";
@@ -19,6 +19,12 @@ import StickySizesContext from "../ui/sticky/StickySizesContext";
 import WorkingSet from "../WorkingSet"
 import { getGraphQLMethodType } from "../util/type-utils"
 import Throbber from "../ui/throbber/Throbber";
+import { openConfirmationDialog } from "../ui/ConfirmationDialog";
+import { getTransitionDenial } from "./transitionAccess";
+import TransitionDeniedError from "./TransitionDeniedError";
+import { createGraphTransition } from "./processGraph";
+import { encodeURLFields, getURLFieldNames, restoreURLFields } from "./urlFields";
+import searchParams from "../util/searchParams";
 
 let processImporter;
 
@@ -43,6 +49,9 @@ let historyCounter = -1;
 
 let processIdCounter = 0;
 
+/** Runner of a headless process run or null ( see startHeadlessProcess() ) */
+let headlessRunner = null;
+
 function getLayout(process, currentState)
 {
     const { layout } = process.options;
@@ -235,6 +244,15 @@ const PROCESS_DEFAULT_OPTIONS = {
      */
     forceSubProcess: false,
 
+    /**
+     * {boolean|Array<String>|Object} Scope fields to encode into the URL of the process so that a reload or a shared
+     * link restores them. If `true`, all fields versioned by the versioning strategy of the process are bound, otherwise
+     * an array of field names or an object mapping field names to their GraphQL scalar type (e.g. `{ currentDay: "Date" }`).
+     * InteractiveQuery fields keep their current page, sort order and filter. Fields without declared type are only
+     * bound while they contain JSON scalars like ids, domain objects are never encoded.
+     */
+    urlFields: null,
+
     dialog: {}
 };
 
@@ -386,6 +404,13 @@ function resetHistoryTo(historyIndex)
     config.logHistory && console.log("resetHistoryTo", currentHistoryPos, "go to", delta);
     config.logHistory && logHistory();
 
+    if (headlessRunner)
+    {
+        // noinspection JSIgnoredPromiseFromCall
+        renderRestoredView(processHistory[currentHistoryPos]);
+        return;
+    }
+
     config.history.go(delta);
 }
 
@@ -430,6 +455,7 @@ export class Process {
             parent,
 
             currentState: null,
+            initialState: null,
 
             options: {
                 ... PROCESS_DEFAULT_OPTIONS,
@@ -611,6 +637,13 @@ export class Process {
     /**
      * Executes the transition with the given name.
      *
+     * If the transition has a confirmation function, it is called with the context. It can return a message to confirm,
+     * an options object for openConfirmationDialog() or a promise resolving to either. If the user confirms, the name
+     * of the chosen button is available as `confirmationButton` of the Transition object passed to the action.
+     *
+     * If the `roles` or the `guard` of the transition deny it, the action is not executed and the promise is rejected
+     * with a TransitionDeniedError.
+     *
      * @param {String} name     transition name
      * @param {*} context       context object
      * @param {String} button   button name
@@ -622,77 +655,84 @@ export class Process {
 
         ensureInitialized(this);
 
-        const storage = this[secret];
-
-        const transition = this.getTransition(name);
+        let transition;
+        try
+        {
+            transition = this.getTransition(name, context);
+        }
+        catch (e)
+        {
+            if (e instanceof TransitionDeniedError)
+            {
+                return Promise.reject(e);
+            }
+            throw e;
+        }
         //console.log("TRANSITION", transition);
 
         const { confirmation } = transition;
 
         if (confirmation)
         {
-            const message = confirmation(context);
+            const result = confirmation(context);
 
-            if (message && !confirm(message))
+            if (result)
             {
-                return Promise.resolve(null);
+                return Promise.resolve(result)
+                    .then(confirmation => confirmation ? openConfirmation(confirmation) : undefined)
+                    .then(
+                        confirmationButton => {
+                            if (confirmationButton === null)
+                            {
+                                return null;
+                            }
+                            return runTransition(this, name, transition, context, button, confirmationButton || null);
+                        }
+                    );
             }
         }
 
-        return (
-            Promise.resolve(
-                executeTransition(name, transition.action, transition.to, context, button)
-            )
-                .then(transition => {
-
-                    //console.log("TRANSITION END", "transition = ", transition);
-
-                    const { historyIndex } = transition;
-                    if (historyIndex >= 0)
-                    {
-                        //console.log("RESTORE HISTORY", historyIndex);
-                        resetHistoryTo(historyIndex);
-                        return false;
-                    }
-                    else
-                    {
-                        // --> transition
-
-                        const { target, isRecorded } = transition;
-
-                        const prevState = storage.currentState;
-
-                        const nextState = target || prevState;
-                        if (prevState !== nextState)
-                        {
-                            storage.currentState = nextState;
-                        }
-                        updateEffects(this, prevState, nextState);
+        return runTransition(this, name, transition, context, button, null);
+    }
 
-                        if (isRecorded)
-                        {
-                            pushProcessState();
 
-                            //console.log(this.name, ": Changes after transition to  -> ", nextState, this[secret].history.changes)
-                        }
-                    }
+    /**
+     * Returns the transition with the given name from the current state map after checking its `roles` and `guard`
+     * with the given context.
+     *
+     * @param {String} name     transition name
+     * @param {*} [context]     context object
+     *
+     * @return {Object} transition entry
+     *
+     * @throws {TransitionDeniedError} if the `roles` or the `guard` of the transition deny it
+     */
+    getTransition(name, context)
+    {
+        const transition = this.lookupTransition(name);
 
-                    return render(
-                        renderCurrentView()
-                    )
-                },
-                    err => console.error("ERROR IN TRANSITION '" + name + "'", err)
-                )
-        );
+        const denial = getTransitionDenial(transition, context);
+        if (denial)
+        {
+            throw new TransitionDeniedError(
+                "Transition '" + name + "' denied in process " + this.name + " (" + denial + ")",
+                name,
+                denial
+            );
+        }
+        return transition;
     }
 
 
     /**
-     * Returns the transition with the given name from the current state map
+     * Returns the transition with the given name from the current state map without checking its `roles` and `guard`.
+     * Meant for inspecting transitions, e.g. to render buttons for denied transitions disabled.
+     *
+     * @param {String} name     transition name
      *
-     * @return {Object} transition entry or null if there is no such transition
+     * @return {Object} transition entry
      */
-    getTransition(name)
+    lookupTransition(name)
     {
         const { transitionMaps, currentState } = this[secret];
 
@@ -704,6 +744,80 @@ export class Process {
         return transition;
     }
 
+
+    /**
+     * Returns true if the `roles` and the `guard` of the transition with the given name allow its execution with the
+     * given context.
+     *
+     * @param {String} name     transition name
+     * @param {*} [context]     context object
+     *
+     * @return {boolean} true if the transition is allowed
+     */
+    isTransitionAllowed(name, context)
+    {
+        return getTransitionDenial(this.lookupTransition(name), context) === null;
+    }
+
+
+    /**
+     * Walks all view states reachable from the initial and the current state of the process and returns a graph
+     * model of the process state machine. Transitions that set their target at runtime have no static target and
+     * sub-process calls are only detected for literal process names.
+     *
+     * @return {ProcessGraph} process graph (see processGraphToDOT() and processGraphToMermaid())
+     */
+    getGraph()
+    {
+        ensureInitialized(this);
+
+        const { transitionMaps, initialState, currentState } = this[secret];
+
+        const states = [];
+        const transitions = [];
+
+        const queue = [ initialState, currentState, ... transitionMaps.keys() ];
+        const visited = new Set();
+        while (queue.length)
+        {
+            const state = queue.shift();
+            if (!state || visited.has(state))
+            {
+                continue;
+            }
+            visited.add(state);
+            states.push(state.name);
+
+            let transitionMap = transitionMaps.get(state);
+            if (!transitionMap)
+            {
+                transitionMap = state.createTransitionMap(this);
+                transitionMaps.set(state, transitionMap);
+            }
+
+            for (let name in transitionMap)
+            {
+                if (transitionMap.hasOwnProperty(name))
+                {
+                    const entry = transitionMap[name];
+                    const { to, action } = entry;
+
+                    transitions.push(
+                        createGraphTransition(state.name, name, to ? to.name : null, entry, action)
+                    );
+                    queue.push(to);
+                }
+            }
+        }
+
+        return {
+            name: this.name,
+            initialState: initialState ? initialState.name : null,
+            states,
+            transitions
+        };
+    }
+
     addProcessEffect(fn)
     {
         addEffect(this, null,{
@@ -757,6 +871,11 @@ export class Process {
 
         //console.log("runSubProcess", opts);
 
+        if (headlessRunner)
+        {
+            return headlessRunner.runSubProcess(this, processName, input, opts);
+        }
+
         const historyId = this.getCurrentHistoryId();
 
         // create new promise that will resolve when the sub-process ends
@@ -1002,6 +1121,98 @@ function prepareMobXAction(storage, name, actionFn)
     return mobxAction;
 }
 
+/**
+ * Executes the given transition after it was confirmed and renders the resulting view.
+ *
+ * @param {Process} process                 process
+ * @param {String} name                     transition name
+ * @param {Object} transition               transition entry
+ * @param {*} context                       context object
+ * @param {String} button                   button name
+ * @param {String} confirmationButton       name of the button chosen in the confirmation dialog or null
+ *
+ * @return {Promise<any | never>}
+ */
+function runTransition(process, name, transition, context, button, confirmationButton)
+{
+    const storage = process[secret];
+
+    return (
+        Promise.resolve(
+            executeTransition(name, transition.action, transition.to, context, button, confirmationButton)
+        )
+            .then(transition => {
+
+                //console.log("TRANSITION END", "transition = ", transition);
+
+                const { historyIndex } = transition;
+                if (historyIndex >= 0)
+                {
+                    //console.log("RESTORE HISTORY", historyIndex);
+                    resetHistoryTo(historyIndex);
+                    return false;
+                }
+                else
+                {
+                    // --> transition
+
+                    const { target, isRecorded } = transition;
+
+                    const prevState = storage.currentState;
+
+                    const nextState = target || prevState;
+                    if (prevState !== nextState)
+                    {
+                        storage.currentState = nextState;
+                    }
+                    updateEffects(process, prevState, nextState);
+
+                    if (isRecorded)
+                    {
+                        pushProcessState();
+
+                        //console.log(process.name, ": Changes after transition to  -> ", nextState, storage.history.changes)
+                    }
+                }
+
+                if (headlessRunner)
+                {
+                    return true;
+                }
+
+                return render(
+                    renderCurrentView()
+                )
+            },
+                err => {
+                    if (headlessRunner)
+                    {
+                        return Promise.reject(err);
+                    }
+                    console.error("ERROR IN TRANSITION '" + name + "'", err);
+                }
+            )
+    );
+}
+
+
+/**
+ * Asks for the given transition confirmation with a modal dialog or with the runner of a headless run.
+ *
+ * @param {String|Object} confirmation      confirmation
+ *
+ * @return {Promise<String|null>} resolves to the name of the chosen button or to `null` if the user canceled.
+ */
+function openConfirmation(confirmation)
+{
+    if (headlessRunner)
+    {
+        return Promise.resolve(headlessRunner.confirm(confirmation));
+    }
+    return openConfirmationDialog(confirmation);
+}
+
+
 /**
  * Executes the given transition action function
  *
@@ -1010,9 +1221,10 @@ function prepareMobXAction(storage, name, actionFn)
  * @param {ViewState} [target]              transition target
  * @param {object} [context]                domain object context
  * @param {String} [button]                 button name                    
+ * @param {String} [confirmationButton]     name of the button chosen in the confirmation dialog
  * @return {Promise<Transition| never>}     Resolves to the transition object
  */
-function executeTransition(name, actionFn, target, context, button)
+function executeTransition(name, actionFn, target, context, button, confirmationButton = null)
 {
     //console.log("executeTransition", {name, actionFn, target, context});
 
@@ -1025,7 +1237,8 @@ function executeTransition(name, actionFn, target, context, button)
         sourceState,
         target,
         context,
-        button
+        button,
+        confirmationButton
     );
 
     const mobxAction = actionFn && prepareMobXAction(storage, sourceState.name + "." + name, actionFn);
@@ -1254,6 +1467,11 @@ const renderRestoredView = action(
 
         currentProcess[secret].currentState = nextState;
 
+        if (headlessRunner)
+        {
+            return Promise.resolve();
+        }
+
         return render(
             renderCurrentView()
         );
@@ -1290,6 +1508,114 @@ function logHistory()
 }
 
 
+/**
+ * Returns the URI for the given process and state including the URL-bound scope fields of the process.
+ *
+ * @param {Process} process         process
+ * @param {ViewState} state         current view state
+ *
+ * @return {String} URI
+ */
+function getProcessURI(process, state)
+{
+    return uri(
+        "/{appName}/{processName}/{stateName}/{info}",
+        {
+            appName: config.appName,
+            processName: process.name,
+            stateName: state.name,
+            info: getURIInfo(),
+            ... encodeURLFields(process)
+        }, true
+    );
+}
+
+
+/**
+ * Restores the URL-bound scope fields of the given root process if the current location is a URL of that process.
+ *
+ * @param {Process} process     process
+ *
+ * @return {Promise} resolves when the fields are restored
+ */
+function restoreURLFieldsFromLocation(process)
+{
+    const { history } = config;
+    if (!history || !getURLFieldNames(process).length)
+    {
+        return Promise.resolve();
+    }
+
+    const { pathname, search } = history.location;
+    const base = "/" + config.appName + "/" + process.name;
+    if (pathname !== base && pathname.indexOf(base + "/") !== 0)
+    {
+        return Promise.resolve();
+    }
+
+    const processHistory = process[secret].history;
+
+    // the restored values are the starting point of the process history
+    processHistory.isRecording = false;
+
+    let promise;
+    try
+    {
+        promise = action(
+            "restoreURLFields",
+            () => restoreURLFields(process, searchParams(search))
+        )();
+    }
+    catch (e)
+    {
+        processHistory.isRecording = true;
+        throw e;
+    }
+
+    // InteractiveQuery fields are only updated when their promises resolve
+    return promise.then(
+        () => {
+            processHistory.isRecording = true;
+        },
+        err => {
+            processHistory.isRecording = true;
+            throw err;
+        }
+    );
+}
+
+
+/**
+ * Registers a process effect that keeps the URL of the current history entry in sync with the URL-bound scope fields,
+ * e.g. when the user changes the page of a bound InteractiveQuery.
+ *
+ * @param {Process} process     process
+ */
+function registerURLFieldSync(process)
+{
+    if (!config.history || !getURLFieldNames(process).length)
+    {
+        return;
+    }
+
+    process.addProcessEffect(
+        () => reaction(
+            () => JSON.stringify(encodeURLFields(process)),
+            () => {
+                if (currentProcess === process)
+                {
+                    const { history } = config;
+                    history.replace(
+                        getProcessURI(process, process[secret].currentState),
+                        history.location.state
+                    );
+                }
+            }
+        )
+    );
+}
+
+
 function pushProcessState(replace = false)
 {
     const { id, currentState, history } = currentProcess[secret];
@@ -1358,20 +1684,17 @@ function pushProcessState(replace = false)
 
     config.logHistory && logHistory();
 
+    if (headlessRunner)
+    {
+        return;
+    }
+
     const op = replace ? "replace" : "push";
 
     //console.log("pushProcessState", op);
 
     config.history[op](
-        uri(
-            "/{appName}/{processName}/{stateName}/{info}",
-            {
-                appName: config.appName,
-                processName: currentProcess.name,
-                stateName: currentState.name,
-                info: getURIInfo()
-            }, true
-        ), {
+        getProcessURI(currentProcess, currentState), {
             navigationId
         }
     );
@@ -1480,122 +1803,149 @@ function renderProcessInternal(processName, input, injections, asSubProcess, pro
 {
     return processImporter(processName)
         .then(
-            module => {
-                let process;
+            module => startProcess(module, processName, input, injections, asSubProcess, processOpts)
+        )
+}
 
-                // const entry = processDefinitions[processName];
-                // if (!entry)
-                // {
-                //     throw new Error("Could not find process '" + processName + "'");
-                // }
-                //console.log("PROCESS-ENTRY", entry);
 
+/**
+ * Starts the given process module.
+ *
+ * @param {Object} module           process module ( with `initProcess` function and scope class as default export )
+ * @param {String} processName      process name
+ * @param {object} input            input map
+ * @param {object} injections       injections maps
+ * @param {boolean} asSubProcess    launch process as sub-process
+ * @param {Object} processOpts      options for (sub)process
+ * @return {Promise<React.Element|Process>} elements of the first view or the started process for headless runs
+ */
+function startProcess(module, processName, input, injections, asSubProcess, processOpts)
+{
+    let process;
 
-                const { initProcess, default: ScopeClass } = module;
+    // const entry = processDefinitions[processName];
+    // if (!entry)
+    // {
+    //     throw new Error("Could not find process '" + processName + "'");
+    // }
+    //console.log("PROCESS-ENTRY", entry);
 
-                const prevProcess = currentProcess;
-                const noPriorProcess = !prevProcess;
-                if (noPriorProcess)
-                {
-                    if (asSubProcess)
-                    {
-                        throw new Error("Cannot launch sub-process without root process");
-                    }
-                    config.rootProcess = processName;
-                }
 
-                process = new Process(
-                    processIdCounter++,
-                    processName,
-                    input,
-                    asSubProcess ? currentProcess : null,
-                    processOpts
-                );
-                processes.push(process);
+    const { initProcess, default: ScopeClass } = module;
 
-                currentProcess = process;
+    const prevProcess = currentProcess;
+    const noPriorProcess = !prevProcess;
+    if (noPriorProcess)
+    {
+        if (asSubProcess)
+        {
+            throw new Error("Cannot launch sub-process without root process");
+        }
+        config.rootProcess = processName;
+    }
 
-                let scope;
-                if (ScopeClass)
-                {
-                    scope = new ScopeClass();
-                    inject(scope, injections);
-                }
-                else
-                {
-                    scope = null;
-                }
+    process = new Process(
+        processIdCounter++,
+        processName,
+        input,
+        asSubProcess ? currentProcess : null,
+        processOpts
+    );
+    processes.push(process);
 
+    currentProcess = process;
 
-                const storage = process[secret];
-                storage.scope = scope
+    let scope;
+    if (ScopeClass)
+    {
+        scope = new ScopeClass();
+        inject(scope, injections);
+    }
+    else
+    {
+        scope = null;
+    }
 
-                return Promise.resolve(
-                        initProcess(process, scope)
-                    )
-                    .then(
-                        (startState) => {
 
-                            if (process.options.forceSubProcess && !asSubProcess)
-                            {
-                                throw new Error("Process '" + process.name + "' must be run as sub-process");
-                            }
+    const storage = process[secret];
+    storage.scope = scope
 
-                            finishInitialization(process);
+    return Promise.resolve(
+            initProcess(process, scope)
+        )
+        .then(
+            (startState) => {
 
-                            const startTransitionName = process.name + ".start";
-                            return executeTransition(startTransitionName, null, startState, null, null);
-                        }
-                    )
-                    .then(
-                        transition => {
+                if (process.options.forceSubProcess && !asSubProcess)
+                {
+                    throw new Error("Process '" + process.name + "' must be run as sub-process");
+                }
 
-                            //console.log("START TRANSITION", transition);
+                finishInitialization(process);
 
-                            const { target } = transition;
+                return (
+                    asSubProcess ? Promise.resolve() : restoreURLFieldsFromLocation(process)
+                ).then(
+                    () => {
+                        registerURLFieldSync(process);
 
-                            if (!target)
-                            {
-                                throw new Error("No initial state");
-                            }
+                        const startTransitionName = process.name + ".start";
+                        return executeTransition(startTransitionName, null, startState, null, null);
+                    }
+                );
+            }
+        )
+        .then(
+            transition => {
 
-                            if (prevProcess && !asSubProcess)
-                            {
-                                let process = prevProcess;
-                                do
-                                {
-                                    unregisterProcessEffects(process);
-                                    updateEffects(process, process.currentState, null);
-
-                                    process = process[secret].parent;
-                                } while (process);
-                            }
-                            registerProcessEffects(currentProcess);
+                //console.log("START TRANSITION", transition);
 
-                            storage.currentState = target;
+                const { target } = transition;
 
-                            updateEffects(process, null, storage.currentState);
+                if (!target)
+                {
+                    throw new Error("No initial state");
+                }
 
-                            pushProcessState(noPriorProcess);
+                if (prevProcess && !asSubProcess)
+                {
+                    let process = prevProcess;
+                    do
+                    {
+                        unregisterProcessEffects(process);
+                        updateEffects(process, process.currentState, null);
 
-                            return renderCurrentView();
-                        },
-                        err => {
+                        process = process[secret].parent;
+                    } while (process);
+                }
+                registerProcessEffects(currentProcess);
 
-                            console.error("ERROR IN START PROCESS", err);
+                storage.currentState = target;
+                storage.initialState = target;
 
-                            return (
-                                <ErrorView
-                                    title={ i18n("Process Startup Error ") }
-                                    info={ String(err) }
-                                />
-                            );
-                        }
-                    )
+                updateEffects(process, null, storage.currentState);
+
+                pushProcessState(noPriorProcess);
+
+                return headlessRunner ? process : renderCurrentView();
+            },
+            err => {
+
+                if (headlessRunner)
+                {
+                    return Promise.reject(err);
+                }
+
+                console.error("ERROR IN START PROCESS", err);
 
+                return (
+                    <ErrorView
+                        title={ i18n("Process Startup Error ") }
+                        info={ String(err) }
+                    />
+                );
             }
         )
-
 }
 
 /**
@@ -1642,6 +1992,67 @@ export function getCurrentProcess()
 }
 
 
+/**
+ * Internal function to start the given process module as root process of a headless run. Headless processes don't
+ * render and don't navigate the browser history. Their confirmations and sub-process calls are delegated to the given
+ * runner.
+ *
+ * @param {Object} runner                       headless runner
+ * @param {Function} runner.confirm             called with the confirmation of a transition. Must return the chosen
+ *                                              button name or `null` or a promise resolving to either.
+ * @param {Function} runner.runSubProcess       called with the process, the process name, the input and the options
+ *                                              of a sub-process call. Must return a promise resolving to the sub-process
+ *                                              output.
+ * @param {Object} module                       process module
+ * @param {String} processName                  process name
+ * @param {object} input                        input map
+ * @param {object} injections                   injections map
+ *
+ * @return {Promise<Process>} resolves to the started process
+ */
+export function startHeadlessProcess(runner, module, processName, input, injections)
+{
+    stopHeadlessProcess();
+    resetProcesses();
+
+    headlessRunner = runner;
+
+    return startProcess(module, processName, input, injections, false, null);
+}
+
+
+/**
+ * Internal function to end the current headless run. Unregisters the effects of all processes of the run.
+ */
+export function stopHeadlessProcess()
+{
+    if (!headlessRunner)
+    {
+        return;
+    }
+
+    processes.forEach(
+        process => {
+            unregisterProcessEffects(process);
+            updateEffects(process, process[secret].currentState, null);
+        }
+    );
+
+    headlessRunner = null;
+    resetProcesses();
+}
+
+
+function resetProcesses()
+{
+    currentProcess = null;
+    processes = [];
+    processIdCounter = 0;
+    processHistory = [];
+    currentHistoryPos = -1;
+}
+
+
 /**
  * Internal test function to set a mocked process object as current process.
  *
@@ -1715,6 +2126,16 @@ export function findBackStateIndex(n)
 }
 
 
+/**
+ * Asks the user to confirm discarding the changes of the current process if it is dirty. Uses the blocking
+ * `window.confirm()`. See confirmDestructiveTransitionAsync() for a version using a modal dialog.
+ *
+ * @category process
+ *
+ * @param {String} [msg]    message to confirm
+ *
+ * @return {boolean} true if the process is not dirty or the user confirmed
+ */
 export function confirmDestructiveTransition(msg = i18n("Delete Dirty Changes?"))
 {
     if (currentProcess.isDirty)
@@ -1723,3 +2144,23 @@ export function confirmDestructiveTransition(msg = i18n("Delete Dirty Changes?")
     }
     return true
 }
+
+
+/**
+ * Asks the user to confirm discarding the changes of the current process with a modal confirmation dialog if the
+ * process is dirty.
+ *
+ * @category process
+ *
+ * @param {String|Object} [confirmation]    message to confirm or options object for openConfirmationDialog()
+ *
+ * @return {Promise<boolean>} resolves to true if the process is not dirty or the user confirmed
+ */
+export function confirmDestructiveTransitionAsync(confirmation = i18n("Delete Dirty Changes?"))
+{
+    if (currentProcess && currentProcess.isDirty)
+    {
+        return openConfirmationDialog(confirmation).then(button => button !== null);
+    }
+    return Promise.resolve(true)
+}
@@ -8,7 +8,7 @@ const secret = Symbol("TransitionSecret");
  * Encapsulates a runtime transition within a process.
  */
 export default class Transition {
-    constructor(process, source, target, context, button)
+    constructor(process, source, target, context, button, confirmationButton = null)
     {
         this[secret] = {
             process,
@@ -16,7 +16,8 @@ export default class Transition {
             target,
             context,
             historyIndex: -1,
-            button
+            button,
+            confirmationButton
         };
 
         this.isRecorded = null;
@@ -70,6 +71,17 @@ export default class Transition {
     }
 
 
+    /**
+     * Name of the button the user chose in the confirmation dialog of the transition.
+     *
+     * @return {String} button name or null if the transition has no confirmation
+     */
+    get confirmationButton()
+    {
+        return this[secret].confirmationButton;
+    }
+
+
     /**
      * Returns the current target state
      *
@@ -0,0 +1,26 @@
+/**
+ * Error thrown by Process.getTransition() when the roles or the guard of a transition deny its execution.
+ * process.transition() rejects its promise with it.
+ */
+export default class TransitionDeniedError extends Error {
+
+    /**
+     * Name of the denied transition
+     * @type {String}
+     */
+    transition;
+
+    /**
+     * Reason for the denial ( see TransitionDenial )
+     * @type {String}
+     */
+    reason;
+
+    constructor(message, transition, reason)
+    {
+        super(message);
+        this.name = "TransitionDeniedError";
+        this.transition = transition;
+        this.reason = reason;
+    }
+}
@@ -0,0 +1,270 @@
+import config from "../config";
+import { startHeadlessProcess, stopHeadlessProcess } from "./Process";
+
+
+/**
+ * Creates a GraphQL transport answering requests from the given mock map.
+ *
+ * @param {Object} mock     map of GraphQL method names to result values or to functions receiving the variables
+ *                          (in wire format) and returning the result value.
+ *
+ * @return {function(*): Promise<{data, errors}>} transport
+ */
+function createMockTransport(mock)
+{
+    return request => {
+
+        const { methodCalls, aliases } = request.query.getQueryDefinition();
+
+        const data = {};
+        for (let i = 0; i < methodCalls.length; i++)
+        {
+            const callName = methodCalls[i];
+            const methodName = aliases ? aliases[callName] || callName : callName;
+
+            const entry = mock[methodName];
+            if (entry === undefined)
+            {
+                return Promise.resolve({
+                    errors: [{ message: "No mock result for GraphQL method '" + methodName + "'" }]
+                });
+            }
+
+            data[callName] = typeof entry === "function" ? entry(request.variables) : entry;
+        }
+
+        return Promise.resolve({ data });
+    };
+}
+
+
+/**
+ * Sub-process call captured by a process test harness.
+ *
+ * @typedef SubProcessCall
+ * @type {object}
+ * @property {String} processName   name of the sub-process
+ * @property {Object} input         input for the sub-process
+ * @property {Object} opts          sub-process options
+ * @property {boolean} settled      true if the call was ended or aborted
+ */
+
+/**
+ * Runs a single process without React and without browser history. Created by createProcessTestHarness()
+ */
+class ProcessTestHarness
+{
+    /**
+     * Process running in the harness
+     * @type {Process}
+     */
+    process = null;
+
+    /**
+     * Sub-process calls captured so far
+     * @type {Array<SubProcessCall>}
+     */
+    subProcessCalls = [];
+
+    /**
+     * Confirmations asked for so far
+     * @type {Array<*>}
+     */
+    confirmations = [];
+
+    constructor(confirm, graphqlMock)
+    {
+        this.confirmFn = confirm;
+        this.pendingCalls = [];
+
+        this.prevTransport = config.graphqlTransport;
+        if (graphqlMock)
+        {
+            config.graphqlTransport = typeof graphqlMock === "function" ? graphqlMock : createMockTransport(graphqlMock);
+        }
+    }
+
+
+    /**
+     * Scope of the process
+     *
+     * @return {Object} scope
+     */
+    get scope()
+    {
+        return this.process.scope;
+    }
+
+
+    /**
+     * Name of the current state of the process
+     *
+     * @return {String} state name
+     */
+    get currentState()
+    {
+        return this.process.currentState.name;
+    }
+
+
+    /**
+     * Currently pending sub-process call or null
+     *
+     * @return {?SubProcessCall} sub-process call
+     */
+    get pendingSubProcess()
+    {
+        const { pendingCalls } = this;
+        return pendingCalls.length ? pendingCalls[pendingCalls.length - 1].call : null;
+    }
+
+
+    /**
+     * Executes the transition with the given name. Confirmations are answered by the `confirm` option of the harness.
+     *
+     * @param {String} name         transition name
+     * @param {*} [context]         context object
+     * @param {String} [button]     button name
+     *
+     * @return {Promise} resolves when the transition is done and rejects with errors thrown by the transition action.
+     */
+    transition(name, context, button)
+    {
+        return this.process.transition(name, context, button);
+    }
+
+
+    /**
+     * Returns true if the `roles` and the `guard` of the transition with the given name allow the transition.
+     *
+     * @param {String} name     transition name
+     * @param {*} [context]     context object
+     *
+     * @return {boolean} true if the transition is allowed
+     */
+    isTransitionAllowed(name, context)
+    {
+        return this.process.isTransitionAllowed(name, context);
+    }
+
+
+    /**
+     * Ends the pending sub-process call successfully with the given output.
+     *
+     * @param {*} [output]      sub-process output
+     */
+    endSubProcess(output)
+    {
+        this.settleSubProcess().resolve(output);
+    }
+
+
+    /**
+     * Aborts the pending sub-process call with the given error.
+     *
+     * @param {*} [err]     error object
+     */
+    abortSubProcess(err)
+    {
+        this.settleSubProcess().reject(err);
+    }
+
+
+    /**
+     * Ends the harness run and restores the GraphQL transport.
+     */
+    dispose()
+    {
+        stopHeadlessProcess();
+        config.graphqlTransport = this.prevTransport;
+    }
+
+
+    settleSubProcess()
+    {
+        const pending = this.pendingCalls.pop();
+        if (!pending)
+        {
+            throw new Error("No pending sub-process call");
+        }
+        pending.call.settled = true;
+        return pending;
+    }
+
+
+    confirm(confirmation)
+    {
+        this.confirmations.push(confirmation);
+        return this.confirmFn(confirmation);
+    }
+
+
+    runSubProcess(process, processName, input, opts)
+    {
+        const call = {
+            processName,
+            input,
+            opts,
+            settled: false
+        };
+
+        this.subProcessCalls.push(call);
+
+        return new Promise(
+            (resolve, reject) => this.pendingCalls.push({ call, resolve, reject })
+        );
+    }
+}
+
+
+/**
+ * Starts the given process module headless for testing: The process runs without React, without browser history and
+ * without fetching its injections from the server.
+ *
+ * Sub-process calls are captured as `subProcessCalls` of the harness and are resolved with `endSubProcess()` or
+ * `abortSubProcess()` of the harness.
+ *
+ * @category process
+ *
+ * @param {Object} processModule                module of the process ( with `initProcess` function and scope class as
+ *                                              default export )
+ * @param {Object} [opts]                       options
+ * @param {String} [opts.name]                  process name, default is "TestProcess"
+ * @param {Object} [opts.input]                 process input
+ * @param {Object} [opts.injections]            map of the GraphQL query documents of the scope queries to their raw
+ *                                              results, as the server would inject them
+ * @param {Function|Object} [opts.graphqlMock]  GraphQL transport to use while the harness runs ( see
+ *                                              config.graphqlTransport ) or a map of GraphQL method names to result
+ *                                              values or to functions receiving the variables and returning the result
+ * @param {Function} [opts.confirm]             called with the confirmations of transitions. Must return the name of
+ *                                              the chosen button or `null` to cancel. Default is to choose "ok".
+ *
+ * @return {Promise<ProcessTestHarness>} resolves to the harness once the process is in its initial state
+ */
+export default function createProcessTestHarness(processModule, opts = {})
+{
+    const {
+        name = "TestProcess",
+        input = {},
+        injections = {},
+        graphqlMock = null,
+        confirm = () => "ok"
+    } = opts;
+
+    const harness = new ProcessTestHarness(confirm, graphqlMock);
+
+    return Promise.resolve()
+        .then(
+            () => startHeadlessProcess(harness, processModule, name, input, injections)
+        )
+        .then(
+            process => {
+                harness.process = process;
+                return harness;
+            },
+            err => {
+                harness.dispose();
+                return Promise.reject(err);
+            }
+        );
+}
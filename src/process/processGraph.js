@@ -0,0 +1,216 @@
+/**
+ * Graph model of a process state machine.
+ *
+ * @typedef ProcessGraph
+ * @type {object}
+ * @property {String} name                              process name
+ * @property {?String} initialState                     name of the initial state or null if unknown
+ * @property {Array<String>} states                     names of all states
+ * @property {Array<ProcessGraphTransition>} transitions   transitions between the states
+ */
+
+/**
+ * Transition within a process graph.
+ *
+ * @typedef ProcessGraphTransition
+ * @type {object}
+ * @property {String} name                  transition name
+ * @property {String} source                name of the source state
+ * @property {?String} target               name of the target state or null if the transition has no static target
+ * @property {boolean} discard              true if the transition discards changes
+ * @property {boolean} confirmation         true if the transition has a confirmation
+ * @property {boolean} guard                true if the transition has a guard function
+ * @property {?Array<String>} roles         roles allowed to execute the transition or null
+ * @property {Array<String>} subProcesses   names of the sub-processes the transition action runs
+ */
+
+const SUB_PROCESS_RE = /runSubProcess\(\s*(["'`])([^"'`]+)\1/g;
+
+
+/**
+ * Finds the sub-process calls ( `process.runSubProcess("Name", ...)` with a literal process name ) in the given action
+ * source code.
+ *
+ * @param {String|Function} code    action source code or action function
+ *
+ * @return {Array<String>} names of the sub-processes called
+ */
+export function findSubProcessCalls(code)
+{
+    if (!code)
+    {
+        return [];
+    }
+
+    const source = String(code);
+    const names = [];
+
+    let m;
+    SUB_PROCESS_RE.lastIndex = 0;
+    while ((m = SUB_PROCESS_RE.exec(source)))
+    {
+        const name = m[2];
+        if (names.indexOf(name) < 0)
+        {
+            names.push(name);
+        }
+    }
+    return names;
+}
+
+
+/**
+ * Creates a transition for a process graph.
+ *
+ * @param {String} source           name of the source state
+ * @param {String} name             transition name
+ * @param {?String} target          name of the target state or null
+ * @param {Object} entry            transition map entry or transition model
+ * @param {String|Function} code    action source code or action function
+ *
+ * @return {ProcessGraphTransition} graph transition
+ */
+export function createGraphTransition(source, name, target, entry, code)
+{
+    const { discard, confirmation, guard, roles } = entry;
+
+    return {
+        name,
+        source,
+        target: target || null,
+        discard: !!discard,
+        confirmation: !!confirmation,
+        guard: !!guard,
+        roles: roles && roles.length ? roles.slice() : null,
+        subProcesses: findSubProcessCalls(code)
+    };
+}
+
+
+function quoteDOT(s)
+{
+    return "\"" + s.replace(/\\/g, "\\\\").replace(/"/g, "\\\"") + "\"";
+}
+
+
+function getSubProcesses(graph)
+{
+    const names = [];
+    graph.transitions.forEach(
+        ({ subProcesses }) => subProcesses.forEach(
+            name => names.indexOf(name) < 0 && names.push(name)
+        )
+    );
+    return names;
+}
+
+
+function isRestricted(transition)
+{
+    return transition.guard || !!transition.roles;
+}
+
+
+/**
+ * Renders the given process graph as Graphviz DOT source. Transitions without a static target are drawn as loops,
+ * transitions restricted by roles or guards are dashed and sub-process calls are dotted edges to box nodes.
+ *
+ * @param {ProcessGraph} graph      process graph
+ *
+ * @return {String} DOT source
+ */
+export function processGraphToDOT(graph)
+{
+    const { name, initialState, states, transitions } = graph;
+
+    let out = "digraph " + quoteDOT(name) + " {\n";
+
+    if (initialState)
+    {
+        out += "    \"__start\" [shape=point];\n";
+        out += "    \"__start\" -> " + quoteDOT(initialState) + ";\n";
+    }
+
+    states.forEach(
+        state => out += "    " + quoteDOT(state) + ";\n"
+    );
+
+    getSubProcesses(graph).forEach(
+        subProcess => out += "    " + quoteDOT("process:" + subProcess) + " [shape=box, label=" + quoteDOT(subProcess) + "];\n"
+    );
+
+    transitions.forEach(
+        transition => {
+            const { name, source, target, subProcesses } = transition;
+
+            out += "    " + quoteDOT(source) + " -> " + quoteDOT(target || source) +
+                   " [label=" + quoteDOT(name) + (isRestricted(transition) ? ", style=dashed" : "") + "];\n";
+
+            subProcesses.forEach(
+                subProcess => out += "    " + quoteDOT(source) + " -> " + quoteDOT("process:" + subProcess) +
+                                     " [label=" + quoteDOT(name) + ", style=dotted];\n"
+            );
+        }
+    );
+
+    return out + "}\n";
+}
+
+
+function mermaidId(name)
+{
+    return name.replace(/[^A-Za-z0-9_]/g, "_");
+}
+
+
+function mermaidLabel(s)
+{
+    return s.replace(/[:;"]/g, "_");
+}
+
+
+/**
+ * Renders the given process graph as Mermaid state diagram. Transitions without a static target are drawn as loops and
+ * sub-process calls as transitions to a "process" state.
+ *
+ * @param {ProcessGraph} graph      process graph
+ *
+ * @return {String} Mermaid source
+ */
+export function processGraphToMermaid(graph)
+{
+    const { initialState, states, transitions } = graph;
+
+    let out = "stateDiagram-v2\n";
+
+    states.forEach(
+        state => {
+            const id = mermaidId(state);
+            out += id !== state ?
+                "    state \"" + mermaidLabel(state) + "\" as " + id + "\n" :
+                "    " + id + "\n";
+        }
+    );
+
+    getSubProcesses(graph).forEach(
+        subProcess => out += "    state \"" + mermaidLabel(subProcess) + " (process)\" as process_" + mermaidId(subProcess) + "\n"
+    );
+
+    if (initialState)
+    {
+        out += "    [*] --> " + mermaidId(initialState) + "\n";
+    }
+
+    transitions.forEach(
+        ({ name, source, target, subProcesses }) => {
+            out += "    " + mermaidId(source) + " --> " + mermaidId(target || source) + " : " + mermaidLabel(name) + "\n";
+
+            subProcesses.forEach(
+                subProcess => out += "    " + mermaidId(source) + " --> process_" + mermaidId(subProcess) + " : " +
+                                     mermaidLabel(name) + "\n"
+            );
+        }
+    );
+
+    return out;
+}
@@ -2,7 +2,7 @@ import {
     fetchProcessInjections,
     renderProcess,
     ErrorView,
-    confirmDestructiveTransition,
+    confirmDestructiveTransitionAsync,
     findProcessScopeWithWorkingSet, getCurrentProcess
 } from "./Process"
 import config from "../config";
@@ -126,39 +126,43 @@ export function runProcessURI(uri)
  */
 export default function runProcess(processName, input) {
 
-    if (!confirmDestructiveTransition())
-    {
-        return Promise.reject(
-            new Error(
-                i18n("User canceled")
-            )
-        )
-    }
+    return confirmDestructiveTransitionAsync().then(
+        confirmed => {
 
+            if (!confirmed)
+            {
+                return Promise.reject(
+                    new Error(
+                        i18n("User canceled")
+                    )
+                )
+            }
 
-    // XXX: We need to clear our errors as a makeshift solution for the problem that we might start a new process while
-    //      there is an error. The process is technically not dead because the user can navigate via browser history
-    //      To leave everything in the best possible state, we undo working set changes after the user has agreed to the
-    //      data loss and remove all form errors. The user changes are in fact lost now and errors that may still exist
-    //      independent of the working set will be rediscovered on revalidate() *if* the user should ever return
+            // XXX: We need to clear our errors as a makeshift solution for the problem that we might start a new process while
+            //      there is an error. The process is technically not dead because the user can navigate via browser history
+            //      To leave everything in the best possible state, we undo working set changes after the user has agreed to the
+            //      data loss and remove all form errors. The user changes are in fact lost now and errors that may still exist
+            //      independent of the working set will be rediscovered on revalidate() *if* the user should ever return
 
-    const scope = findProcessScopeWithWorkingSet(getCurrentProcess())
-    if (scope && scope.workingSet)
-    {
-        scope.workingSet.undo()
-    }
-    FormContext.getDefault().removeAllErrors()
-
-    return fetchProcessInjections(config.appName, processName, input)
-        .then(
-            ({input, injections}) =>
-                renderProcess(
-                    processName,
-                    input,
-                    injections
-            )
-        , err => <ErrorView title="Error running Process" info={ err } />)
-        .then(elem => render(elem))
-        .catch(err => console.error("ERROR RUNNING PROCESS", err))
+            const scope = findProcessScopeWithWorkingSet(getCurrentProcess())
+            if (scope && scope.workingSet)
+            {
+                scope.workingSet.undo()
+            }
+            FormContext.getDefault().removeAllErrors()
+
+            return fetchProcessInjections(config.appName, processName, input)
+                .then(
+                    ({input, injections}) =>
+                        renderProcess(
+                            processName,
+                            input,
+                            injections
+                    )
+                , err => <ErrorView title="Error running Process" info={ err } />)
+                .then(elem => render(elem))
+                .catch(err => console.error("ERROR RUNNING PROCESS", err))
+        }
+    );
 }
 
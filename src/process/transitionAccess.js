@@ -0,0 +1,71 @@
+import config from "../config";
+
+
+/**
+ * Reasons for denying a transition
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const TransitionDenial = {
+    /**
+     * The current user has none of the roles of the transition
+     * @member {string}
+     */
+    ROLES: "roles",
+    /**
+     * The guard function of the transition returned false
+     * @member {string}
+     */
+    GUARD: "guard"
+};
+
+Object.freeze(TransitionDenial);
+
+
+/**
+ * Checks the `roles` and the `guard` of the given transition map entry.
+ *
+ * `roles` is an array of role names of which the current user (`config.auth`) must have at least one. `guard` is a
+ * function receiving the transition context that returns false to deny the transition. It can access the process scope
+ * from the transition map factory.
+ *
+ * @param {Object} entry        transition map entry
+ * @param {*} [context]         transition context
+ *
+ * @return {?String} reason for the denial ( see TransitionDenial ) or null if the transition is allowed
+ */
+export function getTransitionDenial(entry, context)
+{
+    const { roles, guard } = entry;
+
+    if (roles && roles.length)
+    {
+        const { auth } = config;
+        if (!auth || !auth.hasRole(... roles))
+        {
+            return TransitionDenial.ROLES;
+        }
+    }
+
+    if (typeof guard === "function" && !guard(context))
+    {
+        return TransitionDenial.GUARD;
+    }
+
+    return null;
+}
+
+
+/**
+ * Returns true if the roles and the guard of the given transition map entry allow the transition.
+ *
+ * @param {Object} entry        transition map entry
+ * @param {*} [context]         transition context
+ *
+ * @return {boolean} true if the transition is allowed
+ */
+export function isTransitionAllowed(entry, context)
+{
+    return getTransitionDenial(entry, context) === null;
+}
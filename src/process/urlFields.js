@@ -0,0 +1,199 @@
+import { toJS } from "mobx";
+import InteractiveQuery from "../model/InteractiveQuery";
+import { getWireFormat } from "../domain";
+
+
+/**
+ * Prefix of the query parameters scope fields are encoded as
+ */
+export const SCOPE_PARAM_PREFIX = "scope.";
+
+
+/**
+ * Returns the names of the URL-bound scope fields of the given process as declared by the `urlFields` process option.
+ *
+ * If the option is `true`, all scope fields the versioning strategy of the process versions are bound, if it is an
+ * array, the fields with the given names are bound. If it is an object, the fields of its keys are bound with the
+ * GraphQL scalar type names as values.
+ *
+ * @param {Process} process     process
+ *
+ * @return {Array<String>} field names
+ */
+export function getURLFieldNames(process)
+{
+    const { options, scope, versioningStrategy } = process;
+    const { urlFields } = options;
+
+    if (!scope || !urlFields)
+    {
+        return [];
+    }
+
+    if (Array.isArray(urlFields))
+    {
+        return urlFields;
+    }
+
+    if (typeof urlFields === "object")
+    {
+        return Object.keys(urlFields);
+    }
+
+    return Object.keys(scope).filter(name => typeof scope[name] !== "function" && versioningStrategy(name));
+}
+
+
+/**
+ * Returns the GraphQL scalar type declared for the given URL-bound field or null.
+ *
+ * @param {Process} process     process
+ * @param {String} name         field name
+ *
+ * @return {?Object} scalar type reference
+ */
+function getDeclaredType(process, name)
+{
+    const { urlFields } = process.options;
+
+    if (urlFields && typeof urlFields === "object" && !Array.isArray(urlFields) && typeof urlFields[name] === "string")
+    {
+        return {
+            kind: "SCALAR",
+            name: urlFields[name]
+        };
+    }
+    return null;
+}
+
+
+function isJSONScalar(value)
+{
+    return value === null || typeof value === "string" || typeof value === "number" || typeof value === "boolean";
+}
+
+
+/**
+ * Encodes the given scope field value. Returns undefined for values that cannot be encoded.
+ */
+function encodeValue(value, type)
+{
+    if (value instanceof InteractiveQuery)
+    {
+        return JSON.stringify(toJS(value.queryConfig));
+    }
+
+    if (value === undefined)
+    {
+        value = null;
+    }
+
+    if (type)
+    {
+        return JSON.stringify(value === null ? null : getWireFormat().convert(type, value, false));
+    }
+
+    // domain objects and other complex values are not encoded
+    return isJSONScalar(value) ? JSON.stringify(value) : undefined;
+}
+
+
+/**
+ * Encodes the URL-bound scope fields of the given process as query parameters.
+ *
+ * Values are JSON encoded. For InteractiveQuery fields, the current query config (page, sort order and filter) is
+ * encoded. Fields with a declared scalar type are encoded in their wire format, all other fields are only encoded if
+ * they contain a JSON scalar value (e.g. an id).
+ *
+ * @param {Process} process     process
+ *
+ * @return {Object} query parameters map
+ */
+export function encodeURLFields(process)
+{
+    const { scope } = process;
+
+    const params = {};
+    getURLFieldNames(process).forEach(
+        name => {
+            const encoded = encodeValue(scope[name], getDeclaredType(process, name));
+            if (encoded !== undefined)
+            {
+                params[SCOPE_PARAM_PREFIX + name] = encoded;
+            }
+        }
+    );
+    return params;
+}
+
+
+/**
+ * Restores the URL-bound scope fields of the given process from the given query parameters. InteractiveQuery fields
+ * are updated with the encoded query config, fields with a declared scalar type are converted from the wire format.
+ * Other fields are only restored with JSON scalar values.
+ *
+ * Must be called within a mobx action.
+ *
+ * @param {Process} process     process
+ * @param {Object} params       query parameters map
+ *
+ * @return {Promise} resolves when all InteractiveQuery fields are updated
+ */
+export function restoreURLFields(process, params)
+{
+    const { scope } = process;
+
+    const promises = [];
+
+    getURLFieldNames(process).forEach(
+        name => {
+            const encoded = params[SCOPE_PARAM_PREFIX + name];
+            if (encoded === undefined)
+            {
+                return;
+            }
+
+            let value;
+            try
+            {
+                value = JSON.parse(encoded);
+            }
+            catch (e)
+            {
+                console.warn("Invalid URL value for scope field '" + name + "'", encoded);
+                return;
+            }
+
+            const current = scope[name];
+            const type = getDeclaredType(process, name);
+            if (current instanceof InteractiveQuery)
+            {
+                if (value && typeof value === "object")
+                {
+                    promises.push(current.update(value));
+                }
+            }
+            else if (type)
+            {
+                try
+                {
+                    scope[name] = value === null ? null : getWireFormat().convert(type, value, true);
+                }
+                catch (e)
+                {
+                    console.warn("Invalid URL value for scope field '" + name + "'", encoded, e);
+                }
+            }
+            else if (isJSONScalar(value))
+            {
+                scope[name] = value;
+            }
+            else
+            {
+                console.warn("Invalid URL value for scope field '" + name + "'", encoded);
+            }
+        }
+    );
+
+    return Promise.all(promises);
+}
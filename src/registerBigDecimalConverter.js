@@ -7,6 +7,7 @@ import config from "./config";
 import { getWireFormat } from "./domain";
 import { getOutputTypeName, getParentObjectType, unwrapNonNull } from "./util/type-utils";
 import { NO_DEFAULT } from "./registerDateTimeConverters";
+import getLocaleProfile from "./localeProfile";
 
 
 const DEFAULT_OPTIONS = {
@@ -16,12 +17,49 @@ const DEFAULT_OPTIONS = {
 
 };
 
-const DECIMAL_TRIM_REGEX = /(?:,[0 ]*|(,[0-9 ]*?[1-9 ])[0 ]*)$/gm;
 const DECIMAL_TRIM_REPLACER = "$1";
 
+const trimRegExps = new Map();
+
+
+/**
+ * Removes trailing fractional zeros and the decimal separator if there are no fractional digits left.
+ */
+function trimDecimals(formatted, decimalSeparator)
+{
+    let regExp = trimRegExps.get(decimalSeparator);
+    if (!regExp)
+    {
+        const sep = decimalSeparator.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        regExp = new RegExp("(?:" + sep + "[0 ]*|(" + sep + "[0-9 ]*?[1-9 ])[0 ]*)$", "gm");
+        trimRegExps.set(decimalSeparator, regExp);
+    }
+    return formatted.replace(regExp, DECIMAL_TRIM_REPLACER);
+}
+
+
+/**
+ * Returns the BigNumber format for "BigDecimal" values. The decimal and group separators of the current locale profile
+ * override the ones of the global `BigNumber.config().FORMAT`.
+ *
+ * @return {Object} BigNumber format object
+ */
+export function getDecimalFormat()
+{
+    const { decimalSeparator, groupSeparator } = getLocaleProfile();
+    const format = BigNumber.config().FORMAT;
+
+    return {
+        ... format,
+        decimalSeparator: decimalSeparator != null ? decimalSeparator : format.decimalSeparator,
+        groupSeparator: groupSeparator != null ? groupSeparator : format.groupSeparator
+    };
+}
+
+
 function defaultParser(value, opts)
 {
-    const { prefix, groupSeparator, decimalSeparator, fractionGroupSeparator, suffix } = BigNumber.config().FORMAT;
+    const { prefix, groupSeparator, decimalSeparator, fractionGroupSeparator, suffix } = getDecimalFormat();
 
     if (prefix && value.indexOf(prefix) === 0)
     {
@@ -186,10 +224,11 @@ export default function registerBigDecimalConverter(opts) {
             }
 
             const p = getPrecision(ctx, opts);
+            const format = getDecimalFormat();
             if (ctx != null && ctx.padToScale) {
-                return scalar.toFormat(p.scale);
+                return scalar.toFormat(p.scale, format);
             } else {
-                return scalar.toFormat(p.scale).replace(DECIMAL_TRIM_REGEX, DECIMAL_TRIM_REPLACER);
+                return trimDecimals(scalar.toFormat(p.scale, format), format.decimalSeparator);
             }
         },
         value => {
@@ -209,15 +248,18 @@ export default function registerBigDecimalConverter(opts) {
     {
         GlobalConfig.registerStaticRenderer(
             "BigDecimal",
-            bd => (
-                <span className="bd-wrapper">
-                    <span className="bd-inner">{
-                        bd instanceof BigNumber ?
-                            bd.toFormat(getPrecision(null, opts).scale).replace(DECIMAL_TRIM_REGEX, DECIMAL_TRIM_REPLACER) :
-                            bd
-                    }</span>
-                </span>
-            )
+            bd => {
+                const format = getDecimalFormat();
+                return (
+                    <span className="bd-wrapper">
+                        <span className="bd-inner">{
+                            bd instanceof BigNumber ?
+                                trimDecimals(bd.toFormat(getPrecision(null, opts).scale, format), format.decimalSeparator) :
+                                bd
+                        }</span>
+                    </span>
+                );
+            }
         )
     }
 }
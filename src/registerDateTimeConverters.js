@@ -1,14 +1,61 @@
 import React from "react"
-import config from "./config";
 import { getWireFormat } from "./domain";
 import { DateTime } from "luxon";
 import i18n from "./i18n";
+import getLocaleProfile from "./localeProfile";
 import { registerCustomConverter, GlobalConfig, resolveStaticRenderer } from "domainql-form";
 
 const DATE_RANGE_SEPARATOR = " - ";
 
 export const NO_DEFAULT = { default: false };
 
+
+/**
+ * Returns the format with the given name from the field context or the current locale profile and the Luxon options
+ * for the locale of the profile.
+ *
+ * @param {Object} ctx      field context or null
+ * @param {String} name     "dateFormat" or "timestampFormat"
+ *
+ * @return {Array} format and Luxon options
+ */
+function getFormat(ctx, name)
+{
+    const profile = getLocaleProfile();
+    return [
+        (ctx && ctx[name]) || profile[name],
+        profile.locale ? { locale: profile.locale } : {}
+    ];
+}
+
+
+/**
+ * Returns the time zone for "Timestamp" values from the field context or the current locale profile.
+ *
+ * @param {Object} [ctx]    field context
+ *
+ * @return {String} IANA time zone name or `null` for the browser time zone
+ */
+export function getTimeZone(ctx)
+{
+    return (ctx && ctx.timeZone) || getLocaleProfile().timeZone;
+}
+
+
+/**
+ * Converts the given timestamp into the time zone of the field context or the current locale profile.
+ *
+ * @param {DateTime} dt     timestamp
+ * @param {Object} [ctx]    field context
+ *
+ * @return {DateTime} timestamp in the effective time zone
+ */
+export function toTimeZone(dt, ctx)
+{
+    const timeZone = getTimeZone(ctx);
+    return timeZone ? dt.setZone(timeZone) : dt.toLocal();
+}
+
 export default function registerDateTimeConverters()
 {
     const wireFormat = getWireFormat();
@@ -39,7 +86,7 @@ export default function registerDateTimeConverters()
             {
                 return null;
             }
-            return DateTime.fromISO(value).toLocal();
+            return toTimeZone(DateTime.fromISO(value));
         },
             value => {
             if (value === null)
@@ -58,8 +105,8 @@ export default function registerDateTimeConverters()
                 return null;
             }
 
-            const timestampFormat = (ctx && ctx.timestampFormat) || config.timestampFormat;
-            const dt = DateTime.fromFormat(value, timestampFormat);
+            const [timestampFormat, opts] = getFormat(ctx, "timestampFormat");
+            const dt = DateTime.fromFormat(value, timestampFormat, { ... opts, zone: getTimeZone(ctx) || "local" });
 
             return dt.isValid ? null : i18n("Invalid Date: Does not match {0}, {1}", timestampFormat, dt.invalidReason)
         },
@@ -70,8 +117,8 @@ export default function registerDateTimeConverters()
                 return "";
             }
 
-            const timestampFormat = (ctx && ctx.timestampFormat) || config.timestampFormat;
-            return scalar.toFormat(timestampFormat);
+            const [timestampFormat, opts] = getFormat(ctx, "timestampFormat");
+            return toTimeZone(scalar, ctx).toFormat(timestampFormat, opts);
         },
         (value, ctx) => {
 
@@ -80,8 +127,8 @@ export default function registerDateTimeConverters()
                 return null;
             }
 
-            const timestampFormat = (ctx && ctx.timestampFormat) || config.timestampFormat;
-            return DateTime.fromFormat(value, timestampFormat);
+            const [timestampFormat, opts] = getFormat(ctx, "timestampFormat");
+            return DateTime.fromFormat(value, timestampFormat, { ... opts, zone: getTimeZone(ctx) || "local" });
         }
     )
 
@@ -93,8 +140,8 @@ export default function registerDateTimeConverters()
                 return null;
             }
 
-            const dateFormat = (ctx && ctx.dateFormat) || config.dateFormat;
-            const dt = DateTime.fromFormat(value, dateFormat);
+            const [dateFormat, opts] = getFormat(ctx, "dateFormat");
+            const dt = DateTime.fromFormat(value, dateFormat, opts);
 
             return dt.isValid ? null : i18n("Invalid Date: Does not match {0}, {1}", dateFormat, dt.invalidReason);
         },
@@ -105,8 +152,8 @@ export default function registerDateTimeConverters()
                 return "";
             }
 
-            const dateFormat = (ctx && ctx.dateFormat) || config.dateFormat;
-            return scalar.toFormat(dateFormat);
+            const [dateFormat, opts] = getFormat(ctx, "dateFormat");
+            return scalar.toFormat(dateFormat, opts);
         },
         (value, ctx) => {
 
@@ -115,8 +162,8 @@ export default function registerDateTimeConverters()
                 return null;
             }
 
-            const dateFormat = (ctx && ctx.dateFormat) || config.dateFormat;
-            return DateTime.fromFormat(value, dateFormat);
+            const [dateFormat, opts] = getFormat(ctx, "dateFormat");
+            return DateTime.fromFormat(value, dateFormat, opts);
         }
     )
 
@@ -128,10 +175,10 @@ export default function registerDateTimeConverters()
                 return null;
             }
 
-            const dateFormat = ctx?.dateFormat ?? config.dateFormat;
+            const [dateFormat, opts] = getFormat(ctx, "dateFormat");
             if (!Array.isArray(value)) {
                 value = value.split(DATE_RANGE_SEPARATOR).map(dateString => {
-                    return DateTime.fromFormat(dateString, dateFormat);
+                    return DateTime.fromFormat(dateString, dateFormat, opts);
                 });
             }
 
@@ -153,14 +200,14 @@ export default function registerDateTimeConverters()
                 return "";
             }
 
-            const dateFormat = ctx?.dateFormat ?? config.dateFormat;
+            const [dateFormat, opts] = getFormat(ctx, "dateFormat");
 
             if (scalar[0].equals(scalar[1])) {
-                return scalar[0].toFormat(dateFormat);
+                return scalar[0].toFormat(dateFormat, opts);
             }
 
             return scalar.map(dateTime => {
-                return dateTime.toFormat(dateFormat);
+                return dateTime.toFormat(dateFormat, opts);
             }).join(DATE_RANGE_SEPARATOR);
         },
         (value, ctx) => {
@@ -171,9 +218,9 @@ export default function registerDateTimeConverters()
                 return value;
             }
 
-            const dateFormat = ctx?.dateFormat ?? config.dateFormat;
+            const [dateFormat, opts] = getFormat(ctx, "dateFormat");
             const values = value.split(DATE_RANGE_SEPARATOR).map(dateString => {
-                return DateTime.fromFormat(dateString, dateFormat);
+                return DateTime.fromFormat(dateString, dateFormat, opts);
             });
 
             if (values.length === 0) {
@@ -191,12 +238,39 @@ export default function registerDateTimeConverters()
     {
         GlobalConfig.registerStaticRenderer(
             "Timestamp",
-            dt => (
-                <span className="static-timestamp">{
-                    dt.toFormat(config.timestampFormat)
-                }
-                </span>
-            )
+            dt => {
+                const [timestampFormat, opts] = getFormat(null, "timestampFormat");
+                return (
+                    <span className="static-timestamp">{
+                        toTimeZone(dt).toFormat(timestampFormat, opts)
+                    }
+                    </span>
+                );
+            }
+        )
+    }
+
+    if (!resolveStaticRenderer("ZonedTimestamp", NO_DEFAULT))
+    {
+        GlobalConfig.registerStaticRenderer(
+            "ZonedTimestamp",
+            dt => {
+                const [timestampFormat, opts] = getFormat(null, "timestampFormat");
+                const zoned = toTimeZone(dt);
+                return (
+                    <span className="static-timestamp static-zoned-timestamp" title={ zoned.zoneName }>
+                        {
+                            zoned.toFormat(timestampFormat, opts)
+                        }
+                        {" "}
+                        <span className="text-muted">
+                            {
+                                zoned.toFormat("ZZZZ", opts)
+                            }
+                        </span>
+                    </span>
+                );
+            }
         )
     }
 
@@ -205,12 +279,15 @@ export default function registerDateTimeConverters()
     {
         GlobalConfig.registerStaticRenderer(
             "Date",
-            dt => (
-                <span className="static-date">
-                    {
-                        typeof dt === "string" ? dt : dt.toFormat(config.dateFormat)
-                    }
-                </span>
-            ))
+            dt => {
+                const [dateFormat, opts] = getFormat(null, "dateFormat");
+                return (
+                    <span className="static-date">
+                        {
+                            typeof dt === "string" ? dt : dt.toFormat(dateFormat, opts)
+                        }
+                    </span>
+                );
+            })
     }
 }
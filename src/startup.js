@@ -21,7 +21,8 @@ import InteractiveQuery from "./model/InteractiveQuery";
 
 import { createBrowserHistory } from "history"
 import createDomainObject from "./createDomainObject";
-import { registerGenericGraphQLPostProcessor, registerGraphQLPostProcessor } from "./graphql";
+import { registerGenericGraphQLPostProcessor, registerGraphQLMiddleware, registerGraphQLPostProcessor } from "./graphql";
+import { registerCacheInvalidator } from "./graphqlCache";
 import i18n from "./i18n";
 import InteractiveQueryDefinition from "./model/InteractiveQueryDefinition";
 import { registerScalarEquals } from "./util/equalsScalar";
@@ -516,6 +517,21 @@ export const StartupRegistry = {
      */
     registerGenericGraphQLPostProcessor,
 
+    /**
+     * Registers a GraphQL middleware wrapping the execution of GraphQL requests.
+     *
+     * @param {Function} fn     middleware ( (request, next) => Promise<{data, errors}> )
+     */
+    registerGraphQLMiddleware,
+
+    /**
+     * Registers a function returning the entities to remove from the GraphQL cache after a successful mutation.
+     *
+     * @param {String} methodName   mutation method name
+     * @param {Function} fn         invalidator ( (variables, result) => Array<{type, id}> )
+     */
+    registerCacheInvalidator,
+
 
     /**
      * Registers an alterate renderer for the domain entity rendering system. The default is to
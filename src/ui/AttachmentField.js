@@ -21,6 +21,8 @@ import Attachments from "../Attachments";
 import { v4 } from "uuid";
 import i18n from "../i18n";
 import AttachmentLink from "./AttachmentLink";
+import AttachmentPreview from "./AttachmentPreview";
+import validateAttachmentFiles from "../util/validateAttachmentFiles";
 
 
 const setAttachment = action(
@@ -45,16 +47,37 @@ const removeAttachment = action(
 
     });
 
+/**
+ * Returns true if the given drag event carries files.
+ */
+function isFileDrag(ev)
+{
+    const { types } = ev.dataTransfer;
+    return !!types && Array.prototype.indexOf.call(types, "Files") >= 0;
+}
+
+
 /**
  * Attachment form field allowing the user to upload attachments and remove attachments.
  *
+ * Files can be chosen with the file input, dropped onto the field or pasted from the clipboard. They are validated
+ * against the `accept`, `maxSize` and `maxCount` props before they are registered with the Attachments API. Validation
+ * errors are displayed as field errors.
+ *
  * Storage of the attachments has to be done with the Attachments API.
  */
 const AttachmentField = React.forwardRef(
-    ({ deleteRemoved = true, children, ... fieldProps}, ref) => {
+    ({ deleteRemoved = true, accept, maxSize, maxCount, preview = true, children, ... fieldProps}, ref) => {
 
         const [ original, setOriginal ] = useState(false);
         const [ isNew, setIsNew ] = useState(null);
+        const [ localFile, setLocalFile ] = useState(null);
+        const [ isDragging, setDragging ] = useState(false);
+
+        const acceptList = useMemo(
+            () => typeof accept === "string" ? accept.split(",") : accept,
+            [ accept ]
+        );
 
         const { name } = fieldProps;
 
@@ -101,34 +124,89 @@ const AttachmentField = React.forwardRef(
 
                         const attachment = get(formConfig.root, attachmentPath);
 
-                        const handleFileChange = ev => {
+                        const progress = isNew && attachmentId ? Attachments.getUploadProgress(formConfig.root, attachmentId) : null;
+                        const isUploading = !!progress && progress.active;
+
+                        const acceptFiles = files => {
+
+                            if (!files.length)
+                            {
+                                return;
+                            }
+
+                            formConfig.removeErrors(qualifiedName);
+
+                            const error = validateAttachmentFiles(files, {
+                                accept: acceptList,
+                                maxSize,
+                                maxCount,
+                                pendingCount: Attachments.countPendingUploads(formConfig.root, isNew ? attachmentId : null)
+                            });
+
+                            if (error)
+                            {
+                                formConfig.addError(qualifiedName, error, attachmentId);
+                                (ref || fileInputRef).current.value = null;
+                                return;
+                            }
 
                             if (original === false)
                             {
                                 setOriginal(attachment);
                             }
 
-                            const { files } = ( ref || fileInputRef).current;
+                            // if we already had uploaded a new file
+                            if (isNew)
+                            {
+                                // cancel that
+                                Attachments.clearActionsFor(formConfig.root, attachmentId);
+                            }
 
-                            if (files.length)
+                            const file = files[0];
+                            const newAttachment = {
+                                id: v4(),
+                                type: file.type,
+                                description: file.name,
+                                url: null
+                            };
+                            setAttachment(formConfig.root, path, attachmentPath,newAttachment);
+                            Attachments.markAttachmentAsNew(formConfig.root, newAttachment, file);
+                            setIsNew(true);
+                            setLocalFile(file);
+                        };
+
+                        const handleFileChange = ev => acceptFiles(( ref || fileInputRef).current.files);
+
+                        const canDrop = mode === FieldMode.NORMAL && !isUploading;
+
+                        const handleDragOver = ev => {
+                            if (canDrop && isFileDrag(ev))
                             {
-                                // if we already had uploaded a new file
-                                if (isNew)
-                                {
-                                    // cancel that
-                                    Attachments.clearActionsFor(formConfig.root, attachmentId);
-                                }
+                                ev.preventDefault();
+                                ev.dataTransfer.dropEffect = "copy";
+                                setDragging(true);
+                            }
+                        };
+
+                        const handleDragLeave = ev => setDragging(false);
 
-                                const file = files[0];
-                                const newAttachment = {
-                                    id: v4(),
-                                    type: file.type,
-                                    description: file.name,
-                                    url: null
-                                };
-                                setAttachment(formConfig.root, path, attachmentPath,newAttachment);
-                                Attachments.markAttachmentAsNew(formConfig.root, newAttachment, file);
-                                setIsNew(true);
+                        const handleDrop = ev => {
+                            setDragging(false);
+                            if (canDrop && ev.dataTransfer.files.length)
+                            {
+                                ev.preventDefault();
+                                acceptFiles(ev.dataTransfer.files);
+                                (ref || fileInputRef).current.value = null;
+                            }
+                        };
+
+                        const handlePaste = ev => {
+                            const files = ev.clipboardData && ev.clipboardData.files;
+                            if (canDrop && files && files.length)
+                            {
+                                ev.preventDefault();
+                                acceptFiles(files);
+                                (ref || fileInputRef).current.value = null;
                             }
                         };
 
@@ -139,7 +217,9 @@ const AttachmentField = React.forwardRef(
                                 setOriginal(attachment);
                             }
 
+                            formConfig.removeErrors(qualifiedName);
                             removeAttachment(formConfig.root, path, attachmentPath);
+                            setLocalFile(null);
                             if (deleteRemoved)
                             {
                                 Attachments.markAttachmentDeleted(formConfig.root, attachmentId);
@@ -158,11 +238,13 @@ const AttachmentField = React.forwardRef(
                             {
                                 Attachments.clearActionsFor(formConfig.root, original.id);
                             }
+                            formConfig.removeErrors(qualifiedName);
                             setAttachment(formConfig.root, path, attachmentPath, original);
 
                             elem.value = null;
 
                             setIsNew(false);
+                            setLocalFile(null);
                             setOriginal(false);
                         };
 
@@ -198,8 +280,9 @@ const AttachmentField = React.forwardRef(
                                         }
                                         name={ qualifiedName }
                                         title={ tooltip }
+                                        accept={ acceptList ? acceptList.join(",") : undefined }
                                         onChange={ handleFileChange }
-                                        disabled={ mode === FieldMode.DISABLED }
+                                        disabled={ mode === FieldMode.DISABLED || isUploading }
                                         readOnly={ mode === FieldMode.READ_ONLY }
                                     />,
                                     [
@@ -246,6 +329,59 @@ const AttachmentField = React.forwardRef(
                                     ]
                                 )
                             );
+
+                            const percent = isUploading ? Math.round(progress.fraction * 100) : 0;
+
+                            fieldElem = (
+                                <div
+                                    className={ cx("attachment-drop-zone", isDragging && "bg-light") }
+                                    onDragOver={ handleDragOver }
+                                    onDragLeave={ handleDragLeave }
+                                    onDrop={ handleDrop }
+                                    onPaste={ handlePaste }
+                                >
+                                    {
+                                        fieldElem
+                                    }
+                                    {
+                                        preview && isNew && localFile && (
+                                            <AttachmentPreview file={ localFile }/>
+                                        )
+                                    }
+                                    {
+                                        isUploading && (
+                                            <div className="attachment-upload d-flex align-items-center mt-1">
+                                                <div className="progress flex-grow-1">
+                                                    <div
+                                                        className="progress-bar"
+                                                        role="progressbar"
+                                                        style={ { width: percent + "%" } }
+                                                        aria-valuenow={ percent }
+                                                        aria-valuemin={ 0 }
+                                                        aria-valuemax={ 100 }
+                                                    >
+                                                        {
+                                                            percent + "%"
+                                                        }
+                                                    </div>
+                                                </div>
+                                                <button
+                                                    type="button"
+                                                    className="btn btn-sm btn-light border ml-2"
+                                                    aria-label={ i18n("Cancel upload") }
+                                                    title={ i18n("Cancel upload") }
+                                                    onClick={ () => Attachments.cancelUpload(formConfig.root, attachmentId) }
+                                                >
+                                                    <Icon className="fa-ban text-danger mr-1"/>
+                                                    {
+                                                        i18n("Cancel")
+                                                    }
+                                                </button>
+                                            </div>
+                                        )
+                                    }
+                                </div>
+                            );
                         }
                         return (
                             <FormGroup
@@ -276,6 +412,27 @@ AttachmentField.propTypes = {
      */
     deleteRemoved: PropTypes.bool,
 
+    /**
+     * Accepted files as array or comma separated string of media types ("application/pdf"), media type wildcards
+     * ("image/*") or file extensions (".pdf"). Default is to accept all files.
+     */
+    accept: PropTypes.oneOfType([PropTypes.string, PropTypes.arrayOf(PropTypes.string)]),
+
+    /**
+     * Maximum file size in bytes
+     */
+    maxSize: PropTypes.number,
+
+    /**
+     * Maximum number of new attachments pending for upload within the form, counted over all attachment fields.
+     */
+    maxCount: PropTypes.number,
+
+    /**
+     * If true, render a preview for new image and PDF attachments before they are uploaded. (default is true)
+     */
+    preview: PropTypes.bool,
+
     /**
      * Mode for this field. If not set or set to null, the mode will be inherited from the &lt;Form/&gt; or &lt;FormBlock&gt;.
      */
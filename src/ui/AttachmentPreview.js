@@ -0,0 +1,75 @@
+import React, { useEffect, useMemo } from "react"
+import PropTypes from "prop-types"
+import { Icon } from "domainql-form";
+import i18n from "../i18n";
+
+
+/**
+ * Renders a preview for a local file that has not been uploaded yet. Images are rendered as thumbnail, PDFs as link
+ * opening the document in the browser.
+ */
+const AttachmentPreview = ({file, maxHeight = 64}) => {
+
+    const isImage = !!file && file.type.startsWith("image/");
+    const isPdf = !!file && file.type === "application/pdf";
+
+    const objectURL = useMemo(
+        () => isImage || isPdf ? URL.createObjectURL(file) : null,
+        [ file ]
+    );
+
+    useEffect(
+        () => () => {
+            if (objectURL)
+            {
+                URL.revokeObjectURL(objectURL);
+            }
+        },
+        [ objectURL ]
+    );
+
+    if (!objectURL)
+    {
+        return false;
+    }
+
+    if (isImage)
+    {
+        return (
+            <img
+                className="attachment-preview img-thumbnail mt-1"
+                src={ objectURL }
+                alt={ i18n("Preview of {0}", file.name) }
+                style={ { maxHeight } }
+            />
+        );
+    }
+
+    return (
+        <a
+            className="attachment-preview btn btn-link"
+            href={ objectURL }
+            target="_blank"
+            rel="noopener noreferrer"
+        >
+            <Icon className="fa-file-pdf mr-1 text-danger"/>
+            {
+                i18n("Preview of {0}", file.name)
+            }
+        </a>
+    );
+};
+
+AttachmentPreview.propTypes = {
+    /**
+     * Local file to preview
+     */
+    file: PropTypes.object,
+
+    /**
+     * Maximum height of image thumbnails in pixels (default is 64)
+     */
+    maxHeight: PropTypes.number
+};
+
+export default AttachmentPreview;
@@ -5,6 +5,7 @@ import { useFormConfig } from "domainql-form"
 import { observer as fnObserver } from "mobx-react-lite"
 import useAutomatonEnv from "../useAutomatonEnv";
 import hasText from "../util/hasText";
+import { isTransitionAllowed } from "../process/transitionAccess";
 
 
 function getTextFromChildren(children)
@@ -33,6 +34,7 @@ const Button = props => {
         transition,
         disabled,
         tooltip,
+        hideIfDenied,
         formContext = formConfig.formContext,
         type="button",
         children
@@ -50,7 +52,7 @@ const Button = props => {
     };
 
     const onClick = ev => {
-        const entry = transition && env.process.getTransition(transition);
+        const entry = transition && env.process.lookupTransition(transition);
         return ( !entry || !entry.discard ? formConfig.formContext.waitForAsyncValidation() : Promise.resolve()).then(
             () => {
                 const { action } = props;
@@ -124,20 +126,33 @@ const Button = props => {
         // if the `transition` prop is defined ..
         if (!isDisabled && transition)
         {
-            const entry = env.process.getTransition(transition);
+            const entry = env.process.lookupTransition(transition);
             if (!entry)
             {
                 throw new Error("No transition '" + transition + "' in " + env.process.name + " / " + env.process.currentState)
             }
 
-            // .. and we're not discarding and we have errors, then disable button
-            isDisabled = !entry.discard && (formConfig.hasErrors() || (formConfig.ctx && !formConfig.root));
+            // .. and the transition is denied or we're not discarding and we have errors, then disable button
+            isDisabled = !isTransitionAllowed(entry, getContext()) ||
+                (!entry.discard && (formConfig.hasErrors() || (formConfig.ctx && !formConfig.root)));
         }
 
         return isDisabled;
     };
 
 
+    /**
+     * Returns true if the roles or the guard of the transition deny it.
+     *
+     * @return {boolean}
+     */
+    const isDenied = () =>
+    {
+        const entry = transition && env.process.lookupTransition(transition);
+        return !!entry && !isTransitionAllowed(entry, getContext());
+    };
+
+
     if (__DEV)
     {
         const textFromKids = getTextFromChildren(children);
@@ -149,6 +164,11 @@ const Button = props => {
         }
     }
 
+    if (hideIfDenied && isDenied())
+    {
+        return null;
+    }
+
     return (
         <button
             type={ type }
@@ -190,6 +210,11 @@ Button.propTypes = {
      * This check runs before that and can disable the button in any case.
      */
     disabled: PropTypes.func,
+    /**
+     * If true, the button is not rendered at all if the `roles` or the `guard` of its transition deny the transition.
+     * Default is to render a disabled button.
+     */
+    hideIfDenied: PropTypes.bool,
     /**
      * Explicitly sets the button context to the given object. If no context is given, the form base object of the surrounding
      * form is used.
@@ -207,7 +232,8 @@ Button.propTypes = {
 
 Button.defaultProps = {
     className: "btn btn-secondary",
-    text: ""
+    text: "",
+    hideIfDenied: false
 };
 
 /**
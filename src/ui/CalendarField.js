@@ -3,7 +3,8 @@ import cx from "classnames"
 import PropTypes from "prop-types"
 import get from "lodash.get"
 import { Field, FormGroup, unwrapType, FieldMode, Icon, Addon, GlobalConfig, renderStaticField } from "domainql-form"
-import config from "../config";
+import getLocaleProfile from "../localeProfile";
+import { getTimeZone } from "../registerDateTimeConverters";
 import i18n from "../i18n";
 import CalendarModal from "./CalendarModal";
 import { DateTime } from "luxon";
@@ -13,12 +14,26 @@ function toggleValue(open)
     return !open;
 }
 
+
+/**
+ * Returns the time zones to offer in the zone selector.
+ */
+function getZoneOptions(zoneSelector, zone)
+{
+    const zones = Array.isArray(zoneSelector) ? zoneSelector : [ zone, "UTC" ];
+    return zones.indexOf(zone) < 0 ? [ zone, ... zones ] : zones.filter((z, idx) => zones.indexOf(z) === idx);
+}
+
 const CalendarField = props => {
 
-    const { minDate, maxDate, addonClass = "btn-light", autoFocus, children, dateFormat = config.dateFormat, timestampFormat = config.timestampFormat,... fieldProps} = props;
+    const profile = getLocaleProfile();
+    const { minDate, maxDate, addonClass = "btn-light", autoFocus, children, dateFormat = profile.dateFormat, timestampFormat = profile.timestampFormat, timeZone, zoneSelector, ... fieldProps} = props;
 
     const [ isOpen, setOpen] = useState(false);
 
+    // explicitly chosen time zone for the field, null for the zone of the locale profile
+    const [ fieldZone, setFieldZone ] = useState(timeZone || null);
+
     const toggle = useCallback(
         () => setOpen(toggleValue),
         []
@@ -30,6 +45,7 @@ const CalendarField = props => {
             fieldContext={ ctx => {
                 ctx.dateFormat = dateFormat;
                 ctx.timestampFormat = timestampFormat;
+                ctx.timeZone = fieldZone;
             }}
             addons={ Addon.filterAddons(children)}
         >
@@ -48,6 +64,9 @@ const CalendarField = props => {
 
                     //console.log("CalendarField value = ", fieldValue);
 
+                    const showZone = scalarType === "Timestamp" && !!zoneSelector;
+                    const zone = showZone && (getTimeZone(ctx) || DateTime.local().zoneName);
+
                     const buttonTitle = i18n("Open calendar");
 
                     let fieldElement;
@@ -69,6 +88,15 @@ const CalendarField = props => {
                                 {
                                     fieldValue || GlobalConfig.none()
                                 }
+                                {
+                                    showZone && fieldValue && (
+                                        <span className="text-muted ml-1">
+                                            {
+                                                zone
+                                            }
+                                        </span>
+                                    )
+                                }
                             </span>
                         );
                     }
@@ -104,6 +132,28 @@ const CalendarField = props => {
                                 autoFocus={autoFocus ? true : null}
                             />,
                             addons.concat(
+                                showZone ? [
+                                    <Addon placement={ Addon.RIGHT }>
+                                        <select
+                                            className="custom-select calendar-zone-selector"
+                                            title={ i18n("Time zone") }
+                                            aria-label={ i18n("Time zone") }
+                                            value={ zone }
+                                            disabled={ mode !== FieldMode.NORMAL }
+                                            onChange={ ev => {
+                                                // the field context is memoized, so we update the zone in place
+                                                ctx.timeZone = ev.target.value;
+                                                setFieldZone(ev.target.value);
+                                            } }
+                                        >
+                                            {
+                                                getZoneOptions(zoneSelector, zone).map(
+                                                    z => <option key={ z } value={ z }>{ z }</option>
+                                                )
+                                            }
+                                        </select>
+                                    </Addon>
+                                ] : [],
                                 <Addon placement={ Addon.RIGHT }>
                                     <button
                                         className={ cx("btn", addonClass) }
@@ -228,6 +278,21 @@ CalendarField.propTypes = {
      */
     timestampFormat: PropTypes.string,
 
+    /**
+     * Time zone (IANA zone name) to display and enter "Timestamp" values in. Default is the time zone of the current
+     * locale profile.
+     */
+    timeZone: PropTypes.string,
+
+    /**
+     * If set, "Timestamp" fields render a selector for the time zone the value is displayed and entered in. Either
+     * true to offer the default zone and "UTC" or an array of IANA zone names.
+     */
+    zoneSelector: PropTypes.oneOfType([
+        PropTypes.bool,
+        PropTypes.arrayOf(PropTypes.string)
+    ]),
+
     /**
      * Optional local on-change handler ( ({oldValue, fieldContext}, value) => ... )
      */
@@ -9,6 +9,7 @@ import Calendar from "react-calendar"
 import set from "lodash.set"
 import autoSubmitHack from "../util/autoSubmitHack";
 import { DateTime } from "luxon";
+import getLocaleProfile from "../localeProfile";
 
 /**
  * Simple FontAwesome Icon component
@@ -19,10 +20,12 @@ const CalendarModal = props =>  {
 
     const isTimeStamp = scalarType === "Timestamp";
 
+    const { locale } = getLocaleProfile();
+
     const chooseDate = (value) => {
         const dt = DateTime.fromJSDate(value);
 
-        formConfig.handleChange(ctx, dt.toFormat (isTimeStamp ? ctx.timestampFormat : ctx.dateFormat));
+        formConfig.handleChange(ctx, dt.toFormat(isTimeStamp ? ctx.timestampFormat : ctx.dateFormat, locale ? { locale } : {}));
 
         autoSubmitHack(formConfig);
         toggle();
@@ -49,6 +52,7 @@ const CalendarModal = props =>  {
                         value={ valueFromProps && valueFromProps.toJSDate() }
                         minDate={ minDate && minDate.toJSDate() }
                         maxDate={ maxDate && maxDate.toJSDate() }
+                        locale={ locale || undefined }
                         onChange={ chooseDate }
                     />
                     <ButtonToolbar>
@@ -404,10 +404,17 @@ const updateFieldStatus = action("MergeDialog.updateFieldStatus", (resolution, c
     }
 });
 
-function postProcess(result)
+/**
+ * Converts the given resolutions into a plain JS structure and updates the foreign key fields from their object fields.
+ *
+ * @param {Array<Object>} result    resolutions
+ *
+ * @return {Array<Object>} final resolutions
+ */
+export function finalizeResolutions(result)
 {
     const resolutions = toJS(result);
-    //console.log("postProcess", resolutions);
+    //console.log("finalizeResolutions", resolutions);
 
     for (let i=0; i < resolutions.length; i++)
     {
@@ -843,7 +850,7 @@ const ChangeConflictDialog = ({dialog, conflicts, config, submitTimeOut = 300})
                                                             disabled={!allResolved}
                                                             onClick={() => dialog.confirm({
                                                                 operation: MergeOperation.APPLY,
-                                                                resolutions: postProcess(resolutions)
+                                                                resolutions: finalizeResolutions(resolutions)
                                                             })}
                                                         >
                                                             {
@@ -858,7 +865,7 @@ const ChangeConflictDialog = ({dialog, conflicts, config, submitTimeOut = 300})
                                                     disabled={!allResolved}
                                                     onClick={() => dialog.confirm({
                                                         operation: MergeOperation.STORE,
-                                                        resolutions: postProcess(resolutions)
+                                                        resolutions: finalizeResolutions(resolutions)
                                                     })}
                                                 >
                                                     <Icon
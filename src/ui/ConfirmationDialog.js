@@ -0,0 +1,140 @@
+import React from "react"
+import PropTypes from "prop-types"
+import { ButtonToolbar } from "reactstrap"
+import i18n from "../i18n";
+import { openDialog } from "../util/openDialog";
+
+
+/**
+ * Returns the default buttons of a confirmation dialog.
+ *
+ * @return {Array<Object>} OK and cancel buttons
+ */
+function getDefaultButtons()
+{
+    return [
+        {
+            name: "ok",
+            label: i18n("Confirmation:OK"),
+            className: "btn btn-primary"
+        },
+        {
+            name: "cancel",
+            label: i18n("Confirmation:Cancel"),
+            className: "btn btn-secondary",
+            cancel: true
+        }
+    ];
+}
+
+
+/**
+ * Body of the simple dialog asking the user to confirm an operation. Confirms the dialog with the name of the chosen
+ * button or with `null` if a cancel button was chosen.
+ */
+const ConfirmationDialog = ({ dialog, message, buttons }) => {
+
+    return (
+        <div className="container-fluid">
+            <div className="row">
+                <div className="col">
+                    <div className="mb-3">
+                        {
+                            message
+                        }
+                    </div>
+                    <ButtonToolbar>
+                        {
+                            buttons.map(
+                                ({ name, label, className, cancel }) => (
+                                    <button
+                                        key={ name }
+                                        type="button"
+                                        className={ (className || "btn btn-secondary") + " mr-1" }
+                                        onClick={ () => dialog.confirm(cancel ? null : name) }
+                                    >
+                                        {
+                                            label || name
+                                        }
+                                    </button>
+                                )
+                            )
+                        }
+                    </ButtonToolbar>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+ConfirmationDialog.propTypes = {
+    /**
+     * Dialog API object
+     */
+    dialog: PropTypes.object.isRequired,
+    /**
+     * Message to confirm
+     */
+    message: PropTypes.node.isRequired,
+    /**
+     * Buttons to offer
+     */
+    buttons: PropTypes.arrayOf(
+        PropTypes.shape({
+            /**
+             * Button name the dialog resolves to
+             */
+            name: PropTypes.string.isRequired,
+            /**
+             * Button label. Default is the name.
+             */
+            label: PropTypes.node,
+            /**
+             * Button classes
+             */
+            className: PropTypes.string,
+            /**
+             * If true, choosing the button cancels the confirmation
+             */
+            cancel: PropTypes.bool
+        })
+    ).isRequired
+}
+
+
+/**
+ * Opens a modal confirmation dialog.
+ *
+ * @category process
+ *
+ * @param {String|Object} confirmation          message to confirm or options object
+ * @param {*} confirmation.message              message to confirm (string or React element)
+ * @param {String|Function} [confirmation.title]  dialog title or render function for the title
+ * @param {Array<Object>} [confirmation.buttons]  buttons as array of `{ name, label, className, cancel }`. Default is
+ *                                              an "ok" and a "cancel" button.
+ * @param {String} [confirmation.size]          dialog size, default is "md"
+ *
+ * @return {Promise<String|null>} resolves to the name of the chosen button or to `null` if the user canceled.
+ */
+export function openConfirmationDialog(confirmation)
+{
+    const { message, title = null, buttons = getDefaultButtons(), size = "md" } = typeof confirmation === "object" &&
+        !React.isValidElement(confirmation) ? confirmation : { message: confirmation };
+
+    return openDialog(
+        dialog => (
+            <ConfirmationDialog
+                dialog={ dialog }
+                message={ message }
+                buttons={ buttons }
+            />
+        ),
+        {
+            title,
+            size,
+            resultOnCancel: null
+        }
+    );
+}
+
+export default ConfirmationDialog
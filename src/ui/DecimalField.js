@@ -2,7 +2,7 @@ import React, { useEffect, useReducer, useRef, useState } from "react"
 import PropTypes from "prop-types"
 import cx from "classnames"
 import { Field, GlobalConfig, FieldMode, Addon } from "domainql-form";
-import BigNumber from "bignumber.js";
+import { getDecimalFormat } from "../registerBigDecimalConverter";
 
 
 function getSelectionInDigits(selectionStart, value)
@@ -31,7 +31,7 @@ const DecimalField = ({precision, scale, padToScale, children, ...restProps}) =>
      * Special case handling for usability edge cases
      */
     const onKeyDown = ev => {
-        const { decimalSeparator, groupSeparator } = BigNumber.config().FORMAT;
+        const { decimalSeparator } = getDecimalFormat();
 
         //console.log("handleDecimalSeparator", ev.key);
 
@@ -1,7 +1,10 @@
 import React from "react"
 import PropTypes from "prop-types"
 import cx from "classnames"
+import { observer as fnObserver } from "mobx-react-lite"
 import { runProcessURI } from "../process/runProcess";
+import useAutomatonEnv from "../useAutomatonEnv";
+import { isTransitionAllowed } from "../process/transitionAccess";
 
 
 /**
@@ -9,12 +12,32 @@ import { runProcessURI } from "../process/runProcess";
  *
  * You can use it like a normal link and if the URI patterns match, it will do its magic thing and otherwise
  * it will just be a link.
+ *
+ * If a `transition` is given, the link executes that transition of the current process instead and is rendered
+ * disabled or hidden if the roles or the guard of the transition deny it.
  */
 const Link = props =>  {
 
+    const env = useAutomatonEnv();
+
+    const { href, title, role, className, transition, context, hideIfDenied, children } = props;
+
+    const entry = transition && env.process.lookupTransition(transition);
+    const denied = !!entry && !isTransitionAllowed(entry, context);
+
     const onClick = ev => {
 
-        const { href } = props;
+        if (transition)
+        {
+            ev.preventDefault();
+
+            if (!denied)
+            {
+                env.process.transition(transition, context)
+                    .catch(err => console.error(err));
+            }
+            return;
+        }
 
         // we use the runProcessURI variant because we're starting out with a URI. (Not the runProcess variant that allows
         // process execution based on process name and processed input map).
@@ -29,17 +52,21 @@ const Link = props =>  {
         ev.preventDefault();
     };
 
-    const { href, title, role, className, children } = props;
+    if (denied && hideIfDenied)
+    {
+        return null;
+    }
 
     return (
         <a
             className={
-                cx("link-internal", className)
+                cx("link-internal", denied && "disabled", className)
             }
-            href={ href }
+            href={ denied ? undefined : href || "#" }
             onClick={ onClick }
             title={ title }
             role={ role }
+            aria-disabled={ denied || undefined }
         >
             {
                 children
@@ -50,9 +77,9 @@ const Link = props =>  {
 
 Link.propTypes = {
     /**
-     * Internal URI ( required )
+     * Internal URI ( required unless `transition` is set )
      */
-    href: PropTypes.string.isRequired,
+    href: PropTypes.string,
 
     /**
      * Optional title attribute
@@ -65,8 +92,25 @@ Link.propTypes = {
     /**
      * Classes for the link element ( "link-internal" is added )
      */
-    className: PropTypes.string
+    className: PropTypes.string,
+    /**
+     * Optional transition of the current process to execute instead of following the href
+     */
+    transition: PropTypes.string,
+    /**
+     * Context for the transition
+     */
+    context: PropTypes.any,
+    /**
+     * If true, the link is not rendered at all if the `roles` or the `guard` of its transition deny the transition.
+     * Default is to render a disabled link.
+     */
+    hideIfDenied: PropTypes.bool
+};
+
+Link.defaultProps = {
+    hideIfDenied: false
 };
 
 
-export default Link
+export default fnObserver(Link)
@@ -2,6 +2,7 @@ import React from "react"
 import cx from "classnames"
 import { observer as fnObserver } from "mobx-react-lite"
 import I18nTranslation from "./I18nTranslation";
+import { isKeysetPagination } from "../model/InteractiveQuery";
 
 
 export const DEFAULT_PAGE_SIZES = [
@@ -179,7 +180,81 @@ const RowCountDisplay = props =>
 };
 
 /**
- * Pagination component
+ * Previous / next page controls for keyset pagination where neither the current page number nor the total row count is
+ * known.
+ */
+const KeysetPagination = fnObserver(props => {
+
+    const { iQuery, pageSizes, description, justifyContentClass } = props;
+
+    const { queryConfig, rowCount, hasPreviousPage, hasNextPage } = iQuery;
+    const { pageSize = 5 } = queryConfig;
+
+    const navigate = (ev, fn) => {
+        ev.preventDefault();
+        return fn();
+    };
+
+    const changePageSize = ev => {
+        ev.preventDefault();
+        return iQuery.update({
+            pageSize: +ev.target.value
+        });
+    };
+
+    const buttons = [
+        [ BUTTON_PREV, hasPreviousPage, () => iQuery.prevPage() ],
+        [ BUTTON_NEXT, hasNextPage, () => iQuery.nextPage() ]
+    ];
+
+    return (
+        <div
+            aria-label={description}
+            className={cx("table-page-control keyset-pagination", justifyContentClass)}
+        >
+            <ul className="mr-2 ml-2 pagination form-group input-group">
+                {
+                    buttons.map(([name, enabled, fn], idx) => (
+                        <li
+                            key={idx}
+                            className={ cx("page-item", !enabled && "disabled") }
+                        >
+                            {
+                                React.createElement(
+                                    enabled ? "a" : "span",
+                                    {
+                                        className: "page-link",
+                                        href: enabled ? "#" : null,
+                                        onClick: enabled ? ev => navigate(ev, fn) : null
+                                    },
+                                    name
+                                )
+                            }
+                        </li>
+                    ))
+                }
+            </ul>
+            <div className="mr-2 ml-2 form-inline page-sizes">
+                <PageSizeSelect
+                    pageSize={ pageSize }
+                    changePageSize={ changePageSize }
+                    pageSizes={ pageSizes }
+                />
+                {
+                    typeof rowCount === "number" && (
+                        <RowCountDisplay
+                            rowCount={rowCount}
+                        />
+                    )
+                }
+            </div>
+        </div>
+    );
+});
+
+
+/**
+ * Pagination component. Renders only previous / next controls if the iQuery uses keyset pagination.
  */
 const Pagination = fnObserver(props => {
 
@@ -188,6 +263,18 @@ const Pagination = fnObserver(props => {
     const justifyContentClass = getJustifyContentClass(align);
 
     const { queryConfig, rowCount } = iQuery;
+
+    if (isKeysetPagination(queryConfig))
+    {
+        return (
+            <KeysetPagination
+                iQuery={ iQuery }
+                pageSizes={ pageSizes }
+                description={ description }
+                justifyContentClass={ justifyContentClass }
+            />
+        );
+    }
     const { offset = 0, pageSize = 5 } = queryConfig ?? {};
 
     if (typeof offset !== "number")
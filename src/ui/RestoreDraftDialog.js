@@ -0,0 +1,61 @@
+import React from "react"
+import PropTypes from "prop-types"
+import { ButtonToolbar } from "reactstrap"
+import i18n from "../i18n";
+
+
+/**
+ * Body of the simple dialog offering to restore the unsaved changes of a persisted working set draft. Confirms the
+ * dialog with `true` to restore the draft or `false` to discard it.
+ */
+const RestoreDraftDialog = ({ dialog, draft }) => {
+
+    const { modified } = draft;
+
+    return (
+        <div className="container-fluid">
+            <div className="row">
+                <div className="col">
+                    <p>
+                        {
+                            i18n("WorkingSet:Restore Unsaved Changes Desc {0}", new Date(modified).toLocaleString())
+                        }
+                    </p>
+                    <ButtonToolbar>
+                        <button
+                            type="button"
+                            className="btn btn-primary mr-1"
+                            onClick={ () => dialog.confirm(true) }
+                        >
+                            {
+                                i18n("WorkingSet:Restore")
+                            }
+                        </button>
+                        <button
+                            type="button"
+                            className="btn btn-secondary"
+                            onClick={ () => dialog.confirm(false) }
+                        >
+                            {
+                                i18n("WorkingSet:Discard")
+                            }
+                        </button>
+                    </ButtonToolbar>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+RestoreDraftDialog.propTypes = {
+    /**
+     * Dialog API object
+     */
+    dialog: PropTypes.object.isRequired,
+    /**
+     * Draft entry as loaded from the draft storage
+     */
+    draft: PropTypes.object.isRequired
+}
+
+export default RestoreDraftDialog
@@ -15,6 +15,7 @@ import i18n from "../../i18n";
 import { ButtonToolbar } from "reactstrap";
 import ConditionEditorState, { TreeType } from "./ConditionEditorState";
 import ImportExportDialog from "./ImportExportDialog";
+import ConditionTextInput from "./ConditionTextInput";
 import PropTypes from "prop-types";
 import { runInAction } from "mobx";
 import ExpressionDialog from "./ExpressionDialog";
@@ -241,62 +242,70 @@ const ConditionEditor = observer(function ConditionEditor(props) {
                 ref={ containerRef }
                 className={ cx("condition-editor", className) }
             >
-                <Form
-                    key={ FormContext.getUniqueId(condition) }
-                    value={ condition }
-                    formContext={ formContext }
-                    options={ {
-                        layout: FormLayout.INLINE,
-                        onChange: onConditionChange
-                    } }
-                >
-                    {
-                        formConfig => {
-                            return (
-                                <>
-                                    <svg width={ aabb && aabb.width} height={aabb && aabb.height} >
-                                        {
-                                            opts.extraSVG()
-                                        }
-                                        {
-                                            !!decorations.length && decorations
-                                        }
-                                    </svg>
-                                    {
-                                        !!nodes.length && nodes
-                                    }
-                                    {
-                                        !condition && <>
-                                            <p className="form-control-plaintext text-muted">
+                {
+                    editorState.textMode ? (
+                        <ConditionTextInput
+                            editorState={ editorState }
+                        />
+                    ) : (
+                        <Form
+                            key={ FormContext.getUniqueId(condition) }
+                            value={ condition }
+                            formContext={ formContext }
+                            options={ {
+                                layout: FormLayout.INLINE,
+                                onChange: onConditionChange
+                            } }
+                        >
+                            {
+                                formConfig => {
+                                    return (
+                                        <>
+                                            <svg width={ aabb && aabb.width} height={aabb && aabb.height} >
                                                 {
-                                                    i18n("ConditionEditor:No condition")
-                                                }
-                                            </p>
-                                            <button
-                                                type="button"
-                                                className="btn btn-secondary"
-                                                onClick={
-                                                    () => editorState.replaceCondition(
-                                                        opts.defaultCondition()
-                                                    )
+                                                    opts.extraSVG()
                                                 }
-                                            >
                                                 {
-                                                    i18n("ConditionEditor:Add Condition")
+                                                    !!decorations.length && decorations
                                                 }
-                                            </button>
-
+                                            </svg>
+                                            {
+                                                !!nodes.length && nodes
+                                            }
+                                            {
+                                                !condition && <>
+                                                    <p className="form-control-plaintext text-muted">
+                                                        {
+                                                            i18n("ConditionEditor:No condition")
+                                                        }
+                                                    </p>
+                                                    <button
+                                                        type="button"
+                                                        className="btn btn-secondary"
+                                                        onClick={
+                                                            () => editorState.replaceCondition(
+                                                                opts.defaultCondition()
+                                                            )
+                                                        }
+                                                    >
+                                                        {
+                                                            i18n("ConditionEditor:Add Condition")
+                                                        }
+                                                    </button>
+
+                                                </>
+                                            }
                                         </>
-                                    }
-                                </>
-                            )
-                        }
-                    }
-                </Form>
+                                    )
+                                }
+                            }
+                        </Form>
+                    )
+                }
                 
-                {
-                    enableImportExport && (
-                        <ButtonToolbar className="flex-row-reverse">
+                <ButtonToolbar className="flex-row-reverse">
+                    {
+                        enableImportExport && (
                             <button
                                 type="button"
                                 className="btn btn-link btn-sm"
@@ -306,9 +315,20 @@ const ConditionEditor = observer(function ConditionEditor(props) {
                                     i18n("ConditionEditor:Import/Export")
                                 }
                             </button>
-                        </ButtonToolbar>
-                    )
-                }
+                        )
+                    }
+                    <button
+                        type="button"
+                        className="btn btn-link btn-sm"
+                        onClick={ editorState.toggleTextMode }
+                    >
+                        {
+                            editorState.textMode ?
+                                i18n("ConditionEditor:Graphical Input") :
+                                i18n("ConditionEditor:Text Input")
+                        }
+                    </button>
+                </ButtonToolbar>
                 
 
             </div>
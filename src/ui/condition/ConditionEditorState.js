@@ -8,6 +8,8 @@ import { flextree } from "d3-flextree"
 import { Type, values as dslValues } from "../../FilterDSL";
 import { FormContext } from "domainql-form";
 import config from "../../config"
+import parseFilter from "../../util/parseFilter";
+import printFilter from "../../util/printFilter";
 
 
 const nodeIdSym = Symbol("condition node id")
@@ -336,6 +338,20 @@ export default class ConditionEditorState {
     @observable
     json = "";
 
+    /**
+     * Flag for the text input mode which replaces the condition tree with a text filter expression
+     * @type {boolean}
+     */
+    @observable
+    textMode = false;
+
+    /**
+     * Current filter expression in text input mode
+     * @type {String}
+     */
+    @observable
+    text = "";
+
     /**
      * current editor options / tree options
      * @type {null}
@@ -488,6 +504,47 @@ export default class ConditionEditorState {
     }
 
 
+    @action.bound
+    toggleTextMode()
+    {
+        if (this.textMode)
+        {
+            if (this.formContext.getErrors().length)
+            {
+                // bail
+                return;
+            }
+            this.text = "";
+        }
+        else
+        {
+            try
+            {
+                this.text = printFilter(this.conditionRoot);
+            }
+            catch(e)
+            {
+                console.error("Cannot edit condition as text", e);
+                return;
+            }
+        }
+
+        this.textMode = !this.textMode;
+    }
+
+
+    /**
+     * Replaces the condition with the parsed current text. Called on valid changes of the text.
+     */
+    @action
+    applyText()
+    {
+        const condition = parseFilter(this.text || "", { rootType: this.rootType });
+
+        this.replaceCondition(condition && observable(condition));
+    }
+
+
     @action
     openExpressionDialog(condition, path)
     {
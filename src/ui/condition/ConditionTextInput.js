@@ -0,0 +1,34 @@
+import React from "react"
+import { observer as fnObserver } from "mobx-react-lite";
+import { Form, TextArea } from "domainql-form";
+import i18n from "../../i18n";
+import { validateFilter } from "../../util/parseFilter";
+
+
+/**
+ * Text input mode of the <ConditionEditor/>. Edits the condition as text filter expression (see parseFilter()).
+ */
+const ConditionTextInput = fnObserver(function ConditionTextInput({editorState}) {
+
+    return (
+        <Form
+            value={ editorState }
+            formContext={ editorState.formContext }
+            spellCheck="false"
+            options={ {
+                onChange: () => editorState.applyText()
+            } }
+        >
+            <TextArea
+                name="text"
+                label={ i18n("ConditionEditor:Filter Expression") }
+                inputClass="text-monospace"
+                type="String"
+                rows={ 4 }
+                validate={ (ctx, value) => validateFilter(value, { rootType: editorState.rootType }) }
+            />
+        </Form>
+    );
+});
+
+export default ConditionTextInput;
@@ -21,6 +21,7 @@ const Column = fnObserver(props => {
         maxWidth,
         nobreak,
         className,
+        displayType,
         children
     } = props;
 
@@ -90,7 +91,7 @@ const Column = fnObserver(props => {
 
     const renderedValue = value === null || value === undefined || value === "" ?
         GlobalConfig.none() :
-        GlobalConfig.renderStatic(scalarType, value);
+        GlobalConfig.renderStatic(displayType || scalarType, value);
 
     return (
         <td
@@ -157,6 +158,12 @@ Column.propTypes = {
         PropTypes.func
     ]),
 
+    /**
+     * Type of the static renderer to display the column values with instead of the field type. Use "ZonedTimestamp"
+     * to display timestamps with their time zone.
+     */
+    displayType: PropTypes.string,
+
     /**
      * Column heading
      */
@@ -1,4 +1,4 @@
-import React, {useEffect, useMemo, useState} from "react"
+import React, {useEffect, useMemo, useRef, useState} from "react"
 import PropTypes from "prop-types"
 import { DndProvider } from "react-dnd"
 import cx from "classnames"
@@ -9,12 +9,15 @@ import Pagination from "../Pagination";
 import HeaderRow from "./rows/HeaderRow";
 import FilterRow from "./rows/FilterRow";
 import DataRow from "./rows/DataRow";
+import GroupHeaderRow from "./rows/GroupHeaderRow";
+import AggregateRow from "./rows/AggregateRow";
 import { lookupTypeContext, unwrapAll } from "../../util/type-utils";
 import useObservableInput from "../../util/useObservableInput";
 import Column from "./Column";
 import RowSelector from "./RowSelector";
 import WorkingSet, { WorkingSetStatus } from "../../WorkingSet";
 import WorkingSetStatusComponent from "./WorkingSetStatus";
+import WorkingSetUndoToolbar from "./WorkingSetUndoToolbar";
 import filterTransformer, { FieldResolver } from "../../util/filterTransformer";
 import config from "../../config"
 import { getCustomFilter, getCustomGetValue } from "../../util/filter/CustomFilter";
@@ -25,6 +28,8 @@ import useEffectNoInitial from "../../util/useEffectNoInitial"
 import { resolveFieldDependencies, resolveTableDependencies } from "../../util/dependencyUtilities"
 import { createDomainObject } from "domainql-form/lib/util/clone"
 import { DndManager } from "../../util/DnDUtils"
+import { isFirstPage } from "../../model/InteractiveQuery"
+import { getGroupKey } from "../../util/evaluateGroups"
 
 function filterIDListFromCondition(condition) {
     const {type, name, operands} = condition;
@@ -83,6 +88,47 @@ function isArrayNotEmpty(value) {
     return Array.isArray(value) && value.length > 0;
 }
 
+/**
+ * Rendering modes of the DataGrid
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const DataGridMode = {
+    /**
+     * Render all rows of the current page and page with the pagination controls
+     * @member {string}
+     */
+    PAGED: "paged",
+    /**
+     * Render only the rows of the current page that are visible in the scroll container
+     * @member {string}
+     */
+    VIRTUALIZED: "virtualized",
+    /**
+     * Render only the visible rows and append the rows of the next page when the user scrolls near the end
+     * @member {string}
+     */
+    INFINITE: "infinite"
+};
+
+/**
+ * Returns the range of record indexes to render for the given scroll position.
+ *
+ * @param {Number} count        number of records
+ * @param {Number} scrollTop    scroll position in pixels
+ * @param {Number} height       height of the scroll container in pixels
+ * @param {Number} rowHeight    row height in pixels
+ * @param {Number} overscan     number of rows to render above and below the visible rows
+ *
+ * @returns {Array<Number>} start index (inclusive) and end index (exclusive)
+ */
+function getVisibleRange(count, scrollTop, height, rowHeight, overscan) {
+    const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+    const end = Math.min(count, Math.ceil((scrollTop + height) / rowHeight) + overscan);
+    return [start, Math.max(start, end)];
+}
+
 /**
  * Data grid what works based on degenerified InteractiveQuery types.
  */
@@ -96,6 +142,7 @@ const DataGrid = fnObserver(props => {
         tableClassName,
         rowClasses,
         filterTimeout,
+        enableTextFilter,
         workingSet,
         alignPagination,
         paginationPageSizes,
@@ -106,9 +153,15 @@ const DataGrid = fnObserver(props => {
         onTableConfigChange,
         moveRowColumn,
         moveRowHandler,
+        mode,
+        height,
+        rowHeight,
+        overscan,
         children
     } = props;
 
+    const isScrollMode = mode === DataGridMode.VIRTUALIZED || mode === DataGridMode.INFINITE;
+
     const {
         visibleColumns,
         paginationSize,
@@ -379,7 +432,8 @@ const DataGrid = fnObserver(props => {
         );
 
         const result = [
-            ...(workingSet && queryConfig.offset === 0 && (function () {
+            // rows loaded in infinite mode are appended, so the new objects stay on top
+            ...(workingSet && (mode === DataGridMode.INFINITE || isFirstPage(queryConfig)) && (function () {
         
                 const filterFn = filterTransformer(queryCondition, fieldResolver.resolve);
         
@@ -490,6 +544,160 @@ const DataGrid = fnObserver(props => {
         setTargetRow(null);
     };
 
+    const scrollContainerRef = useRef(null);
+    const loadingMoreRef = useRef(false);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [scrollTop, setScrollTop] = useState(0);
+
+    // sorting and filtering replace the rows, so we start at the top again
+    useEffectNoInitial(() => {
+        if (scrollContainerRef.current) {
+            scrollContainerRef.current.scrollTop = 0;
+        }
+        setScrollTop(0);
+    }, [queryConfig.sortFields, queryConfig.condition]);
+
+    const loadMoreIfNeeded = scrollTop => {
+        if (
+            mode === DataGridMode.INFINITE &&
+            !loadingMoreRef.current &&
+            typeof internalQuery.loadMore === "function" &&
+            internalQuery.hasNextPage &&
+            records.length * rowHeight - (scrollTop + height) < overscan * rowHeight
+        ) {
+            loadingMoreRef.current = true;
+            setLoadingMore(true);
+            internalQuery.loadMore()
+                .catch(err => console.error("Error loading more rows", err))
+                .then(() => {
+                    loadingMoreRef.current = false;
+                    setLoadingMore(false);
+                });
+        }
+    };
+
+    // a page that does not fill the scroll container cannot be scrolled, so we also check after the records changed.
+    // The records of the initial render are still empty.
+    useEffect(() => {
+        if (scrollContainerRef.current && records.length > 0)
+        {
+            loadMoreIfNeeded(scrollContainerRef.current.scrollTop);
+        }
+    }, [records, loadingMore, height]);
+
+    const onScroll = ev => {
+        const { scrollTop } = ev.currentTarget;
+        setScrollTop(scrollTop);
+        loadMoreIfNeeded(scrollTop);
+    };
+
+    const [start, end] = isScrollMode ?
+        getVisibleRange(records.length, scrollTop, height, rowHeight, overscan) :
+        [0, records.length];
+
+    const [collapsedGroups, setCollapsedGroups] = useState(() => new Set());
+
+    const toggleGroup = key => {
+        const next = new Set(collapsedGroups);
+        if (!next.delete(key))
+        {
+            next.add(key);
+        }
+        setCollapsedGroups(next);
+    };
+
+    const { groupBy, aggregates } = queryConfig;
+    const groups = !isScrollMode && isArrayNotEmpty(groupBy) && internalQuery.groups;
+    const aggregateList = isArrayNotEmpty(aggregates) ? aggregates : null;
+
+    const renderDataRow = ([context, workingSetClass], idx) => (
+        <DataRow
+            key={ idx }
+            idx={ idx }
+            context={ context }
+            workingSet={ workingSet }
+            columns={ columns }
+            moveRow={ moveRow }
+            dropRow={ dropRow }
+            moveRowColumn={ moveRowColumn }
+            className={
+                cx(
+                    "data",
+                    rowClasses ? rowClasses(context) : null,
+                    workingSetClass ?? "new-object",
+                    targetRow == idx && "target-row",
+                    targetRow == idx && targetRow < sourceRow && "target-row-top",
+                    targetRow == idx && targetRow > sourceRow && "target-row-bottom",
+                    sourceRow == idx && "source-row"
+                )
+            }
+        />
+    );
+
+    /**
+     * Renders the records of the current page with a header row before and an aggregate row after every group.
+     */
+    const renderGroupedRows = () => {
+
+        const groupMap = new Map();
+        groups.forEach(group => groupMap.set(group.key, group));
+
+        const elements = [];
+        let currentGroup = null;
+
+        const closeGroup = () => {
+            if (currentGroup && aggregateList && !collapsedGroups.has(currentGroup.key))
+            {
+                elements.push(
+                    <AggregateRow
+                        key={ "footer-" + currentGroup.key }
+                        aggregates={ aggregateList }
+                        values={ currentGroup.aggregates }
+                        columns={ columns }
+                        className="data-grid-group-footer"
+                    />
+                );
+            }
+        };
+
+        records.forEach((record, idx) => {
+            const key = getGroupKey(record[0], groupBy);
+            if (!currentGroup || currentGroup.key !== key)
+            {
+                closeGroup();
+
+                currentGroup = groupMap.get(key);
+                if (!currentGroup)
+                {
+                    // new working set objects might not be part of any group of the query result
+                    const keyValues = JSON.parse(key);
+                    const values = {};
+                    groupBy.forEach((path, pos) => values[path] = keyValues[pos]);
+                    currentGroup = { key, values, count: null, aggregates: {} };
+                }
+
+                elements.push(
+                    <GroupHeaderRow
+                        key={ "header-" + key }
+                        group={ currentGroup }
+                        groupBy={ groupBy }
+                        columns={ columns }
+                        collapsed={ collapsedGroups.has(key) }
+                        onToggle={ toggleGroup }
+                    />
+                );
+            }
+
+            if (!collapsedGroups.has(key))
+            {
+                elements.push(renderDataRow(record, idx));
+            }
+        });
+        closeGroup();
+
+        return elements;
+    };
+
     return (
         <DndProvider manager={DndManager}>
             <GridStateForm
@@ -533,7 +741,12 @@ const DataGrid = fnObserver(props => {
                             )
                         }
                     >
-                        <div className="data-grid-scrollcontainer">
+                        <div
+                            ref={ scrollContainerRef }
+                            className={ cx("data-grid-scrollcontainer", isScrollMode && "data-grid-" + mode) }
+                            style={ isScrollMode ? { height, overflowY: "auto" } : null }
+                            onScroll={ isScrollMode ? onScroll : null }
+                        >
                             <table
                                 data-id={ id }
                                 className={
@@ -556,38 +769,25 @@ const DataGrid = fnObserver(props => {
                                         <FilterRow
                                             columns={ columns }
                                             moveRowColumn={ moveRowColumn }
+                                            rootType={ type }
+                                            enableTextFilter={ enableTextFilter }
                                         />
                                     )
                                 }
                                 </thead>
                                 <tbody>
                                 {
-                                    records.length > 0 ? records.map(
-                                        ([context, workingSetClass], idx) => {
-                                            return (
-                                                <DataRow
-                                                    key={ idx }
-                                                    idx={ idx }
-                                                    context={ context }
-                                                    workingSet={ workingSet }
-                                                    columns={ columns }
-                                                    moveRow={ moveRow }
-                                                    dropRow={ dropRow }
-                                                    moveRowColumn={ moveRowColumn }
-                                                    className={
-                                                        cx(
-                                                            "data",
-                                                            rowClasses ? rowClasses(context) : null,
-                                                            workingSetClass ?? "new-object",
-                                                            targetRow == idx && "target-row",
-                                                            targetRow == idx && targetRow < sourceRow && "target-row-top",
-                                                            targetRow == idx && targetRow > sourceRow && "target-row-bottom",
-                                                            sourceRow == idx && "source-row"
-                                                        )
-                                                    }
-                                                />
-                                            );
-                                        }
+                                    start > 0 && (
+                                        <tr className="data-grid-spacer" style={ { height: start * rowHeight } }/>
+                                    )
+                                }
+                                {
+                                    records.length > 0 ? (
+                                        groups ?
+                                            renderGroupedRows() :
+                                            records.slice(start, end).map(
+                                                (record, pos) => renderDataRow(record, start + pos)
+                                            )
                                     ) : (
                                         <tr>
                                             <td colSpan={ columns[0].enabledCount }>
@@ -598,16 +798,37 @@ const DataGrid = fnObserver(props => {
                                         </tr>
                                     )
                                 }
+                                {
+                                    end < records.length && (
+                                        <tr className="data-grid-spacer" style={ { height: (records.length - end) * rowHeight } }/>
+                                    )
+                                }
                                 </tbody>
+                                {
+                                    aggregateList && internalQuery.aggregates && (
+                                        <tfoot>
+                                            <AggregateRow
+                                                aggregates={ aggregateList }
+                                                values={ internalQuery.aggregates }
+                                                columns={ columns }
+                                                className="data-grid-totals"
+                                            />
+                                        </tfoot>
+                                    )
+                                }
                             </table>
                         </div>
                     </div>
-                    <Pagination
-                        iQuery={ internalQuery }
-                        description={ i18n("Result Navigation") }
-                        align={ alignPagination }
-                        pageSizes={ paginationPageSizes }
-                    />
+                    {
+                        mode !== DataGridMode.INFINITE && (
+                            <Pagination
+                                iQuery={ internalQuery }
+                                description={ i18n("Result Navigation") }
+                                align={ alignPagination }
+                                pageSizes={ paginationPageSizes }
+                            />
+                        )
+                    }
                 </div>
             </GridStateForm>
         </DndProvider>
@@ -617,7 +838,11 @@ const DataGrid = fnObserver(props => {
 DataGrid.defaultProps = {
     tableClassName: "table-hover table-striped table-bordered table-sm",
     filterTimeout: 350,
-    workingSet: null
+    workingSet: null,
+    mode: DataGridMode.PAGED,
+    height: 400,
+    rowHeight: 33,
+    overscan: 5
 };
 
 DataGrid.propTypes = {
@@ -635,6 +860,12 @@ DataGrid.propTypes = {
      */
     filterTimeout: PropTypes.number,
 
+    /**
+     * Offers a text input mode for each column filter in which the filter can be written as filter expression
+     * (e.g. `> 5 and < 10`, see parseFilter()). Comparisons without left operand refer to the column.
+     */
+    enableTextFilter: PropTypes.bool,
+
     /**
      * use compact datagrid mode where by defaul all colums use minimal space (except for the last)
      * and enhanced size parameters are enabled per column
@@ -692,13 +923,37 @@ DataGrid.propTypes = {
     /**
      * the function called on changes to the user table configuration
      */
-    onTableConfigChange: PropTypes.func
+    onTableConfigChange: PropTypes.func,
+
+    /**
+     * Rendering mode ("paged" [default], "virtualized", "infinite"). The "virtualized" mode renders only the visible
+     * rows of the current page, the "infinite" mode additionally appends the next page when the user scrolls near the
+     * end or the rows do not fill the scroll container and renders no pagination.
+     */
+    mode: PropTypes.oneOf(Object.values(DataGridMode)),
+
+    /**
+     * Height of the scroll container in pixels for the "virtualized" and "infinite" modes (default 400)
+     */
+    height: PropTypes.number,
+
+    /**
+     * Fixed row height in pixels for the "virtualized" and "infinite" modes (default 33)
+     */
+    rowHeight: PropTypes.number,
+
+    /**
+     * Number of rows rendered above and below the visible rows for the "virtualized" and "infinite" modes (default 5).
+     * The "infinite" mode loads more rows when the end is closer than this many rows.
+     */
+    overscan: PropTypes.number
 };
 
 
 DataGrid.Column = Column;
 DataGrid.RowSelector = RowSelector;
 DataGrid.WorkingSetStatus = WorkingSetStatusComponent;
+DataGrid.WorkingSetUndoToolbar = WorkingSetUndoToolbar;
 
 DataGrid.displayName = "DataGrid";
 Column.displayName = "Column";
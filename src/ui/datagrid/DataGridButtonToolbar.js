@@ -19,6 +19,7 @@ const DataGridButtonToolbar = (props) => {
         for(const filter of filterState.filters) {
             const clearedFilter = {
                 ...filter,
+                text: "",
                 values: filter.values.map((v) => {
                     return {
                         ...v,
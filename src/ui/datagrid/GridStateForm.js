@@ -1,5 +1,5 @@
 import React, { useEffect, useMemo } from "react"
-import { comparer, observable, reaction, toJS } from "mobx"
+import { action, comparer, observable, reaction, toJS } from "mobx"
 import {
     and,
     condition,
@@ -7,12 +7,15 @@ import {
     findComponentNode,
     getConditionArgCount,
     isLogicalCondition,
+    toJSON,
     Type,
     value
 } from "../../FilterDSL";
 import i18n from "../../i18n";
 import { Form, FormLayout } from "domainql-form"
 import compareConditions from "../../util/compareConditions";
+import parseFilter from "../../util/parseFilter";
+import printFilter from "../../util/printFilter";
 
 
 /**
@@ -103,6 +106,169 @@ function allValuesSet(values)
 
 let stateCounter = 0;
 
+/**
+ * Returns the parseFilter() options for the text filter of a column. Comparisons without left operand refer to the
+ * column field, other fields cannot be used.
+ *
+ * @param {String} rootType     row type of the grid
+ * @param {String} name         column name / field path
+ *
+ * @return {Object} parseFilter() options
+ */
+export function getColumnFilterOptions(rootType, name)
+{
+    return {
+        rootType,
+        field: name,
+        fields: [ name ]
+    };
+}
+
+
+function parseColumnFilter(rootType, name, text)
+{
+    return parseFilter(text || "", getColumnFilterOptions(rootType, name));
+}
+
+
+function printColumnFilter(name, columnCondition)
+{
+    try
+    {
+        return printFilter(columnCondition, { field: name });
+    }
+    catch(e)
+    {
+        // not expressible as text
+        return "";
+    }
+}
+
+
+/**
+ * Creates the condition for the given filter entry or returns `null` if the filter is incomplete.
+ *
+ * @param {String} rootType     row type of the grid
+ * @param {Object} filterEntry  filter entry of the filter state
+ * @param {String} fieldName    column name / field path
+ *
+ * @return {Object|null} condition
+ */
+function createFilterCondition(rootType, filterEntry, fieldName)
+{
+    const { filter, values, textMode, text } = filterEntry;
+
+    if (textMode)
+    {
+        try
+        {
+            return parseColumnFilter(rootType, fieldName, text);
+        }
+        catch(e)
+        {
+            return null;
+        }
+    }
+
+    if (!allValuesSet(values))
+    {
+        return null;
+    }
+
+    if (typeof filter === "function")
+    {
+        return filter(fieldName, ... values.map(v => v.value));
+    }
+
+    const cond = condition(filter);
+    cond.operands = [
+        field(fieldName),
+        ... values.map( v => value(toJS(v.value), v.type))
+    ];
+    return cond;
+}
+
+
+/**
+ * Switches the filter with the given index between the value inputs and the text input. The text input starts with
+ * the current filter condition of the column. When switching back, the values are cleared unless they still produce
+ * the text condition.
+ *
+ * @param {String} rootType     row type of the grid
+ * @param {Object} filterState  filter state
+ * @param {number} filterIndex  filter index
+ * @param {String} fieldName    column name / field path
+ */
+export const toggleTextFilter = action("toggleTextFilter", (rootType, filterState, filterIndex, fieldName) => {
+
+    const filterEntry = filterState.filters[filterIndex];
+
+    const valueCondition = createFilterCondition(rootType, { ... filterEntry, textMode: false }, fieldName);
+
+    if (!filterEntry.textMode)
+    {
+        filterEntry.text = printColumnFilter(fieldName, toJSON(valueCondition));
+    }
+    else
+    {
+        const textCondition = createFilterCondition(rootType, filterEntry, fieldName);
+        if (!comparer.structural(toJSON(valueCondition), textCondition))
+        {
+            filterEntry.values.forEach(v => v.value = null);
+        }
+    }
+    filterEntry.textMode = !filterEntry.textMode;
+});
+
+
+/**
+ * Keeps the text mode of the current filters when replacing them with filters resolved from an updated condition. The
+ * current text is kept as long as it still describes the column condition.
+ *
+ * @param {String} rootType         row type of the grid
+ * @param {Array<Object>} columns   grid columns
+ * @param {Array<Object>} current   current filter entries
+ * @param {Array<Object>} filters   filter entries resolved from the updated condition
+ *
+ * @return {Array<Object>} filter entries
+ */
+function keepTextFilters(rootType, columns, current, filters)
+{
+    return filters.map((filterEntry, idx) => {
+
+        const currentEntry = current[idx];
+        if (!filterEntry || !currentEntry || !currentEntry.textMode)
+        {
+            return filterEntry;
+        }
+
+        const { name } = columns[filterEntry.columnIndex];
+
+        let text = filterEntry.text;
+        try
+        {
+            if (comparer.structural(
+                parseColumnFilter(rootType, name, currentEntry.text),
+                parseColumnFilter(rootType, name, filterEntry.text)
+            ))
+            {
+                text = currentEntry.text;
+            }
+        }
+        catch(e)
+        {
+            // use the new text
+        }
+
+        return {
+            ... filterEntry,
+            textMode: true,
+            text
+        };
+    });
+}
+
+
 /**
  * IQueryGrid Internal Filter context
  */
@@ -304,7 +470,9 @@ function resolveFilters(columns, componentId, currentCondition)
                 filters[filterIndex] = {
                     filter,
                     values,
-                    columnIndex: i
+                    columnIndex: i,
+                    textMode: false,
+                    text: printColumnFilter(name, findColumnCondition(componentId, name, currentCondition))
                 };
 
             }
@@ -325,7 +493,9 @@ function resolveFilters(columns, componentId, currentCondition)
                 filters[filterIndex] = {
                     filter,
                     values,
-                    columnIndex: i
+                    columnIndex: i,
+                    textMode: false,
+                    text: printColumnFilter(name, columnCondition)
                 };
             }
 
@@ -374,28 +544,10 @@ const GridStateForm = props => {
                     if (filters[i] == null) {
                         continue;
                     }
-                    const { filter, values, columnIndex } = filters[i];
-
-                    if (allValuesSet(values))
-                    {
-                        let cond;
-                        const fieldName = columns[columnIndex].name;
-                        if (typeof filter === "function")
-                        {
-                            cond = filter(fieldName, ... values.map(v => v.value))
-                        }
-                        else
-                        {
-                            cond = condition(filter);
-                            cond.operands = [
-                                field(fieldName),
-                                ... values.map( v => value(toJS(v.value), v.type))
-                            ];
-
-                        }
-                        if (cond != null) {
-                            conditions.push(cond);
-                        }
+
+                    const cond = createFilterCondition(iQuery.type, filters[i], columns[filters[i].columnIndex].name);
+                    if (cond != null) {
+                        conditions.push(cond);
                     }
                 }
 
@@ -441,7 +593,9 @@ const GridStateForm = props => {
                 return filters;
             },
             filters => {
-                filterState.filters.replace(filters);
+                filterState.filters.replace(
+                    keepTextFilters(iQuery.type, columns, filterState.filters, filters)
+                );
             }
             ,{
                 name: "Sync filter",
@@ -0,0 +1,167 @@
+import React, { useEffect } from "react"
+import cx from "classnames"
+import PropTypes from "prop-types"
+import { ButtonGroup } from "reactstrap";
+import { Icon } from "domainql-form";
+import { observer as fnObserver } from "mobx-react-lite"
+import i18n from "../../i18n";
+import WorkingSet from "../../WorkingSet";
+
+
+/**
+ * Returns true if the given keyboard event is an undo (Ctrl+Z) or redo (Ctrl+Shift+Z) shortcut
+ *
+ * @param {KeyboardEvent} ev    keyboard event
+ * @param {boolean} redo        true to check for the redo shortcut
+ *
+ * @return {boolean}
+ */
+function isShortcut(ev, redo)
+{
+    return (ev.ctrlKey || ev.metaKey) && !ev.altKey && ev.shiftKey === redo && (ev.key === "z" || ev.key === "Z");
+}
+
+
+/**
+ * Returns true if the given event target is an element with its own native undo (inputs, textareas, selects and
+ * contenteditable elements).
+ *
+ * @param {EventTarget} target  event target
+ *
+ * @return {boolean}
+ */
+function isEditable(target)
+{
+    if (!target || !target.tagName)
+    {
+        return false;
+    }
+
+    const tagName = target.tagName.toLowerCase();
+    return tagName === "input" || tagName === "textarea" || tagName === "select" || target.isContentEditable;
+}
+
+
+/**
+ * Small toolbar with undo and redo buttons that step through the operation journal of a working set. Meant to be
+ * rendered next to WorkingSetStatus icons. Optionally installs the Ctrl+Z / Ctrl+Shift+Z keyboard shortcuts outside of
+ * input elements.
+ */
+const WorkingSetUndoToolbar = fnObserver((props) => {
+
+    const { workingSet, className, buttonClass, undoIcon, redoIcon, undoTooltip, redoTooltip, keyboardShortcuts } = props;
+
+    useEffect(
+        () => {
+            if (!keyboardShortcuts)
+            {
+                return undefined;
+            }
+
+            const onKeyDown = ev => {
+                if (isEditable(ev.target))
+                {
+                    return;
+                }
+
+                if (isShortcut(ev, false))
+                {
+                    ev.preventDefault();
+                    workingSet.undoStep();
+                }
+                else if (isShortcut(ev, true))
+                {
+                    ev.preventDefault();
+                    workingSet.redoStep();
+                }
+            };
+
+            document.addEventListener("keydown", onKeyDown, true);
+            return () => document.removeEventListener("keydown", onKeyDown, true);
+        },
+        [ workingSet, keyboardShortcuts ]
+    );
+
+    return (
+        <ButtonGroup className={ cx("working-set-undo-toolbar", className) }>
+            <button
+                type="button"
+                className={ buttonClass }
+                disabled={ !workingSet.canUndo }
+                title={ undoTooltip }
+                aria-label={ undoTooltip }
+                onClick={ () => workingSet.undoStep() }
+            >
+                <Icon className={ undoIcon }/>
+            </button>
+            <button
+                type="button"
+                className={ buttonClass }
+                disabled={ !workingSet.canRedo }
+                title={ redoTooltip }
+                aria-label={ redoTooltip }
+                onClick={ () => workingSet.redoStep() }
+            >
+                <Icon className={ redoIcon }/>
+            </button>
+        </ButtonGroup>
+    );
+});
+
+WorkingSetUndoToolbar.defaultProps = {
+    buttonClass: "btn btn-secondary btn-sm",
+    undoIcon: "fa-undo",
+    redoIcon: "fa-redo",
+    undoTooltip: i18n("WorkingSetUndoToolbar:Undo"),
+    redoTooltip: i18n("WorkingSetUndoToolbar:Redo"),
+    keyboardShortcuts: false
+};
+
+WorkingSetUndoToolbar.propTypes = {
+
+    /**
+     * Working set
+     */
+    workingSet: PropTypes.instanceOf(WorkingSet).isRequired,
+
+    /**
+     * Additional classes for the button group
+     */
+    className: PropTypes.string,
+
+    /**
+     * Classes for the undo and redo buttons (default "btn btn-secondary btn-sm")
+     */
+    buttonClass: PropTypes.string,
+
+    /**
+     * Icon for the undo button (default "fa-undo")
+     */
+    undoIcon: PropTypes.string,
+
+    /**
+     * Icon for the redo button (default "fa-redo")
+     */
+    redoIcon: PropTypes.string,
+
+    /**
+     * Tooltip for the undo button
+     */
+    undoTooltip: PropTypes.string,
+
+    /**
+     * Tooltip for the redo button
+     */
+    redoTooltip: PropTypes.string,
+
+    /**
+     * If true, install Ctrl+Z / Ctrl+Shift+Z as keyboard shortcuts for undo and redo while the toolbar is rendered.
+     * The shortcuts are ignored within inputs, textareas, selects and contenteditable elements so that their native
+     * undo keeps working (default is false)
+     */
+    keyboardShortcuts: PropTypes.bool
+};
+
+WorkingSetUndoToolbar.displayName = "WorkingSetUndoToolbar";
+
+export default WorkingSetUndoToolbar;
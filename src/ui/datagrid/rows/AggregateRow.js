@@ -0,0 +1,79 @@
+import React from "react"
+import cx from "classnames"
+import { GlobalConfig } from "domainql-form";
+import i18n from "../../../i18n";
+import { AggregateFunction } from "../../../util/evaluateGroups";
+
+const AGGREGATE_LABELS = {
+    [AggregateFunction.COUNT]: "DataGrid:Count",
+    [AggregateFunction.SUM]: "DataGrid:Sum",
+    [AggregateFunction.AVG]: "DataGrid:Average",
+    [AggregateFunction.MIN]: "DataGrid:Minimum",
+    [AggregateFunction.MAX]: "DataGrid:Maximum"
+};
+
+
+function renderAggregate(column, fn, value)
+{
+    if (value === null || value === undefined)
+    {
+        return GlobalConfig.none();
+    }
+    if (fn === AggregateFunction.COUNT || !column.type)
+    {
+        return String(value);
+    }
+    // averages of integers are not integers
+    return GlobalConfig.renderStatic(fn === AggregateFunction.AVG && column.type === "Int" ? "Float" : column.type, value);
+}
+
+
+/**
+ * Renders the aggregate values below the columns of the fields they aggregate.
+ */
+const AggregateRow = ({
+    aggregates,
+    values,
+    columns,
+    className
+}) => {
+
+    return (
+        <tr className={ cx("data-grid-row", className) }>
+            {
+                columns.map(
+                    (column, columnIdx) => {
+                        const { name, enabled } = column;
+                        if (enabled) {
+                            const columnAggregates = name ? aggregates.filter(aggregate => aggregate.field === name) : [];
+                            return (
+                                <td key={ columnIdx } className="data-grid-cell">
+                                    {
+                                        columnAggregates.map(
+                                            ({ name: aggregateName, fn }) => (
+                                                <p key={ aggregateName } className="form-control-plaintext nobreak" data-aggregate={ aggregateName }>
+                                                    <span className="text-muted mr-1">
+                                                        {
+                                                            i18n(AGGREGATE_LABELS[fn]) + ":"
+                                                        }
+                                                    </span>
+                                                    {
+                                                        renderAggregate(column, fn, values[aggregateName])
+                                                    }
+                                                </p>
+                                            )
+                                        )
+                                    }
+                                </td>
+                            );
+                        }
+                    }
+                )
+            }
+        </tr>
+    );
+};
+
+AggregateRow.displayName = "AggregateRow";
+
+export default AggregateRow
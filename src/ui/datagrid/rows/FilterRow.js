@@ -1,11 +1,12 @@
 import React, { useContext } from "react"
 import { observer as fnObserver } from "mobx-react-lite"
-import { Select, Field } from "domainql-form"
+import { Select, Field, Icon } from "domainql-form"
 import i18n from "../../../i18n"
-import { FilterContext } from "../GridStateForm";
+import { FilterContext, getColumnFilterOptions, toggleTextFilter } from "../GridStateForm";
 import DateRangeField from "../../form/date/DateRangeField";
 import {getCustomFilterRenderer} from "../../../util/filter/CustomFilterRenderer";
 import PropTypes from "prop-types";
+import { validateFilter } from "../../../util/parseFilter";
 
 const BOOLEAN_VALUES = [
     {
@@ -18,9 +19,10 @@ const BOOLEAN_VALUES = [
     }
 ];
 
+
 const FilterRow = fnObserver(props => {
 
-    const { columns, moveRowColumn } = props;
+    const { columns, moveRowColumn, rootType, enableTextFilter } = props;
 
     const filterState = useContext(FilterContext);
 
@@ -46,71 +48,106 @@ const FilterRow = fnObserver(props => {
                 }
                 else
                 {
-                    const { values } = filterState.filters[filterIndex];
+                    const { values, textMode } = filterState.filters[filterIndex];
 
                     const filterElems = [];
-                    for (let i = 0; i < values.length; i++)
+                    if (textMode)
+                    {
+                        filterElems.push(
+                            <Field
+                                key={ columnIdx + ".text" }
+                                labelClass="sr-only"
+                                label={ i18n("Filter expression for {0}", name) }
+                                name={ "filters." + filterIndex + ".text" }
+                                type="String"
+                                inputClass="text-monospace"
+                                validate={ (ctx, value) => validateFilter(value, getColumnFilterOptions(rootType, name)) }
+                                suspendAutoUpdate
+                            />
+                        );
+                    }
+                    else
                     {
-                        const fieldName = "filters." + filterIndex + ".values." + i + ".value";
-                        const fieldType = values[i].type;
-                        const label = i18n("Argument {0} for filter on {1}", i +1 , name);
+                        for (let i = 0; i < values.length; i++)
+                        {
+                            const fieldName = "filters." + filterIndex + ".values." + i + ".value";
+                            const fieldType = values[i].type;
+                            const label = i18n("Argument {0} for filter on {1}", i +1 , name);
 
-                        const key = columnIdx + "." + i;
+                            const key = columnIdx + "." + i;
+
+                            if (renderFilter)
+                            {
+                                const resolvedFilterRenderer = getCustomFilterRenderer(renderFilter) ?? renderFilter;
+                                const customElem = resolvedFilterRenderer(fieldName, fieldType, label, i);
+                                filterElems.push(
+                                    React.cloneElement(
+                                        customElem,
+                                        {
+                                            key,
+                                            suspendAutoUpdate: true
+                                        }
+                                    )
+                                );
+                            }
+                            else if (fieldType === "Boolean")
+                            {
+                                filterElems.push(
+                                    <Select
+                                        key={ key }
+                                        labelClass="sr-only"
+                                        label={ label }
+                                        name={ fieldName }
+                                        values={ BOOLEAN_VALUES }
+                                        type={ fieldType }
+                                    />
+                                );
+                            }
+                            else if(fieldType === "Timestamp")
+                            {
+                                filterElems.push(
+                                    <DateRangeField
+                                        key={ key }
+                                        labelClass="sr-only"
+                                        label={ label }
+                                        name={ fieldName }
+                                        type="DateRange"
+                                    />
+                                );
+                            }
+                            else
+                            {
+                                filterElems.push(
+                                    <Field
+                                        key={ key }
+                                        labelClass="sr-only"
+                                        label={ label }
+                                        name={fieldName}
+                                        type={ fieldType }
+                                        suspendAutoUpdate
+                                    />
+                                );
+                            }
 
-                        if (renderFilter)
-                        {
-                            const resolvedFilterRenderer = getCustomFilterRenderer(renderFilter) ?? renderFilter;
-                            const customElem = resolvedFilterRenderer(fieldName, fieldType, label, i);
-                            filterElems.push(
-                                React.cloneElement(
-                                    customElem,
-                                    {
-                                        key,
-                                        suspendAutoUpdate: true
-                                    }
-                                )
-                            );
-                        }
-                        else if (fieldType === "Boolean")
-                        {
-                            filterElems.push(
-                                <Select
-                                    key={ key }
-                                    labelClass="sr-only"
-                                    label={ label }
-                                    name={ fieldName }
-                                    values={ BOOLEAN_VALUES }
-                                    type={ fieldType }
-                                />
-                            );
-                        }
-                        else if(fieldType === "Timestamp")
-                        {
-                            filterElems.push(
-                                <DateRangeField
-                                    key={ key }
-                                    labelClass="sr-only"
-                                    label={ label }
-                                    name={ fieldName }
-                                    type="DateRange"
-                                />
-                            );
-                        }
-                        else
-                        {
-                            filterElems.push(
-                                <Field
-                                    key={ key }
-                                    labelClass="sr-only"
-                                    label={ label }
-                                    name={fieldName}
-                                    type={ fieldType }
-                                    suspendAutoUpdate
-                                />
-                            );
                         }
+                    }
 
+                    if (enableTextFilter)
+                    {
+                        filterElems.push(
+                            <button
+                                key={ columnIdx + ".toggle" }
+                                type="button"
+                                className="btn btn-link btn-sm"
+                                title={ textMode ? i18n("DataGrid:Use filter inputs") : i18n("DataGrid:Use filter expression") }
+                                aria-pressed={ !!textMode }
+                                onClick={ () => toggleTextFilter(rootType, filterState, filterIndex, name) }
+                            >
+                                <Icon className="fa-terminal"/>
+                            </button>
+                        );
                     }
+
                     filterColumnElements.push(
                         <th key={ columnIdx }>
                             {
@@ -140,7 +177,17 @@ FilterRow.propTypes = {
     /**
      * the rows of the data grid
      */
-    columns: PropTypes.array
+    columns: PropTypes.array,
+
+    /**
+     * row type of the data grid
+     */
+    rootType: PropTypes.string,
+
+    /**
+     * offer a text input mode for the column filters
+     */
+    enableTextFilter: PropTypes.bool
 }
 
 export default FilterRow
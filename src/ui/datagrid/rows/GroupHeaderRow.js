@@ -0,0 +1,65 @@
+import React from "react"
+import { GlobalConfig, Icon } from "domainql-form";
+import i18n from "../../../i18n";
+
+const GroupHeaderRow = ({
+    group,
+    groupBy,
+    columns,
+    collapsed,
+    onToggle
+}) => {
+
+    return (
+        <tr className="data-grid-row data-grid-group-header">
+            <td colSpan={ columns[0].enabledCount }>
+                <button
+                    type="button"
+                    className="btn btn-link btn-sm p-0 mr-2"
+                    title={ collapsed ? i18n("DataGrid:Expand group") : i18n("DataGrid:Collapse group") }
+                    aria-expanded={ !collapsed }
+                    onClick={ () => onToggle(group.key) }
+                >
+                    <Icon className={ collapsed ? "fa-caret-right" : "fa-caret-down" }/>
+                </button>
+                {
+                    groupBy.map(
+                        path => {
+                            const column = columns.find(column => column.name === path);
+                            const value = group.values[path];
+                            return (
+                                <span key={ path } className="mr-3">
+                                    <span className="text-muted mr-1">
+                                        {
+                                            (column ? column.heading : path) + ":"
+                                        }
+                                    </span>
+                                    <strong>
+                                        {
+                                            value === null ?
+                                                GlobalConfig.none() :
+                                                GlobalConfig.renderStatic(column && column.type || "String", value)
+                                        }
+                                    </strong>
+                                </span>
+                            );
+                        }
+                    )
+                }
+                {
+                    group.count !== null && (
+                        <span className="badge badge-secondary">
+                            {
+                                group.count
+                            }
+                        </span>
+                    )
+                }
+            </td>
+        </tr>
+    );
+};
+
+GroupHeaderRow.displayName = "GroupHeaderRow";
+
+export default GroupHeaderRow
@@ -3,7 +3,7 @@ import cx from "classnames"
 import PropTypes from "prop-types"
 import get from "lodash.get"
 import { Field, FormGroup, unwrapType, FieldMode, Icon, Addon, GlobalConfig, renderStaticField } from "domainql-form"
-import config from "../../../config";
+import getLocaleProfile from "../../../localeProfile";
 import i18n from "../../../i18n";
 import DateRangeModal from "./DateRangeModal";
 import { DateTime } from "luxon";
@@ -16,14 +16,15 @@ function toggleValue(open)
 
 const DateRangeField = props => {
 
+    const profile = getLocaleProfile();
     const {
         minDate,
         maxDate,
         addonClass = "btn-light",
         autoFocus,
         children,
-        dateFormat = config.dateFormat,
-        timestampFormat = config.timestampFormat,
+        dateFormat = profile.dateFormat,
+        timestampFormat = profile.timestampFormat,
         ... fieldProps
     } = props;
 
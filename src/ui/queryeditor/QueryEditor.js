@@ -9,6 +9,8 @@ import {ButtonToolbar} from "reactstrap";
 import ColumnSelect from "./ColumnSelect";
 import PropTypes from "prop-types";
 import { getFieldDataByPath, getTableNameByPath } from "../../util/inputSchemaUtilities";
+import DataGrid from "../datagrid/DataGrid";
+import { executeQueryConfiguration } from "../../model/compileQueryConfiguration";
 
 const ORIGINS = {
     CONDITION_EDITOR_FIELD_SELECTION: "ConditionEditorFieldSelection",
@@ -26,7 +28,10 @@ const QueryEditor = (props) => {
         saveButtonOnClick,
         queryConfiguration,
         schemaResolveFilterCallback,
-        className
+        className,
+        preview = false,
+        previewPageSize = 5,
+        previewDelay = 300
     } = props;
 
     const valueRenderer = useMemo(() => {
@@ -53,6 +58,22 @@ const QueryEditor = (props) => {
     const [queryCondition, setQueryCondition] = useState();
     const [sortColumns, setSortColumns] = useState([]);
 
+    // the condition editor updates its condition in place, so we count the changes to notice them
+    const [conditionChanges, setConditionChanges] = useState(0);
+
+    // live preview states
+    const [previewResult, setPreviewResult] = useState(null);
+    const [previewError, setPreviewError] = useState(null);
+
+    const createQueryConfiguration = () => ({
+        select: selectedColumns,
+        where: queryCondition,
+        sort: sortColumns.map((sortColumnElement) => {
+            const {name, order} = sortColumnElement;
+            return `${order === "D" ? "!" : ""}${name}`;
+        })
+    });
+
     useEffect(() => {
         setSelectedColumns(queryConfiguration?.select ?? []);
         setQueryCondition(queryConfiguration?.where);
@@ -68,6 +89,40 @@ const QueryEditor = (props) => {
         }) ?? []);
     }, [queryConfiguration]);
 
+    useEffect(() => {
+        if (!preview || !selectedColumns.length) {
+            setPreviewResult(null);
+            setPreviewError(null);
+            return;
+        }
+
+        let cancelled = false;
+        const queryConfiguration = createQueryConfiguration();
+
+        const timerId = setTimeout(() => {
+            executeQueryConfiguration(rootType, queryConfiguration, {pageSize: previewPageSize})
+                .then(
+                    (iQuery) => {
+                        if (!cancelled) {
+                            setPreviewResult({iQuery, columns: queryConfiguration.select});
+                            setPreviewError(null);
+                        }
+                    },
+                    (err) => {
+                        if (!cancelled) {
+                            setPreviewResult(null);
+                            setPreviewError(err.message || String(err));
+                        }
+                    }
+                );
+        }, previewDelay);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timerId);
+        };
+    }, [preview, rootType, previewPageSize, selectedColumns, queryCondition, conditionChanges, sortColumns]);
+
     return (
         <div className={cx("query-editor", className)}>
             <div className="card">
@@ -103,6 +158,7 @@ const QueryEditor = (props) => {
                         queryCondition={queryCondition}
                         onChange={(queryCondition) => {
                             setQueryCondition(queryCondition);
+                            setConditionChanges((count) => count + 1);
                         }}
                         schemaResolveFilterCallback={schemaResolveFilterCallback}
                     />
@@ -118,21 +174,50 @@ const QueryEditor = (props) => {
                         schemaResolveFilterCallback={schemaResolveFilterCallback}
                     />
                 </div>
+                {
+                    preview && (
+                        <div className="card-body border-top query-editor-preview">
+                            <h5>
+                                {
+                                    i18n("QueryEditor:Preview")
+                                }
+                            </h5>
+                            {
+                                previewError && (
+                                    <div className="alert alert-danger">
+                                        {
+                                            previewError
+                                        }
+                                    </div>
+                                )
+                            }
+                            {
+                                previewResult && (
+                                    <DataGrid
+                                        id="query-editor-preview"
+                                        value={previewResult.iQuery}
+                                    >
+                                        {
+                                            previewResult.columns.map((name) => (
+                                                <DataGrid.Column
+                                                    key={name}
+                                                    name={name}
+                                                />
+                                            ))
+                                        }
+                                    </DataGrid>
+                                )
+                            }
+                        </div>
+                    )
+                }
                 <div className="card-footer">
                     <ButtonToolbar className="d-flex justify-content-start">
                         <button
                             type="Button"
                             className="btn btn-primary"
                             onClick={() => {
-                                const queryConfiguration = {
-                                    select: selectedColumns,
-                                    where: queryCondition,
-                                    sort: sortColumns.map((sortColumnElement) => {
-                                        const {name, order} = sortColumnElement;
-                                        return `${order === "D" ? "!" : ""}${name}`;
-                                    })
-                                };
-                                saveButtonOnClick(queryConfiguration);
+                                saveButtonOnClick(createQueryConfiguration());
                             }}
                         >
                             {
@@ -208,7 +293,23 @@ QueryEditor.propTypes = {
     /**
      * optional additional classes to be given to the wrapping div, mostly for styling
      */
-    className: PropTypes.string
+    className: PropTypes.string,
+
+    /**
+     * if true, render a live preview data grid that re-runs the query as the user edits it
+     * (see compileQueryConfiguration())
+     */
+    preview: PropTypes.bool,
+
+    /**
+     * number of rows per page in the live preview, defaults to 5
+     */
+    previewPageSize: PropTypes.number,
+
+    /**
+     * delay in milliseconds after the last edit before the preview query is executed, defaults to 300
+     */
+    previewDelay: PropTypes.number
 }
 
 export default QueryEditor;
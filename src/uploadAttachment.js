@@ -3,21 +3,211 @@ import uri from "./uri";
 
 
 /**
- * Uploads the given file as attachment
+ * HTTP status codes of responses that are retried like network errors
+ */
+const RETRYABLE_STATUS = [408, 429, 502, 503, 504];
+
+
+/**
+ * Error for HTTP responses that might succeed on retry.
+ */
+class RetryableUploadError extends Error {
+    constructor(message)
+    {
+        super(message);
+        this.name = "RetryableUploadError";
+    }
+}
+
+
+function createAbortError()
+{
+    return new DOMException("Upload cancelled", "AbortError");
+}
+
+
+/**
+ * Returns true if the given error is a network error or a temporary server failure. fetch() rejects with a TypeError
+ * if the request could not be made at all.
+ *
+ * @param {Error} err   error
+ *
+ * @return {boolean}
+ */
+function isRetryable(err)
+{
+    return err instanceof TypeError || err instanceof RetryableUploadError;
+}
+
+
+/**
+ * Resolves after the given delay or rejects with an AbortError when the signal is aborted before that.
+ */
+function wait(delay, signal)
+{
+    return new Promise((resolve, reject) => {
+
+        if (signal && signal.aborted)
+        {
+            reject(createAbortError());
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+
+        const timer = setTimeout(
+            () => {
+                if (signal)
+                {
+                    signal.removeEventListener("abort", onAbort);
+                }
+                resolve();
+            },
+            delay
+        );
+
+        if (signal)
+        {
+            signal.addEventListener("abort", onAbort);
+        }
+    });
+}
+
+
+/**
+ * Reads the JSON result of an upload request and returns the number of bytes the server has received.
+ */
+function readReceived(response)
+{
+    if (RETRYABLE_STATUS.includes(response.status))
+    {
+        return Promise.reject(new RetryableUploadError("Upload request failed with status " + response.status));
+    }
+
+    return response.json()
+        .then(result => {
+            if (!result || !result.ok)
+            {
+                return Promise.reject(new Error("Upload failed"));
+            }
+            return result.received;
+        });
+}
+
+
+/**
+ * Uploads the given file in chunks. Network errors are retried with the offset the server has received so far.
+ */
+function uploadChunks(attachmentId, description, type, file, signal, onProgress)
+{
+    const { csrfToken } = config;
+    const { chunkSize, maxRetries, retryDelay } = config.attachmentUpload;
+    const { size } = file;
+
+    let retries = 0;
+
+    const retry = err => {
+
+        if (!isRetryable(err) || retries >= maxRetries)
+        {
+            return Promise.reject(err);
+        }
+
+        const delay = retryDelay * Math.pow(2, retries++);
+
+        return wait(delay, signal)
+            .then(
+                () => fetch(
+                    uri("/_auto/upload-attachment-status", {
+                        attachmentId
+                    }),
+                    {
+                        credentials: "same-origin",
+                        signal
+                    }
+                )
+            )
+            .then(readReceived)
+            .then(sendFrom, retry);
+    };
+
+    const sendFrom = offset => {
+
+        onProgress(offset, size);
+
+        if (signal && signal.aborted)
+        {
+            return Promise.reject(createAbortError());
+        }
+
+        return fetch(
+            uri("/_auto/upload-attachment-chunk", {
+                attachmentId,
+                description,
+                type,
+                offset,
+                size
+            }),
+            {
+                method: "POST",
+                credentials: "same-origin",
+                headers: {
+                    "Content-Type": "application/octet-stream",
+                    // spring security enforces every POST request to carry a csrf token as either parameter or header
+                    [csrfToken.header]: csrfToken.value
+                },
+                body: file.slice(offset, Math.min(size, offset + chunkSize)),
+                signal
+            }
+        )
+            .then(readReceived)
+            .then(
+                received => {
+                    retries = 0;
+
+                    if (received >= size)
+                    {
+                        onProgress(size, size);
+                        return;
+                    }
+                    return sendFrom(received);
+                },
+                retry
+            );
+    };
+
+    return sendFrom(0);
+}
+
+
+/**
+ * Uploads the given file as attachment.
+ *
+ * Files are uploaded in chunks of `config.attachmentUpload.chunkSize` bytes. After a network error, the upload is
+ * resumed at the offset the server has received up to `config.attachmentUpload.maxRetries` times in a row.
  *
  * @category domain
  *
- * @param {String} attachmentId     attachment id to store the attachment under. Might be an already existing id.
- * @param {String} description      Description of the attachment / former file name
- * @param {String} type             Media type for the attachment. If this is an empty string, the Java side will guess the type
- * @param {File} [file]             File from an file input referencing the data to upload
- * @param {String} [url]            Optional url of the attachment.
+ * @param {String} attachmentId             attachment id to store the attachment under. Might be an already existing id.
+ * @param {String} description              Description of the attachment / former file name
+ * @param {String} type                     Media type for the attachment. If this is an empty string, the Java side will guess the type
+ * @param {File} [file]                     File from an file input referencing the data to upload
+ * @param {String} [url]                    Optional url of the attachment.
+ * @param {Object} [opts]                   options
+ * @param {AbortSignal} [opts.signal]       signal to cancel the upload with. The returned promise rejects with an
+ *                                          "AbortError" DOMException when the upload is cancelled.
+ * @param {function} [opts.onProgress]      Progress callback ( (loaded, total) => ... ), called before and after every
+ *                                          chunk with the number of bytes the server has received.
  *
  * @return {Promise<void>}  resolves after the upload has completed successfully or rejects if not
  */
-export default function uploadAttachment(attachmentId, description, type, file = null, url = "") {
+export default function uploadAttachment(attachmentId, description, type, file = null, url = "", opts = {}) {
 
     const { csrfToken } = config;
+    const { signal, onProgress = () => {} } = opts;
 
     if (!file && !url)
     {
@@ -28,6 +218,11 @@ export default function uploadAttachment(attachmentId, description, type, file =
         throw new Error("Cannot have both file and url: " + JSON.stringify({attachmentId, description, type, file, url}))
     }
 
+    if (file)
+    {
+        return uploadChunks(attachmentId, description, type, file, signal, onProgress);
+    }
+
     return fetch(
         uri("/_auto/upload-attachment", {
             attachmentId,
@@ -43,7 +238,7 @@ export default function uploadAttachment(attachmentId, description, type, file =
                 // spring security enforces every POST request to carry a csrf token as either parameter or header
                 [csrfToken.header]: csrfToken.value
             },
-            body: file
+            signal
         }
     )
         .then(response => response.json())
@@ -0,0 +1,36 @@
+/**
+ * Error thrown when a textual filter expression cannot be parsed or does not match the input schema.
+ */
+export default class FilterSyntaxError extends Error {
+
+    /**
+     * Character offset of the error within the filter expression
+     * @type {number}
+     */
+    index;
+
+    /**
+     * Line of the error (1-based)
+     * @type {number}
+     */
+    line;
+
+    /**
+     * Column of the error (1-based)
+     * @type {number}
+     */
+    column;
+
+    constructor(message, text, index)
+    {
+        const before = text.substring(0, index).split("\n");
+        const line = before.length;
+        const column = before[line - 1].length + 1;
+
+        super(message + " at line " + line + ", column " + column);
+        this.name = "FilterSyntaxError";
+        this.index = index;
+        this.line = line;
+        this.column = column;
+    }
+}
@@ -0,0 +1,18 @@
+/**
+ * Error thrown when a translation message does not follow the ICU MessageFormat syntax.
+ */
+export default class MessageFormatError extends Error {
+
+    /**
+     * Character offset of the error within the message
+     * @type {number}
+     */
+    index;
+
+    constructor(message, text, index)
+    {
+        super(message + " at offset " + index + " in message " + JSON.stringify(text));
+        this.name = "MessageFormatError";
+        this.index = index;
+    }
+}
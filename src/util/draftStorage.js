@@ -0,0 +1,169 @@
+import config from "../config";
+
+const DATABASE_NAME = "automaton-drafts";
+const DATABASE_VERSION = 1;
+const STORE_NAME = "workingSets";
+
+let databasePromise = null;
+
+
+/**
+ * Returns the key for a working set draft.
+ *
+ * @param {String} processName      process name
+ * @param {String} name             persistence name of the working set
+ *
+ * @return {string} draft key
+ */
+function draftKey(processName, name)
+{
+    return config.appName + "/" + processName + ":" + name;
+}
+
+
+/**
+ * Wraps the given IndexedDB request in a promise.
+ *
+ * @param {IDBRequest} request      IndexedDB request
+ *
+ * @return {Promise<*>} resolves to the request result
+ */
+function promisifyRequest(request)
+{
+    return new Promise(
+        (resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }
+    );
+}
+
+
+/**
+ * Lazily opens the draft database. Resolves to null if the current environment does not support IndexedDB.
+ *
+ * @return {Promise<?IDBDatabase>}
+ */
+function openDatabase()
+{
+    if (!databasePromise)
+    {
+        if (typeof window === "undefined" || !window.indexedDB)
+        {
+            databasePromise = Promise.resolve(null);
+        }
+        else
+        {
+            const request = window.indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME))
+                {
+                    db.createObjectStore(STORE_NAME, { keyPath: "key" });
+                }
+            };
+
+            databasePromise = promisifyRequest(request)
+                .catch(err => {
+                    console.error("Error opening draft database", err);
+                    return null;
+                });
+        }
+    }
+    return databasePromise;
+}
+
+
+/**
+ * Executes the given function with the draft object store of a new transaction.
+ *
+ * @param {String} mode         transaction mode ("readonly" or "readwrite")
+ * @param {Function} fn         function receiving the object store and returning an IndexedDB request
+ *
+ * @return {Promise<*>} resolves to the request result or null if IndexedDB is not supported
+ */
+function withStore(mode, fn)
+{
+    return openDatabase().then(
+        db => {
+            if (!db)
+            {
+                return null;
+            }
+
+            const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+            return promisifyRequest(
+                fn(store)
+            );
+        }
+    );
+}
+
+
+/**
+ * Resets the lazily opened draft database so that the next access opens it again. Should only be used in tests.
+ */
+export function __resetDraftStorageForTest()
+{
+    databasePromise = null;
+}
+
+
+/**
+ * Loads the draft persisted for the given process and working set.
+ *
+ * @param {String} processName      process name
+ * @param {String} name             persistence name of the working set
+ *
+ * @return {Promise<?object>} resolves to the draft entry ( `{ key, processName, name, modified, data }` ) or null
+ */
+export function loadDraft(processName, name)
+{
+    return withStore(
+        "readonly",
+        store => store.get(draftKey(processName, name))
+    ).then(
+        entry => entry || null
+    );
+}
+
+
+/**
+ * Persists the given working set data as draft for the given process and working set.
+ *
+ * @param {String} processName      process name
+ * @param {String} name             persistence name of the working set
+ * @param {object} data             working set data as produced by `WorkingSet.toJS()`. Must be structurally cloneable.
+ *
+ * @return {Promise} resolves when the draft is written
+ */
+export function saveDraft(processName, name, data)
+{
+    return withStore(
+        "readwrite",
+        store => store.put({
+            key: draftKey(processName, name),
+            processName,
+            name,
+            modified: new Date().toISOString(),
+            data
+        })
+    );
+}
+
+
+/**
+ * Deletes the draft persisted for the given process and working set.
+ *
+ * @param {String} processName      process name
+ * @param {String} name             persistence name of the working set
+ *
+ * @return {Promise} resolves when the draft is deleted
+ */
+export function deleteDraft(processName, name)
+{
+    return withStore(
+        "readwrite",
+        store => store.delete(draftKey(processName, name))
+    );
+}
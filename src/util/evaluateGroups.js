@@ -0,0 +1,248 @@
+import get from "lodash.get"
+
+
+/**
+ * Enum for the aggregate functions usable in the `aggregates` of a query config.
+ *
+ * @category iquery
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const AggregateFunction = {
+    /**
+     * Number of rows. If a field is given, only rows with a non-null value for that field are counted.
+     * @member {string}
+     */
+    COUNT: "count",
+    /**
+     * Sum of the non-null field values
+     * @member {string}
+     */
+    SUM: "sum",
+    /**
+     * Average of the non-null field values or `null` if there are none.
+     * @member {string}
+     */
+    AVG: "avg",
+    /**
+     * Minimum of the non-null field values
+     * @member {string}
+     */
+    MIN: "min",
+    /**
+     * Maximum of the non-null field values
+     * @member {string}
+     */
+    MAX: "max"
+};
+
+Object.freeze(AggregateFunction);
+
+const AGGREGATE_FUNCTIONS = Object.values(AggregateFunction);
+
+
+/**
+ * Returns true if the given value is a decimal value supporting arithmetic methods (e.g. BigNumber).
+ */
+function isDecimal(value)
+{
+    return value !== null && typeof value === "object" && typeof value.plus === "function";
+}
+
+
+function add(a, b)
+{
+    return isDecimal(a) ? a.plus(b) : a + b;
+}
+
+
+function compare(a, b)
+{
+    if (isDecimal(a))
+    {
+        return a.comparedTo(b);
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+
+function evaluateAggregate(rows, aggregate)
+{
+    const { fn, field } = aggregate;
+
+    if (!AGGREGATE_FUNCTIONS.includes(fn))
+    {
+        throw new Error("Invalid aggregate function '" + fn + "' in " + JSON.stringify(aggregate));
+    }
+
+    if (!field)
+    {
+        if (fn !== AggregateFunction.COUNT)
+        {
+            throw new Error("Aggregate function '" + fn + "' needs a field: " + JSON.stringify(aggregate));
+        }
+        return rows.length;
+    }
+
+    let result = null;
+    let count = 0;
+    for (let i = 0; i < rows.length; i++)
+    {
+        const value = get(rows[i], field);
+        if (value === null || value === undefined)
+        {
+            continue;
+        }
+
+        if (count === 0)
+        {
+            result = value;
+        }
+        else if (fn === AggregateFunction.SUM || fn === AggregateFunction.AVG)
+        {
+            result = add(result, value);
+        }
+        else if (fn === AggregateFunction.MIN ? compare(value, result) < 0 : compare(value, result) > 0)
+        {
+            result = value;
+        }
+        count++;
+    }
+
+    if (fn === AggregateFunction.COUNT)
+    {
+        return count;
+    }
+    if (fn === AggregateFunction.SUM && count === 0)
+    {
+        return 0;
+    }
+    if (fn === AggregateFunction.AVG && count > 0)
+    {
+        return isDecimal(result) ? result.div(count) : result / count;
+    }
+    return result;
+}
+
+
+/**
+ * Evaluates the given aggregates over the given rows.
+ *
+ * @category iquery
+ *
+ * @param {Array<Object>} rows          rows
+ * @param {Array<Object>} aggregates    aggregate definitions ( `{ name, fn, field }` with `fn` being an AggregateFunction
+ *                                      and `field` a field path)
+ *
+ * @return {Object} map of aggregate name to aggregate value
+ */
+export function evaluateAggregates(rows, aggregates)
+{
+    const result = {};
+    for (let i = 0; i < aggregates.length; i++)
+    {
+        const aggregate = aggregates[i];
+        result[aggregate.name] = evaluateAggregate(rows, aggregate);
+    }
+    return result;
+}
+
+
+/**
+ * Returns the key of the group the given row belongs to.
+ *
+ * @category iquery
+ *
+ * @param {Object} row                  row
+ * @param {Array<String>} groupBy       group field paths
+ *
+ * @return {String} group key
+ */
+export function getGroupKey(row, groupBy)
+{
+    return JSON.stringify(groupBy.map(path => {
+        const value = get(row, path);
+        return value === undefined ? null : value;
+    }));
+}
+
+
+/**
+ * Returns the sort fields that sort rows by their groups first. Group fields keep their sort direction if they are
+ * contained in the given sort fields, otherwise they are sorted ascending.
+ *
+ * @category iquery
+ *
+ * @param {Array<String>} groupBy                   group field paths
+ * @param {Array<String|Object>} [sortFields]       sort fields
+ *
+ * @return {Array<String|Object>} sort fields
+ */
+export function getGroupSortFields(groupBy, sortFields = [])
+{
+    const groupSortFields = groupBy.map(
+        path => sortFields.find(sortField => sortField === path || sortField === "!" + path) || path
+    );
+
+    return [
+        ... groupSortFields,
+        ... sortFields.filter(sortField => !groupSortFields.includes(sortField))
+    ];
+}
+
+
+/**
+ * Groups the given rows by the values of the given fields and evaluates the aggregates for every group. The rows are
+ * expected to be sorted by their groups (see getGroupSortFields()).
+ *
+ * @category iquery
+ *
+ * @param {Array<Object>} rows              rows sorted by group
+ * @param {Array<String>} groupBy           group field paths
+ * @param {Array<Object>} [aggregates]      aggregate definitions (see evaluateAggregates())
+ *
+ * @return {Array<{key: String, values: Object, count: number, aggregates: Object}>} groups in row order. `values`
+ *          maps the group field paths to the group values.
+ */
+export default function evaluateGroups(rows, groupBy, aggregates = [])
+{
+    const groups = [];
+
+    let start = 0;
+    let currentKey = null;
+
+    const addGroup = end => {
+        const groupRows = rows.slice(start, end);
+        const values = {};
+        groupBy.forEach(path => {
+            const value = get(groupRows[0], path);
+            values[path] = value === undefined ? null : value;
+        });
+
+        groups.push({
+            key: currentKey,
+            values,
+            count: groupRows.length,
+            aggregates: evaluateAggregates(groupRows, aggregates)
+        });
+        start = end;
+    };
+
+    for (let i = 0; i < rows.length; i++)
+    {
+        const key = getGroupKey(rows[i], groupBy);
+        if (i > 0 && key !== currentKey)
+        {
+            addGroup(i);
+        }
+        currentKey = key;
+    }
+
+    if (rows.length)
+    {
+        addGroup(rows.length);
+    }
+
+    return groups;
+}
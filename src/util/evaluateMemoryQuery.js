@@ -4,6 +4,7 @@ import { FieldResolver } from "./filterTransformer";
 import filterTransformer from "../util/filterTransformer";
 import { field, Type } from "../FilterDSL";
 import InteractiveQuery from "../model/InteractiveQuery";
+import evaluateGroups, { evaluateAggregates, getGroupSortFields } from "./evaluateGroups";
 
 
 function transformSortFields(resolver, sortFields)
@@ -111,6 +112,10 @@ function sort(rows, sortFields)
 /**
  * Filters a given cached iQuery document according to the give query config object.
  *
+ * If the query config contains `groupBy` fields, the rows are sorted by their groups first and the document receives
+ * the `groups` of all filtered rows. If it contains `aggregates`, the document receives the aggregate values over all
+ * filtered rows as `aggregates` (see evaluateGroups()).
+ *
  * @category iquery
  *
  * @param format            WireFormat instance
@@ -138,7 +143,9 @@ export const evaluateMemoryQuery = action(
             document.rowCount = cachedDocument.rowCount;
         }
 
-        const { offset, pageSize } = queryConfig;
+        const { offset, pageSize, groupBy, aggregates } = queryConfig;
+        const hasGroups = Array.isArray(groupBy) && groupBy.length > 0;
+        const hasAggregates = Array.isArray(aggregates) && aggregates.length > 0;
 
         const resolver = new FieldResolver();
         const filter = filterTransformer(queryConfig.condition, resolver.resolve)
@@ -150,13 +157,30 @@ export const evaluateMemoryQuery = action(
             return filter();
         })
 
-        if (Array.isArray(queryConfig.sortFields) && queryConfig.sortFields.length)
+        const hasSortFields = Array.isArray(queryConfig.sortFields) && queryConfig.sortFields.length > 0;
+        if (hasSortFields || hasGroups)
+        {
+            filteredRows = sort(
+                filteredRows,
+                hasGroups ? getGroupSortFields(groupBy, hasSortFields ? queryConfig.sortFields : []) : queryConfig.sortFields
+            );
+        }
+        if (hasSortFields)
         {
-            filteredRows = sort(filteredRows, queryConfig.sortFields);
-
             document.queryConfig.sortFields = queryConfig.sortFields;
         }
 
+        if (groupBy !== undefined)
+        {
+            document.queryConfig.groupBy = groupBy;
+        }
+        if (aggregates !== undefined)
+        {
+            document.queryConfig.aggregates = aggregates;
+        }
+        document.groups = hasGroups ? evaluateGroups(filteredRows, groupBy, hasAggregates ? aggregates : []) : null;
+        document.aggregates = hasAggregates ? evaluateAggregates(filteredRows, aggregates) : null;
+
         if (pageSize > 0)
         {
             document.rows = filteredRows.slice(offset, offset + pageSize)
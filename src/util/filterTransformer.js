@@ -3,6 +3,133 @@ import { InputSchema } from "domainql-form";
 import get from "lodash.get"
 import toPath from "lodash.topath"
 import { DateTime } from "luxon"
+import config from "../config"
+
+
+/**
+ * Null handling modes for the in-memory evaluation of filter conditions
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const NullMode = {
+    /**
+     * Plain Javascript semantics. Comparisons with null just compare the Javascript values.
+     * @member {string}
+     */
+    JAVASCRIPT: "javascript",
+    /**
+     * SQL semantics. Comparisons and operations with a null operand are UNKNOWN (null), the logical operators follow
+     * the three-valued logic of SQL and a condition that is UNKNOWN in the end does not match.
+     * @member {string}
+     */
+    SQL: "sql"
+};
+
+Object.freeze(NullMode);
+
+
+function isNullValue(v)
+{
+    return v === null || v === undefined;
+}
+
+
+/**
+ * Compares two non-null values. Objects like luxon DateTime or BigNumber are compared by their primitive value.
+ *
+ * @param {*} a     value a
+ * @param {*} b     value b
+ *
+ * @return {boolean} true if the values are equal
+ */
+function valueEquals(a, b)
+{
+    if (a === b)
+    {
+        return true;
+    }
+
+    if (a && b && typeof a === "object" && typeof b === "object" && Object.getPrototypeOf(a) === Object.getPrototypeOf(b))
+    {
+        const aVal = a.valueOf();
+        const bVal = b.valueOf();
+        return aVal !== a && aVal === bVal;
+    }
+    return false;
+}
+
+
+/**
+ * Null-safe comparison: two nulls are not distinct from each other, a null is distinct from any non-null value.
+ */
+function isDistinctFrom(a, b)
+{
+    const aIsNull = isNullValue(a);
+    const bIsNull = isNullValue(b);
+    if (aIsNull || bIsNull)
+    {
+        return aIsNull !== bIsNull;
+    }
+    return !valueEquals(a, b);
+}
+
+
+function evaluate(op)
+{
+    return typeof op === "function" ? op() : op;
+}
+
+
+/**
+ * SQL AND of the given operands: false if any operand is false, otherwise null if any operand is null.
+ */
+function sqlAnd(operands)
+{
+    let unknown = false;
+    for (let i = 0; i < operands.length; i++)
+    {
+        const operand = evaluate(operands[i]);
+        if (isNullValue(operand))
+        {
+            unknown = true;
+        }
+        else if (!operand)
+        {
+            return false;
+        }
+    }
+    return unknown ? null : true;
+}
+
+
+/**
+ * SQL OR of the given operands: true if any operand is true, otherwise null if any operand is null.
+ */
+function sqlOr(operands)
+{
+    let unknown = false;
+    for (let i = 0; i < operands.length; i++)
+    {
+        const operand = evaluate(operands[i]);
+        if (isNullValue(operand))
+        {
+            unknown = true;
+        }
+        else if (operand)
+        {
+            return true;
+        }
+    }
+    return unknown ? null : false;
+}
+
+
+function sqlNot(operand)
+{
+    return isNullValue(operand) ? null : !operand;
+}
+
 
 const conditionImpl = {
     true: () => true,
@@ -46,7 +173,7 @@ const conditionImpl = {
         // arguments are lowercased outside
         return a === b;
     },
-    isDistinctFrom: false,
+    isDistinctFrom,
     between: (a, b, c) => {
         return a >= b && a <= c;
     },
@@ -67,7 +194,7 @@ const conditionImpl = {
         return !(a >= b && a <= c);
     },
     notEqual: (a, b) => {
-        return a !== b;
+        return !valueEquals(a, b);
     },
     isFalse: (a) => {
         return a === false;
@@ -77,13 +204,13 @@ const conditionImpl = {
         return a && a.indexOf(b) >= 0;
     },
     eq: (a, b) => {
-        return a === b;
+        return valueEquals(a, b);
     },
     gt: (a, b) => {
         return a > b;
     },
     equal: (a, b) => {
-        return a === b;
+        return valueEquals(a, b);
     },
     likeRegex: (a, b) => {
         // conversion to regex outside
@@ -103,7 +230,7 @@ const conditionImpl = {
         return !(a && a.indexOf(b) >= 0);
     },
     ne: (a, b) => {
-        return a !== b;
+        return !valueEquals(a, b);
     },
     isNull: (a) => {
         return a === null;
@@ -118,7 +245,9 @@ const conditionImpl = {
     le: (a, b) => {
         return a <= b;
     },
-    isNotDistinctFrom: false,
+    isNotDistinctFrom: (a, b) => {
+        return !isDistinctFrom(a, b);
+    },
     startsWith: (a, b) => {
         if (!a)
         {
@@ -129,7 +258,7 @@ const conditionImpl = {
     in: (a, b) => {
         for (let i = 0; i < b.length; i++)
         {
-            if (a === b[i])
+            if (valueEquals(a, b[i]))
             {
                 return true;
             }
@@ -240,6 +369,79 @@ const operationImpl = {
     }
 };
 
+/**
+ * Condition implementations that differ in SQL null mode. All other conditions and operations are UNKNOWN (null) if
+ * any of their operands is null.
+ */
+const sqlConditionImpl = {
+    orNot: (a, b) => {
+        return sqlNot(sqlOr([a, b]));
+    },
+    andNot: (a, b) => {
+        return sqlNot(sqlAnd([a, b]));
+    },
+    isNull: (a) => {
+        return isNullValue(a);
+    },
+    isNotNull: (a) => {
+        return !isNullValue(a);
+    },
+    isTrue: (a) => {
+        return a === true;
+    },
+    isFalse: (a) => {
+        return a === false;
+    },
+    isDistinctFrom,
+    isNotDistinctFrom: conditionImpl.isNotDistinctFrom,
+    in: (a, b) => {
+        if (isNullValue(a))
+        {
+            return null;
+        }
+
+        let unknown = false;
+        for (let i = 0; i < b.length; i++)
+        {
+            const v = b[i];
+            if (isNullValue(v))
+            {
+                unknown = true;
+            }
+            else if (valueEquals(a, v))
+            {
+                return true;
+            }
+        }
+        return unknown ? null : false;
+    }
+};
+
+
+/**
+ * Wraps the given implementation so that it returns null if any of its arguments is null or undefined.
+ */
+function nullPropagating(fn)
+{
+    return (...args) => {
+        for (let i = 0; i < args.length; i++)
+        {
+            if (isNullValue(args[i]))
+            {
+                return null;
+            }
+        }
+        return fn(...args);
+    };
+}
+
+
+function toRegExp(v)
+{
+    return isNullValue(v) ? v : new RegExp(v);
+}
+
+
 const filterFunctions = {
     "now" : (name, args) => DateTime.now(),
     "today" : (name, args) => DateTime.now().startOf("day"),
@@ -256,10 +458,11 @@ const FILTER_FUNCTION_TYPE = "FilterFunction"
 
  * @param {Object}      condition           JSON condition map
  * @param {Function}    resolverFactory     function that creates a field resolver function for a given field name
+ * @param {boolean}     sqlNulls            true to evaluate with SQL null semantics
  *
  * @return {*}  transformed node
  */
-function transform(condition, resolverFactory)
+function transform(condition, resolverFactory, sqlNulls)
 {
     const { type, name } = condition;
 
@@ -286,7 +489,7 @@ function transform(condition, resolverFactory)
         }
 
         case Type.COMPONENT:
-            return condition.condition ? transform(condition.condition, resolverFactory) : true;
+            return condition.condition ? transform(condition.condition, resolverFactory, sqlNulls) : true;
 
         case Type.CONDITION:
         case Type.OPERATION:
@@ -299,10 +502,14 @@ function transform(condition, resolverFactory)
             }
 
             const isCondition = type === Type.CONDITION;
-            const operands = condition.operands.map( op => transform(op, resolverFactory))
+            const operands = condition.operands.map( op => transform(op, resolverFactory, sqlNulls))
 
             if (name === "and")
             {
+                if (sqlNulls)
+                {
+                    return () => sqlAnd(operands);
+                }
                 return () => {
                     for (let i = 0; i < operands.length; i++)
                     {
@@ -318,6 +525,10 @@ function transform(condition, resolverFactory)
             }
             else if (name === "or")
             {
+                if (sqlNulls)
+                {
+                    return () => sqlOr(operands);
+                }
                 return () => {
                     for (let i = 0; i < operands.length; i++)
                     {
@@ -333,13 +544,17 @@ function transform(condition, resolverFactory)
             }
             else if (name === "not")
             {
+                if (sqlNulls)
+                {
+                    return () => sqlNot(evaluate(operands[0]));
+                }
                 return () => {
                     const op = operands[0];
                     return !(typeof op === "function" ? op() : op);
                 };
             }
 
-            const fn = (isCondition ? conditionImpl : operationImpl)[name];
+            let fn = (isCondition ? conditionImpl : operationImpl)[name];
 
             if (fn === false)
             {
@@ -351,6 +566,11 @@ function transform(condition, resolverFactory)
                 throw new Error("Unknown " + type.toLowerCase() + " '" + name + "'");
             }
 
+            if (sqlNulls)
+            {
+                fn = isCondition && sqlConditionImpl.hasOwnProperty(name) ? sqlConditionImpl[name] : nullPropagating(fn);
+            }
+
             let ignoresCase = false;
 
             if (isCondition)
@@ -375,9 +595,10 @@ function transform(condition, resolverFactory)
             }
 
             const isRegEx = name === "likeRegex" || name === "notLikeRegex";
+            const regExp = sqlNulls ? toRegExp : v => new RegExp(v);
             if (isRegEx && typeof operands[1] !== "function")
             {
-                operands[1] = new RegExp(operands[1]);
+                operands[1] = regExp(operands[1]);
             }
 
 
@@ -428,10 +649,10 @@ function transform(condition, resolverFactory)
 
                         if (isRegEx && bIsFunction)
                         {
-                            return fn(
+                            return () => fn(
                                 aIsFunction ? a() : a,
-                                new RegExp(b())
-                            )
+                                regExp(b())
+                            );
                         }
 
                         // the non-functions operands are toLowerCase()d once above
@@ -509,14 +730,23 @@ const TRUE = () => true;
  * @param {Object}      condition           JSON condition map
  * @param {Function}    resolverFactory     function that creates a field resolver function for a given field name
  *                                          ( name => { return () => f(name) } )
+ * @param {String}      [nullMode]          null handling mode ( see NullMode ). Default is `config.filterNullMode`.
  */
-export default function filterTransformer(condition, resolverFactory)
+export default function filterTransformer(condition, resolverFactory, nullMode = config.filterNullMode)
 {
     if (condition === null)
     {
         return TRUE;
     }
-    const result = transform(condition, resolverFactory);
+
+    const sqlNulls = nullMode === NullMode.SQL;
+    const result = transform(condition, resolverFactory, sqlNulls);
+
+    if (sqlNulls && (condition.type === Type.CONDITION || condition.type === Type.COMPONENT))
+    {
+        // an UNKNOWN condition does not match
+        return typeof result === "function" ? () => result() === true : () => result === true;
+    }
 
     if (typeof result === "function")
     {
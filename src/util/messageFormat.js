@@ -0,0 +1,482 @@
+import { DateTime } from "luxon";
+import config from "../config";
+import MessageFormatError from "./MessageFormatError";
+
+
+const WHITESPACE = /\s/;
+
+/**
+ * Characters ending an argument name or option selector
+ */
+const NAME_END = /[\s{},#']/;
+
+/**
+ * Matches messages that need ICU formatting: named arguments like "{name}" and arguments with a type like
+ * "{0, number}". Messages only using positional "{0}" arguments keep the simple legacy formatting where apostrophes
+ * have no special meaning.
+ */
+const ICU_ARGUMENT = /{\s*(?:[^\s\d{},]|\d+\s*,)/;
+
+const DATE_STYLES = {
+    short: DateTime.DATE_SHORT,
+    medium: DateTime.DATE_MED,
+    long: DateTime.DATE_FULL,
+    full: DateTime.DATE_HUGE
+};
+
+const TIME_STYLES = {
+    short: DateTime.TIME_SIMPLE,
+    medium: DateTime.TIME_WITH_SECONDS,
+    long: DateTime.TIME_WITH_SHORT_OFFSET,
+    full: DateTime.TIME_WITH_LONG_OFFSET
+};
+
+const NUMBER_STYLES = {
+    integer: { maximumFractionDigits: 0 },
+    percent: { style: "percent" }
+};
+
+
+/**
+ * Recursive descent parser for the ICU MessageFormat syntax
+ */
+class MessageParser
+{
+    constructor(message)
+    {
+        this.message = message;
+        this.pos = 0;
+    }
+
+    error(msg, index = this.pos)
+    {
+        return new MessageFormatError(msg, this.message, index);
+    }
+
+    skipWhitespace()
+    {
+        const { message } = this;
+        while (this.pos < message.length && WHITESPACE.test(message[this.pos]))
+        {
+            this.pos++;
+        }
+    }
+
+    expect(ch)
+    {
+        this.skipWhitespace();
+        if (this.message[this.pos] !== ch)
+        {
+            throw this.error(
+                this.pos < this.message.length ?
+                    "Expected '" + ch + "' but found '" + this.message[this.pos] + "'" :
+                    "Expected '" + ch + "' but found end of message"
+            );
+        }
+        this.pos++;
+    }
+
+    readName()
+    {
+        this.skipWhitespace();
+        const { message } = this;
+        const start = this.pos;
+        while (this.pos < message.length && !NAME_END.test(message[this.pos]))
+        {
+            this.pos++;
+        }
+        return message.substring(start, this.pos);
+    }
+
+    /**
+     * Parses message text up to the end of the message or the closing brace of the enclosing option.
+     *
+     * @param {Boolean} nested      true if parsing the content of a plural or select option
+     * @param {Boolean} inPlural    true if "#" refers to the value of an enclosing plural argument
+     *
+     * @return {Array} message nodes
+     */
+    parseNodes(nested, inPlural)
+    {
+        const { message } = this;
+        const nodes = [];
+        let text = "";
+
+        const flush = () => {
+            if (text)
+            {
+                nodes.push(text);
+                text = "";
+            }
+        };
+
+        while (this.pos < message.length)
+        {
+            const ch = message[this.pos];
+            if (ch === "'")
+            {
+                const next = message[this.pos + 1];
+                if (next === "'")
+                {
+                    text += "'";
+                    this.pos += 2;
+                }
+                else if (next === "{" || next === "}" || (inPlural && next === "#"))
+                {
+                    // quoted literal text up to the next single apostrophe
+                    this.pos++;
+                    while (this.pos < message.length)
+                    {
+                        if (message[this.pos] === "'")
+                        {
+                            if (message[this.pos + 1] !== "'")
+                            {
+                                break;
+                            }
+                            this.pos++;
+                        }
+                        text += message[this.pos++];
+                    }
+                    this.pos++;
+                }
+                else
+                {
+                    text += ch;
+                    this.pos++;
+                }
+            }
+            else if (ch === "{")
+            {
+                flush();
+                nodes.push(this.parseArgument(inPlural));
+            }
+            else if (ch === "}")
+            {
+                if (!nested)
+                {
+                    throw this.error("Unexpected '}'");
+                }
+                break;
+            }
+            else if (ch === "#" && inPlural)
+            {
+                flush();
+                nodes.push({ type: "pound" });
+                this.pos++;
+            }
+            else
+            {
+                text += ch;
+                this.pos++;
+            }
+        }
+        flush();
+
+        return nodes;
+    }
+
+    parseArgument(inPlural)
+    {
+        const start = this.pos;
+        this.pos++;
+
+        const name = this.readName();
+        if (!name)
+        {
+            throw this.error("Expected argument name");
+        }
+
+        this.skipWhitespace();
+        if (this.message[this.pos] === "}")
+        {
+            this.pos++;
+            return { type: "argument", name };
+        }
+
+        this.expect(",");
+        const type = this.readName();
+
+        switch (type)
+        {
+            case "number":
+            {
+                const style = this.parseStyle();
+                if (style && !NUMBER_STYLES[style])
+                {
+                    throw this.error("Unknown number style '" + style + "'", start);
+                }
+                return { type, name, style };
+            }
+            case "date":
+            case "time":
+                return { type, name, style: this.parseStyle() };
+            case "plural":
+            case "selectordinal":
+                return this.parseOptions({ type: "plural", name, ordinal: type === "selectordinal", offset: 0 }, true);
+            case "select":
+                return this.parseOptions({ type, name }, inPlural);
+            default:
+                throw this.error("Unknown argument type '" + type + "'", start);
+        }
+    }
+
+    parseStyle()
+    {
+        const { message } = this;
+        this.skipWhitespace();
+        if (message[this.pos] === "}")
+        {
+            this.pos++;
+            return null;
+        }
+
+        this.expect(",");
+        const end = message.indexOf("}", this.pos);
+        const style = message.substring(this.pos, end < 0 ? message.length : end).trim();
+        if (end < 0 || style.indexOf("{") >= 0)
+        {
+            throw this.error("Unterminated argument style");
+        }
+        if (!style)
+        {
+            throw this.error("Expected argument style");
+        }
+        this.pos = end + 1;
+        return style;
+    }
+
+    parseOptions(node, inPlural)
+    {
+        const { message } = this;
+        const options = {};
+
+        this.expect(",");
+
+        this.skipWhitespace();
+        if (node.type === "plural" && message.startsWith("offset:", this.pos))
+        {
+            this.pos += 7;
+            const offset = this.readName();
+            if (!/^\d+$/.test(offset))
+            {
+                throw this.error("Invalid plural offset '" + offset + "'");
+            }
+            node.offset = +offset;
+        }
+
+        for (;;)
+        {
+            this.skipWhitespace();
+            if (this.pos >= message.length)
+            {
+                throw this.error("Unterminated " + node.type + " argument '" + node.name + "'");
+            }
+            if (message[this.pos] === "}")
+            {
+                this.pos++;
+                break;
+            }
+
+            const selector = this.readName();
+            if (!selector)
+            {
+                throw this.error("Expected " + node.type + " option");
+            }
+            if (options.hasOwnProperty(selector))
+            {
+                throw this.error("Duplicate option '" + selector + "'");
+            }
+            this.expect("{");
+            options[selector] = this.parseNodes(true, inPlural);
+            this.expect("}");
+        }
+
+        if (!options.other)
+        {
+            throw this.error("Missing 'other' option in " + node.type + " argument '" + node.name + "'");
+        }
+
+        node.options = options;
+        return node;
+    }
+}
+
+
+/**
+ * Parses the given ICU MessageFormat message.
+ *
+ * @param {String} message      message
+ *
+ * @return {Array} message nodes
+ *
+ * @throws MessageFormatError if the message is malformed
+ */
+export function parseMessage(message)
+{
+    return new MessageParser(message).parseNodes(false, false);
+}
+
+
+/**
+ * Returns true if the given message uses ICU MessageFormat syntax beyond simple positional arguments like "{0}".
+ *
+ * @param {String} message      message
+ *
+ * @return {boolean}
+ */
+export function isMessageFormat(message)
+{
+    return ICU_ARGUMENT.test(message);
+}
+
+
+/**
+ * Returns the current locale in BCP 47 format or `undefined` to use the default locale.
+ */
+function getLocale()
+{
+    const { locale } = config;
+    return locale ? locale.replace(/_/g, "-") : undefined;
+}
+
+
+function toNumber(value)
+{
+    return value !== null && typeof value === "object" && typeof value.toNumber === "function" ? value.toNumber() : Number(value);
+}
+
+
+function toDateTime(value)
+{
+    let dateTime;
+    if (DateTime.isDateTime(value))
+    {
+        dateTime = value;
+    }
+    else if (value instanceof Date)
+    {
+        dateTime = DateTime.fromJSDate(value);
+    }
+    else if (typeof value === "number")
+    {
+        dateTime = DateTime.fromMillis(value);
+    }
+    else
+    {
+        dateTime = DateTime.fromISO(String(value));
+    }
+
+    const locale = getLocale();
+    return locale ? dateTime.setLocale(locale) : dateTime;
+}
+
+
+function formatNumber(value, style)
+{
+    return new Intl.NumberFormat(getLocale(), NUMBER_STYLES[style]).format(toNumber(value));
+}
+
+
+function formatDateTime(value, styles, style)
+{
+    const dateTime = toDateTime(value);
+    const format = styles[style || "medium"];
+
+    // other styles are Luxon format strings
+    return format ? dateTime.toLocaleString(format) : dateTime.toFormat(style);
+}
+
+
+function lookup(values, name)
+{
+    if (/^\d+$/.test(name))
+    {
+        return values[+name];
+    }
+    const named = values[0];
+    return named !== null && typeof named === "object" ? named[name] : undefined;
+}
+
+
+function formatNodes(nodes, values, pluralValue)
+{
+    let result = "";
+    for (let i = 0; i < nodes.length; i++)
+    {
+        const node = nodes[i];
+        if (typeof node === "string")
+        {
+            result += node;
+            continue;
+        }
+
+        const value = node.type === "pound" ? pluralValue : lookup(values, node.name);
+        switch (node.type)
+        {
+            case "argument":
+                result += typeof value === "number" ? formatNumber(value) : String(value);
+                break;
+            case "pound":
+            case "number":
+                result += formatNumber(value, node.style);
+                break;
+            case "date":
+                result += formatDateTime(value, DATE_STYLES, node.style);
+                break;
+            case "time":
+                result += formatDateTime(value, TIME_STYLES, node.style);
+                break;
+            case "plural":
+            {
+                const number = toNumber(value);
+                const { options, offset, ordinal } = node;
+
+                let option = options["=" + number];
+                if (!option)
+                {
+                    const category = new Intl.PluralRules(getLocale(), { type: ordinal ? "ordinal" : "cardinal" }).select(number - offset);
+                    option = options[category] || options.other;
+                }
+                result += formatNodes(option, values, number - offset);
+                break;
+            }
+            case "select":
+                result += formatNodes(node.options[String(value)] || node.options.other, values, pluralValue);
+                break;
+        }
+    }
+    return result;
+}
+
+
+const cache = new Map();
+
+
+/**
+ * Formats the given ICU MessageFormat message with the given arguments. Arguments are referenced by position ( "{0}" )
+ * or by name ( "{count}" ) in which case the first argument is expected to be an object containing the named values.
+ *
+ * Supported are simple arguments, number arguments ( "{0, number}", styles "integer" and "percent"), date and time
+ * arguments ( "{0, date, short}", styles "short", "medium", "long", "full" or a Luxon format string), plural and
+ * selectordinal arguments with "=n" selectors, "offset:" and "#" as well as select arguments. Numbers and dates
+ * are formatted for `config.locale`.
+ *
+ * @category declarative
+ *
+ * @param {String} message      ICU MessageFormat message
+ * @param {Array} values        argument values
+ *
+ * @return {String} formatted message
+ *
+ * @throws MessageFormatError if the message is malformed
+ */
+export default function formatMessage(message, values)
+{
+    let nodes = cache.get(message);
+    if (!nodes)
+    {
+        nodes = parseMessage(message);
+        cache.set(message, nodes);
+    }
+    return formatNodes(nodes, values, null);
+}
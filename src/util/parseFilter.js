@@ -0,0 +1,601 @@
+import { DateTime } from "luxon";
+import { SCALAR } from "domainql-form/lib/kind";
+import config from "../config";
+import {
+    condition,
+    field,
+    FIELD_CONDITIONS,
+    FIELD_OPERATIONS,
+    operation,
+    toJSON,
+    Type,
+    value,
+    values
+} from "../FilterDSL";
+import { lookupType } from "./type-utils";
+import FilterSyntaxError from "./FilterSyntaxError";
+
+
+/**
+ * Maps the comparison symbols of the text syntax to FilterDSL condition names. All other field conditions are written
+ * as keywords (e.g. `name containsIgnoreCase "foo"`).
+ */
+export const COMPARISON_SYMBOLS = Object.freeze({
+    "=": "eq",
+    "!=": "ne",
+    "<>": "ne",
+    "<": "lt",
+    "<=": "le",
+    ">": "gt",
+    ">=": "ge"
+});
+
+/**
+ * Filter functions that can be used as values, e.g. `created > today()`
+ */
+export const FILTER_FUNCTIONS = Object.freeze({
+    "now": 0,
+    "today": 0
+});
+
+/**
+ * Binary logical conditions and the conditions they are combined into when mixed with them
+ */
+const LOGICAL_OPERATORS = {
+    "and": "and",
+    "andNot": "and",
+    "or": "or",
+    "orNot": "or"
+};
+
+const RESERVED_NAMES = {
+    "and": true,
+    "andNot": true,
+    "or": true,
+    "orNot": true,
+    "not": true,
+    "true": true,
+    "false": true
+};
+
+const FILTER_FUNCTION_TYPE = "FilterFunction";
+
+const INTEGER_TYPES = {
+    "Int": true,
+    "Long": true,
+    "Short": true,
+    "Byte": true,
+    "BigInteger": true
+};
+
+const DECIMAL_TYPES = {
+    "Float": true,
+    "BigDecimal": true
+};
+
+const DATE_TYPES = {
+    "Timestamp": true,
+    "Date": true
+};
+
+const TOKEN_REGEX = /\s+|("(?:[^"\\\n]|\\.)*")|(-?\d+(?:\.\d+)?(?:[eE][-+]?\d+)?)|([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)|(<=|>=|<>|!=|[=<>(),])/y;
+
+const STRING = "string";
+const NUMBER = "number";
+const NAME = "name";
+const PUNCT = "punct";
+const EOF = "eof";
+
+
+/**
+ * Splits the given filter text into tokens.
+ *
+ * @param {String} text     filter expression
+ *
+ * @return {Array<{type: String, value: String, index: number}>} tokens
+ */
+function tokenize(text)
+{
+    const tokens = [];
+
+    TOKEN_REGEX.lastIndex = 0;
+    while (TOKEN_REGEX.lastIndex < text.length)
+    {
+        const index = TOKEN_REGEX.lastIndex;
+        const m = TOKEN_REGEX.exec(text);
+        if (!m)
+        {
+            throw new FilterSyntaxError("Unexpected character '" + text[index] + "'", text, index);
+        }
+
+        const [, str, num, name, punct] = m;
+        if (str)
+        {
+            tokens.push({ type: STRING, value: str, index });
+        }
+        else if (num)
+        {
+            tokens.push({ type: NUMBER, value: num, index });
+        }
+        else if (name)
+        {
+            tokens.push({ type: NAME, value: name, index });
+        }
+        else if (punct)
+        {
+            tokens.push({ type: PUNCT, value: punct, index });
+        }
+    }
+    tokens.push({ type: EOF, value: "", index: text.length });
+
+    return tokens;
+}
+
+
+function isLiteral(node)
+{
+    return node.type === "Literal";
+}
+
+
+/**
+ * Recursive descent parser for the text filter syntax. Produces FilterDSL nodes with literal operands being kept as
+ * intermediate "Literal" nodes until the type of the other operands is known.
+ */
+class FilterParser
+{
+    constructor(text, opts)
+    {
+        this.text = text;
+        this.opts = opts;
+        this.tokens = tokenize(text);
+        this.pos = 0;
+    }
+
+    get token()
+    {
+        return this.tokens[this.pos];
+    }
+
+    error(message, token = this.token)
+    {
+        return new FilterSyntaxError(message, this.text, token.index);
+    }
+
+    unexpected()
+    {
+        const { token } = this;
+        return this.error(token.type === EOF ? "Unexpected end of filter" : "Unexpected '" + token.value + "'");
+    }
+
+    next()
+    {
+        return this.tokens[this.pos++];
+    }
+
+    isName(value)
+    {
+        const { token } = this;
+        return token.type === NAME && token.value === value;
+    }
+
+    isPunct(value)
+    {
+        const { token } = this;
+        return token.type === PUNCT && token.value === value;
+    }
+
+    expectPunct(value)
+    {
+        if (!this.isPunct(value))
+        {
+            throw this.error("Expected '" + value + "'");
+        }
+        return this.next();
+    }
+
+    parse()
+    {
+        if (this.token.type === EOF)
+        {
+            return null;
+        }
+
+        const cond = this.parseLogical("or", () => this.parseLogical("and", () => this.parseNot()));
+        if (this.token.type !== EOF)
+        {
+            throw this.unexpected();
+        }
+        return cond;
+    }
+
+    /**
+     * Parses a chain of "and"/"andNot" or "or"/"orNot" conditions. Simple and/or chains are collected into one
+     * condition, parenthesized sub-expressions stay separate conditions.
+     */
+    parseLogical(name, parseOperand)
+    {
+        let operands = [ parseOperand() ];
+        while (this.token.type === NAME && LOGICAL_OPERATORS[this.token.value] === name)
+        {
+            const { value: op } = this.next();
+            if (op === name)
+            {
+                operands.push(parseOperand());
+            }
+            else
+            {
+                operands = [ condition(op, [ logical(name, operands), parseOperand() ]) ];
+            }
+        }
+        return logical(name, operands);
+    }
+
+    parseNot()
+    {
+        if (this.isName("not"))
+        {
+            this.next();
+            return condition("not", [ this.parseNot() ]);
+        }
+
+        if (this.isPunct("("))
+        {
+            this.next();
+            const cond = this.parseLogical("or", () => this.parseLogical("and", () => this.parseNot()));
+            this.expectPunct(")");
+            return cond;
+        }
+
+        return this.parseComparison();
+    }
+
+    isComparisonOperator()
+    {
+        const { token } = this;
+        return (
+            (token.type === PUNCT && COMPARISON_SYMBOLS.hasOwnProperty(token.value)) ||
+            (token.type === NAME && FIELD_CONDITIONS.hasOwnProperty(token.value))
+        );
+    }
+
+    parseComparison()
+    {
+        const { field: defaultField } = this.opts;
+
+        const left = defaultField && this.isComparisonOperator() ? this.resolveField(defaultField, this.token) : this.parseOperand();
+
+        if (!this.isComparisonOperator())
+        {
+            throw this.error("Expected comparison operator");
+        }
+
+        const opToken = this.next();
+        const name = opToken.type === PUNCT ? COMPARISON_SYMBOLS[opToken.value] : opToken.value;
+
+        if (name === "in")
+        {
+            return condition(name, [ left, this.parseValues(left) ]);
+        }
+
+        const operands = [ left ];
+        const numArgs = FIELD_CONDITIONS[name];
+        for (let i = 0; i < numArgs; i++)
+        {
+            if (i > 0)
+            {
+                if (!this.isName("and"))
+                {
+                    throw this.error("Expected 'and'");
+                }
+                this.next();
+            }
+            operands.push(this.parseOperand());
+        }
+
+        return condition(name, this.resolveLiterals(operands));
+    }
+
+    parseValues(left)
+    {
+        this.expectPunct("(");
+
+        const literals = [];
+        if (!this.isPunct(")"))
+        {
+            literals.push(this.parseLiteral());
+            while (this.isPunct(","))
+            {
+                this.next();
+                literals.push(this.parseLiteral());
+            }
+        }
+        this.expectPunct(")");
+
+        const expected = this.typeOf(left);
+        const converted = literals.map(literal => this.convertLiteral(literal, expected));
+
+        return values(
+            converted.length ? converted[0].scalarType : expected || "String",
+            ... converted.map(v => v.value)
+        );
+    }
+
+    parseLiteral()
+    {
+        const operand = this.parseOperand();
+        if (!isLiteral(operand))
+        {
+            throw this.error("Expected literal value", operand.token);
+        }
+        return operand;
+    }
+
+    parseOperand()
+    {
+        const token = this.next();
+        const { type, value: text } = token;
+
+        if (type === STRING)
+        {
+            return { type: "Literal", kind: STRING, value: JSON.parse(text), text, token };
+        }
+        else if (type === NUMBER)
+        {
+            return { type: "Literal", kind: NUMBER, value: Number(text), text, token };
+        }
+        else if (type === NAME)
+        {
+            if (text === "true" || text === "false")
+            {
+                return { type: "Literal", kind: "boolean", value: text === "true", text, token };
+            }
+
+            if (this.isPunct("("))
+            {
+                return this.parseCall(token);
+            }
+
+            if (RESERVED_NAMES[text] || FIELD_CONDITIONS.hasOwnProperty(text))
+            {
+                this.pos--;
+                throw this.error("Expected field or value");
+            }
+
+            return this.resolveField(text, token);
+        }
+
+        this.pos--;
+        throw type === EOF ? this.unexpected() : this.error("Expected field or value");
+    }
+
+    parseCall(token)
+    {
+        const { value: name } = token;
+
+        this.expectPunct("(");
+        const args = [];
+        if (!this.isPunct(")"))
+        {
+            args.push(this.parseOperand());
+            while (this.isPunct(","))
+            {
+                this.next();
+                args.push(this.parseOperand());
+            }
+        }
+        this.expectPunct(")");
+
+        if (FIELD_OPERATIONS.hasOwnProperty(name))
+        {
+            if (args.length !== FIELD_OPERATIONS[name] + 1)
+            {
+                throw this.error("Operation '" + name + "' expects " + (FIELD_OPERATIONS[name] + 1) + " arguments", token);
+            }
+
+            const op = operation(name, this.resolveLiterals(args));
+            op.token = token;
+            return op;
+        }
+        else if (FILTER_FUNCTIONS.hasOwnProperty(name))
+        {
+            if (args.length !== FILTER_FUNCTIONS[name] || !args.every(isLiteral))
+            {
+                throw this.error("Filter function '" + name + "' expects " + FILTER_FUNCTIONS[name] + " arguments", token);
+            }
+
+            const fn = value({ name, args: args.map(arg => arg.value) }, FILTER_FUNCTION_TYPE);
+            fn.token = token;
+            return fn;
+        }
+
+        throw this.error("Unknown function '" + name + "'", token);
+    }
+
+    resolveField(name, token)
+    {
+        const { rootType, fields } = this.opts;
+
+        const node = field(name);
+        node.token = token;
+
+        if (fields && fields.indexOf(name) < 0)
+        {
+            throw this.error("Invalid field reference '" + name + "'", token);
+        }
+
+        if (rootType)
+        {
+            let fieldType;
+            try
+            {
+                fieldType = lookupType(rootType, name);
+            }
+            catch(e)
+            {
+                // ignore
+            }
+
+            if (!fieldType || fieldType.kind !== SCALAR)
+            {
+                throw this.error("Invalid field reference '" + name + "'", token);
+            }
+            node.scalarType = fieldType.name;
+        }
+
+        return node;
+    }
+
+    /**
+     * Returns the scalar type of the given node if it can be determined.
+     */
+    typeOf(node)
+    {
+        const { type } = node;
+        if (type === Type.FIELD)
+        {
+            return node.scalarType || null;
+        }
+        else if (type === Type.OPERATION)
+        {
+            const { name } = node;
+            if (name === "lower" || name === "upper" || name === "concat" || name === "toString")
+            {
+                return "String";
+            }
+            return this.typeOf(node.operands[0]);
+        }
+        else if (type === Type.VALUE)
+        {
+            return node.scalarType === FILTER_FUNCTION_TYPE ? null : node.scalarType;
+        }
+        return null;
+    }
+
+    /**
+     * Converts the literal operands of a comparison or operation into value nodes of the type of the other operands.
+     */
+    resolveLiterals(operands)
+    {
+        let expected = null;
+        for (let i = 0; i < operands.length; i++)
+        {
+            const operand = operands[i];
+            if (!isLiteral(operand))
+            {
+                expected = this.typeOf(operand);
+                if (expected)
+                {
+                    break;
+                }
+            }
+        }
+
+        return operands.map(operand => isLiteral(operand) ? this.convertLiteral(operand, expected) : operand);
+    }
+
+    convertLiteral(literal, expected)
+    {
+        const { kind, value: literalValue, text, token } = literal;
+
+        let scalarType;
+        if (!expected)
+        {
+            scalarType = kind === STRING ? "String" : kind === NUMBER ? (Number.isInteger(literalValue) ? "Int" : "Float") : "Boolean";
+        }
+        else
+        {
+            scalarType = expected;
+
+            if (
+                (expected === "Boolean" && kind !== "boolean") ||
+                (expected === "String" && kind !== STRING) ||
+                (INTEGER_TYPES[expected] && (kind !== NUMBER || !Number.isInteger(literalValue))) ||
+                (DECIMAL_TYPES[expected] && kind !== NUMBER) ||
+                (DATE_TYPES[expected] && (kind !== STRING || !DateTime.fromISO(literalValue).isValid))
+            )
+            {
+                throw this.error("Expected " + expected + " value", token);
+            }
+        }
+
+        if (this.opts.rootType)
+        {
+            const def = config.inputSchema.getType(scalarType);
+            if (!def || def.kind !== SCALAR)
+            {
+                throw this.error("Invalid scalar type '" + scalarType + "'", token);
+            }
+        }
+
+        // keep the exact decimal text
+        return value(scalarType === "BigDecimal" ? text : literalValue, scalarType);
+    }
+}
+
+
+function logical(name, operands)
+{
+    if (operands.length === 1)
+    {
+        return operands[0];
+    }
+    return condition(name, operands);
+}
+
+
+/**
+ * Validates a textual filter expression.
+ *
+ * @param {String} text     filter expression
+ * @param {Object} [opts]   options (see parseFilter())
+ *
+ * @return {String|null} error message or `null` if the expression is valid
+ */
+export function validateFilter(text, opts = {})
+{
+    try
+    {
+        parseFilter(text || "", opts);
+        return null;
+    }
+    catch(e)
+    {
+        if (e instanceof FilterSyntaxError)
+        {
+            return e.message;
+        }
+        throw e;
+    }
+}
+
+
+/**
+ * Parses a textual filter expression into a FilterDSL JSON condition.
+ *
+ * The syntax combines comparisons with `and`, `or`, `not` and parentheses, e.g.
+ *
+ *     name containsIgnoreCase "foo" and (created > today() or owner.login = "bar")
+ *
+ * Comparisons are written either with the symbols `=`, `!=`, `<>`, `<`, `<=`, `>`, `>=` or with the name of any
+ * FilterDSL field condition (`num between 1 and 10`, `description isNull`, `type in ("A", "B")`). Operations are
+ * written as function calls (`lower(name) = "foo"`), `now()` and `today()` produce filter function values.
+ *
+ * Literal values get the scalar type of the field they are compared with. If a root type is given, all field paths
+ * and value types are validated against `config.inputSchema`.
+ *
+ * @param {String} text                 filter expression
+ * @param {Object} [opts]               options
+ * @param {String} [opts.rootType]      GraphQL type the field paths are relative to
+ * @param {String} [opts.field]         field to use for comparisons without left operand, e.g. `> 10 and < 20`
+ * @param {Array<String>} [opts.fields] if given, only these field paths can be used
+ *
+ * @return {Object|null} FilterDSL JSON condition or `null` for an empty filter
+ *
+ * @throws {FilterSyntaxError} if the expression is invalid
+ */
+export default function parseFilter(text, opts = {})
+{
+    const cond = new FilterParser(text, opts).parse();
+    return toJSON(cond);
+}
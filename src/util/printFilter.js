@@ -0,0 +1,146 @@
+import { DateTime } from "luxon";
+import { FIELD_CONDITIONS, Type } from "../FilterDSL";
+
+
+/**
+ * Comparison symbols to print instead of the condition name (see COMPARISON_SYMBOLS in parseFilter)
+ */
+const SYMBOLS_BY_NAME = {
+    "eq": "=",
+    "ne": "!=",
+    "lt": "<",
+    "le": "<=",
+    "gt": ">",
+    "ge": ">="
+};
+
+/**
+ * Maps the logical conditions to their precedence level in the text syntax
+ */
+const LOGICAL_LEVELS = {
+    "and": "and",
+    "andNot": "and",
+    "or": "or",
+    "orNot": "or"
+};
+
+
+function getLogicalLevel(node)
+{
+    return node && node.type === Type.CONDITION ? LOGICAL_LEVELS[node.name] : undefined;
+}
+
+
+function printLiteral(scalarType, value)
+{
+    if (scalarType === "BigDecimal" && typeof value === "string")
+    {
+        return value;
+    }
+    if (value instanceof DateTime)
+    {
+        return JSON.stringify(value.toISO());
+    }
+    return JSON.stringify(value);
+}
+
+
+function printOperand(node)
+{
+    const { type } = node;
+
+    if (type === Type.FIELD)
+    {
+        return node.name;
+    }
+    else if (type === Type.VALUE)
+    {
+        const { scalarType, value } = node;
+        if (scalarType === "FilterFunction")
+        {
+            return value.name + "(" + value.args.map(arg => JSON.stringify(arg)).join(", ") + ")";
+        }
+        return printLiteral(scalarType, value);
+    }
+    else if (type === Type.VALUES)
+    {
+        const { scalarType, values } = node;
+        return "(" + values.map(v => printLiteral(scalarType, v)).join(", ") + ")";
+    }
+    else if (type === Type.OPERATION)
+    {
+        return node.name + "(" + node.operands.map(printOperand).join(", ") + ")";
+    }
+
+    throw new Error("Cannot print operand of type '" + type + "'");
+}
+
+
+/**
+ * Prints an operand of a logical condition. Logical operands are wrapped in parentheses unless they are and-conditions
+ * within an or-condition so that the printed text parses back into the same structure.
+ */
+function printNested(node, parentLevel, opts)
+{
+    const s = print(node, opts);
+    const level = getLogicalLevel(node);
+    return level && !(parentLevel === "or" && level === "and") ? "(" + s + ")" : s;
+}
+
+
+function print(node, opts)
+{
+    const { type, name } = node;
+
+    if (type !== Type.CONDITION)
+    {
+        throw new Error("Cannot print node of type '" + type + "' as condition");
+    }
+
+    const { operands } = node;
+
+    if (name === "and" || name === "or")
+    {
+        return operands.map(op => printNested(op, name, opts)).join(" " + name + " ");
+    }
+    else if (name === "andNot" || name === "orNot")
+    {
+        const level = LOGICAL_LEVELS[name];
+        return printNested(operands[0], level, opts) + " " + name + " " + printNested(operands[1], level, opts);
+    }
+    else if (name === "not")
+    {
+        return "not " + printNested(operands[0], "not", opts);
+    }
+    else if (FIELD_CONDITIONS.hasOwnProperty(name))
+    {
+        const [ left, ... args ] = operands;
+
+        const implicit = opts.field && left.type === Type.FIELD && left.name === opts.field;
+        const op = SYMBOLS_BY_NAME[name] || name;
+
+        return (implicit ? "" : printOperand(left) + " ") + op + (args.length ? " " + args.map(printOperand).join(" and ") : "");
+    }
+
+    throw new Error("Cannot print condition '" + name + "'");
+}
+
+
+/**
+ * Prints a FilterDSL condition in the text syntax understood by parseFilter().
+ *
+ * @param {Object} condition        FilterDSL condition
+ * @param {Object} [opts]           options
+ * @param {String} [opts.field]     field to leave out as left operand of comparisons (see parseFilter())
+ *
+ * @return {String} filter expression or an empty string for a `null` condition
+ */
+export default function printFilter(condition, opts = {})
+{
+    if (!condition)
+    {
+        return "";
+    }
+    return print(condition, opts);
+}
+
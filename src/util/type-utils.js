@@ -260,6 +260,15 @@ export function getGraphQLMethodType(gqlMethod, queriesOnly = false)
         {
             return mutationFieldType;
         }
+
+        // subscriptions are optional
+        const subscriptionType = config.inputSchema.getType("SubscriptionType");
+
+        const subscriptionFieldType = subscriptionType && getFieldTypeByName(subscriptionType.fields, gqlMethod);
+        if (subscriptionFieldType)
+        {
+            return subscriptionFieldType;
+        }
     }
 
     throw new Error("Could not find type of GraphQL method '" + gqlMethod + "'");
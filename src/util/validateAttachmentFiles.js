@@ -0,0 +1,94 @@
+import i18n from "../i18n";
+
+
+const SIZE_UNITS = ["B", "KB", "MB", "GB"];
+
+
+/**
+ * Formats the given number of bytes for error messages.
+ *
+ * @param {number} size     size in bytes
+ *
+ * @return {string} formatted size
+ */
+export function formatFileSize(size)
+{
+    let unit = 0;
+    while (size >= 1024 && unit < SIZE_UNITS.length - 1)
+    {
+        size /= 1024;
+        unit++;
+    }
+
+    return (unit === 0 ? size : Math.round(size * 10) / 10) + " " + SIZE_UNITS[unit];
+}
+
+
+/**
+ * Returns true if the given file matches the given accept specifier. Specifiers are used like in the HTML accept
+ * attribute: either a media type ("application/pdf"), a media type wildcard ("image/*") or a file extension (".pdf").
+ *
+ * @param {File} file           file
+ * @param {String} specifier    accept specifier
+ *
+ * @return {boolean} true if the file matches
+ */
+function matchesAccept(file, specifier)
+{
+    const spec = specifier.trim().toLowerCase();
+    if (spec.startsWith("."))
+    {
+        return file.name.toLowerCase().endsWith(spec);
+    }
+
+    const type = (file.type || "").toLowerCase();
+    if (spec.endsWith("/*"))
+    {
+        return type.startsWith(spec.substring(0, spec.length - 1));
+    }
+    return type === spec;
+}
+
+
+/**
+ * Validates files to attach before they are queued for upload.
+ *
+ * @param {Array<File>|FileList} files          files to validate
+ * @param {Object} [opts]                       options
+ * @param {Array<String>} [opts.accept]         accepted media types, media type wildcards or file extensions
+ * @param {number} [opts.maxSize]               maximum file size in bytes
+ * @param {number} [opts.maxCount]              maximum number of attachments pending for upload
+ * @param {number} [opts.pendingCount]          number of other attachments already pending for upload
+ *
+ * @return {String|null} error message or `null` if the files are valid
+ */
+export default function validateAttachmentFiles(files, opts = {})
+{
+    const { accept, maxSize, maxCount, pendingCount = 0 } = opts;
+
+    if (files.length > 1)
+    {
+        return i18n("Only one file can be attached");
+    }
+
+    if (maxCount != null && pendingCount + files.length > maxCount)
+    {
+        return i18n("Cannot attach more than {0} files", maxCount);
+    }
+
+    for (let i = 0; i < files.length; i++)
+    {
+        const file = files[i];
+
+        if (accept && accept.length && !accept.some(spec => matchesAccept(file, spec)))
+        {
+            return i18n("File type of '{0}' is not accepted", file.name);
+        }
+
+        if (maxSize != null && file.size > maxSize)
+        {
+            return i18n("File '{0}' exceeds the maximum size of {1}", file.name, formatFileSize(maxSize));
+        }
+    }
+    return null;
+}
@@ -0,0 +1,377 @@
+import assert from "power-assert"
+import { afterEach, beforeEach, describe, it } from "mocha";
+import { waitFor } from "@testing-library/react";
+import { InputSchema, WireFormat } from "domainql-form";
+import config from "../src/config";
+import {
+    CachePolicy,
+    clearGraphQLCache,
+    getCacheKey,
+    invalidateEntity,
+    invalidateForMutation,
+    lookupCachedResult,
+    storeCachedResult
+} from "../src/graphqlCache";
+import InteractiveQuery from "../src/model/InteractiveQuery";
+import GraphQLQuery from "../src/GraphQLQuery";
+import { __setWireFormatForTest, getWireFormat } from "../src/domain";
+
+const rawQuxDSchema = require("./model/cached-query-schema.json");
+
+
+function fooResult(...names)
+{
+    return {
+        iQueryFoo: {
+            _type: "InteractiveQueryFoo",
+            rows: names.map((name, idx) => ({ _type: "Foo", id: "foo-" + idx, name }))
+        }
+    };
+}
+
+
+const QUX_QUERY = `query iQueryQuxD($config: QueryConfigInput!)
+{
+    iQueryQuxD(config: $config)
+    {
+        type
+        queryConfig {
+            offset
+            pageSize
+        }
+        rows {
+            _type
+            id
+            name
+        }
+        rowCount
+    }
+}`;
+
+const QUX_ROWS = ["Qux #1", "Qux #2", "Qux #3", "Qux #4"].map(
+    (name, idx) => ({ _type: "QuxD", id: "qux-" + idx, name })
+);
+
+
+/**
+ * Adds a query type with the iQueryQuxD query to the cached query test schema.
+ */
+function prepareQuxDSchema()
+{
+    const { schema, meta } = rawQuxDSchema;
+    return {
+        schema: {
+            ... schema,
+            types: [
+                ... schema.types,
+                {
+                    kind: "OBJECT",
+                    name: "QueryType",
+                    fields: [
+                        {
+                            name: "iQueryQuxD",
+                            args: [],
+                            type: { kind: "OBJECT", name: "InteractiveQueryQuxD", ofType: null }
+                        }
+                    ]
+                }
+            ]
+        },
+        meta
+    };
+}
+
+
+describe("GraphQL Cache", function () {
+
+    afterEach(() => clearGraphQLCache());
+
+    it("caches results by query and variables", function () {
+
+        const keyA = getCacheKey("query q($config: QueryConfigInput!){ iQueryFoo(config: $config){ rowCount } }", { config: { offset: 0 } });
+        const keyB = getCacheKey("query q($config: QueryConfigInput!){ iQueryFoo(config: $config){ rowCount } }", { config: { offset: 10 } });
+
+        assert(keyA !== keyB);
+
+        storeCachedResult(keyA, fooResult("A", "B"));
+        assert.deepEqual(lookupCachedResult(keyA), fooResult("A", "B"));
+        assert(lookupCachedResult(keyB) === undefined);
+    });
+
+    it("returns a new copy for every lookup", function () {
+
+        const key = getCacheKey("query", null);
+        const result = fooResult("A");
+        storeCachedResult(key, result);
+
+        result.iQueryFoo.rows.push({ _type: "Foo", id: "foo-1", name: "B" });
+
+        const copy = lookupCachedResult(key);
+        assert.deepEqual(copy, fooResult("A"));
+
+        copy.iQueryFoo.rows[0].name = "changed";
+        assert.deepEqual(lookupCachedResult(key), fooResult("A"));
+    });
+
+    it("replaces cached results", function () {
+
+        const key = getCacheKey("query", null);
+        storeCachedResult(key, fooResult("A"));
+        storeCachedResult(key, fooResult("A", "C"));
+
+        assert.deepEqual(lookupCachedResult(key), fooResult("A", "C"));
+
+        // entity index follows the new result
+        invalidateEntity("Foo", "foo-1");
+        assert(lookupCachedResult(key) === undefined);
+    });
+
+    it("normalizes entities by type and id", function () {
+
+        const keyA = getCacheKey("queryA", null);
+        const keyB = getCacheKey("queryB", null);
+        storeCachedResult(keyA, fooResult("A", "B"));
+        storeCachedResult(keyB, {
+            getFoo: { _type: "Foo", id: "foo-1", name: "B2", num: 2 }
+        });
+
+        // the newer entity fields are used, but only the fields selected by each query
+        assert.deepEqual(lookupCachedResult(keyA), fooResult("A", "B2"));
+        assert.deepEqual(lookupCachedResult(keyB), {
+            getFoo: { _type: "Foo", id: "foo-1", name: "B2", num: 2 }
+        });
+    });
+
+    it("keeps the selection of every result for shared entities", function () {
+
+        const foo = owner => ({ getFoo: { _type: "Foo", id: "foo-0", name: "A", owner } });
+
+        const keyA = getCacheKey("queryA", null);
+        const keyB = getCacheKey("queryB", null);
+        const keyC = getCacheKey("queryC", null);
+        storeCachedResult(keyA, foo({ _type: "AppUser", id: "user-0", login: "admin" }));
+        storeCachedResult(keyB, foo({ _type: "AppUser", id: "user-0", name: "Administrator" }));
+        storeCachedResult(keyC, {
+            getFoo: {
+                _type: "Foo",
+                id: "foo-0",
+                creator: { _type: "AppUser", id: "user-0", login: "admin" },
+                editor: { _type: "AppUser", id: "user-0", name: "Administrator" }
+            }
+        });
+
+        assert.deepEqual(lookupCachedResult(keyA), foo({ _type: "AppUser", id: "user-0", login: "admin" }));
+        assert.deepEqual(lookupCachedResult(keyB), foo({ _type: "AppUser", id: "user-0", name: "Administrator" }));
+        assert.deepEqual(lookupCachedResult(keyC), {
+            getFoo: {
+                _type: "Foo",
+                id: "foo-0",
+                creator: { _type: "AppUser", id: "user-0", login: "admin" },
+                editor: { _type: "AppUser", id: "user-0", name: "Administrator" }
+            }
+        });
+    });
+
+    it("invalidates all results containing an entity", function () {
+
+        const keyA = getCacheKey("queryA", null);
+        const keyB = getCacheKey("queryB", null);
+        storeCachedResult(keyA, fooResult("A"));
+        storeCachedResult(keyB, fooResult("A", "B"));
+
+        invalidateEntity("Foo", "foo-1");
+        assert(lookupCachedResult(keyA));
+        assert(!lookupCachedResult(keyB));
+
+        invalidateEntity("Foo", "foo-0");
+        assert(!lookupCachedResult(keyA));
+    });
+
+    it("invalidates entities affected by mutations", function () {
+
+        const key = getCacheKey("query", null);
+
+        // storeDomainObject: entity in the variables
+        storeCachedResult(key, fooResult("A", "B"));
+        invalidateForMutation(
+            { methodCalls: ["storeDomainObject"], aliases: false },
+            { domainObject: { _type: "Foo", id: "foo-1", name: "B2" } },
+            { storeDomainObject: { type: "String", value: "foo-1" } }
+        );
+        assert(!lookupCachedResult(key));
+
+        // mergeWorkingSet: changes with generic scalar ids
+        storeCachedResult(key, fooResult("A", "B"));
+        invalidateForMutation(
+            { methodCalls: ["mergeWorkingSet"], aliases: false },
+            {
+                mergeConfig: {},
+                changes: [{ type: "Foo", version: "v1", id: { type: "String", value: "foo-0" }, changes: [] }],
+                deletions: []
+            },
+            { mergeWorkingSet: { done: true, conflicts: [] } }
+        );
+        assert(!lookupCachedResult(key));
+
+        // unrelated mutation
+        storeCachedResult(key, fooResult("A", "B"));
+        invalidateForMutation(
+            { methodCalls: ["deleteDomainObject"], aliases: false },
+            { type: "Bar", id: { type: "String", value: "foo-0" } },
+            { deleteDomainObject: true }
+        );
+        assert(lookupCachedResult(key));
+    });
+
+    it("drops the least recently used results", function () {
+
+        const { graphqlCache } = config;
+        config.graphqlCache = { ... graphqlCache, maxEntries: 2 };
+        try
+        {
+            storeCachedResult("a", fooResult("A"));
+            storeCachedResult("b", fooResult("B"));
+            lookupCachedResult("a");
+            storeCachedResult("c", fooResult("C"));
+
+            assert(lookupCachedResult("a"));
+            assert(!lookupCachedResult("b"));
+            assert(lookupCachedResult("c"));
+        }
+        finally
+        {
+            config.graphqlCache = graphqlCache;
+        }
+    });
+
+    describe("with graphql()", function () {
+
+        let requests, names, restore;
+
+        beforeEach(() => {
+            const { graphqlCache, graphqlTransport, inputSchema } = config;
+            const wireFormat = getWireFormat();
+
+            config.inputSchema = new InputSchema(prepareQuxDSchema());
+            config.graphqlCache = { ... graphqlCache, enabled: true };
+            __setWireFormatForTest(new WireFormat(config.inputSchema, { InteractiveQueryQuxD: InteractiveQuery }));
+
+            requests = [];
+            names = QUX_ROWS.map(row => row.name);
+            config.graphqlTransport = ({ variables }) => {
+                const { offset, pageSize } = variables.config;
+                requests.push(offset);
+                return Promise.resolve({
+                    data: {
+                        iQueryQuxD: {
+                            _type: "InteractiveQueryQuxD",
+                            type: "QuxD",
+                            queryConfig: { offset, pageSize },
+                            rows: QUX_ROWS.slice(offset, offset + pageSize).map(
+                                (row, idx) => ({ ... row, name: names[offset + idx] })
+                            ),
+                            rowCount: QUX_ROWS.length
+                        }
+                    }
+                });
+            };
+
+            restore = () => {
+                config.inputSchema = inputSchema;
+                config.graphqlCache = graphqlCache;
+                config.graphqlTransport = graphqlTransport;
+                __setWireFormatForTest(wireFormat);
+            };
+        });
+
+        afterEach(() => restore());
+
+        const firstPage = { config: { offset: 0, pageSize: 2 } };
+
+        const executeFirstPage = query => query.execute(firstPage).then(
+            ({ iQueryQuxD }) => {
+                iQueryQuxD._query = query;
+                return iQueryQuxD;
+            }
+        );
+
+        const assertFirstPage = iQuery => {
+            assert.deepEqual(iQuery.rows.map(r => r.name), ["Qux #1", "Qux #2"]);
+            assert(iQuery.queryConfig.offset === 0);
+        };
+
+        it("keeps cached iQuery pages when paging", function () {
+
+            const query = new GraphQLQuery(QUX_QUERY, null, CachePolicy.CACHE_FIRST);
+
+            let iQueryA;
+            return executeFirstPage(query)
+                .then(
+                    iQuery => {
+                        iQueryA = iQuery;
+                        return iQuery.update({ offset: 2 });
+                    }
+                )
+                .then(
+                    () => {
+                        assert.deepEqual(iQueryA.rows.map(r => r.name), ["Qux #3", "Qux #4"]);
+                        return executeFirstPage(query);
+                    }
+                )
+                .then(
+                    iQuery => {
+                        assert(iQuery !== iQueryA);
+                        assertFirstPage(iQuery);
+
+                        // second page from the cache appended to the rows of the first
+                        return iQuery.loadMore().then(() => iQuery);
+                    }
+                )
+                .then(
+                    iQuery => {
+                        assert.deepEqual(iQuery.rows.map(r => r.name), ["Qux #1", "Qux #2", "Qux #3", "Qux #4"]);
+                        return executeFirstPage(query);
+                    }
+                )
+                .then(
+                    iQuery => {
+                        assertFirstPage(iQuery);
+                        assert.deepEqual(requests, [0, 2]);
+                    }
+                );
+        });
+
+        it("updates cache-and-network results with the server result", function () {
+
+            const query = new GraphQLQuery(QUX_QUERY, null, CachePolicy.CACHE_AND_NETWORK);
+
+            return query.execute(firstPage)
+                .then(
+                    () => {
+                        names[0] = "Qux #1 renamed";
+                        return query.execute(firstPage);
+                    }
+                )
+                .then(
+                    result => {
+                        // resolved from the cache
+                        assertFirstPage(result.iQueryQuxD);
+
+                        return waitFor(
+                            () => assert.deepEqual(result.iQueryQuxD.rows.map(r => r.name), ["Qux #1 renamed", "Qux #2"])
+                        );
+                    }
+                )
+                .then(
+                    () => new GraphQLQuery(QUX_QUERY, null, CachePolicy.CACHE_FIRST).execute(firstPage)
+                )
+                .then(
+                    ({ iQueryQuxD }) => {
+                        // the server result replaced the cached one
+                        assert(iQueryQuxD.rows[0].name === "Qux #1 renamed");
+                        assert.deepEqual(requests, [0, 0]);
+                    }
+                );
+        });
+    });
+});
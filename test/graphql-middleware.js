@@ -0,0 +1,110 @@
+import assert from "power-assert"
+import { after, afterEach, before, describe, it } from "mocha";
+import config from "../src/config";
+import graphql, { registerGraphQLMiddleware } from "../src/graphql";
+
+
+const QUERY = "query getFoo($id: String!){ getFoo(id: $id){ id name } }";
+
+
+describe("GraphQL Middleware", function () {
+
+    let requests, unregister = [];
+    before(() => {
+        config.graphqlTransport = request => {
+            requests.push(request);
+            return Promise.resolve({
+                data: {
+                    getFoo: { id: request.variables.id, name: "Foo #" + requests.length }
+                }
+            });
+        };
+    });
+
+    after(() => {
+        config.graphqlTransport = null;
+    });
+
+    afterEach(() => {
+        requests = [];
+        unregister.forEach(fn => fn());
+        unregister = [];
+    });
+
+    it("executes requests with the configured transport", function () {
+
+        requests = [];
+        return graphql({ query: QUERY, variables: { id: "foo-1" }, autoConvert: false })
+            .then(({ getFoo }) => {
+                assert(requests.length === 1);
+                assert(requests[0].query.query === QUERY);
+                assert(getFoo.id === "foo-1");
+            });
+    });
+
+    it("wraps requests in the registered middlewares", function () {
+
+        const calls = [];
+
+        unregister.push(
+            registerGraphQLMiddleware((request, next) => {
+                calls.push("outer");
+                return next({
+                    ... request,
+                    headers: { ... request.headers, "X-Trace-Id": "trace-1" }
+                }).then(response => {
+                    calls.push("outer-done");
+                    return response;
+                });
+            }),
+            registerGraphQLMiddleware((request, next) => {
+                calls.push("inner:" + request.headers["X-Trace-Id"]);
+                return next(request);
+            })
+        );
+
+        return graphql({ query: QUERY, variables: { id: "foo-2" }, autoConvert: false })
+            .then(() => {
+                assert.deepEqual(calls, ["outer", "inner:trace-1", "outer-done"]);
+                assert(requests[0].headers["X-Trace-Id"] === "trace-1");
+            });
+    });
+
+    it("supports retrying and error mapping", function () {
+
+        let attempts = 0;
+        unregister.push(
+            registerGraphQLMiddleware((request, next) => {
+                const retry = count => next(request).catch(err => {
+                    if (err.status === 503 && count > 0)
+                    {
+                        return retry(count - 1);
+                    }
+                    throw err;
+                });
+                return retry(2);
+            }),
+            registerGraphQLMiddleware((request, next) => {
+                if (++attempts < 3)
+                {
+                    const err = new Error("Service Unavailable");
+                    err.status = 503;
+                    return Promise.reject(err);
+                }
+                return next(request).then(
+                    () => ({ errors: [ { message: "Access denied" } ] })
+                );
+            })
+        );
+
+        return graphql({ query: QUERY, variables: { id: "foo-3" }, autoConvert: false })
+            .then(
+                () => assert.fail("Expected rejection"),
+                err => {
+                    assert(attempts === 3);
+                    assert(requests.length === 1);
+                    assert(err.message.indexOf("Access denied") >= 0);
+                }
+            );
+    });
+});
@@ -0,0 +1,105 @@
+import assert from "power-assert"
+import { afterEach, beforeEach, describe, it } from "mocha"
+import sinon from "sinon"
+import { DateTime } from "luxon"
+import BigNumber from "bignumber.js"
+
+import config from "../src/config"
+import i18n from "../src/i18n"
+import { parseMessage } from "../src/util/messageFormat"
+
+
+describe("i18n", function () {
+
+    let origTranslations, origLocale;
+
+    beforeEach(() => {
+        origTranslations = config.translations;
+        origLocale = config.locale;
+
+        config.locale = "en_US";
+        config.translations = {
+            "Rows": "{count, plural, =0 {No rows} one {# row} other {# rows}}",
+            "Place": "{0, selectordinal, one {#st} two {#nd} few {#rd} other {#th}} place",
+            "Invite": "{gender, select, female {She invited {guests, plural, offset:1 =0 {nobody} =1 {you} other {you and # others}}} other {They invited {guests, plural, offset:1 =0 {nobody} =1 {you} other {you and # others}}}}",
+            "Amount": "{0, number} of {1, number, integer} ({2, number, percent})",
+            "Due": "Due {0, date, short} at {0, time, short}",
+            "Quoted": "It''s '{literally}' {name}",
+            "Legacy": "File type of '{0}' is not accepted",
+            "Broken": "{count, plural, one {# row}}"
+        };
+    });
+
+    afterEach(() => {
+        config.translations = origTranslations;
+        config.locale = origLocale;
+    });
+
+
+    it("formats plural and select arguments", function () {
+
+        assert(i18n("Rows", { count: 0 }) === "No rows");
+        assert(i18n("Rows", { count: 1 }) === "1 row");
+        assert(i18n("Rows", { count: 1234 }) === "1,234 rows");
+        assert(i18n("Rows", { count: new BigNumber(2) }) === "2 rows");
+
+        assert(i18n("Place", 1) === "1st place");
+        assert(i18n("Place", 22) === "22nd place");
+        assert(i18n("Place", 13) === "13th place");
+
+        assert(i18n("Invite", { gender: "female", guests: 1 }) === "She invited you");
+        assert(i18n("Invite", { gender: "x", guests: 4 }) === "They invited you and 3 others");
+    });
+
+
+    it("formats number and date arguments for the current locale", function () {
+
+        const date = DateTime.fromISO("2021-03-04T13:05:00");
+
+        assert(i18n("Amount", 1234.5, 3.7, 0.25) === "1,234.5 of 4 (25%)");
+        assert(i18n("Due", date) === "Due 3/4/2021 at 1:05 PM");
+
+        config.locale = "de_DE";
+
+        assert(i18n("Amount", 1234.5, 3.7, 0.25) === "1.234,5 of 4 (25\u00a0%)");
+        assert(i18n("Due", date.toJSDate()) === "Due 4.3.2021 at 13:05");
+        assert(i18n("Custom:{0, date, yyyy-MM-dd}", date) === "[2021-03-04]");
+    });
+
+
+    it("supports quoting and keeps simple positional messages", function () {
+
+        assert(i18n("Quoted", { name: "here" }) === "It's {literally} here");
+        assert(i18n("Legacy", "a.txt") === "File type of 'a.txt' is not accepted");
+        assert(i18n("Test:Untranslated {0}", "x") === "[Untranslated x]");
+        assert(i18n("Test:{n, plural, one {# item} other {# items}}", { n: 2 }) === "[2 items]");
+    });
+
+
+    it("reports malformed messages once in development mode", function () {
+
+        const stub = sinon.stub(console, "error");
+        try
+        {
+            assert(i18n("Broken", { count: 1 }) === "{count, plural, one {# row}}");
+            assert(i18n("Broken", { count: 2 }) === "{count, plural, one {# row}}");
+            assert(stub.callCount === 1);
+            assert(/Missing 'other' option in plural argument 'count'/.test(stub.firstCall.args[0]));
+
+            global.__DEV = false;
+            config.translations["Broken2"] = "{0, number, unknown}";
+            assert(i18n("Broken2", 1) === "{0, number, unknown}");
+            assert(stub.callCount === 1);
+        }
+        finally
+        {
+            global.__DEV = true;
+            stub.restore();
+        }
+
+        assert.throws(() => parseMessage("{0, plural, other {#}"), /MessageFormatError: Unterminated plural argument '0'/);
+        assert.throws(() => parseMessage("a } b"), /Unexpected '}' at offset 2/);
+        assert.throws(() => parseMessage("{0, foo}"), /Unknown argument type 'foo'/);
+        assert.throws(() => parseMessage("{, number}"), /Expected argument name/);
+    });
+});
@@ -0,0 +1,170 @@
+import assert from "power-assert"
+import { afterEach, beforeEach, describe, it } from "mocha"
+import { GlobalConfig, InputSchema, WireFormat } from "domainql-form"
+import { render } from "@testing-library/react"
+import React from "react"
+import { DateTime } from "luxon"
+import BigNumber from "bignumber.js"
+import sinon from "sinon"
+
+import config from "../src/config"
+import { __setWireFormatForTest, getWireFormat } from "../src/domain"
+import getLocaleProfile, { deriveLocaleProfile } from "../src/localeProfile"
+import registerDateTimeConverters from "../src/registerDateTimeConverters"
+import registerBigDecimalConverter from "../src/registerBigDecimalConverter"
+import rawSchema from "./big-number-schema.json"
+
+
+describe("Locale profiles", function () {
+
+    let origLocale, origUserScope, origTimeZone;
+
+    beforeEach(() => {
+        origLocale = config.locale;
+        origUserScope = config.userScope;
+        origTimeZone = config.timeZone;
+
+        __setWireFormatForTest(new WireFormat(new InputSchema(rawSchema), {}));
+        registerDateTimeConverters();
+        registerBigDecimalConverter();
+    });
+
+    afterEach(() => {
+        config.locale = origLocale;
+        config.userScope = origUserScope;
+        config.timeZone = origTimeZone;
+    });
+
+
+    it("derives formats from locales", function () {
+
+        const en = deriveLocaleProfile("en_US");
+        assert(en.locale === "en-US");
+        assert(en.dateFormat === "M/d/yyyy");
+        assert(en.timeFormat === "h:mm:ss a");
+        assert(en.timestampFormat === "M/d/yyyy h:mm:ss.SSS a");
+        assert(en.decimalSeparator === ".");
+        assert(en.groupSeparator === ",");
+
+        const de = deriveLocaleProfile("de-DE");
+        assert(de.dateFormat === "d.M.yyyy");
+        assert(de.timeFormat === "H:mm:ss");
+        assert(de.timestampFormat === "d.M.yyyy H:mm:ss,SSS");
+        assert(de.decimalSeparator === ",");
+        assert(de.groupSeparator === ".");
+
+        assert(deriveLocaleProfile("en-GB").dateFormat === "dd/MM/yyyy");
+    });
+
+
+    it("normalizes special whitespace in derived formats", function () {
+
+        // newer ICU versions separate the day period with U+202F
+        const formatToParts = sinon.stub(Intl.DateTimeFormat.prototype, "formatToParts").callsFake(
+            function (date) {
+                return formatToParts.wrappedMethod.call(this, date).map(
+                    part => part.type === "literal" ? { ...part, value: part.value.replace(/ /g, "\u202f") } : part
+                );
+            }
+        );
+
+        let profile;
+        try
+        {
+            profile = deriveLocaleProfile("en-CA");
+        }
+        finally
+        {
+            formatToParts.restore();
+        }
+
+        assert(!/[^\x20-\x7e]/.test(profile.timeFormat));
+        assert(!/[^\x20-\x7e]/.test(profile.timestampFormat));
+        const timestamp = DateTime.fromISO("2021-03-04T13:05:07.250");
+        const text = timestamp.toFormat(profile.timestampFormat, { locale: "en-CA" });
+        assert(DateTime.fromFormat(text, profile.timestampFormat, { locale: "en-CA" }).toMillis() === timestamp.toMillis());
+    });
+
+
+    it("applies config and user scope overrides", function () {
+
+        config.locale = null;
+        config.userScope = null;
+        assert(getLocaleProfile().timestampFormat === "d.M.yyyy H:mm:ss.SSS");
+        assert(getLocaleProfile().decimalSeparator === null);
+
+        config.locale = "en-US";
+        assert(getLocaleProfile().dateFormat === "M/d/yyyy");
+
+        config.userScope = {
+            localeProfile: {
+                locale: "de-DE",
+                dateFormat: "yyyy-MM-dd",
+                groupSeparator: null
+            }
+        };
+
+        const profile = getLocaleProfile();
+        assert(profile.locale === "de-DE");
+        assert(profile.dateFormat === "yyyy-MM-dd");
+        assert(profile.timeFormat === "H:mm:ss");
+        assert(profile.groupSeparator === ".");
+    });
+
+
+    it("parses and formats values with the current profile", function () {
+
+        const date = DateTime.fromISO("2021-03-04");
+        const timestamp = DateTime.fromISO("2021-03-04T13:05:07");
+
+        config.locale = "en-US";
+        assert(InputSchema.scalarToValue("Date", date) === "3/4/2021");
+        assert(InputSchema.scalarToValue("Timestamp", timestamp) === "3/4/2021 1:05:07.000 PM");
+        assert(InputSchema.valueToScalar("Timestamp", "3/4/2021 1:05:07.250 PM").toMillis() === timestamp.toMillis() + 250);
+        assert(InputSchema.scalarToValue("BigDecimal", new BigNumber("1234.5")) === "1,234.5");
+        assert(InputSchema.valueToScalar("BigDecimal", "1,234.5").toString() === "1234.5");
+
+        config.locale = "de-DE";
+        assert(InputSchema.scalarToValue("Date", date) === "4.3.2021");
+        assert(InputSchema.valueToScalar("Date", "4.3.2021").toISODate() === "2021-03-04");
+        assert(InputSchema.validate("Date", "3/4/2021") === "[ Does not match d.M.yyyy, unparsable]");
+        assert(InputSchema.scalarToValue("BigDecimal", new BigNumber("1234.5")) === "1.234,5");
+        assert(InputSchema.valueToScalar("BigDecimal", "1.234,50").toString() === "1234.5");
+    });
+
+
+    it("converts timestamps into the application and user time zones", function () {
+
+        const TIMESTAMP = { kind: "SCALAR", name: "Timestamp" };
+        const wireFormat = getWireFormat();
+
+        config.locale = "de-DE";
+        config.timeZone = "America/New_York";
+
+        const fromWire = wireFormat.convert(TIMESTAMP, "2021-03-04T12:00:00.000Z", true);
+        assert(fromWire.zoneName === "America/New_York");
+        assert(InputSchema.scalarToValue("Timestamp", fromWire) === "4.3.2021 7:00:00,000");
+
+        // wall-clock values are entered in the application zone
+        const entered = InputSchema.valueToScalar("Timestamp", "4.3.2021 7:30:00,000");
+        assert(wireFormat.convert(TIMESTAMP, entered, false) === "2021-03-04T12:30:00.000Z");
+
+        // the user zone overrides the application zone, field contexts override both
+        config.userScope = { localeProfile: { timeZone: "Asia/Tokyo" } };
+        assert(InputSchema.scalarToValue("Timestamp", fromWire) === "4.3.2021 21:00:00,000");
+        assert(InputSchema.scalarToValue("Timestamp", fromWire, { timeZone: "UTC" }) === "4.3.2021 12:00:00,000");
+        assert(InputSchema.valueToScalar("Timestamp", "4.3.2021 12:00:00,000", { timeZone: "UTC" }).toMillis() === fromWire.toMillis());
+
+        const { container } = render(
+            <div>
+                {
+                    GlobalConfig.renderStatic("ZonedTimestamp", fromWire)
+                }
+            </div>
+        );
+        const span = container.querySelector(".static-zoned-timestamp");
+        assert(span.getAttribute("title") === "Asia/Tokyo");
+        assert(span.textContent.indexOf("4.3.2021 21:00:00,000 ") === 0);
+        assert(span.querySelector(".text-muted").textContent.length > 0);
+    });
+});
@@ -0,0 +1,128 @@
+import assert from "power-assert"
+import { before, describe, it } from "mocha";
+
+import simpleMergeData from "./simple-merge.json"
+import rawSchema from "./merge-schema.json"
+import config from "../../src/config";
+import InteractiveQuery from "../../src/model/InteractiveQuery";
+import { InputSchema, WireFormat } from "domainql-form";
+import { __setWireFormatForTest } from "../../src/domain";
+import { FieldStatus } from "../../src/ui/ChangeConflictDialog";
+import { convertConflicts } from "../../src/WorkingSet";
+import { ConflictStrategy, resolveConflicts } from "../../src/merge/conflictStrategy";
+import MergeConflictError from "../../src/merge/MergeConflictError";
+import { findNamed } from "../../src/util/type-utils";
+
+
+const TEST_CASE_ID = "20bbb666-79d1-4a50-8b23-4442be8b615e";
+
+// their "modified" timestamp in simple-merge.json
+const THEIR_MODIFIED = Date.parse("2020-06-26T21:26:41.803Z");
+
+
+function mockWorkingSet(editTime)
+{
+    return {
+        lookup: (type, id) => type === "Corge" && id === TEST_CASE_ID ? {
+            editTimes: new Map(editTime !== undefined ? [["description", editTime]] : [])
+        } : undefined
+    };
+}
+
+
+function description(resolutions)
+{
+    return findNamed(resolutions[0].fields, "description");
+}
+
+
+describe("Conflict Strategy", function () {
+
+    let conflicts;
+    before(() => {
+        const inputSchema = new InputSchema(rawSchema);
+
+        config.inputSchema = inputSchema;
+
+        __setWireFormatForTest(
+            new WireFormat(inputSchema, {
+                InteractiveQueryCorge : InteractiveQuery
+            })
+        );
+
+        conflicts = convertConflicts(simpleMergeData.conflicts, true);
+    })
+
+    it("resolves with our values", function () {
+
+        return resolveConflicts(ConflictStrategy.OURS, conflicts, { workingSet: mockWorkingSet(), timestampField: "modified" })
+            .then(({ resolutions, decisions }) => {
+
+                const field = description(resolutions);
+                assert(field.status === FieldStatus.OURS);
+                assert(field.value.value === "Description #12");
+
+                assert.deepEqual(decisions, [
+                    { type: "Corge", id: TEST_CASE_ID, field: "description", status: FieldStatus.OURS, strategy: "ours" },
+                    { type: "Corge", id: TEST_CASE_ID, field: "modified", status: FieldStatus.OURS, strategy: "server" }
+                ]);
+            });
+    });
+
+    it("resolves with their values", function () {
+
+        return resolveConflicts(ConflictStrategy.THEIRS, conflicts, { workingSet: mockWorkingSet(), timestampField: "modified" })
+            .then(({ resolutions }) => {
+
+                const field = description(resolutions);
+                assert(field.status === FieldStatus.THEIRS);
+                assert(field.value.value === "Description #11");
+            });
+    });
+
+    it("resolves with the last writer", function () {
+
+        return Promise.all([
+            resolveConflicts(ConflictStrategy.LAST_WRITER_WINS, conflicts, { workingSet: mockWorkingSet(THEIR_MODIFIED - 1000), timestampField: "modified" }),
+            resolveConflicts(ConflictStrategy.LAST_WRITER_WINS, conflicts, { workingSet: mockWorkingSet(THEIR_MODIFIED + 1000), timestampField: "modified" }),
+            resolveConflicts(ConflictStrategy.LAST_WRITER_WINS, conflicts, { workingSet: mockWorkingSet(), timestampField: "modified" })
+        ]).then(([ older, newer, unknown ]) => {
+
+            assert(description(older.resolutions).status === FieldStatus.THEIRS);
+            assert(description(newer.resolutions).status === FieldStatus.OURS);
+            assert(description(unknown.resolutions).status === FieldStatus.OURS);
+        });
+    });
+
+    it("resolves with a custom resolver function", function () {
+
+        const resolver = (conflicts, workingSet) => conflicts.map(() => ({ description: { value: "Merged Description" } }));
+
+        return resolveConflicts(resolver, conflicts, { workingSet: mockWorkingSet(), timestampField: "modified" })
+            .then(({ resolutions, decisions }) => {
+
+                const field = description(resolutions);
+                assert(field.status === FieldStatus.VALUE);
+                assert(field.value.value === "Merged Description");
+                assert(decisions[0].strategy === "custom");
+            });
+    });
+
+    it("rejects with MergeConflictError", function () {
+
+        const fail = strategy => resolveConflicts(strategy, conflicts, { workingSet: mockWorkingSet(), timestampField: "modified" })
+            .then(
+                () => assert.fail("Expected rejection"),
+                err => {
+                    assert(err instanceof MergeConflictError);
+                    assert(err.conflicts === conflicts);
+                }
+            );
+
+        return Promise.all([
+            fail(ConflictStrategy.FAIL),
+            fail(() => null),
+            fail(conflicts => conflicts.map(() => ({})))
+        ]);
+    });
+});
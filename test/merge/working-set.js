@@ -1,5 +1,5 @@
 import assert from "power-assert"
-import { before, describe, it } from "mocha";
+import { after, afterEach, before, beforeEach, describe, it } from "mocha";
 import rawSchema from "./working-set-schema.json"
 import config from "../../src/config";
 import InteractiveQuery from "../../src/model/InteractiveQuery";
@@ -7,9 +7,20 @@ import { InputSchema, WireFormat } from "domainql-form";
 import { __setWireFormatForTest, registerAutomatonConverters } from "../../src/domain";
 import { observable, runInAction } from "mobx";
 import { DateTime } from "luxon";
-import WorkingSet from "../../src/WorkingSet";
+import WorkingSet, { convertConflicts, WorkingSetStatus } from "../../src/WorkingSet";
+import { ConflictStrategy } from "../../src/merge/conflictStrategy";
+import MergeConflictError from "../../src/merge/MergeConflictError";
+import { MergeOperation } from "../../src/merge/MergeOperation";
+import { FieldStatus } from "../../src/ui/ChangeConflictDialog";
+import { getCurrentProcess, setMockProcess } from "../../src/process/Process";
+import WorkingSetUndoToolbar from "../../src/ui/datagrid/WorkingSetUndoToolbar";
+import { __resetDraftStorageForTest, deleteDraft, loadDraft, saveDraft } from "../../src/util/draftStorage";
+import mockIndexedDB from "../util/mockIndexedDB";
 import printSchema from "../../src/util/printSchema";
 import { INPUT_OBJECT, LIST } from "domainql-form/lib/kind";
+import React from "react"
+import { act, cleanup, fireEvent, render, waitFor } from "@testing-library/react"
+import sinon from "sinon"
 
 /**
  * These tests test the generation of entity changes from observed changes with observable graphs
@@ -753,3 +764,543 @@ describe.skip("WorkingSet", function () {
         return workingSet.merge();
     });
 });
+
+
+const CORGE_ID = "1df03525-e3d0-4d7a-90d6-e1f4e0fc3878";
+const NEW_CORGE_ID = "75a2b4a1-69ad-4b2c-a1b4-01c0a4f0e4f8";
+
+
+function prepareSchema()
+{
+    // the schema fixture predates the relation meta tags
+    const inputSchema = new InputSchema({
+        ... rawSchema,
+        meta: {
+            ... rawSchema.meta,
+            relations: rawSchema.meta.relations.map(relation => ({ metaTags: [], ... relation }))
+        }
+    });
+
+    config.inputSchema = inputSchema;
+
+    __setWireFormatForTest(
+        new WireFormat(inputSchema, {
+            InteractiveQueryCorge : InteractiveQuery
+        })
+    );
+}
+
+
+function createCorge(id = CORGE_ID, name = "Test Corge")
+{
+    return observable({
+        _type: "Corge",
+        id,
+        version: "93cb71c7-8a7b-4fc5-a18b-199ae392486f",
+        name,
+        num: 1000,
+        num2: 2000,
+        flag: true
+    });
+}
+
+
+/**
+ * These tests cover the operation journal of the working set with undo/redo steps and transactions
+ */
+describe("WorkingSet journal", function () {
+
+    let prevProcess;
+    before(() => {
+        prepareSchema();
+
+        prevProcess = getCurrentProcess();
+        setMockProcess({
+            name: "TestProcess",
+            addProcessEffect: () => null
+        });
+    })
+
+    after(() => {
+        setMockProcess(prevProcess);
+    })
+
+
+    function modifiedWorkingSet()
+    {
+        const workingSet = new WorkingSet();
+        const corge = createCorge();
+        workingSet.registerBaseVersion(corge);
+        workingSet.addChanges(corge);
+        return { workingSet, corge };
+    }
+
+
+    it("undoes and redoes field edits", () => {
+
+        const { workingSet, corge } = modifiedWorkingSet();
+
+        runInAction(() => corge.name = "Changed Corge");
+        assert(workingSet.undoStep());
+
+        assert(corge.name === "Test Corge");
+        assert(!workingSet.lookup("Corge", CORGE_ID).changes.has("name"));
+        assert(!workingSet.canUndo);
+        assert(workingSet.canRedo);
+
+        assert(workingSet.redoStep());
+
+        assert(corge.name === "Changed Corge");
+        assert(workingSet.lookup("Corge", CORGE_ID).changes.get("name").value === "Changed Corge");
+        assert(workingSet.canUndo);
+        assert(!workingSet.canRedo);
+
+        assert(!workingSet.redoStep());
+    });
+
+
+    it("journals every field edit as its own step", () => {
+
+        const { workingSet, corge } = modifiedWorkingSet();
+
+        runInAction(() => corge.num = 1001);
+        // undo/redo flush pending edits into the journal, so does opening a transaction
+        workingSet.beginTransaction();
+        workingSet.endTransaction();
+        runInAction(() => corge.num = 1002);
+
+        assert(workingSet.undoStep());
+        assert(corge.num === 1001);
+        assert(workingSet.undoStep());
+        assert(corge.num === 1000);
+        assert(!workingSet.undoStep());
+
+        assert(workingSet.redoStep());
+        assert(corge.num === 1001);
+    });
+
+
+    it("undoes and redoes registered changes", () => {
+
+        const workingSet = new WorkingSet();
+        const corge = createCorge(NEW_CORGE_ID, "New Corge");
+
+        workingSet.addNew(corge);
+
+        assert(workingSet.undoStep());
+        assert(!workingSet.lookup("Corge", NEW_CORGE_ID));
+        assert(!workingSet.hasChanges);
+
+        assert(workingSet.redoStep());
+        assert(workingSet.lookup("Corge", NEW_CORGE_ID).domainObject === corge);
+        assert(workingSet.hasChanges);
+    });
+
+
+    it("undoes a transaction in one step", () => {
+
+        const { workingSet, corge } = modifiedWorkingSet();
+        const newCorge = createCorge(NEW_CORGE_ID, "New Corge");
+
+        workingSet.transaction(() => {
+            runInAction(() => {
+                corge.name = "Changed Corge";
+                corge.num = 1234;
+            });
+            workingSet.addNew(newCorge);
+        });
+
+        assert(workingSet.undoStep());
+
+        assert(corge.name === "Test Corge");
+        assert(corge.num === 1000);
+        assert(!workingSet.lookup("Corge", NEW_CORGE_ID));
+        assert(!workingSet.canUndo);
+
+        assert(workingSet.redoStep());
+
+        assert(corge.name === "Changed Corge");
+        assert(corge.num === 1234);
+        assert(workingSet.lookup("Corge", NEW_CORGE_ID).domainObject === newCorge);
+
+        assert.throws(() => workingSet.endTransaction(), /No open working set transaction/);
+    });
+
+
+    it("clears the redo steps on new changes", () => {
+
+        const { workingSet, corge } = modifiedWorkingSet();
+
+        runInAction(() => corge.name = "Changed Corge");
+        assert(workingSet.undoStep());
+        assert(workingSet.canRedo);
+
+        runInAction(() => corge.num = 1001);
+        assert(!workingSet.redoStep());
+        assert(!workingSet.canRedo);
+
+        assert(corge.name === "Test Corge");
+        assert(corge.num === 1001);
+    });
+
+
+    it("handles undo shortcuts outside of inputs", () => {
+
+        const { workingSet, corge } = modifiedWorkingSet();
+
+        const { container } = render(
+            <div>
+                <input type="text"/>
+                <WorkingSetUndoToolbar workingSet={ workingSet } keyboardShortcuts={ true }/>
+            </div>
+        );
+
+        try
+        {
+            runInAction(() => corge.name = "Changed Corge");
+
+            // native undo of the input
+            const input = container.querySelector("input");
+            assert(fireEvent.keyDown(input, { key: "z", ctrlKey: true }));
+            assert(corge.name === "Changed Corge");
+
+            assert(!fireEvent.keyDown(document.body, { key: "z", ctrlKey: true }));
+            assert(corge.name === "Test Corge");
+
+            act(() => {
+                fireEvent.click(container.querySelectorAll(".working-set-undo-toolbar button")[1]);
+            });
+            assert(corge.name === "Changed Corge");
+        }
+        finally
+        {
+            cleanup();
+        }
+    });
+});
+
+
+/**
+ * These tests cover the persistence of working set drafts in IndexedDB
+ */
+describe("WorkingSet drafts", function () {
+
+    const PROCESS_NAME = "TestProcess";
+    const DRAFT_NAME = "corge";
+
+    let prevProcess, prevIndexedDB, effects;
+    before(() => {
+        prepareSchema();
+
+        prevProcess = getCurrentProcess();
+        setMockProcess({
+            name: PROCESS_NAME,
+            addProcessEffect: fn => effects.push(fn)
+        });
+    })
+
+    beforeEach(() => {
+        effects = [];
+
+        prevIndexedDB = window.indexedDB;
+        window.indexedDB = mockIndexedDB().indexedDB;
+        __resetDraftStorageForTest();
+    })
+
+    afterEach(() => {
+        window.indexedDB = prevIndexedDB;
+        __resetDraftStorageForTest();
+    })
+
+    after(() => {
+        setMockProcess(prevProcess);
+    })
+
+
+    function changedRegistrations()
+    {
+        const workingSet = new WorkingSet();
+        const corge = createCorge();
+        workingSet.registerBaseVersion(corge);
+        workingSet.addChanges(corge);
+        runInAction(() => corge.name = "Draft Corge");
+
+        return workingSet.toJS().registrations;
+    }
+
+
+    /**
+     * Creates a persisted working set with the base version of our test object registered and runs its draft
+     * persistence effect. The restore dialog is answered with the given result.
+     */
+    function persistedWorkingSet(restore)
+    {
+        effects = [];
+
+        const workingSet = new WorkingSet({
+            persistAs: DRAFT_NAME,
+            persistenceTimeout: 0
+        });
+        const corge = createCorge();
+        workingSet.registerBaseVersion(corge);
+
+        workingSet._openDialog = sinon.spy(() => Promise.resolve(restore));
+
+        // first effect registers the change reactions, the second one the draft persistence
+        assert(effects.length === 2);
+        const unregister = effects[1]();
+
+        return { workingSet, corge, unregister };
+    }
+
+
+    it("round-trips drafts through the draft storage", () => {
+
+        const registrations = changedRegistrations();
+
+        return saveDraft(PROCESS_NAME, DRAFT_NAME, { registrations })
+            .then(() => loadDraft(PROCESS_NAME, DRAFT_NAME))
+            .then(draft => {
+                assert(draft.processName === PROCESS_NAME);
+                assert(draft.name === DRAFT_NAME);
+                assert(!isNaN(Date.parse(draft.modified)));
+                assert.deepEqual(draft.data.registrations, registrations);
+
+                const workingSet = new WorkingSet();
+                const corge = createCorge();
+                workingSet.registerBaseVersion(corge);
+                workingSet.restore(draft.data);
+
+                assert(corge.name === "Draft Corge");
+                assert(workingSet.lookup("Corge", CORGE_ID).status === WorkingSetStatus.MODIFIED);
+                assert(workingSet.lookupBase("Corge", CORGE_ID).name === "Test Corge");
+
+                return deleteDraft(PROCESS_NAME, DRAFT_NAME);
+            })
+            .then(() => loadDraft(PROCESS_NAME, DRAFT_NAME))
+            .then(draft => assert(draft === null));
+    });
+
+
+    it("restores persisted drafts", () => {
+
+        return saveDraft(PROCESS_NAME, DRAFT_NAME, { registrations: changedRegistrations() })
+            .then(() => {
+                const { workingSet, corge, unregister } = persistedWorkingSet(true);
+
+                return waitFor(() => assert(corge.name === "Draft Corge"))
+                    // let the persistence start after the restore
+                    .then(() => new Promise(resolve => setTimeout(resolve, 0)))
+                    .then(() => {
+                        assert(workingSet._openDialog.calledOnce);
+                        assert(workingSet.hasChanges);
+
+                        // changes after the restore are persisted again
+                        runInAction(() => corge.num = 1234);
+
+                        return waitFor(
+                            () => loadDraft(PROCESS_NAME, DRAFT_NAME).then(
+                                draft => assert(draft.data.registrations["Corge:" + CORGE_ID].domainObject.num === 1234)
+                            )
+                        );
+                    })
+                    .then(unregister, err => {
+                        unregister();
+                        throw err;
+                    });
+            });
+    });
+
+
+    it("discards persisted drafts", () => {
+
+        return saveDraft(PROCESS_NAME, DRAFT_NAME, { registrations: changedRegistrations() })
+            .then(() => {
+                const { workingSet, corge, unregister } = persistedWorkingSet(false);
+
+                return waitFor(
+                    () => loadDraft(PROCESS_NAME, DRAFT_NAME).then(draft => assert(draft === null))
+                )
+                    .then(() => {
+                        assert(workingSet._openDialog.calledOnce);
+                        assert(corge.name === "Test Corge");
+                        assert(!workingSet.hasChanges);
+                    })
+                    .then(unregister, err => {
+                        unregister();
+                        throw err;
+                    });
+            });
+    });
+
+
+    it("loads working set data without type names and base versions", () => {
+
+        // format written by older versions of WorkingSet.toJS()
+        const workingSet = WorkingSet.fromJS({
+            registrations: {
+                ["Corge:" + CORGE_ID]: {
+                    status: WorkingSetStatus.MODIFIED,
+                    domainObject: {
+                        _type: "Corge",
+                        id: CORGE_ID,
+                        version: "93cb71c7-8a7b-4fc5-a18b-199ae392486f",
+                        name: "Old Corge",
+                        num: 1000,
+                        flag: true,
+                        created: "2020-09-01T12:00:40.151Z"
+                    }
+                },
+                ["Corge:" + NEW_CORGE_ID]: {
+                    status: WorkingSetStatus.DELETED,
+                    domainObject: {
+                        _type: "Corge",
+                        id: NEW_CORGE_ID,
+                        version: "d2b5e3c8-5b4e-4a53-9b0c-0d7e1a3f2c11"
+                    }
+                }
+            },
+            mergeConfig: {}
+        });
+
+        const { domainObject, base, typeName } = workingSet.lookup("Corge", CORGE_ID);
+        assert(typeName === "Corge");
+        assert(domainObject.name === "Old Corge");
+        assert(typeof domainObject.created !== "string");
+        assert(base === null);
+
+        assert(workingSet.lookup("Corge", NEW_CORGE_ID).status === WorkingSetStatus.DELETED);
+    });
+});
+
+
+/**
+ * These tests cover merges with conflicts resolved by a conflict strategy instead of the merge dialog
+ */
+describe("WorkingSet merge with conflict strategy", function () {
+
+    const THEIR_VERSION = "0b5b9a6e-3a1c-4d55-9a6e-76a0e8c1b0f4";
+
+    let prevProcess;
+    before(() => {
+        prepareSchema();
+
+        prevProcess = getCurrentProcess();
+        setMockProcess({
+            name: "TestProcess",
+            addProcessEffect: () => null
+        });
+    })
+
+    after(() => {
+        setMockProcess(prevProcess);
+    })
+
+    afterEach(() => {
+        sinon.restore();
+    })
+
+
+    function createConflicts()
+    {
+        return convertConflicts([
+            {
+                _type: "MergeConflict",
+                type: "Corge",
+                id: { type: "String", value: CORGE_ID },
+                theirVersion: THEIR_VERSION,
+                deleted: false,
+                decided: false,
+                fields: [
+                    {
+                        _type: "MergeConflictField",
+                        name: "name",
+                        ours: { type: "String", value: "Changed Corge" },
+                        theirs: { type: "String", value: "Their Corge" },
+                        informational: false,
+                        references: [],
+                        status: "UNDECIDED"
+                    }
+                ]
+            }
+        ], true);
+    }
+
+
+    /**
+     * Creates a working set with a modified Corge whose merge query reports conflicts for the given number of times
+     */
+    function conflictingWorkingSet(mergeConfig, conflictCount)
+    {
+        const workingSet = new WorkingSet(mergeConfig);
+        const corge = createCorge();
+        workingSet.registerBaseVersion(corge);
+        workingSet.addChanges(corge);
+        runInAction(() => corge.name = "Changed Corge");
+
+        const merges = [];
+        workingSet._mergeQuery = {
+            execute: vars => {
+                merges.push(vars);
+                const done = merges.length > conflictCount;
+                return Promise.resolve({
+                    mergeWorkingSet: {
+                        done,
+                        conflicts: done ? [] : createConflicts()
+                    }
+                });
+            }
+        };
+        workingSet._openDialog = sinon.spy(() => Promise.resolve({ operation: MergeOperation.CANCEL }));
+
+        return { workingSet, corge, merges };
+    }
+
+
+    it("merges again with the resolved conflicts", () => {
+
+        const info = sinon.stub(console, "info");
+
+        const { workingSet, corge, merges } = conflictingWorkingSet({
+            conflictStrategy: ConflictStrategy.OURS,
+            logMergeScenarios: true
+        }, 1);
+
+        return workingSet.merge().then(result => {
+
+            assert(result === MergeOperation.STORE);
+            assert(!workingSet._openDialog.called);
+            assert(merges.length === 2);
+
+            // the resolution was applied before merging again
+            assert(corge.name === "Changed Corge");
+            assert(merges[1].changes[0].version === THEIR_VERSION);
+
+            const [ message, scenario ] = info.firstCall.args;
+            assert(message === "STARTING MERGE: scenario = ");
+            assert.deepEqual(scenario.decisions, [
+                { type: "Corge", id: CORGE_ID, field: "name", status: FieldStatus.OURS, strategy: "ours" }
+            ]);
+        });
+    });
+
+
+    it("rejects with a MergeConflictError after the maximum merge attempts", () => {
+
+        const { workingSet, merges } = conflictingWorkingSet({
+            conflictStrategy: ConflictStrategy.THEIRS,
+            logMergeScenarios: false,
+            maxMergeAttempts: 2
+        }, Infinity);
+
+        return workingSet.merge().then(
+            () => assert.fail("merge should fail"),
+            err => {
+                assert(err instanceof MergeConflictError);
+                assert(err.conflicts.length === 1);
+                assert(merges.length === 2);
+                assert(!workingSet._openDialog.called);
+            }
+        );
+    });
+});
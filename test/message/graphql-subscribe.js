@@ -0,0 +1,171 @@
+import assert from "power-assert"
+import { after, before, describe, it } from "mocha";
+import { DateTime } from "luxon";
+import RAW_SCHEMA from "../test-schema.json";
+import config from "../../src/config";
+import { InputSchema, WireFormat } from "domainql-form";
+import { __setWireFormatForTest, registerAutomatonConverters } from "../../src/domain";
+import Hub from "../../src/message/Hub";
+import graphqlSubscribe from "../../src/message/graphqlSubscribe";
+import GraphQLQuery from "../../src/GraphQLQuery";
+import sleep from "../ui/sleep";
+
+
+const SUBSCRIPTION = `subscription fooChanged($name: String!){
+    fooChanged(name: $name){
+        id
+        name
+        created
+    }
+}`;
+
+
+let socket = null;
+
+class MockWebSocket
+{
+    constructor(url)
+    {
+        this.sent = [];
+        socket = this;
+    }
+
+    send(json)
+    {
+        this.sent.push(JSON.parse(json));
+    }
+
+    receive(type, payload)
+    {
+        this.onmessage({ data: JSON.stringify({ type, payload }) });
+    }
+}
+
+
+/**
+ * Adds a subscription type to the test schema
+ */
+function createSchema()
+{
+    const schema = JSON.parse(JSON.stringify(RAW_SCHEMA));
+
+    schema.schema.types.push({
+        kind: "OBJECT",
+        name: "SubscriptionType",
+        fields: [
+            {
+                name: "fooChanged",
+                args: [
+                    {
+                        name: "name",
+                        type: { kind: "NON_NULL", name: null, ofType: { kind: "SCALAR", name: "String", ofType: null } },
+                        defaultValue: null
+                    }
+                ],
+                type: { kind: "OBJECT", name: "Foo", ofType: null },
+                isDeprecated: false,
+                deprecationReason: null
+            }
+        ],
+        inputFields: null,
+        interfaces: [],
+        enumValues: null,
+        possibleTypes: null
+    });
+
+    return schema;
+}
+
+
+describe("graphqlSubscribe", function () {
+
+    let origWebSocket, origInputSchema;
+    before(() => {
+        origWebSocket = global.WebSocket;
+        origInputSchema = config.inputSchema;
+
+        global.WebSocket = MockWebSocket;
+
+        const inputSchema = new InputSchema(createSchema());
+        config.inputSchema = inputSchema;
+        __setWireFormatForTest(new WireFormat(inputSchema, {}));
+        registerAutomatonConverters();
+
+        const promise = Hub.init("subscribe-cid");
+        socket.onopen();
+        return promise;
+    });
+
+    after(() => {
+        global.WebSocket = origWebSocket;
+        config.inputSchema = origInputSchema;
+    });
+
+    it("sends subscriptions over the Hub and converts results", function () {
+
+        const results = [];
+        const unsubscribe = graphqlSubscribe(SUBSCRIPTION, { name: "Foo" }, result => results.push(result));
+
+        const [ message ] = socket.sent;
+        assert(message.type === "GRAPHQL_SUBSCRIBE");
+        assert(message.payload.query === SUBSCRIPTION);
+        assert.deepEqual(message.payload.variables, { name: "Foo" });
+
+        const { id } = message.payload;
+
+        socket.receive("GRAPHQL_RESULT", {
+            id,
+            data: {
+                fooChanged: { id: "foo-1", name: "Foo", created: "2021-03-01T12:00:00.000Z" }
+            }
+        });
+
+        return sleep(10)
+            .then(() => {
+                assert(results.length === 1);
+                const { fooChanged } = results[0];
+                assert(fooChanged.name === "Foo");
+                assert(DateTime.isDateTime(fooChanged.created));
+
+                unsubscribe();
+
+                const last = socket.sent[socket.sent.length - 1];
+                assert(last.type === "GRAPHQL_UNSUBSCRIBE");
+                assert(last.payload.id === id);
+
+                // results after unsubscribing are ignored
+                socket.receive("GRAPHQL_RESULT", { id, data: { fooChanged: null } });
+                return sleep(10);
+            })
+            .then(() => {
+                assert(results.length === 1);
+            });
+    });
+
+    it("reports GraphQL errors", function () {
+
+        const errors = [];
+        const query = new GraphQLQuery(SUBSCRIPTION);
+        const unsubscribe = query.subscribe({ name: "Foo" }, () => assert.fail("Unexpected result"), err => errors.push(err));
+
+        const { id } = socket.sent[socket.sent.length - 1].payload;
+        socket.receive("GRAPHQL_RESULT", { id, errors: [ { message: "Subscription failed" } ] });
+
+        unsubscribe();
+
+        assert(errors.length === 1);
+        assert(errors[0].message.indexOf("Subscription failed") >= 0);
+    });
+
+    it("rejects documents that are not subscriptions", function () {
+
+        assert.throws(
+            () => graphqlSubscribe("query foo{ getCustomers{ rowCount } }", null, () => {}),
+            /Not a GraphQL subscription/
+        );
+        assert.throws(
+            () => new GraphQLQuery(SUBSCRIPTION).execute({ name: "Foo" }),
+            /subscribe\(\)/
+        );
+    });
+});
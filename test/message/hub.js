@@ -0,0 +1,169 @@
+import assert from "power-assert"
+import { after, before, describe, it } from "mocha";
+import config from "../../src/config";
+import Hub, { ConnectionState } from "../../src/message/Hub";
+import subscribeToTopic from "../../src/message/subscribeToTopic";
+import sleep from "../ui/sleep";
+
+
+/** All websockets created so far */
+let sockets = [];
+
+class MockWebSocket
+{
+    constructor(url)
+    {
+        this.url = url;
+        this.sent = [];
+        sockets.push(this);
+    }
+
+    send(json)
+    {
+        this.sent.push(JSON.parse(json));
+    }
+
+    open()
+    {
+        this.onopen();
+    }
+
+    close(code = 1006)
+    {
+        this.onclose({ code });
+    }
+}
+
+
+function lastSocket()
+{
+    return sockets[sockets.length - 1];
+}
+
+
+describe("Hub", function () {
+
+    let origWebSocket, origHubConfig;
+    before(() => {
+        origWebSocket = global.WebSocket;
+        origHubConfig = config.hub;
+
+        global.WebSocket = MockWebSocket;
+        config.hub = {
+            ... origHubConfig,
+            reconnect: {
+                initialDelay: 5,
+                maxDelay: 20,
+                factor: 2,
+                jitter: 0
+            }
+        };
+    });
+
+    after(() => {
+        global.WebSocket = origWebSocket;
+        config.hub = origHubConfig;
+    });
+
+    it("queues messages while disconnected and renews subscriptions on reconnect", function () {
+
+        const promise = Hub.init("test-cid");
+        assert(Hub.connectionState === ConnectionState.CONNECTING);
+
+        const unsubscribe = subscribeToTopic("foo", () => {});
+        Hub.send("TEST", { value: 1 });
+
+        const first = lastSocket();
+        assert(first.url.endsWith("/automaton-ws?cid=test-cid"));
+        assert(first.sent.length === 0);
+
+        first.open();
+
+        return promise
+            .then(cid => {
+                assert(cid === "test-cid");
+                assert(Hub.connectionState === ConnectionState.OPEN);
+
+                // subscription first, then the queued message
+                assert.deepEqual(first.sent.map(m => m.type), ["PUBSUB", "TEST"]);
+                assert(first.sent[0].payload.op === "SUBSCRIBE");
+                assert(first.sent[0].payload.topic === "foo");
+
+                first.close();
+                assert(Hub.connectionState === ConnectionState.CLOSED);
+
+                Hub.send("TEST", { value: 2 });
+
+                return sleep(30);
+            })
+            .then(() => {
+                const second = lastSocket();
+                assert(second !== first);
+                assert(Hub.connectionState === ConnectionState.CONNECTING);
+
+                second.open();
+                assert(Hub.connectionState === ConnectionState.OPEN);
+                assert.deepEqual(second.sent.map(m => m.type), ["PUBSUB", "TEST"]);
+                assert(second.sent[0].payload.id === first.sent[0].payload.id);
+                assert(second.sent[1].payload.value === 2);
+
+                unsubscribe();
+                assert(second.sent[2].payload.op === "UNSUBSCRIBE");
+
+                second.close();
+                return sleep(30);
+            })
+            .then(() => {
+                const third = lastSocket();
+                third.open();
+
+                // no more active subscriptions
+                assert(third.sent.length === 0);
+            });
+    });
+
+    it("grows the reconnection delay exponentially", function () {
+
+        const count = sockets.length;
+
+        lastSocket().close();
+
+        // attempts after 5ms, 10ms and 20ms
+        return sleep(8)
+            .then(() => {
+                assert(sockets.length === count + 1);
+                lastSocket().close();
+                return sleep(5);
+            })
+            .then(() => {
+                assert(sockets.length === count + 1);
+                return sleep(15);
+            })
+            .then(() => {
+                assert(sockets.length === count + 2);
+                lastSocket().open();
+                assert(Hub.connectionState === ConnectionState.OPEN);
+            });
+    });
+
+    it("rejects pending requests and calls the session loss handler", function () {
+
+        let lost = 0;
+        config.hub = {
+            ... config.hub,
+            onSessionLost: () => lost++
+        };
+
+        const request = Hub.request("TEST_REQUEST", {});
+
+        lastSocket().close(4100);
+
+        assert(Hub.connectionState === ConnectionState.SESSION_LOST);
+        assert(lost === 1);
+
+        return request.then(
+            () => assert.fail("Expected rejection"),
+            err => assert(err.message === "Session lost")
+        );
+    });
+});
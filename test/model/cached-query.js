@@ -226,6 +226,58 @@ describe("CachedQuery", function () {
         }
     })
 
+    it("groups and aggregates in-memory iQueries", function () {
+
+        const doc = new CachedQuery(source, {
+            pageSize: 5,
+            sortFields: ["!value"]
+        })
+
+        return doc.update(
+            {
+                groupBy: ["description"],
+                aggregates: [
+                    { name: "count", fn: "count" },
+                    { name: "total", fn: "sum", field: "value" },
+                    { name: "max", fn: "max", field: "value" }
+                ]
+            }
+        )
+            .then(
+                () => {
+                    // rows are sorted by group first
+                    assert.deepEqual(
+                        doc.rows.map(r => r.description),
+                        [
+                            "Desc Qux D #1",
+                            "Desc Qux D #4",
+                            "Desc Qux D #5",
+                            "Desc Qux D #6",
+                            "Desc Qux D #7"
+                        ]
+                    )
+
+                    assert(doc.groups.length === 8);
+
+                    const last = doc.groups[7];
+                    assert.deepEqual(last.values, { description: "no desc" });
+                    assert(last.count === 2);
+                    assert.deepEqual(last.aggregates, { count: 2, total: 5, max: 3 });
+
+                    assert.deepEqual(doc.aggregates, { count: 9, total: 45, max: 9 });
+
+                    return doc.update({ groupBy: null, aggregates: null });
+                }
+            )
+            .then(
+                () => {
+                    assert(doc.groups === null);
+                    assert(doc.aggregates === null);
+                    assert(doc.rows[0].value === 9);
+                }
+            )
+    });
+
     it("filters in-memory iQueries", function () {
 
         const doc = new CachedQuery(source, {
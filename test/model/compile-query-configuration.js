@@ -0,0 +1,146 @@
+import assert from "power-assert"
+import { after, before, describe, it } from "mocha";
+import { InputSchema, WireFormat } from "domainql-form";
+
+import config from "../../src/config";
+import { __setWireFormatForTest } from "../../src/domain";
+import { field, toJSON, value } from "../../src/FilterDSL";
+import InteractiveQuery from "../../src/model/InteractiveQuery";
+import compileQueryConfiguration, { executeQueryConfiguration } from "../../src/model/compileQueryConfiguration";
+
+
+const rawSchema = require("../ui/fkselector/fk-selector-schema.json");
+
+
+/**
+ * Strips the whitespace from the given query string
+ */
+function normalize(query)
+{
+    return query.replace(/\s+/g, " ").trim();
+}
+
+
+describe("compileQueryConfiguration", function () {
+
+    let requests;
+
+    before(() => {
+        const inputSchema = new InputSchema(rawSchema);
+        config.inputSchema = inputSchema;
+
+        __setWireFormatForTest(
+            new WireFormat(inputSchema, {
+                InteractiveQueryQuxMain: InteractiveQuery
+            }, {
+                wrapAsObservable: true
+            })
+        );
+
+        config.graphqlTransport = request => {
+            requests.push(request);
+            return Promise.resolve({
+                data: {
+                    iQueryQuxMain: {
+                        type: "QuxMain",
+                        columnStates: [],
+                        queryConfig: {
+                            id: null,
+                            condition: request.variables.config.condition,
+                            offset: 0,
+                            pageSize: request.variables.config.pageSize,
+                            sortFields: request.variables.config.sortFields
+                        },
+                        rows: [
+                            { id: "main-1", name: "Main #1", quxA: { id: "a-1", name: "A #1" } }
+                        ],
+                        rowCount: 1
+                    }
+                }
+            });
+        };
+    });
+
+    after(() => {
+        config.graphqlTransport = null;
+    });
+
+
+    it("compiles query configurations into iQuery documents", function () {
+
+        const condition = toJSON(field("name").containsIgnoreCase(value("main")));
+
+        const query = compileQueryConfiguration("QuxMain", {
+            select: ["name", "quxA.name", "quxA.value", "quxC1.name"],
+            where: condition,
+            sort: ["!name", "quxA.name"]
+        });
+
+        assert(
+            normalize(query.query) === normalize(`
+                query iQueryQuxMain($config: QueryConfigInput!)
+                {
+                    iQueryQuxMain(config: $config)
+                    {
+                        type
+                        columnStates{ name enabled sortable }
+                        queryConfig{ id condition offset pageSize sortFields }
+                        rows{
+                            id
+                            name
+                            quxA{ id name value }
+                            quxC1{ id name }
+                        }
+                        rowCount
+                    }
+                }`
+            )
+        );
+
+        assert.deepEqual(query.defaultVars, {
+            config: {
+                condition,
+                offset: 0,
+                pageSize: 10,
+                sortFields: ["!name", "quxA.name"]
+            }
+        });
+
+        // the compiled query parses against the schema
+        const { methodCalls, selections } = query.getQueryDefinition();
+        assert.deepEqual(methodCalls, ["iQueryQuxMain"]);
+        assert(selections.iQueryQuxMain);
+
+        const paged = compileQueryConfiguration("QuxMain", { select: ["name"] }, { pageSize: 3 });
+        assert(paged.defaultVars.config.pageSize === 3);
+        assert(paged.defaultVars.config.condition === null);
+    });
+
+
+    it("rejects invalid query configurations", function () {
+
+        assert.throws(() => compileQueryConfiguration("QuxMain", { select: ["nme"] }), /Invalid column 'nme' for type 'QuxMain'/);
+        assert.throws(() => compileQueryConfiguration("QuxMain", { select: ["quxA"] }), /Column 'quxA' is an object/);
+        assert.throws(() => compileQueryConfiguration("QuxMain", { select: ["name.foo"] }), /references fields of the scalar field 'name'/);
+        assert.throws(() => compileQueryConfiguration("QuxMain", { select: [] }), /selects no columns/);
+        assert.throws(() => compileQueryConfiguration("AppUser", { select: ["login"] }), /Could not find an InteractiveQuery method for type 'AppUser'/);
+    });
+
+
+    it("executes query configurations", function () {
+
+        requests = [];
+
+        return executeQueryConfiguration("QuxMain", { select: ["name", "quxA.name"], sort: ["name"] }, { pageSize: 5 })
+            .then(iQuery => {
+
+                assert(requests.length === 1);
+                assert(requests[0].variables.config.pageSize === 5);
+
+                assert(iQuery instanceof InteractiveQuery);
+                assert(iQuery.rowCount === 1);
+                assert(iQuery.rows[0].quxA.name === "A #1");
+                assert.deepEqual(iQuery.queryConfig.sortFields.slice(), ["name"]);
+            });
+    });
+});
@@ -94,6 +94,43 @@ describe("handle model to js", () => {
     },`))
     });
 
+    it("expect async confirmations", () => {
+        const result = renderStateScript({
+            ...state,
+            transitionMap: {
+                "ConfirmedTransition": {
+                    to: "Target",
+                    confirmation: {
+                        type: "Action",
+                        async: true,
+                        params: ["ctx"],
+                        code: "{ const count = await countReferences(ctx); return count ? \"Delete references?\" : null; }"
+                    }
+                }
+            }
+        })
+        assert(result.includes(`confirmation: async ctx => {`))
+    });
+
+    it("expect transition roles and guards", () => {
+        const result = renderStateScript({
+            ...state,
+            transitionMap: {
+                "GuardedTransition": {
+                    to: "Target",
+                    roles: ["ROLE_ADMIN", "ROLE_EDITOR"],
+                    guard: {
+                        type: "Action",
+                        params: ["ctx"],
+                        code: "scope.editable"
+                    }
+                }
+            }
+        })
+        assert(result.includes(`roles: ["ROLE_ADMIN", "ROLE_EDITOR"],`))
+        assert(result.includes(`guard: ctx => scope.editable,`))
+    });
+
     it("expect the end of transitionMap", () => {
         const result = renderStateScript(state)
         assert(result.includes(`
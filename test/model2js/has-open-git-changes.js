@@ -199,4 +199,28 @@ describe("hasOpenChanges", function (done) {
             })
             .then(done);
     });
+
+    it("resolves absolute paths against the repository top-level directory", function (done) {
+
+        fs.writeFileSync(
+            path.join(appPath, "test-startup.js"),
+            "// Changed startup file",
+            "UTF-8"
+        );
+
+        // called from within a sub directory of the repository
+        const subDir = path.join(repoPath, "src/main");
+
+        Promise.all([
+            hasOpenGitChanges(subDir, path.join(repoPath, "src/main/js/apps")),
+            hasOpenGitChanges(subDir, path.join(repoPath, "src/main/webapp"))
+        ])
+            .then( ([ appChanges, webappChanges ]) => {
+
+                assert(appChanges);
+                assert(!webappChanges);
+
+            })
+            .then(done, done);
+    });
 });
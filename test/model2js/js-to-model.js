@@ -0,0 +1,219 @@
+import assert from "power-assert"
+
+import {
+    renderCopyRights,
+    renderDomainScript,
+    renderExtraConstantsScript,
+    renderImportStatements,
+    renderProcessExportScript,
+    renderQueryScript,
+    renderStateScript
+} from "../../src/model2js/handleModelToJs";
+import { getModelKind, jsToModel, mergeModel, ModelKind } from "../../src/model2js/handleJsToModel";
+
+const importDeclarationJson = require("./importDeclaration.json");
+const stateJson = require("./state.json");
+const queryJson = require("./query.json")
+const domainJson = require("./domain.json")
+const processExportJson = require("./processExport.json")
+
+
+function renderModel(model)
+{
+    const { copyRights, importDeclarations, extraConstants, state, query, domain, processExports } = model;
+
+    let content = renderCopyRights(copyRights) + renderImportStatements(importDeclarations);
+
+    if (state)
+    {
+        if (extraConstants)
+        {
+            content += renderExtraConstantsScript(extraConstants);
+        }
+        content += renderStateScript(state);
+    }
+    else if (query)
+    {
+        content += renderQueryScript(query);
+    }
+    else if (domain)
+    {
+        content += renderDomainScript(domain);
+    }
+    else
+    {
+        content += renderProcessExportScript(processExports);
+    }
+    return content;
+}
+
+
+/**
+ * Returns the given model in the form the generated code can express: The generated code is beautified, so code
+ * strings are compared without whitespace, code lines are joined and function and array patterns are rendered like
+ * identifiers and object patterns.
+ */
+function canonical(value, key)
+{
+    if (typeof value === "string")
+    {
+        return value.replace(/\s+/g, "");
+    }
+    if (Array.isArray(value))
+    {
+        if (key === "configuration" || key === "init")
+        {
+            return value.join("").replace(/\s+/g, "");
+        }
+        return value.map(elem => canonical(elem));
+    }
+    if (value && typeof value === "object")
+    {
+        if (value.type === "FunctionPattern")
+        {
+            return canonical({ type: "Identifier", name: value.properties.map(p => p.key).join(",") });
+        }
+        if (value.type === "ArrayPattern")
+        {
+            return canonical({
+                type: "ObjectPattern",
+                properties: value.elements.map(({ name }) => ({
+                    type: "ObjectProperty",
+                    key: name,
+                    value: { type: "Identifier", name }
+                }))
+            });
+        }
+
+        const result = {};
+        for (let name in value)
+        {
+            if (value.hasOwnProperty(name))
+            {
+                result[name] = canonical(value[name], name);
+            }
+        }
+        return result;
+    }
+    return value;
+}
+
+
+describe("jsToModel", function () {
+
+    const fixtures = {
+        state: { ... importDeclarationJson, ... stateJson },
+        query: { ... importDeclarationJson, ... queryJson },
+        domain: { ... importDeclarationJson, ... domainJson },
+        processExports: { ... importDeclarationJson, ... processExportJson }
+    };
+
+    Object.keys(fixtures).forEach(
+        name => it("round-trips the " + name + " fixture", function () {
+
+            const model = fixtures[name];
+            const kind = getModelKind(model);
+
+            assert(kind === name);
+
+            const parsed = jsToModel(renderModel(model), kind);
+            assert.deepEqual(canonical(parsed), canonical(model));
+
+            // parsed models round-trip unchanged
+            assert.deepEqual(jsToModel(renderModel(parsed), kind), parsed);
+        })
+    );
+
+    it("parses state scripts without base model", function () {
+
+        const { importDeclarations, state } = jsToModel(renderModel(fixtures.state), ModelKind.STATE);
+
+        assert.deepEqual(importDeclarations, importDeclarationJson.importDeclarations);
+
+        assert(state.name === "stateName");
+        assert.deepEqual(state.filterFunctions, stateJson.state.filterFunctions);
+
+        const { TransitionName } = state.transitionMap;
+        assert(TransitionName.to === "Target");
+        assert(TransitionName.discard === true);
+        assert.deepEqual(TransitionName.action.params, ["t"]);
+
+        const { constants, root } = state.composite;
+        assert.deepEqual(constants.map(c => c.declarations[0].id.type), ["Identifier", "ObjectPattern", "ListPattern", "Identifier", "ObjectPattern"]);
+        const expected = stateJson.state.composite.root;
+        assert.deepEqual(root.kids[0], expected.kids[0]);
+        assert.deepEqual(root.kids[1].kids.slice(0, 4), expected.kids[1].kids.slice(0, 4));
+
+        // only the formatting of code is lost
+        const codeKid = root.kids[1].kids[4];
+        assert(codeKid.type === "JSXExpressionContainer");
+        assert(codeKid.code.replace(/\s+/g, "") === expected.kids[1].kids[4].code.replace(/\s+/g, ""));
+    });
+
+    it("keeps hand edits of generated code", function () {
+
+        const model = fixtures.state;
+        const source = renderModel(model)
+            .replace("to: Target,", "to: OtherTarget,\n        roles: [\"ROLE_ADMIN\"],")
+            .replace("t.isRecorded = false;", "t.isRecorded = true;")
+            .replace("kid with only value key", "edited text");
+
+        const { state } = jsToModel(source, ModelKind.STATE, model);
+
+        const { TransitionName } = state.transitionMap;
+        assert(TransitionName.to === "OtherTarget");
+        assert.deepEqual(TransitionName.roles, ["ROLE_ADMIN"]);
+        assert(TransitionName.action.type === "Action");
+        assert(TransitionName.action.code.indexOf("t.isRecorded = true;") >= 0);
+
+        assert(state.type === "stateType");
+        assert(state.composite.root.kids[1].kids[3].kids[0].value === "edited text");
+        assert.deepEqual(state.composite.constants, model.state.composite.constants);
+    });
+
+    it("parses type markers, descriptions and default values", function () {
+
+        const { state } = jsToModel(renderModel(fixtures.state), ModelKind.STATE);
+        assert(state.type === "stateType");
+
+        const { processExports } = jsToModel(renderModel(fixtures.processExports), ModelKind.PROCESS_EXPORTS);
+        assert(processExports.type === "ProcessExport");
+
+        const observables = [
+            { name: "id", defaultValue: null, description: "Primary key */ of Foo" },
+            { name: "num", defaultValue: "0", description: null }
+        ];
+        const { domain } = jsToModel(
+            renderModel({ ... fixtures.domain, domain: { ... domainJson.domain, observables } }),
+            ModelKind.DOMAIN
+        );
+        assert.deepEqual(domain.observables, observables);
+    });
+
+    it("merges parsed models into base models", function () {
+
+        assert.deepEqual(
+            mergeModel(
+                {
+                    name: "foo",
+                    code: "return  1 ;",
+                    to: undefined,
+                    params: ["a", "b"]
+                },
+                {
+                    type: "Action",
+                    name: "foo",
+                    code: "return 1;",
+                    to: "Target",
+                    params: ["a, b"]
+                }
+            ),
+            {
+                type: "Action",
+                name: "foo",
+                code: "return 1;",
+                params: ["a, b"]
+            }
+        );
+    });
+});
@@ -0,0 +1,179 @@
+import assert from "power-assert"
+import tmp from "tmp";
+import path from "path";
+import fs from "fs";
+
+import ModelToJsGenerator from "../../src/model2js/ModelToJsGenerator";
+import parseArguments, { DEFAULT_MODELS, DEFAULT_OUT } from "../../src/model2js/parseArguments";
+
+const importDeclarationJson = require("./importDeclaration.json");
+const stateJson = require("./state.json");
+const domainJson = require("./domain.json")
+const processExportJson = require("./processExport.json")
+
+
+function writeModel(modelsPath, fileName, model)
+{
+    const fullPath = path.join(modelsPath, fileName);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, JSON.stringify(model, null, 2));
+    return fullPath;
+}
+
+
+function relativeNames(root, fileNames)
+{
+    return fileNames.map(fileName => path.relative(root, fileName).replace(/\\/g, "/")).sort();
+}
+
+
+function touch(fileName)
+{
+    const time = new Date(Date.now() + 5000);
+    fs.utimesSync(fileName, time, time);
+}
+
+
+describe("ModelToJsGenerator", function () {
+
+    let tmpDir, modelsPath, outPath, statePath;
+
+    beforeEach(() => {
+        tmpDir = tmp.dirSync({ unsafeCleanup: true });
+
+        modelsPath = path.join(tmpDir.name, "apps");
+        outPath = path.join(tmpDir.name, "out");
+
+        writeModel(modelsPath, "shipping/domain/Foo.json", { ... importDeclarationJson, ... domainJson });
+        writeModel(modelsPath, "shipping/processes/Catalog/Catalog.json", { ... importDeclarationJson, ... processExportJson });
+        statePath = writeModel(modelsPath, "shipping/processes/Catalog/states/Home.json", { ... importDeclarationJson, ... stateJson });
+    });
+
+    afterEach(() => {
+        tmpDir.removeCallback();
+    });
+
+    it("generates all models on the first update", function () {
+
+        const generator = new ModelToJsGenerator(modelsPath, outPath);
+
+        return generator.update()
+            .then(result => {
+
+                assert(result.errors.length === 0);
+                assert(result.removals.length === 0);
+                assert.deepEqual(
+                    relativeNames(outPath, result.writes.map(w => w.path)),
+                    [
+                        "domain/Foo.js",
+                        "processes/Catalog/Catalog.js",
+                        "processes/Catalog/graph.dot",
+                        "processes/Catalog/graph.mmd",
+                        "processes/Catalog/states/Home.js"
+                    ]
+                );
+
+                generator.write(result);
+
+                assert(fs.readFileSync(path.join(outPath, "processes/Catalog/Catalog.js"), "utf8").indexOf("export function initProcess") >= 0);
+
+                // a new generator finds nothing to write
+                return new ModelToJsGenerator(modelsPath, outPath).update();
+            })
+            .then(result => {
+                assert(result.writes.length === 0);
+                assert(result.removals.length === 0);
+            });
+    });
+
+    it("only regenerates changed models", function () {
+
+        const generator = new ModelToJsGenerator(modelsPath, outPath);
+
+        return generator.update()
+            .then(result => {
+                generator.write(result);
+
+                writeModel(modelsPath, "shipping/processes/Catalog/states/Home.json", {
+                    ... importDeclarationJson,
+                    state: {
+                        ... stateJson.state,
+                        name: "Home"
+                    }
+                });
+                touch(statePath);
+
+                return generator.update();
+            })
+            .then(result => {
+                assert.deepEqual(
+                    relativeNames(outPath, result.writes.map(w => w.path)),
+                    [
+                        "processes/Catalog/graph.dot",
+                        "processes/Catalog/graph.mmd",
+                        "processes/Catalog/states/Home.js"
+                    ]
+                );
+            });
+    });
+
+    it("removes the output of deleted models", function () {
+
+        const generator = new ModelToJsGenerator(modelsPath, outPath);
+
+        return generator.update()
+            .then(result => {
+                generator.write(result);
+
+                fs.unlinkSync(path.join(modelsPath, "shipping/domain/Foo.json"));
+
+                return generator.update();
+            })
+            .then(result => {
+                assert(result.writes.length === 0);
+                assert.deepEqual(relativeNames(outPath, result.removals), ["domain/Foo.js"]);
+
+                generator.write(result);
+                assert(!fs.existsSync(path.join(outPath, "domain")));
+            });
+    });
+
+    it("reports invalid models", function () {
+
+        writeModel(modelsPath, "shipping/domain/Broken.json", { domain: "not an object" });
+
+        return new ModelToJsGenerator(modelsPath, outPath).update()
+            .then(result => {
+                assert(result.errors.length === 1);
+                assert(relativeNames(modelsPath, [result.errors[0].fileName])[0] === "shipping/domain/Broken.json");
+                assert(result.errors[0].error.message === "Schema validation failed");
+            });
+    });
+});
+
+
+describe("model-to-js arguments", function () {
+
+    it("parses CLI options", function () {
+
+        assert.deepEqual(parseArguments([]), {
+            models: DEFAULT_MODELS,
+            out: DEFAULT_OUT,
+            watch: false,
+            check: false,
+            help: false
+        });
+
+        assert.deepEqual(parseArguments(["--models", "models", "--out=gen", "--watch"]), {
+            models: "models",
+            out: "gen",
+            watch: true,
+            check: false,
+            help: false
+        });
+
+        assert.throws(() => parseArguments(["--out"]), /needs a value/);
+        assert.throws(() => parseArguments(["--check", "--watch"]), /can't be combined/);
+        assert.throws(() => parseArguments(["--force"]), /Invalid argument/);
+    });
+});
@@ -0,0 +1,159 @@
+import assert from "power-assert"
+import { createProcessGraphFromModel } from "../../src/model2js/processGraphFromModel";
+import { findSubProcessCalls, processGraphToDOT, processGraphToMermaid } from "../../src/process/processGraph";
+
+
+const STATES = [
+    {
+        type: "State",
+        name: "CustomerList",
+        transitionMap: {
+            "open": {
+                to: "CustomerDetail",
+                action: {
+                    type: "Action",
+                    params: ["t"],
+                    code: "{ t.context = t.context.id; }"
+                }
+            },
+            "import": {
+                roles: ["ROLE_ADMIN"],
+                action: {
+                    type: "Action",
+                    params: ["t"],
+                    code: "{ return process.runSubProcess(\"CustomerImport\", { mode: 'csv' }); }"
+                }
+            }
+        }
+    },
+    {
+        type: "State",
+        name: "CustomerDetail",
+        transitionMap: {
+            "back": {
+                to: "CustomerList",
+                discard: true
+            },
+            "save": {
+                guard: {
+                    type: "Action",
+                    params: ["ctx"],
+                    code: "scope.editable"
+                },
+                confirmation: {
+                    type: "Action",
+                    params: ["ctx"],
+                    code: "\"Save customer?\""
+                }
+            }
+        }
+    }
+];
+
+
+describe("Process graphs", function () {
+
+    it("finds sub-process calls", function () {
+
+        assert.deepEqual(
+            findSubProcessCalls("process.runSubProcess('A'); process.runSubProcess( \"B\", {}); process.runSubProcess(`A`)"),
+            ["A", "B"]
+        );
+        assert.deepEqual(findSubProcessCalls(null), []);
+        assert.deepEqual(findSubProcessCalls(t => t.process.runSubProcess("Sub")), ["Sub"]);
+    });
+
+    it("creates process graphs from JSON models", function () {
+
+        const graph = createProcessGraphFromModel("Customers", { startState: "CustomerList" }, STATES);
+
+        assert.deepEqual(graph, {
+            name: "Customers",
+            initialState: "CustomerList",
+            states: ["CustomerList", "CustomerDetail"],
+            transitions: [
+                {
+                    name: "open",
+                    source: "CustomerList",
+                    target: "CustomerDetail",
+                    discard: false,
+                    confirmation: false,
+                    guard: false,
+                    roles: null,
+                    subProcesses: []
+                },
+                {
+                    name: "import",
+                    source: "CustomerList",
+                    target: null,
+                    discard: false,
+                    confirmation: false,
+                    guard: false,
+                    roles: ["ROLE_ADMIN"],
+                    subProcesses: ["CustomerImport"]
+                },
+                {
+                    name: "back",
+                    source: "CustomerDetail",
+                    target: "CustomerList",
+                    discard: true,
+                    confirmation: false,
+                    guard: false,
+                    roles: null,
+                    subProcesses: []
+                },
+                {
+                    name: "save",
+                    source: "CustomerDetail",
+                    target: null,
+                    discard: false,
+                    confirmation: true,
+                    guard: true,
+                    roles: null,
+                    subProcesses: []
+                }
+            ]
+        });
+
+        // no static start state when the process is initialized by code
+        assert(createProcessGraphFromModel("Customers", { startState: null, init: [] }, STATES).initialState === null);
+    });
+
+    it("exports process graphs as DOT", function () {
+
+        const graph = createProcessGraphFromModel("Customers", { startState: "CustomerList" }, STATES);
+
+        assert(processGraphToDOT(graph) ===
+            "digraph \"Customers\" {\n" +
+            "    \"__start\" [shape=point];\n" +
+            "    \"__start\" -> \"CustomerList\";\n" +
+            "    \"CustomerList\";\n" +
+            "    \"CustomerDetail\";\n" +
+            "    \"process:CustomerImport\" [shape=box, label=\"CustomerImport\"];\n" +
+            "    \"CustomerList\" -> \"CustomerDetail\" [label=\"open\"];\n" +
+            "    \"CustomerList\" -> \"CustomerList\" [label=\"import\", style=dashed];\n" +
+            "    \"CustomerList\" -> \"process:CustomerImport\" [label=\"import\", style=dotted];\n" +
+            "    \"CustomerDetail\" -> \"CustomerList\" [label=\"back\"];\n" +
+            "    \"CustomerDetail\" -> \"CustomerDetail\" [label=\"save\", style=dashed];\n" +
+            "}\n"
+        );
+    });
+
+    it("exports process graphs as Mermaid state diagram", function () {
+
+        const graph = createProcessGraphFromModel("Customers", { startState: "CustomerList" }, STATES);
+
+        assert(processGraphToMermaid(graph) ===
+            "stateDiagram-v2\n" +
+            "    CustomerList\n" +
+            "    CustomerDetail\n" +
+            "    state \"CustomerImport (process)\" as process_CustomerImport\n" +
+            "    [*] --> CustomerList\n" +
+            "    CustomerList --> CustomerDetail : open\n" +
+            "    CustomerList --> CustomerList : import\n" +
+            "    CustomerList --> process_CustomerImport : import\n" +
+            "    CustomerDetail --> CustomerList : back\n" +
+            "    CustomerDetail --> CustomerDetail : save\n"
+        );
+    });
+});
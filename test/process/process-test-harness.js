@@ -0,0 +1,260 @@
+import assert from "power-assert"
+import { makeObservable, observable, runInAction } from "mobx"
+import { InputSchema, WireFormat } from "domainql-form"
+
+import config from "../../src/config"
+import { __setWireFormatForTest } from "../../src/domain"
+import GraphQLQuery from "../../src/GraphQLQuery"
+import ViewState from "../../src/process/ViewState"
+import createProcessTestHarness from "../../src/process/createProcessTestHarness"
+import TransitionDeniedError from "../../src/process/TransitionDeniedError"
+import { TransitionDenial } from "../../src/process/transitionAccess"
+
+import RAW_SCHEMA from "../test-schema.json"
+
+
+const NUMBERS_QUERY = "query getNumbers{ queryWithList }";
+
+const APP_CONFIG_QUERY = new GraphQLQuery("query getAppConfig($name: String){ getAppConfig(name: $name){ name } }");
+
+
+class TestScope
+{
+    constructor()
+    {
+        makeObservable(this)
+    }
+
+    @observable numbers = new GraphQLQuery(NUMBERS_QUERY);
+
+    @observable currentItem = null;
+
+    @observable imported = null;
+
+    @observable appName = null;
+
+    @observable removed = false;
+}
+
+
+let List, Detail;
+
+List = new ViewState(
+    "List",
+    (process, scope) => ({
+        "select": {
+            to: Detail,
+            action: t => {
+                scope.currentItem = t.context;
+            }
+        },
+        "import": {
+            action: t => process.runSubProcess("Importer", { format: "csv" })
+                .then(
+                    output => runInAction(() => scope.imported = output)
+                )
+        },
+        "load": {
+            action: t => APP_CONFIG_QUERY.execute({ name: "test-app" })
+                .then(
+                    ({ getAppConfig }) => runInAction(() => scope.appName = getAppConfig.name)
+                )
+        },
+        "remove": {
+            confirmation: ctx => "Remove " + ctx + "?",
+            action: t => {
+                scope.removed = t.confirmationButton;
+            }
+        },
+        "fail": {
+            action: t => {
+                throw new Error("Transition failed");
+            }
+        },
+        "edit": {
+            to: Detail,
+            guard: ctx => ctx !== "locked",
+            action: t => {
+                scope.currentItem = t.context;
+            }
+        }
+    }),
+    () => null
+);
+
+Detail = new ViewState(
+    "Detail",
+    (process, scope) => ({
+        "back": {
+            to: List,
+            discard: true
+        }
+    }),
+    () => null
+);
+
+
+const processModule = {
+    initProcess: (process, scope) => List,
+    default: TestScope
+};
+
+const injections = {
+    [NUMBERS_QUERY]: {
+        queryWithList: [1, 2, 3]
+    }
+};
+
+
+describe("Process test harness", function () {
+
+    let harness;
+
+    beforeEach(() => {
+        const inputSchema = new InputSchema(RAW_SCHEMA);
+        config.inputSchema = inputSchema;
+        __setWireFormatForTest(new WireFormat(inputSchema, {}));
+    });
+
+    afterEach(() => {
+        harness && harness.dispose();
+        harness = null;
+    });
+
+    function start(opts)
+    {
+        return createProcessTestHarness(processModule, { injections, ... opts })
+            .then(h => harness = h);
+    }
+
+    it("starts processes with injections", function () {
+
+        return start().then(
+            () => {
+                assert(harness.currentState === "List");
+                assert.deepEqual(harness.scope.numbers, [1, 2, 3]);
+            }
+        );
+    });
+
+    it("executes transitions", function () {
+
+        return start()
+            .then(() => harness.transition("select", "item-1"))
+            .then(() => {
+                assert(harness.currentState === "Detail");
+                assert(harness.scope.currentItem === "item-1");
+
+                return harness.transition("back");
+            })
+            .then(() => assert(harness.currentState === "List"));
+    });
+
+    it("rejects failing transitions", function () {
+
+        return start()
+            .then(() => harness.transition("fail"))
+            .then(
+                () => assert.fail("Should not resolve"),
+                err => assert(err.message === "Transition failed")
+            );
+    });
+
+    it("denies guarded transitions", function () {
+
+        return start()
+            .then(() => {
+                const { process } = harness;
+
+                assert(process.lookupTransition("edit").guard);
+                assert(process.getTransition("edit", "item-1") === process.lookupTransition("edit"));
+                assert.throws(
+                    () => process.getTransition("edit", "locked"),
+                    err => err instanceof TransitionDeniedError && err.reason === TransitionDenial.GUARD
+                );
+                assert(!harness.isTransitionAllowed("edit", "locked"));
+
+                return harness.transition("edit", "locked");
+            })
+            .then(
+                () => assert.fail("Should not resolve"),
+                err => {
+                    assert(err instanceof TransitionDeniedError);
+                    assert(harness.currentState === "List");
+                    assert(harness.scope.currentItem === null);
+                }
+            );
+    });
+
+    it("captures sub-process calls", function () {
+
+        return start()
+            .then(() => {
+                const promise = harness.transition("import");
+
+                const call = harness.pendingSubProcess;
+                assert(call.processName === "Importer");
+                assert.deepEqual(call.input, { format: "csv" });
+
+                harness.endSubProcess({ count: 12 });
+
+                assert(call.settled);
+                assert(harness.pendingSubProcess === null);
+
+                return promise;
+            })
+            .then(() => {
+                assert.deepEqual(harness.scope.imported, { count: 12 });
+
+                const promise = harness.transition("import");
+                harness.abortSubProcess(new Error("Import aborted"));
+                return promise;
+            })
+            .then(
+                () => assert.fail("Should not resolve"),
+                err => {
+                    assert(err.message === "Import aborted");
+                    assert(harness.subProcessCalls.length === 2);
+                    assert.throws(() => harness.endSubProcess(), /No pending sub-process call/);
+                }
+            );
+    });
+
+    it("answers confirmations", function () {
+
+        let answer = null;
+
+        return start({ confirm: () => answer })
+            .then(() => harness.transition("remove", "item-1"))
+            .then(() => {
+                assert.deepEqual(harness.confirmations, ["Remove item-1?"]);
+                assert(harness.scope.removed === false);
+
+                answer = "ok";
+                return harness.transition("remove", "item-1");
+            })
+            .then(() => assert(harness.scope.removed === "ok"));
+    });
+
+    it("mocks GraphQL requests", function () {
+
+        const variables = [];
+
+        return start({
+            graphqlMock: {
+                getAppConfig: vars => {
+                    variables.push(vars);
+                    return { _type: "AppConfig", name: "App " + vars.name };
+                }
+            }
+        })
+            .then(() => harness.transition("load"))
+            .then(() => {
+                assert.deepEqual(variables, [{ name: "test-app" }]);
+                assert(harness.scope.appName === "App test-app");
+
+                harness.dispose();
+                assert(config.graphqlTransport === null);
+            });
+    });
+});
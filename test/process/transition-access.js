@@ -0,0 +1,58 @@
+import assert from "power-assert"
+import { afterEach, beforeEach, describe, it } from "mocha"
+import { observable } from "mobx"
+
+import config from "../../src/config"
+import Authentication from "../../src/auth"
+import { getTransitionDenial, isTransitionAllowed, TransitionDenial } from "../../src/process/transitionAccess"
+
+
+describe("Transition access", function () {
+
+    let prevAuth;
+
+    beforeEach(() => {
+        prevAuth = config.auth;
+        config.auth = new Authentication({
+            login: "test",
+            id: "e7a1ad8d-1b36-4cd3-a9c4-33c5f1d3cf67",
+            roles: ["ROLE_USER", "ROLE_EDITOR"]
+        });
+    });
+
+    afterEach(() => {
+        config.auth = prevAuth;
+    });
+
+    it("allows transitions without roles and guard", function () {
+
+        assert(getTransitionDenial({ to: "Target" }) === null);
+        assert(isTransitionAllowed({ to: "Target", roles: [] }));
+    });
+
+    it("checks transition roles", function () {
+
+        assert(isTransitionAllowed({ roles: ["ROLE_ADMIN", "ROLE_EDITOR"] }));
+        assert(getTransitionDenial({ roles: ["ROLE_ADMIN"] }) === TransitionDenial.ROLES);
+
+        config.auth = null;
+        assert(getTransitionDenial({ roles: ["ROLE_USER"] }) === TransitionDenial.ROLES);
+    });
+
+    it("checks transition guards", function () {
+
+        const scope = observable({ editable: false });
+        const entry = {
+            guard: ctx => scope.editable && ctx !== "locked"
+        };
+
+        assert(getTransitionDenial(entry, "ctx") === TransitionDenial.GUARD);
+
+        scope.editable = true;
+        assert(isTransitionAllowed(entry, "ctx"));
+        assert(!isTransitionAllowed(entry, "locked"));
+
+        // roles are checked first
+        assert(getTransitionDenial({ ...entry, roles: ["ROLE_ADMIN"] }, "locked") === TransitionDenial.ROLES);
+    });
+});
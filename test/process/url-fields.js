@@ -0,0 +1,156 @@
+import assert from "power-assert"
+import sinon from "sinon"
+import { observable, runInAction } from "mobx"
+
+import { InputSchema, WireFormat } from "domainql-form"
+import { DateTime } from "luxon"
+
+import config from "../../src/config"
+import { __setWireFormatForTest } from "../../src/domain"
+import InteractiveQuery from "../../src/model/InteractiveQuery"
+import registerDateTimeConverters from "../../src/registerDateTimeConverters"
+import { encodeURLFields, getURLFieldNames, restoreURLFields } from "../../src/process/urlFields"
+
+import RAW_SCHEMA from "../test-schema.json"
+
+
+function createIQuery(queryConfig)
+{
+    const iQuery = Object.create(InteractiveQuery.prototype);
+    iQuery.queryConfig = queryConfig;
+    iQuery.update = sinon.spy(() => Promise.resolve());
+    return iQuery;
+}
+
+
+function createProcess(urlFields)
+{
+    const scope = observable({
+        currentId: "8b0d11d9-a3b3-4f7f-8b5b-b4f9e1d1b0e2",
+        currentTab: 2,
+        currentFilter: { name: "foo" },
+        currentOwner: {
+            _type: "AppUser",
+            id: "e7a1ad8d-1b36-4cd3-a9c4-33c5f1d3cf67",
+            login: "test"
+        },
+        currentDay: DateTime.fromISO("2021-03-04"),
+        currentFoos: createIQuery({
+            id: null,
+            condition: null,
+            offset: 20,
+            pageSize: 10,
+            sortFields: ["!name"]
+        }),
+        other: "not versioned"
+    }, {
+        currentFoos: false
+    });
+
+    return {
+        options: { urlFields },
+        scope,
+        versioningStrategy: name => name.indexOf("current") === 0
+    };
+}
+
+
+describe("URL-bound scope fields", function () {
+
+    beforeEach(() => {
+        const inputSchema = new InputSchema(RAW_SCHEMA);
+        config.inputSchema = inputSchema;
+        __setWireFormatForTest(new WireFormat(inputSchema, {}));
+        registerDateTimeConverters();
+    });
+
+    it("binds the fields chosen by the process option", function () {
+
+        assert.deepEqual(getURLFieldNames(createProcess(null)), []);
+        assert.deepEqual(getURLFieldNames(createProcess(["currentId"])), ["currentId"]);
+        assert.deepEqual(
+            getURLFieldNames(createProcess(true)),
+            ["currentId", "currentTab", "currentFilter", "currentOwner", "currentDay", "currentFoos"]
+        );
+        assert.deepEqual(getURLFieldNames(createProcess({ currentDay: "Date" })), ["currentDay"]);
+    });
+
+    it("encodes scope fields as query parameters", function () {
+
+        const params = encodeURLFields(createProcess(true));
+
+        // objects without declared type are not encoded
+        assert.deepEqual(params, {
+            "scope.currentId": "\"8b0d11d9-a3b3-4f7f-8b5b-b4f9e1d1b0e2\"",
+            "scope.currentTab": "2",
+            "scope.currentFoos": "{\"id\":null,\"condition\":null,\"offset\":20,\"pageSize\":10,\"sortFields\":[\"!name\"]}"
+        });
+
+        assert.deepEqual(encodeURLFields(createProcess({ currentDay: "Date", currentTab: true })), {
+            "scope.currentDay": "\"2021-03-04\"",
+            "scope.currentTab": "2"
+        });
+    });
+
+    it("restores scope fields from query parameters", function () {
+
+        const params = encodeURLFields(createProcess(true));
+
+        const process = createProcess(true);
+        runInAction(() => {
+            process.scope.currentId = null;
+            process.scope.currentTab = 0;
+            process.scope.currentFilter = null;
+        });
+
+        let promise;
+        runInAction(() => {
+            promise = restoreURLFields(process, {
+                ... params,
+                "scope.other": "\"changed\"",
+                "scope.currentTab": "not json",
+                "scope.currentFilter": "{\"name\":\"bar\"}"
+            });
+        });
+
+        const { scope } = process;
+        assert(scope.currentId === "8b0d11d9-a3b3-4f7f-8b5b-b4f9e1d1b0e2");
+        // invalid values are ignored
+        assert(scope.currentTab === 0);
+        // objects without declared type are not restored
+        assert(scope.currentFilter === null);
+        // only bound fields are restored
+        assert(scope.other === "not versioned");
+
+        assert(scope.currentFoos.update.calledOnce);
+        assert.deepEqual(scope.currentFoos.update.firstCall.args[0], {
+            id: null,
+            condition: null,
+            offset: 20,
+            pageSize: 10,
+            sortFields: ["!name"]
+        });
+
+        return promise;
+    });
+
+    it("converts fields with declared types", function () {
+
+        const process = createProcess({ currentDay: "Date", currentTab: true });
+        runInAction(() => {
+            process.scope.currentDay = null;
+        });
+
+        return runInAction(
+            () => restoreURLFields(process, {
+                "scope.currentDay": "\"2021-05-06\"",
+                "scope.currentTab": "3"
+            })
+        ).then(() => {
+            const { scope } = process;
+            assert(DateTime.isDateTime(scope.currentDay));
+            assert(scope.currentDay.toISODate() === "2021-05-06");
+            assert(scope.currentTab === 3);
+        });
+    });
+});
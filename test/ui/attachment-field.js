@@ -0,0 +1,199 @@
+import { afterEach, beforeEach, describe, it } from "mocha"
+import React from "react"
+import assert from "power-assert"
+import { act, cleanup, fireEvent, getByLabelText, queryByText, render } from "@testing-library/react"
+import { Form, FormContext, InputSchema } from "domainql-form"
+import { observable } from "mobx";
+
+import config from "../../src/config"
+import Attachments from "../../src/Attachments";
+import AttachmentField from "../../src/ui/AttachmentField";
+import validateAttachmentFiles from "../../src/util/validateAttachmentFiles";
+
+
+const STRING = { "kind": "SCALAR", "name": "String", "ofType": null };
+
+
+/**
+ * Test schema with an input type referencing an attachment
+ */
+function createRawSchema()
+{
+    const rawSchema = JSON.parse(JSON.stringify(require("../test-schema.json")));
+
+    rawSchema.schema.types.push({
+        "kind": "INPUT_OBJECT",
+        "name": "DocumentInput",
+        "description": null,
+        "fields": null,
+        "inputFields": [
+            { "name": "id", "description": null, "type": { "kind": "NON_NULL", "name": null, "ofType": STRING }, "defaultValue": null },
+            { "name": "attachmentId", "description": null, "type": STRING, "defaultValue": null }
+        ],
+        "interfaces": null,
+        "enumValues": null,
+        "possibleTypes": null
+    });
+
+    rawSchema.meta.relations = [
+        {
+            "id": "Document-attachmentId",
+            "sourceType": "Document",
+            "sourceFields": ["attachmentId"],
+            "targetType": "AppAttachment",
+            "targetFields": ["id"],
+            "leftSideObjectName": "attachment",
+            "rightSideObjectName": null
+        }
+    ];
+
+    return rawSchema;
+}
+
+
+function createFile(content, name, type)
+{
+    return new File([content], name, { type });
+}
+
+
+describe("AttachmentField", function () {
+
+    let origCreateObjectURL, origRevokeObjectURL, revoked;
+
+    beforeEach(() => {
+        const inputSchema = new InputSchema(createRawSchema());
+        config.inputSchema = inputSchema;
+        new FormContext(inputSchema).useAsDefault();
+
+        origCreateObjectURL = URL.createObjectURL;
+        origRevokeObjectURL = URL.revokeObjectURL;
+
+        revoked = [];
+        URL.createObjectURL = file => "blob:" + file.name;
+        URL.revokeObjectURL = url => revoked.push(url);
+    });
+
+    afterEach(() => {
+        // unmount before restoring the object URL functions used by the previews
+        cleanup();
+        URL.createObjectURL = origCreateObjectURL;
+        URL.revokeObjectURL = origRevokeObjectURL;
+    });
+
+
+    function renderField(root, props)
+    {
+        return render(
+            <Form
+                type="DocumentInput"
+                value={ root }
+                options={ { isolation: false } }
+            >
+                <AttachmentField
+                    name="attachmentId"
+                    label="Attachment"
+                    { ... props }
+                />
+            </Form>
+        );
+    }
+
+
+    it("validates files before registering them", function () {
+
+        const root = observable({ _type: "Document", id: "doc-1", attachmentId: null, attachment: null });
+
+        const { container } = renderField(root, { accept: "image/*,.pdf", maxSize: 10 });
+
+        const input = getByLabelText(container, "Attachment");
+        assert(input.getAttribute("accept") === "image/*,.pdf");
+
+        fireEvent.change(input, { target: { files: [ createFile("abc", "a.txt", "text/plain") ] } });
+
+        assert(queryByText(container, "[File type of 'a.txt' is not accepted]"));
+        assert(input.classList.contains("is-invalid"));
+        assert(Attachments.getActions(root).length === 0);
+        assert(root.attachmentId === null);
+
+        fireEvent.change(input, { target: { files: [ createFile("0123456789abc", "big.png", "image/png") ] } });
+
+        assert(queryByText(container, "[File 'big.png' exceeds the maximum size of 10 B]"));
+        assert(!queryByText(container, "[File type of 'a.txt' is not accepted]"));
+        assert(Attachments.getActions(root).length === 0);
+
+        fireEvent.change(input, { target: { files: [ createFile("%PDF", "doc.pdf", "") ] } });
+
+        assert(!queryByText(container, "[File 'big.png' exceeds the maximum size of 10 B]"));
+        assert(!input.classList.contains("is-invalid"));
+        assert(Attachments.getActions(root).length === 1);
+        assert(root.attachment.description === "doc.pdf");
+        assert(root.attachmentId === root.attachment.id);
+
+        Attachments.clearAll(root);
+    });
+
+
+    it("accepts dropped and pasted files and previews images", function () {
+
+        const root = observable({ _type: "Document", id: "doc-1", attachmentId: null, attachment: null });
+
+        const { container } = renderField(root, { accept: ["image/*"] });
+
+        const zone = container.querySelector(".attachment-drop-zone");
+        const input = getByLabelText(container, "Attachment");
+
+        fireEvent.dragOver(zone, { dataTransfer: { types: ["Files"], files: [] } });
+        assert(zone.classList.contains("bg-light"));
+
+        fireEvent.drop(zone, { dataTransfer: { types: ["Files"], files: [ createFile("png", "dropped.png", "image/png") ] } });
+        assert(!zone.classList.contains("bg-light"));
+
+        assert(root.attachment.description === "dropped.png");
+        let img = container.querySelector("img.attachment-preview");
+        assert(img.getAttribute("src") === "blob:dropped.png");
+
+        fireEvent.paste(input, { clipboardData: { files: [ createFile("png", "pasted.png", "image/png") ] } });
+
+        assert(root.attachment.description === "pasted.png");
+        img = container.querySelector("img.attachment-preview");
+        assert(img.getAttribute("src") === "blob:pasted.png");
+        assert.deepEqual(revoked, ["blob:dropped.png"]);
+
+        // the pasted file replaces the dropped one
+        const actions = Attachments.getActions(root);
+        assert(actions.length === 1);
+        assert(actions[0].description === "pasted.png");
+
+        Attachments.clearAll(root);
+    });
+
+
+    it("limits the number of pending attachments", function () {
+
+        const root = observable({ _type: "Document", id: "doc-1", attachmentId: null, attachment: null });
+        Attachments.markAttachmentAsNew(root, { id: "other", description: "other.png", type: "image/png" }, createFile("x", "other.png", "image/png"));
+
+        const { container } = renderField(root, { maxCount: 1 });
+
+        const input = getByLabelText(container, "Attachment");
+        fireEvent.change(input, { target: { files: [ createFile("x", "a.png", "image/png") ] } });
+
+        assert(queryByText(container, "[Cannot attach more than 1 files]"));
+        assert(Attachments.getActions(root).length === 1);
+
+        act(() => Attachments.clearActionsFor(root, "other"));
+
+        fireEvent.change(input, { target: { files: [ createFile("x", "a.png", "image/png") ] } });
+        assert(!queryByText(container, "[Cannot attach more than 1 files]"));
+        assert(Attachments.getActions(root).length === 1);
+
+        // replacing the new attachment of this field does not count
+        fireEvent.change(input, { target: { files: [ createFile("x", "b.png", "image/png") ] } });
+        assert(Attachments.getActions(root)[0].description === "b.png");
+
+        assert(validateAttachmentFiles([ createFile("x", "a.png", "image/png"), createFile("x", "b.png", "image/png") ]) === "[Only one file can be attached]");
+
+        Attachments.clearAll(root);
+    });
+});
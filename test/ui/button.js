@@ -2,7 +2,7 @@ import { describe, it, beforeEach } from "mocha"
 import React from "react"
 import sinon from "sinon"
 import assert from "power-assert"
-import { act, getByLabelText, getByText, prettyDOM, render, fireEvent } from "@testing-library/react"
+import { act, getByLabelText, getByText, queryByText, prettyDOM, render, fireEvent } from "@testing-library/react"
 import { Field, Form, FormConfigProvider, FormContext, InputSchema, WireFormat } from "domainql-form"
 
 import config from "../../src/config"
@@ -56,6 +56,11 @@ class MockProcess
         return this.transitions[name];
     }
 
+    lookupTransition(name)
+    {
+        return this.transitions[name];
+    }
+
     transition(name, context, button)
     {
         this.transitions[name].action(context, button);
@@ -318,6 +323,62 @@ describe("Button", function () {
     });
 
 
+    it("disables or hides buttons of denied transitions", () => {
+
+        const mockProcess = new MockProcess();
+        const mockEnv = {
+            process: mockProcess
+        };
+
+        const scope = observable({ allowed: false });
+
+        mockProcess.transitions.guarded = {
+            to: "TestProcess",
+            discard: true,
+            guard: () => scope.allowed,
+            action: sinon.spy()
+        };
+
+        let container;
+        act(
+            () => {
+                const result = render(
+                    <AutomatonEnv.Provider value={mockEnv}>
+                        <FormConfigProvider schema={inputSchema}>
+                            <Button
+                                name="guarded"
+                                transition="guarded"
+                            >
+                                Guarded
+                            </Button>
+                            <Button
+                                name="guarded-hidden"
+                                transition="guarded"
+                                hideIfDenied={ true }
+                            >
+                                Hidden
+                            </Button>
+                        </FormConfigProvider>
+                    </AutomatonEnv.Provider>
+                )
+                container = result.container;
+            }
+        )
+
+        assert(getByText(container, "Guarded").disabled);
+        assert(!queryByText(container, "Hidden"));
+
+        act(
+            () => {
+                scope.allowed = true;
+            }
+        )
+
+        assert(!getByText(container, "Guarded").disabled);
+        assert(getByText(container, "Hidden"));
+    });
+
+
     it("handles null form objects", () => {
 
         const mockProcess = new MockProcess();
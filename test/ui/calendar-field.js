@@ -0,0 +1,81 @@
+import { after, afterEach, before, describe, it } from "mocha"
+import React from "react"
+import assert from "power-assert"
+import { cleanup, fireEvent, getByLabelText, render } from "@testing-library/react"
+import { Form, FormContext, InputSchema, WireFormat } from "domainql-form"
+import { observable } from "mobx"
+import { DateTime } from "luxon"
+
+import config from "../../src/config"
+import { __setWireFormatForTest } from "../../src/domain"
+import registerDateTimeConverters from "../../src/registerDateTimeConverters"
+import CalendarField from "../../src/ui/CalendarField"
+
+
+describe("CalendarField", function () {
+
+    let origLocale, origTimeZone;
+
+    before(() => {
+        origLocale = config.locale;
+        origTimeZone = config.timeZone;
+
+        const inputSchema = new InputSchema(require("../test-schema.json"));
+        config.inputSchema = inputSchema;
+        new FormContext(inputSchema).useAsDefault();
+
+        __setWireFormatForTest(new WireFormat(inputSchema, {}));
+        registerDateTimeConverters();
+    });
+
+    afterEach(() => cleanup());
+
+    after(() => {
+        config.locale = origLocale;
+        config.timeZone = origTimeZone;
+    });
+
+
+    it("displays and enters timestamps in the selected time zone", function () {
+
+        config.locale = "de-DE";
+        config.timeZone = "America/New_York";
+
+        const created = DateTime.fromISO("2021-03-04T12:00:00.000Z");
+        const root = observable({ _type: "FooInput", created });
+
+        const { container } = render(
+            <Form
+                type="FooInput"
+                value={ root }
+                options={ { isolation: false } }
+            >
+                <CalendarField
+                    name="created"
+                    label="Created"
+                    timestampFormat="d.M.yyyy H:mm:ss"
+                    zoneSelector={ ["UTC", "Asia/Tokyo"] }
+                />
+            </Form>
+        );
+
+        const input = getByLabelText(container, "Created");
+        const selector = container.querySelector("select.calendar-zone-selector");
+
+        assert(input.value === "4.3.2021 7:00:00");
+        assert(selector.value === "America/New_York");
+        assert.deepEqual(
+            Array.from(selector.options).map(o => o.value),
+            ["America/New_York", "UTC", "Asia/Tokyo"]
+        );
+
+        fireEvent.change(selector, { target: { value: "Asia/Tokyo" } });
+
+        assert(input.value === "4.3.2021 21:00:00");
+        assert(root.created.toMillis() === created.toMillis());
+
+        fireEvent.change(input, { target: { value: "4.3.2021 22:00:00" } });
+
+        assert(root.created.toUTC().toISO() === "2021-03-04T13:00:00.000Z");
+    });
+});
@@ -2,7 +2,7 @@ import assert from "power-assert"
 import sinon from "sinon"
 import { act, fireEvent, render, getByText, getByLabelText, queryByText, prettyDOM } from "@testing-library/react"
 import userEvent from "@testing-library/user-event"
-import { observable } from "mobx"
+import { observable, toJS } from "mobx"
 
 import React from "react"
 
@@ -113,6 +113,78 @@ describe("ConditionEditor", function () {
     })
 
 
+    it("edits conditions as text", function () {
+        let container;
+
+        const scope = observable({
+            condition: toJSON(
+                field("name").contains(value("aaa"))
+            )
+        })
+
+        const result = render(
+            <FormConfigProvider schema={inputSchema}>
+                <ConditionEditor
+                    rootType="Foo"
+                    container={scope}
+                    queryCondition={scope.condition}
+                    path="condition"
+                />
+            </FormConfigProvider>
+        )
+
+        container = result.container;
+
+        return sleep(5)
+            .then(() => {
+                userEvent.click(getByText(container, "[Text Input]"))
+            })
+            .then(() => sleep(5))
+            .then(() => {
+                const textInput = getByLabelText(container, "[Filter Expression]");
+                assert(textInput.value === 'name contains "aaa"')
+
+                fireEvent.change(textInput, { target: { value: 'num > 3 and name contains "b"' } })
+            })
+            .then(() => sleep(5))
+            .then(() => {
+                assert.deepEqual(
+                    toJS(scope.condition),
+                    toJSON(
+                        and(
+                            field("num").gt(value(3)),
+                            field("name").contains(value("b"))
+                        )
+                    )
+                )
+
+                fireEvent.change(getByLabelText(container, "[Filter Expression]"), { target: { value: 'nme > 3' } })
+            })
+            .then(() => sleep(5))
+            .then(() => {
+                assert(!!getByText(container, "Invalid field reference 'nme' at line 1, column 1"))
+                // invalid text doesn't change the condition
+                assert(scope.condition.name === "and")
+
+                // and can't be left
+                userEvent.click(getByText(container, "[Graphical Input]"))
+            })
+            .then(() => sleep(5))
+            .then(() => {
+                const textInput = getByLabelText(container, "[Filter Expression]");
+                fireEvent.change(textInput, { target: { value: 'num > 4' } })
+
+                userEvent.click(getByText(container, "[Graphical Input]"))
+            })
+            .then(() => sleep(5))
+            .then(() => {
+                assert(!queryByText(container, "[Filter Expression]"))
+                assert(getByLabelText(container, "Field name").value === "num")
+                assert.deepEqual(toJS(scope.condition), toJSON(field("num").gt(value(4))))
+            })
+    })
+
+
     it("wraps nodes in logical conditions", function () {
         let container, debug;
 
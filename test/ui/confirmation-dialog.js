@@ -0,0 +1,90 @@
+import { describe, it, afterEach } from "mocha"
+import assert from "power-assert"
+import { act, getByText, queryByText, render, cleanup, fireEvent } from "@testing-library/react"
+
+import { openConfirmationDialog } from "../../src/ui/ConfirmationDialog";
+import { renderImperativeDialogs } from "../../src/ui/Dialog";
+
+
+describe("openConfirmationDialog()", function () {
+
+    afterEach(() => {
+        cleanup();
+    });
+
+    function renderDialogs()
+    {
+        act(
+            () => {
+                render(
+                    renderImperativeDialogs()
+                )
+            }
+        );
+    }
+
+    it("confirms a message with the default buttons", function () {
+
+        const promise = openConfirmationDialog("Really do it?");
+        renderDialogs();
+
+        assert(getByText(document.body, "Really do it?"));
+        assert(getByText(document.body, "[Cancel]"));
+
+        act(
+            () => {
+                fireEvent.click(getByText(document.body, "[OK]"));
+            }
+        );
+
+        return promise.then(
+            button => {
+                assert(button === "ok");
+                assert(!queryByText(document.body, "Really do it?"));
+            }
+        );
+    });
+
+    it("resolves to null when canceled", function () {
+
+        const promise = openConfirmationDialog("Really do it?");
+        renderDialogs();
+
+        act(
+            () => {
+                fireEvent.click(getByText(document.body, "[Cancel]"));
+            }
+        );
+
+        return promise.then(
+            button => assert(button === null)
+        );
+    });
+
+    it("offers custom buttons", function () {
+
+        const promise = openConfirmationDialog({
+            title: "Unsaved Changes",
+            message: "There are unsaved changes.",
+            buttons: [
+                { name: "save", label: "Save and continue", className: "btn btn-primary" },
+                { name: "discard", label: "Discard", className: "btn btn-danger" },
+                { name: "cancel", label: "Cancel", cancel: true }
+            ]
+        });
+        renderDialogs();
+
+        assert(getByText(document.body, "Unsaved Changes"));
+        assert(getByText(document.body, "Cancel"));
+
+        act(
+            () => {
+                fireEvent.click(getByText(document.body, "Discard"));
+            }
+        );
+
+        return promise.then(
+            button => assert(button === "discard")
+        );
+    });
+});
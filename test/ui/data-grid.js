@@ -1,18 +1,19 @@
 import assert from "power-assert"
 import sinon from "sinon"
-import { act, fireEvent, render, prettyDOM } from "@testing-library/react"
+import { act, fireEvent, render, prettyDOM, waitFor } from "@testing-library/react"
 import userEvent from "@testing-library/user-event"
 
 import React from "react"
 
 import config from "../../src/config"
 import InteractiveQuery from "../../src/model/InteractiveQuery"
+import OfflineQuery from "../../src/model/OfflineQuery"
 import { FormConfigProvider, FormContext, InputSchema, Select, WireFormat } from "domainql-form"
 
 import DataGrid from "../../src/ui/datagrid/DataGrid"
 import sleep from "./sleep";
 import {createFilteredMockQuery} from "../../src/util/createMockedQuery";
-import {field, value, component, and, condition} from "../../src/FilterDSL"
+import {field, value, component, and, or, condition, toJSON} from "../../src/FilterDSL"
 import {toJS} from "mobx";
 
 const rawSchema = require("./data-grid-schema.json");
@@ -594,4 +595,352 @@ describe("DataGrid", function () {
             });
 
     });
+    it("filters columns with text expressions", function () {
+
+        let container;
+
+        return Q_FooList
+            .execute({
+                config: {
+                    "id": null,
+                    "condition": null,
+                    "offset": 0,
+                    "pageSize": 5,
+                    "sortFields": ["name"]
+                }
+            })
+            .then(({testQuery}) => {
+
+                currentList = testQuery;
+                currentList._query = Q_FooList;
+
+                act(
+                    () => {
+                        const result = render(
+                            <FormConfigProvider schema={inputSchema}>
+                                <DataGrid
+                                    id="text-filter-grid"
+                                    value={currentList}
+                                    filterTimeout={10}
+                                    enableTextFilter
+                                >
+                                    <DataGrid.Column name="name" filter="containsIgnoreCase"/>
+                                    <DataGrid.Column name="description" filter="containsIgnoreCase"/>
+                                </DataGrid>
+                            </FormConfigProvider>
+                        );
+
+                        container = result.container;
+                    }
+                );
+
+                return sleep(10);
+            })
+            .then(() => {
+
+                const toggles = container.querySelectorAll("tr.filter button[title='[Use filter expression]']");
+                assert(toggles.length === 2);
+
+                act(() => {
+                    userEvent.click(toggles[0]);
+                });
+
+                return sleep(10);
+            })
+            .then(() => {
+
+                const filterInputs = container.querySelectorAll("tr.filter input");
+                assert(filterInputs.length === 2);
+                assert(filterInputs[0].value === "");
+
+                act(() => {
+                    fireEvent.change(filterInputs[0], {
+                        target: {
+                            value: 'startsWith "Foo #2" or endsWith "6"'
+                        }
+                    });
+                });
+
+                return sleep(30);
+            })
+            .then(() => {
+
+                assert.deepEqual(toJS(currentList.queryConfig.condition), {
+                    "type": "Component",
+                    "id": "text-filter-grid",
+                    "condition": {
+                        "type": "Condition",
+                        "name": "and",
+                        "operands": [
+                            toJSON(
+                                or(
+                                    field("name").startsWith(value("Foo #2")),
+                                    field("name").endsWith(value("6"))
+                                )
+                            )
+                        ]
+                    }
+                });
+
+                const filterInputs = container.querySelectorAll("tr.filter input");
+                assert(filterInputs[0].value === 'startsWith "Foo #2" or endsWith "6"');
+
+                // other fields can't be referenced
+                act(() => {
+                    fireEvent.change(filterInputs[0], {
+                        target: {
+                            value: 'description = "x"'
+                        }
+                    });
+                });
+
+                return sleep(30);
+            })
+            .then(() => {
+
+                assert(container.querySelector("tr.filter").textContent.indexOf("Invalid field reference 'description' at line 1, column 1") >= 0);
+                assert(toJS(currentList.queryConfig.condition).condition.operands[0].name === "or");
+
+                act(() => {
+                    userEvent.click(container.querySelector("tr.filter button[title='[Use filter inputs]']"));
+                });
+
+                return sleep(30);
+            })
+            .then(() => {
+
+                // back to the value input which can't express the text filter
+                assert(container.querySelectorAll("tr.filter button[title='[Use filter expression]']").length === 2);
+                assert(container.querySelector("tr.filter input").value === "");
+                assert(toJS(currentList.queryConfig.condition).condition === null);
+            });
+    });
+
+
+    it("renders collapsible groups with aggregate rows", function () {
+
+        return Q_FooList.execute({
+            config: {
+                "id": null,
+                "condition": null,
+                "offset": 0,
+                "pageSize": 10,
+                "sortFields": ["name"]
+            }
+        }).then(({testQuery}) => {
+
+            const offlineQuery = new OfflineQuery(testQuery);
+            offlineQuery.update({
+                groupBy: ["owner.login"],
+                aggregates: [
+                    { name: "names", fn: "count", field: "name" },
+                    { name: "firstName", fn: "min", field: "name" }
+                ]
+            });
+
+            let container;
+            act(() => {
+                container = render(
+                    <FormConfigProvider schema={ inputSchema }>
+                        <DataGrid
+                            id="grouped-grid"
+                            value={ offlineQuery }
+                        >
+                            <DataGrid.Column name="name"/>
+                            <DataGrid.Column name="owner.login"/>
+                        </DataGrid>
+                    </FormConfigProvider>
+                ).container;
+            });
+
+            const headers = container.querySelectorAll("tr.data-grid-group-header");
+            assert(headers.length === 3);
+            assert(headers[0].textContent === "owner.login:user_a1");
+            assert(headers[1].textContent === "owner.login:anonymous2");
+            assert(headers[2].textContent === "owner.login:admin4");
+
+            const footers = container.querySelectorAll("tr.data-grid-group-footer");
+            assert(footers.length === 3);
+            assert(footers[2].querySelector("[data-aggregate='names']").textContent === "[Count]:4");
+            assert(footers[2].querySelector("[data-aggregate='firstName']").textContent === "[Minimum]:Foo #1");
+
+            // user_a header, row and footer, anonymous header
+            const tbodyRows = container.querySelectorAll("tbody tr");
+            assert(tbodyRows[1].classList.contains("data"));
+            assert(tbodyRows[2] === footers[0]);
+            assert(tbodyRows[3] === headers[1]);
+
+            const totals = container.querySelector("tfoot tr.data-grid-totals");
+            assert(totals.querySelector("[data-aggregate='names']").textContent === "[Count]:7");
+
+            // collapse the admin group
+            act(() => {
+                fireEvent.click(headers[2].querySelector("button"));
+            });
+
+            assert(container.querySelectorAll("tr.data").length === 3);
+            assert(container.querySelectorAll("tr.data-grid-group-footer").length === 2);
+
+            const collapseButton = container.querySelectorAll("tr.data-grid-group-header button")[2];
+            assert(collapseButton.getAttribute("aria-expanded") === "false");
+
+            act(() => {
+                fireEvent.click(collapseButton);
+            });
+
+            assert(container.querySelectorAll("tr.data").length === 7);
+        });
+    });
+
+    it("renders only the visible rows in virtualized mode", function () {
+
+        return Q_FooList.execute({
+            config: {
+                "id": null,
+                "condition": null,
+                "offset": 0,
+                "pageSize": 10,
+                "sortFields": ["name"]
+            }
+        }).then(({testQuery}) => {
+
+            let container;
+            act(() => {
+                container = render(
+                    <FormConfigProvider schema={ inputSchema }>
+                        <DataGrid
+                            id="virtualized-grid"
+                            value={ testQuery }
+                            mode="virtualized"
+                            height={ 33 }
+                            rowHeight={ 33 }
+                            overscan={ 1 }
+                        >
+                            <DataGrid.Column name="name"/>
+                        </DataGrid>
+                    </FormConfigProvider>
+                ).container;
+            });
+
+            let dataRows = container.querySelectorAll("tr.data");
+            assert(dataRows.length === 2);
+            assert(dataRows[0].textContent === "Foo #1");
+            assert(container.querySelectorAll("tr.data-grid-spacer").length === 1);
+
+            const scrollContainer = container.querySelector(".data-grid-scrollcontainer");
+            act(() => {
+                fireEvent.scroll(scrollContainer, { target: { scrollTop: 132 } });
+            });
+
+            dataRows = container.querySelectorAll("tr.data");
+            assert(dataRows.length === 3);
+            assert(dataRows[0].textContent === "Foo #4");
+            assert(container.querySelectorAll("tr.data-grid-spacer").length === 2);
+            assert(container.querySelector("tr.data-grid-spacer").style.height === "99px");
+
+            // virtualized mode still pages
+            assert(container.querySelector(".table-page-control"));
+        });
+    });
+
+    it("appends rows when scrolling near the end in infinite mode", function () {
+
+        return Q_FooList.execute({
+            config: {
+                "id": null,
+                "condition": null,
+                "offset": 0,
+                "pageSize": 3,
+                "sortFields": ["name"]
+            }
+        }).then(({testQuery}) => {
+
+            testQuery._query = Q_FooList;
+
+            let container;
+            act(() => {
+                container = render(
+                    <FormConfigProvider schema={ inputSchema }>
+                        <DataGrid
+                            id="infinite-grid"
+                            value={ testQuery }
+                            mode="infinite"
+                            height={ 33 }
+                            rowHeight={ 33 }
+                            overscan={ 1 }
+                        >
+                            <DataGrid.Column name="name"/>
+                        </DataGrid>
+                    </FormConfigProvider>
+                ).container;
+            });
+
+            assert(testQuery.rows.length === 3);
+            assert(!container.querySelector(".table-page-control"));
+
+            const scrollContainer = container.querySelector(".data-grid-scrollcontainer");
+
+            // not near the end yet
+            act(() => {
+                fireEvent.scroll(scrollContainer, { target: { scrollTop: 20 } });
+            });
+
+            return sleep(10)
+                .then(() => {
+                    assert(testQuery.rows.length === 3);
+
+                    act(() => {
+                        fireEvent.scroll(scrollContainer, { target: { scrollTop: 40 } });
+                    });
+
+                    return sleep(10);
+                })
+                .then(() => {
+                    assert(testQuery.rows.length === 6);
+                    assert(testQuery.rows[0].name === "Foo #1");
+                    assert(testQuery.rows[3].name === "Foo #4");
+                });
+        });
+    });
+
+    it("loads more rows in infinite mode until the scroll container is filled", function () {
+
+        return Q_FooList.execute({
+            config: {
+                "id": null,
+                "condition": null,
+                "offset": 0,
+                "pageSize": 3,
+                "sortFields": ["name"]
+            }
+        }).then(({testQuery}) => {
+
+            testQuery._query = Q_FooList;
+
+            act(() => {
+                render(
+                    <FormConfigProvider schema={ inputSchema }>
+                        <DataGrid
+                            id="short-infinite-grid"
+                            value={ testQuery }
+                            mode="infinite"
+                            height={ 132 }
+                            rowHeight={ 33 }
+                            overscan={ 1 }
+                        >
+                            <DataGrid.Column name="name"/>
+                        </DataGrid>
+                    </FormConfigProvider>
+                );
+            });
+
+            // the first page does not fill the container, the second one does
+            return waitFor(() => assert(testQuery.rows.length === 6))
+                .then(() => sleep(10))
+                .then(() => {
+                    assert(testQuery.rows.length === 6);
+                    assert(testQuery.rows[3].name === "Foo #4");
+                });
+        });
+    });
 });
@@ -271,11 +271,18 @@ describe("FKSelector", function () {
         document.body.innerHTML = "";
     });
 
+    after(() => {
+        GraphQLQuery.prototype.execute = origExecute;
+    });
+
     let format;
     let inputSchema;
     let formObj;
+    let origExecute;
 
     before(() => {
+        origExecute = GraphQLQuery.prototype.execute;
+
         inputSchema = new InputSchema(rawSchema);
 
         config.inputSchema = inputSchema;
@@ -253,4 +253,84 @@ describe("Pagination", function () {
             assert(container.querySelectorAll("page-link").length === 0)
         }
     });
+
+    it("renders prev/next controls for keyset pagination", function () {
+
+        const iQuery = format.convert(
+            {
+                kind: "OBJECT",
+                name: "InteractiveQueryBar"
+            },
+            rawBarQuery,
+            true
+        );
+
+        runInAction(() => {
+            iQuery.queryConfig.keyset = { after: null, before: null };
+            iQuery.rowCount = null;
+        });
+
+        let container;
+        act(() => {
+            container = render(
+                <Pagination iQuery={ iQuery } />
+            ).container;
+        });
+
+        {
+            const prev = getByText(container, "[Prev]");
+            const next = getByText(container, "[Next]");
+
+            assert(prev.tagName === "SPAN");
+            assert(next.tagName === "A");
+            assert(container.textContent.indexOf("[First]") < 0);
+            assert(container.textContent.indexOf("[Last]") < 0);
+            assert(container.textContent.indexOf("[Row Count]") < 0);
+
+            act(
+                () => {
+                    next.click();
+                }
+            );
+
+            const lastRow = iQuery.rows[iQuery.rows.length - 1];
+
+            assert(updateSpy.callCount === 1);
+            assert.deepEqual(updateSpy.args[0], [
+                {
+                    keyset: {
+                        after: [
+                            { type: "Int", value: lastRow.numa },
+                            { type: "String", value: lastRow.id }
+                        ],
+                        before: null
+                    }
+                }
+            ]);
+        }
+
+        // second page, fewer rows than the page size
+        {
+            runInAction(() => {
+                iQuery.queryConfig.keyset = { after: [ { type: "Int", value: 1 }, { type: "String", value: "x" } ], before: null };
+                iQuery.rows = iQuery.rows.slice(0, 3);
+            });
+
+            const prev = getByText(container, "[Prev]");
+            const next = getByText(container, "[Next]");
+
+            assert(prev.tagName === "A");
+            assert(next.tagName === "SPAN");
+
+            act(
+                () => {
+                    prev.click();
+                }
+            );
+
+            assert(updateSpy.callCount === 2);
+            assert.deepEqual(updateSpy.args[1][0].keyset.after, null);
+            assert(updateSpy.args[1][0].keyset.before[1].value === iQuery.rows[0].id);
+        }
+    });
 });
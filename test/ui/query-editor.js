@@ -0,0 +1,117 @@
+import { after, before, describe, it } from "mocha"
+import React from "react"
+import assert from "power-assert"
+import { act, render } from "@testing-library/react"
+import { FormConfigProvider, FormContext, InputSchema, WireFormat } from "domainql-form"
+
+import config from "../../src/config"
+import { __setWireFormatForTest } from "../../src/domain";
+import InteractiveQuery from "../../src/model/InteractiveQuery";
+import QueryEditor from "../../src/ui/queryeditor/QueryEditor";
+import sleep from "./sleep";
+
+
+const rawSchema = require("./fkselector/fk-selector-schema.json");
+
+
+describe("QueryEditor", function () {
+
+    let inputSchema, requests, origStructuredClone;
+
+    before(() => {
+        // SortColumnList uses structuredClone() which Node 16 does not provide
+        origStructuredClone = global.structuredClone;
+        if (!origStructuredClone)
+        {
+            global.structuredClone = v => JSON.parse(JSON.stringify(v));
+        }
+
+        inputSchema = new InputSchema(rawSchema);
+        config.inputSchema = inputSchema;
+        new FormContext(inputSchema).useAsDefault();
+
+        __setWireFormatForTest(
+            new WireFormat(inputSchema, {
+                InteractiveQueryQuxMain: InteractiveQuery
+            }, {
+                wrapAsObservable: true
+            })
+        );
+
+        config.graphqlTransport = request => {
+            requests.push(request);
+
+            const { pageSize, sortFields } = request.variables.config;
+            return Promise.resolve({
+                data: {
+                    iQueryQuxMain: {
+                        type: "QuxMain",
+                        columnStates: [
+                            { name: "name", enabled: true, sortable: true },
+                            { name: "quxA.name", enabled: true, sortable: true }
+                        ],
+                        queryConfig: {
+                            id: null,
+                            condition: null,
+                            offset: 0,
+                            pageSize,
+                            sortFields
+                        },
+                        rows: [
+                            { id: "main-1", name: "Main #1", quxA: { id: "a-1", name: "A #1" } },
+                            { id: "main-2", name: "Main #2", quxA: { id: "a-2", name: "A #2" } }
+                        ],
+                        rowCount: 2
+                    }
+                }
+            });
+        };
+    });
+
+    after(() => {
+        config.graphqlTransport = null;
+        global.structuredClone = origStructuredClone;
+    });
+
+
+    it("renders a live preview of the query", function () {
+
+        requests = [];
+
+        let container;
+        act(() => {
+            const result = render(
+                <FormConfigProvider schema={ inputSchema }>
+                    <QueryEditor
+                        header="Test"
+                        rootType="QuxMain"
+                        preview={ true }
+                        previewDelay={ 0 }
+                        queryConfiguration={ {
+                            select: ["name", "quxA.name"],
+                            where: null,
+                            sort: ["!name"]
+                        } }
+                        saveButtonOnClick={ () => {} }
+                    />
+                </FormConfigProvider>
+            );
+            container = result.container;
+        });
+
+        // wait for the preview query and yield to render
+        return sleep(20)
+            .then(() => {
+
+                const lastRequest = requests[requests.length - 1];
+                assert(lastRequest.query.query.indexOf("quxA{") >= 0);
+                assert.deepEqual(lastRequest.variables.config.sortFields, ["!name"]);
+                assert(lastRequest.variables.config.pageSize === 5);
+
+                const rows = container.querySelectorAll(".query-editor-preview tr.data");
+                assert(rows.length === 2);
+                assert(rows[0].textContent.indexOf("Main #1") >= 0);
+                assert(rows[0].textContent.indexOf("A #1") >= 0);
+            });
+    });
+});
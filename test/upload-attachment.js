@@ -0,0 +1,252 @@
+import assert from "power-assert"
+import { afterEach, beforeEach, describe, it } from "mocha";
+import config from "../src/config";
+import uploadAttachment from "../src/uploadAttachment";
+import Attachments from "../src/Attachments";
+import { UploadState } from "../src/UploadProgress";
+
+
+function respond(data, status = 200)
+{
+    return Promise.resolve({
+        status,
+        json: () => Promise.resolve(data)
+    });
+}
+
+
+/**
+ * Creates a fake fetch function storing the uploaded chunks per attachment id.
+ *
+ * @param {Function} [failRequest]      (call, params) => ... returning true if the call with the given index should
+ *                                      fail with a network error after the server has received the chunk.
+ */
+function createServer(failRequest = () => false)
+{
+    const server = {
+        received: {},
+        calls: [],
+        fetch: (url, opts) => {
+
+            const { pathname, searchParams } = new URL(url, "http://localhost");
+            const params = Object.fromEntries(searchParams.entries());
+            const call = server.calls.length;
+
+            server.calls.push(pathname === "/_auto/upload-attachment-chunk" ? "chunk:" + params.offset : pathname);
+
+            if (opts.signal && opts.signal.aborted)
+            {
+                return Promise.reject(new DOMException("Aborted", "AbortError"));
+            }
+
+            const received = server.received[params.attachmentId] || 0;
+
+            if (pathname === "/_auto/upload-attachment-status")
+            {
+                return failRequest(call, params) ? Promise.reject(new TypeError("Failed to fetch")) : respond({ ok: true, received });
+            }
+
+            assert(pathname === "/_auto/upload-attachment-chunk");
+            assert(opts.headers["X-CSRF-TOKEN"] === "csrf");
+            assert(Number(params.offset) === received);
+
+            server.received[params.attachmentId] = received + opts.body.size;
+
+            if (failRequest(call, params))
+            {
+                return Promise.reject(new TypeError("Failed to fetch"));
+            }
+            return respond({ ok: true, received: server.received[params.attachmentId] });
+        }
+    };
+    return server;
+}
+
+
+describe("uploadAttachment", function () {
+
+    let origFetch, origCsrfToken, origUploadConfig;
+
+    beforeEach(() => {
+        origFetch = global.fetch;
+        origCsrfToken = config.csrfToken;
+        origUploadConfig = config.attachmentUpload;
+
+        config.csrfToken = { header: "X-CSRF-TOKEN", value: "csrf" };
+        config.attachmentUpload = { chunkSize: 4, maxRetries: 2, retryDelay: 1 };
+    });
+
+    afterEach(() => {
+        global.fetch = origFetch;
+        config.csrfToken = origCsrfToken;
+        config.attachmentUpload = origUploadConfig;
+    });
+
+    it("uploads files in chunks", function () {
+
+        const server = createServer();
+        global.fetch = server.fetch;
+
+        const progress = [];
+
+        return uploadAttachment("a1", "test.txt", "text/plain", new Blob(["0123456789"]), "", {
+            onProgress: (loaded, total) => progress.push(loaded + "/" + total)
+        }).then(() => {
+            assert.deepEqual(server.calls, ["chunk:0", "chunk:4", "chunk:8"]);
+            assert.deepEqual(progress, ["0/10", "4/10", "8/10", "10/10"]);
+            assert(server.received.a1 === 10);
+        });
+    });
+
+    it("resumes after network errors", function () {
+
+        // the response to the second chunk and the first status request get lost
+        const server = createServer(call => call === 1 || call === 2);
+        global.fetch = server.fetch;
+
+        return uploadAttachment("a1", "test.txt", "text/plain", new Blob(["0123456789"]))
+            .then(() => {
+                assert.deepEqual(server.calls, [
+                    "chunk:0",
+                    "chunk:4",
+                    "/_auto/upload-attachment-status",
+                    "/_auto/upload-attachment-status",
+                    "chunk:8"
+                ]);
+                assert(server.received.a1 === 10);
+            });
+    });
+
+    it("fails after too many retries", function () {
+
+        const server = createServer(call => call > 0);
+        global.fetch = server.fetch;
+
+        return uploadAttachment("a1", "test.txt", "text/plain", new Blob(["0123456789"]))
+            .then(
+                () => assert.fail("should not succeed"),
+                err => {
+                    assert(err instanceof TypeError);
+                    assert.deepEqual(server.calls, [
+                        "chunk:0",
+                        "chunk:4",
+                        "/_auto/upload-attachment-status",
+                        "/_auto/upload-attachment-status"
+                    ]);
+                }
+            );
+    });
+
+    it("cancels uploads", function () {
+
+        const server = createServer();
+        global.fetch = server.fetch;
+
+        const controller = new AbortController();
+
+        return uploadAttachment("a1", "test.txt", "text/plain", new Blob(["0123456789"]), "", {
+            signal: controller.signal,
+            onProgress: loaded => loaded === 4 && controller.abort()
+        }).then(
+            () => assert.fail("should not succeed"),
+            err => {
+                assert(err.name === "AbortError");
+                assert.deepEqual(server.calls, ["chunk:0"]);
+            }
+        );
+    });
+});
+
+
+describe("Attachments", function () {
+
+    let origFetch, origCsrfToken, origUploadConfig;
+
+    beforeEach(() => {
+        origFetch = global.fetch;
+        origCsrfToken = config.csrfToken;
+        origUploadConfig = config.attachmentUpload;
+
+        config.csrfToken = { header: "X-CSRF-TOKEN", value: "csrf" };
+        config.attachmentUpload = { chunkSize: 4, maxRetries: 2, retryDelay: 1 };
+    });
+
+    afterEach(() => {
+        global.fetch = origFetch;
+        config.csrfToken = origCsrfToken;
+        config.attachmentUpload = origUploadConfig;
+    });
+
+    it("aggregates the progress of pending uploads", function () {
+
+        const server = createServer();
+        global.fetch = server.fetch;
+
+        const root = {};
+        Attachments.markAttachmentAsNew(root, { id: "a1", description: "a.txt", type: "text/plain" }, new Blob(["0123456789"]));
+        Attachments.markAttachmentAsNew(root, { id: "a2", description: "b.txt", type: "text/plain" }, new Blob(["01234"]));
+
+        assert(Attachments.getUploadProgress(root, "a1").state === UploadState.PENDING);
+        assert(Attachments.getUploadProgress(root, "a3") === null);
+
+        const progress = [];
+
+        return Attachments.uploadPending(root, { onProgress: (loaded, total) => progress.push(loaded + "/" + total) })
+            .then(() => {
+                assert(progress[progress.length - 1] === "15/15");
+                assert(progress.every(p => p.endsWith("/15")));
+
+                assert.deepEqual(Attachments.getUploadProgress(root), { loaded: 15, total: 15, fraction: 1, active: false });
+                assert(Attachments.getUploadProgress(root, "a1").state === UploadState.DONE);
+                assert(Attachments.getUploadProgress(root, "a2").fraction === 1);
+
+                // completed uploads are not repeated
+                const count = server.calls.length;
+                return Attachments.uploadPending(root).then(() => assert(server.calls.length === count));
+            });
+    });
+
+    it("does not restart running uploads", function () {
+
+        const server = createServer();
+        global.fetch = server.fetch;
+
+        const root = {};
+        Attachments.markAttachmentAsNew(root, { id: "a1", description: "a.txt", type: "text/plain" }, new Blob(["0123456789"]));
+
+        const first = Attachments.uploadPending(root);
+        const second = Attachments.uploadPending(root);
+
+        return Promise.all([first, second])
+            .then(() => {
+                assert.deepEqual(server.calls, ["chunk:0", "chunk:4", "chunk:8"]);
+                assert(server.received.a1 === 10);
+                assert(Attachments.getUploadProgress(root, "a1").state === UploadState.DONE);
+            });
+    });
+
+    it("cancels single uploads", function () {
+
+        const server = createServer();
+        global.fetch = server.fetch;
+
+        const root = {};
+        Attachments.markAttachmentAsNew(root, { id: "a1", description: "a.txt", type: "text/plain" }, new Blob(["0123456789"]));
+
+        assert(!Attachments.cancelUpload(root, "a1"));
+
+        const promise = Attachments.uploadPending(root);
+
+        assert(Attachments.getUploadProgress(root, "a1").active);
+        assert(Attachments.cancelUpload(root, "a1"));
+
+        return promise.then(
+            () => assert.fail("should not succeed"),
+            err => {
+                assert(err.name === "AbortError");
+                assert(Attachments.getUploadProgress(root, "a1").state === UploadState.CANCELLED);
+                assert(!Attachments.cancelUpload(root, "a1"));
+            }
+        );
+    });
+});
@@ -0,0 +1,81 @@
+import assert from "power-assert"
+import { describe, it } from "mocha"
+import BigNumber from "bignumber.js"
+
+import evaluateGroups, { evaluateAggregates, getGroupKey, getGroupSortFields } from "../../src/util/evaluateGroups";
+
+
+const rows = [
+    { name: "A", amount: 3, owner: { login: "admin" } },
+    { name: "B", amount: 5, owner: { login: "admin" } },
+    { name: "C", amount: null, owner: { login: "admin" } },
+    { name: "D", amount: 4, owner: { login: "anonymous" } },
+    { name: "E", amount: 1, owner: null }
+];
+
+
+describe("evaluateGroups", function () {
+
+    it("groups consecutive rows", function () {
+
+        const groups = evaluateGroups(rows, ["owner.login"], [
+            { name: "count", fn: "count" },
+            { name: "amounts", fn: "count", field: "amount" },
+            { name: "avg", fn: "avg", field: "amount" },
+            { name: "min", fn: "min", field: "amount" }
+        ]);
+
+        assert(groups.length === 3);
+
+        assert(groups[0].key === getGroupKey(rows[0], ["owner.login"]));
+        assert.deepEqual(groups[0].values, { "owner.login": "admin" });
+        assert(groups[0].count === 3);
+        assert.deepEqual(groups[0].aggregates, { count: 3, amounts: 2, avg: 4, min: 3 });
+
+        assert.deepEqual(groups[1].values, { "owner.login": "anonymous" });
+
+        // missing values are grouped as null
+        assert(groups[2].key === "[null]");
+        assert.deepEqual(groups[2].values, { "owner.login": null });
+        assert(groups[2].count === 1);
+
+        assert.deepEqual(evaluateGroups([], ["owner.login"]), []);
+    });
+
+    it("evaluates aggregates", function () {
+
+        assert.deepEqual(
+            evaluateAggregates(rows, [
+                { name: "sum", fn: "sum", field: "amount" },
+                { name: "max", fn: "max", field: "amount" },
+                { name: "empty", fn: "avg", field: "missing" },
+                { name: "none", fn: "sum", field: "missing" }
+            ]),
+            { sum: 13, max: 5, empty: null, none: 0 }
+        );
+
+        const decimals = [
+            { amount: new BigNumber("0.1") },
+            { amount: new BigNumber("0.2") },
+            { amount: new BigNumber("1.5") }
+        ];
+        const result = evaluateAggregates(decimals, [
+            { name: "sum", fn: "sum", field: "amount" },
+            { name: "avg", fn: "avg", field: "amount" },
+            { name: "max", fn: "max", field: "amount" }
+        ]);
+        assert(result.sum.toString() === "1.8");
+        assert(result.avg.toString() === "0.6");
+        assert(result.max.toString() === "1.5");
+
+        assert.throws(() => evaluateAggregates(rows, [{ name: "x", fn: "median", field: "amount" }]), /Invalid aggregate function 'median'/);
+        assert.throws(() => evaluateAggregates(rows, [{ name: "x", fn: "sum" }]), /Aggregate function 'sum' needs a field/);
+    });
+
+    it("sorts by group fields first", function () {
+
+        assert.deepEqual(getGroupSortFields(["owner.login"]), ["owner.login"]);
+        assert.deepEqual(getGroupSortFields(["owner.login"], ["name"]), ["owner.login", "name"]);
+        assert.deepEqual(getGroupSortFields(["owner.login", "type"], ["name", "!owner.login"]), ["!owner.login", "type", "name"]);
+    });
+});
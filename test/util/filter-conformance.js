@@ -0,0 +1,187 @@
+import assert from "power-assert"
+import filterTransformer, { NullMode } from "../../src/util/filterTransformer";
+
+import { field, value, values, and, or, not, condition, FIELD_CONDITIONS } from "../../src/FilterDSL";
+import { DateTime } from "luxon"
+
+const T = true;
+const F = false;
+const N = null;
+
+/**
+ * Conformance cases for every field condition: [ [a, b, c], expected SQL result, expected Javascript result ]
+ *
+ * A null as SQL result means UNKNOWN. If the Javascript result is left out, it is the same as the SQL result unless
+ * that is UNKNOWN, in which case the Javascript result is not checked.
+ */
+const CASES = {
+    greaterOrEqual: [ [[2, 1], T], [[1, 1], T], [[1, 2], F], [[null, 1], N] ],
+    ge: [ [[2, 1], T], [[1, 1], T], [[1, 2], F], [[null, 1], N] ],
+    lessOrEqual: [ [[1, 2], T], [[1, 1], T], [[2, 1], F], [[1, null], N] ],
+    le: [ [[1, 2], T], [[1, 1], T], [[2, 1], F], [[1, null], N] ],
+    lt: [ [[1, 2], T], [[1, 1], F], [[null, 2], N] ],
+    lessThan: [ [[1, 2], T], [[1, 1], F], [[null, 2], N] ],
+    gt: [ [[2, 1], T], [[1, 1], F], [[2, null], N] ],
+    greaterThan: [ [[2, 1], T], [[1, 1], F], [[2, null], N] ],
+    between: [ [[2, 1, 3], T], [[1, 1, 3], T], [[4, 1, 3], F], [[2, 3, 1], F], [[null, 1, 3], N], [[2, 1, null], N] ],
+    notBetween: [ [[2, 1, 3], F], [[4, 1, 3], T], [[2, 3, 1], T], [[null, 1, 3], N] ],
+    betweenSymmetric: [ [[2, 1, 3], T], [[2, 3, 1], T], [[4, 3, 1], F], [[2, null, 3], N] ],
+    notBetweenSymmetric: [ [[2, 3, 1], F], [[4, 3, 1], T], [[null, 3, 1], N] ],
+    eq: [ [[1, 1], T], [[1, 2], F], [["a", "a"], T], [[null, 1], N, F], [[null, null], N, T] ],
+    equal: [ [[1, 1], T], [[1, 2], F], [["a", "a"], T], [[null, 1], N, F], [[null, null], N, T] ],
+    ne: [ [[1, 2], T], [[1, 1], F], [[null, 1], N, T], [[null, null], N, F] ],
+    notEqual: [ [[1, 2], T], [[1, 1], F], [[null, 1], N, T], [[null, null], N, F] ],
+    equalIgnoreCase: [ [["ABC", "abc"], T], [["abc", "abd"], F], [[null, "abc"], N] ],
+    notEqualIgnoreCase: [ [["ABC", "abc"], F], [["abc", "abd"], T], [["abc", null], N] ],
+    isDistinctFrom: [ [[1, 2], T], [[1, 1], F], [[null, 1], T], [[1, null], T], [[null, null], F] ],
+    isNotDistinctFrom: [ [[1, 2], F], [[1, 1], T], [[null, 1], F], [[1, null], F], [[null, null], T] ],
+    isNull: [ [[null], T], [[1], F], [[false], F] ],
+    isNotNull: [ [[null], F], [[1], T], [[false], T] ],
+    isTrue: [ [[true], T], [[false], F], [[null], F] ],
+    isFalse: [ [[false], T], [[true], F], [[null], F] ],
+    likeRegex: [ [["aaabc", "a+bc"], T], [["xyz", "a+bc"], F], [[null, "a+bc"], N], [["abc", null], N] ],
+    notLikeRegex: [ [["aaabc", "a+bc"], F], [["xyz", "a+bc"], T], [[null, "a+bc"], N] ],
+    contains: [ [["foobar", "oba"], T], [["foobar", "x"], F], [[null, "x"], N, F] ],
+    containsIgnoreCase: [ [["FooBar", "oBA"], T], [["foobar", "X"], F], [[null, "x"], N] ],
+    notContains: [ [["foobar", "oba"], F], [["foobar", "x"], T], [[null, "x"], N, T] ],
+    notContainsIgnoreCase: [ [["FooBar", "oBA"], F], [["foobar", "X"], T], [[null, "x"], N] ],
+    startsWith: [ [["foobar", "foo"], T], [["foobar", "bar"], F], [[null, "foo"], N] ],
+    endsWith: [ [["foobar", "bar"], T], [["foobar", "foo"], F], [["foobar", null], N] ],
+    in: [ [["a", ["a", "b"]], T], [["c", ["a", "b"]], F], [[null, ["a", "b"]], N, F], [["c", ["a", null]], N, F], [["a", ["a", null]], T] ]
+};
+
+
+function createCondition(name, args)
+{
+    if (name === "in")
+    {
+        return field("a").in(values("String", ... args[1]));
+    }
+
+    return field("a")[name](... ["b", "c"].slice(0, FIELD_CONDITIONS[name]).map(n => field(n)));
+}
+
+
+function createObject(args)
+{
+    const [a, b, c] = args;
+    return { a, b, c };
+}
+
+
+function exec(cond, obj, nullMode)
+{
+    return filterTransformer(cond, name => () => obj[name], nullMode)();
+}
+
+
+/**
+ * Evaluates the given condition in SQL mode and returns true, false or null for UNKNOWN. A condition is UNKNOWN if
+ * neither it nor its negation match.
+ */
+function evaluateSQL(cond, obj)
+{
+    if (exec(cond, obj, NullMode.SQL))
+    {
+        return true;
+    }
+    return exec(not(cond), obj, NullMode.SQL) ? false : null;
+}
+
+
+describe("filterTransformer conformance", function () {
+
+    it("has conformance cases for every field condition", function () {
+
+        Object.keys(FIELD_CONDITIONS).forEach(
+            name => assert(CASES[name] && CASES[name].length > 0, "No cases for " + name)
+        );
+    });
+
+    Object.keys(FIELD_CONDITIONS).forEach(
+        name => {
+
+            const cases = CASES[name] || [];
+
+            it("evaluates '" + name + "' with SQL null semantics", function () {
+
+                cases.forEach(
+                    ([args, expected]) => {
+                        const result = evaluateSQL(createCondition(name, args), createObject(args));
+                        assert(result === expected, name + "(" + JSON.stringify(args) + ") is " + result + ", expected " + expected);
+                    }
+                )
+            });
+
+            it("evaluates '" + name + "' with Javascript semantics", function () {
+
+                cases.forEach(
+                    ([args, sqlExpected, jsExpected = sqlExpected]) => {
+                        if (jsExpected === null)
+                        {
+                            return;
+                        }
+
+                        const result = !!exec(createCondition(name, args), createObject(args), NullMode.JAVASCRIPT);
+                        assert(result === jsExpected, name + "(" + JSON.stringify(args) + ") is " + result + ", expected " + jsExpected);
+                    }
+                )
+            });
+        }
+    );
+
+    it("uses three-valued logic for logical conditions in SQL mode", function () {
+
+        const obj = { a: null, b: 1 };
+
+        const unknown = field("a").eq(value(1));
+        const isTrue = field("b").eq(value(1));
+        const isFalse = field("b").eq(value(2));
+
+        assert(evaluateSQL(unknown, obj) === null);
+        assert(evaluateSQL(not(unknown), obj) === null);
+
+        assert(evaluateSQL(and(unknown, isTrue), obj) === null);
+        assert(evaluateSQL(and(unknown, isFalse), obj) === false);
+        assert(evaluateSQL(or(unknown, isTrue), obj) === true);
+        assert(evaluateSQL(or(unknown, isFalse), obj) === null);
+
+        assert(evaluateSQL(condition("orNot", [unknown, isTrue]), obj) === false);
+        assert(evaluateSQL(condition("orNot", [unknown, isFalse]), obj) === null);
+        assert(evaluateSQL(condition("andNot", [unknown, isFalse]), obj) === true);
+        assert(evaluateSQL(condition("andNot", [unknown, isTrue]), obj) === null);
+
+        // Javascript mode treats the null comparison as plain false
+        assert(exec(not(unknown), obj, NullMode.JAVASCRIPT) === true);
+    });
+
+    it("returns null for operations with null operands in SQL mode", function () {
+
+        const obj = { a: null, b: 1 };
+
+        assert(evaluateSQL(field("a").add(value(1)).eq(value(1)), obj) === null);
+        assert(evaluateSQL(field("b").add(value(1)).eq(value(2)), obj) === true);
+        assert(evaluateSQL(field("a").add(value(1)).isNull(), obj) === true);
+    });
+
+    it("compares luxon values by value", function () {
+
+        const obj = {
+            a: DateTime.fromISO("2021-03-01T12:00:00.000Z"),
+            b: DateTime.fromISO("2021-03-01T12:00:00.000Z"),
+            c: DateTime.fromISO("2021-03-02T12:00:00.000Z")
+        };
+
+        assert(exec(field("a").eq(field("b")), obj, NullMode.JAVASCRIPT));
+        assert(!exec(field("a").isDistinctFrom(field("b")), obj, NullMode.SQL));
+        assert(exec(field("a").isDistinctFrom(field("c")), obj, NullMode.SQL));
+    });
+
+    it("defaults to the configured null mode", function () {
+
+        const obj = { a: null };
+        const cond = not(field("a").eq(value(1)));
+
+        assert(filterTransformer(cond, name => () => obj[name])() === true);
+    });
+});
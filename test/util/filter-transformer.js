@@ -139,7 +139,10 @@ describe("filterTransformer", function () {
         assert(!exec(condition("equalIgnoreCase", [value("aaa"), value("Baa")])));
         assert(!exec(condition("equalIgnoreCase", [value("aaa"), value(null, "String")])));
 
-        assert.throws(() => exec(condition("isDistinctFrom", [])), /isDistinctFrom is not supported in Javascript evaluation/);
+        assert( exec(condition("isDistinctFrom", [value("aaa"), value("bbb")])));
+        assert(!exec(condition("isDistinctFrom", [value("aaa"), value("aaa")])));
+        assert( exec(condition("isDistinctFrom", [value("aaa"), value(null, "String")])));
+        assert(!exec(condition("isDistinctFrom", [value(null, "String"), value(null, "String")])));
 
         assert( exec(condition("between", [value(100),value(100), value(200)])));
         assert(!exec(condition("between", [value(90),value(100), value(200)])));
@@ -217,7 +220,10 @@ describe("filterTransformer", function () {
         assert( exec(condition("le", [value(100), value(100)])));
         assert(!exec(condition("le", [value(100), value(90)])));
 
-        assert.throws(() => exec(condition("isNotDistinctFrom")), /isNotDistinctFrom is not supported in Javascript evaluation/);
+        assert(!exec(condition("isNotDistinctFrom", [value("aaa"), value("bbb")])));
+        assert( exec(condition("isNotDistinctFrom", [value("aaa"), value("aaa")])));
+        assert(!exec(condition("isNotDistinctFrom", [value("aaa"), value(null, "String")])));
+        assert( exec(condition("isNotDistinctFrom", [value(null, "String"), value(null, "String")])));
 
         assert( exec(condition("startsWith", [value("abcd"), value("ab")])));
         assert(!exec(condition("startsWith", [value("abcd"), value("bc")])));
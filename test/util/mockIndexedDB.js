@@ -0,0 +1,84 @@
+/**
+ * Minimal in-memory IndexedDB mock supporting the object store operations used by the draft storage.
+ *
+ * Values are cloned via JSON to emulate the structured cloning of the real implementation.
+ *
+ * @return {{indexedDB: object, stores: Map<String, Map<String,object>>}} mocked window.indexedDB and the stores
+ */
+export default function mockIndexedDB()
+{
+    const stores = new Map();
+
+    const clone = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+    const request = fn => {
+        const req = {
+            result: undefined,
+            error: null,
+            onsuccess: null,
+            onerror: null
+        };
+
+        setTimeout(
+            () => {
+                try
+                {
+                    req.result = fn(req);
+                }
+                catch (e)
+                {
+                    req.error = e;
+                    req.onerror && req.onerror();
+                    return;
+                }
+                req.onsuccess && req.onsuccess();
+            },
+            0
+        );
+        return req;
+    };
+
+    const db = {
+        objectStoreNames: {
+            contains: name => stores.has(name)
+        },
+        createObjectStore: (name, { keyPath }) => {
+            stores.set(name, new Map());
+            stores.get(name).keyPath = keyPath;
+        },
+        transaction: name => ({
+            objectStore: () => {
+                const store = stores.get(name);
+                if (!store)
+                {
+                    throw new Error("No object store '" + name + "'");
+                }
+
+                return {
+                    get: key => request(() => clone(store.get(key))),
+                    put: value => request(() => {
+                        const key = value[store.keyPath];
+                        store.set(key, clone(value));
+                        return key;
+                    }),
+                    delete: key => request(() => {
+                        store.delete(key);
+                    })
+                };
+            }
+        })
+    };
+
+    const indexedDB = {
+        open: () => request(req => {
+            if (!stores.size)
+            {
+                req.result = db;
+                req.onupgradeneeded && req.onupgradeneeded();
+            }
+            return db;
+        })
+    };
+
+    return { indexedDB, stores };
+}
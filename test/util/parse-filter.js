@@ -0,0 +1,174 @@
+import assert from "power-assert"
+import { InputSchema } from "domainql-form"
+
+import config from "../../src/config"
+import { and, condition, field, not, operation, or, toJSON, today, value, values } from "../../src/FilterDSL"
+import parseFilter from "../../src/util/parseFilter"
+import printFilter from "../../src/util/printFilter"
+import FilterSyntaxError from "../../src/util/FilterSyntaxError"
+
+
+const rawSchema = require("../ui/condition/condition-editor-schema.json");
+
+
+function assertSyntaxError(text, opts, message, line, column)
+{
+    let error;
+    try
+    {
+        parseFilter(text, opts);
+    }
+    catch(e)
+    {
+        error = e;
+    }
+
+    assert(error instanceof FilterSyntaxError);
+    assert(error.message === message + " at line " + line + ", column " + column);
+    assert(error.line === line);
+    assert(error.column === column);
+}
+
+
+describe("parseFilter", function () {
+
+    before(() => {
+        config.inputSchema = new InputSchema(rawSchema);
+    });
+
+    it("parses text filters into FilterDSL JSON", function () {
+
+        assert.deepEqual(
+            parseFilter('name containsIgnoreCase "foo" and (created > today() or owner.login = "bar")', { rootType: "Foo" }),
+            toJSON(
+                and(
+                    field("name").containsIgnoreCase(value("foo")),
+                    or(
+                        field("created").gt(today()),
+                        field("owner.login").eq(value("bar"))
+                    )
+                )
+            )
+        );
+
+        assert.deepEqual(
+            parseFilter('num between 1 and 5 andNot (flag isTrue or not description isNull)', { rootType: "Foo" }),
+            toJSON(
+                condition("andNot", [
+                    field("num").between(value(1), value(5)),
+                    or(
+                        field("flag").isTrue(),
+                        not(field("description").isNull())
+                    )
+                ])
+            )
+        );
+
+        assert.deepEqual(
+            parseFilter('type in ("A", "B") or lower(name) != "x" or add(num, 2) >= 3'),
+            toJSON(
+                or(
+                    field("type").in(values("String", "A", "B")),
+                    operation("lower", [field("name")]).ne(value("x")),
+                    operation("add", [field("num"), value(2)]).ge(value(3))
+                )
+            )
+        );
+
+        // parentheses keep their structure
+        assert.deepEqual(
+            parseFilter('(num = 1 and num = 2) and num = 3'),
+            toJSON(
+                and(
+                    and(
+                        field("num").eq(value(1)),
+                        field("num").eq(value(2))
+                    ),
+                    field("num").eq(value(3))
+                )
+            )
+        );
+
+        assert(parseFilter("  ") === null);
+    });
+
+    it("types literal values after the compared field", function () {
+
+        // without root type the literal decides
+        assert.deepEqual(parseFilter("num = 1.5"), toJSON(field("num").eq(value(1.5, "Float"))));
+
+        assert.deepEqual(
+            parseFilter('created >= "2021-01-01T00:00:00.000Z"', { rootType: "Foo" }),
+            toJSON(field("created").ge(value("2021-01-01T00:00:00.000Z", "Timestamp")))
+        );
+
+        assertSyntaxError('num = "x"', { rootType: "Foo" }, "Expected Int value", 1, 7);
+        assertSyntaxError('num = 1.5', { rootType: "Foo" }, "Expected Int value", 1, 7);
+        assertSyntaxError('flag = 1', { rootType: "Foo" }, "Expected Boolean value", 1, 8);
+        assertSyntaxError('created > "yesterday"', { rootType: "Foo" }, "Expected Timestamp value", 1, 11);
+    });
+
+    it("reports errors with positions", function () {
+
+        assertSyntaxError('nme = "x"', { rootType: "Foo" }, "Invalid field reference 'nme'", 1, 1);
+        assertSyntaxError('owner.nme = "x"', { rootType: "Foo" }, "Invalid field reference 'owner.nme'", 1, 1);
+        assertSyntaxError('name =', {}, "Unexpected end of filter", 1, 7);
+        assertSyntaxError('name = "a"\n  foo', {}, "Unexpected 'foo'", 2, 3);
+        assertSyntaxError('name like "a"', {}, "Expected comparison operator", 1, 6);
+        assertSyntaxError('name = "a" and', {}, "Unexpected end of filter", 1, 15);
+        assertSyntaxError('(name = "a"', {}, "Expected ')'", 1, 12);
+        assertSyntaxError('num between 1 or 5', {}, "Expected 'and'", 1, 15);
+        assertSyntaxError('upper(name, 1) = "A"', {}, "Operation 'upper' expects 1 arguments", 1, 1);
+        assertSyntaxError('name = # 1', {}, "Unexpected character '#'", 1, 8);
+    });
+
+    it("uses a default field for comparisons without left operand", function () {
+
+        const cond = parseFilter('> 5 and < 10 or isNull', { rootType: "Foo", field: "num" });
+        assert.deepEqual(
+            cond,
+            toJSON(
+                or(
+                    and(
+                        field("num").gt(value(5)),
+                        field("num").lt(value(10))
+                    ),
+                    field("num").isNull()
+                )
+            )
+        );
+
+        assert(printFilter(cond, { field: "num" }) === "> 5 and < 10 or isNull");
+        assert(printFilter(cond) === "num > 5 and num < 10 or num isNull");
+    });
+});
+
+
+describe("printFilter", function () {
+
+    before(() => {
+        config.inputSchema = new InputSchema(rawSchema);
+    });
+
+    it("prints conditions that parse back into the same condition", function () {
+
+        const texts = [
+            'name containsIgnoreCase "foo" and (created > today() or owner.login = "bar")',
+            'num between 1 and 5 andNot (flag isTrue or not description isNull)',
+            '(num = 1 or num = 2) and not (name startsWith "a\\"b" and description isNotNull)',
+            'type in ("A", "B") or lower(name) != "x" or add(num, 2) >= 3',
+            'created >= "2021-01-01T00:00:00.000Z"',
+            '(num = 1 and num = 2 or num = 3) orNot flag isFalse'
+        ];
+
+        texts.forEach(text => {
+            const cond = parseFilter(text, { rootType: "Foo" });
+            assert(printFilter(cond) === text);
+            assert.deepEqual(parseFilter(printFilter(cond), { rootType: "Foo" }), cond);
+        });
+
+        assert(printFilter(null) === "");
+        assert(printFilter(field("num").notEqual(value(1))) === "num notEqual 1");
+        assert.throws(() => printFilter({ type: "Component", id: "x", condition: null }), /Cannot print node of type 'Component'/);
+    });
+});